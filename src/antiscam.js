@@ -1,6 +1,11 @@
 const { ethers } = require('ethers');
 const logger = require('./logger');
 const { client } = require('./http');
+const { simulateRoundTrip } = require('./honeypotSim');
+const { checkBytecode, HIGH_RISK_SCORE } = require('./bytecodeScan');
+const { checkLpLock, MAX_WITHDRAWABLE_PCT } = require('./lpLock');
+const { analyzeHolders, findTopHolders } = require('./holders');
+const { loadReputationDb, saveReputationDb, findDeployer, checkDeployerReputation } = require('./reputation');
 
 // EIP-1967 implementation slot
 const EIP1967_IMPL_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
@@ -25,7 +30,7 @@ async function checkHoneypot(config, tokenAddress, amountInWei) {
       const buyRes = await client.get(`${config.zeroxApiUrl}/swap/allowance-holder/price`, {
         headers: ZEROX_HEADERS(config.routerZeroxApiKey),
         params: {
-          chainId: 56,
+          chainId: config.chain.chainId,
           sellToken: config.nativeToken,
           buyToken: tokenAddress,
           sellAmount: amountInWei.toString(),
@@ -52,7 +57,7 @@ async function checkHoneypot(config, tokenAddress, amountInWei) {
       const sellRes = await client.get(`${config.zeroxApiUrl}/swap/allowance-holder/price`, {
         headers: ZEROX_HEADERS(config.routerZeroxApiKey),
         params: {
-          chainId: 56,
+          chainId: config.chain.chainId,
           sellToken: tokenAddress,
           buyToken: config.nativeToken,
           sellAmount: tokenReceived,
@@ -143,10 +148,18 @@ async function checkOwnership(provider, tokenAddress) {
 
 /**
  * Run all anti-scam checks and return a risk assessment.
+ * `market.pool` is the pair selected by analyzePools(), or the discovered V2 pair DexScreener
+ * has not indexed yet (without it the LP lock check is skipped); `market.pools` are all
+ * DexScreener pairs, left out of the holder analysis.
+ * The LP lock check looks up the owner, the deployer and the largest LP holders over the
+ * holder scan window.
+ * The deployer reputation check records the token and its pair (`market.pair`, the PairCreated
+ * pair from discovery, else `market.pool`) in `config.deployerDbPath`.
  *
  * @returns {{ riskLevel: string, warnings: string[], details: object }}
  */
-async function runAntiScamChecks(provider, config, tokenAddress, amountInWei, tokenInfo) {
+async function runAntiScamChecks(provider, config, tokenAddress, amountInWei, tokenInfo, market = {}) {
+  const { pool, pools = [] } = market;
   logger.step('Running anti-scam checks...');
 
   const warnings = [];
@@ -164,6 +177,38 @@ async function runAntiScamChecks(provider, config, tokenAddress, amountInWei, to
     logger.info(`  Sell simulation OK: round-trip loss ${honeypot.roundTripLossPct.toFixed(1)}%`);
   }
 
+  // --- On-chain buy/transfer/sell simulation ---
+  if (config.honeypotSimulation) {
+    logger.info('Simulating on-chain buy, transfer and sell (eth_simulateV1)...');
+    let simulation = null;
+    let unavailable = 'no eth_simulateV1 or no V2 pair';
+    try {
+      simulation = await simulateRoundTrip(provider, config, tokenAddress, amountInWei);
+    } catch (err) {
+      // Malformed eth_simulateV1 output must not abort the rest of the analysis
+      unavailable = err.shortMessage || err.message;
+    }
+    honeypot.simulation = simulation;
+
+    if (!simulation) {
+      logger.info(`  On-chain simulation unavailable (${unavailable})`);
+    } else if (!simulation.ok) {
+      warnings.push(
+        simulation.honeypot
+          ? `HONEYPOT RISK: simulated ${simulation.stage} failed: ${simulation.reason}`
+          : `Simulated buy reverted: ${simulation.reason}`
+      );
+    } else {
+      const { buyTaxPct, transferTaxPct, sellTaxPct } = simulation;
+      const taxes = `buy ${buyTaxPct.toFixed(1)}%, transfer ${transferTaxPct.toFixed(1)}%, sell ${sellTaxPct.toFixed(1)}%`;
+      const maxTax = Math.max(buyTaxPct, transferTaxPct, sellTaxPct);
+      if (maxTax > 50) warnings.push(`Extreme simulated tax (${taxes}) — likely honeypot`);
+      else if (maxTax > 20) warnings.push(`High simulated tax (${taxes})`);
+      else if (maxTax >= 1) warnings.push(`Simulated tax: ${taxes}`);
+      else logger.info(`  On-chain simulation OK: ${taxes}`);
+    }
+  }
+
   // --- Proxy detection ---
   const proxy = await checkProxy(provider, tokenAddress);
   details.proxy = proxy;
@@ -172,6 +217,23 @@ async function runAntiScamChecks(provider, config, tokenAddress, amountInWei, to
     warnings.push(`Contract is an upgradeable proxy (impl: ${proxy.implementation}) — owner can change logic`);
   }
 
+  // --- Bytecode scan (implementation code for proxies) ---
+  const bytecode = await checkBytecode(provider, proxy.isProxy ? proxy.implementation : tokenAddress);
+  details.bytecode = bytecode;
+
+  if (!bytecode) {
+    logger.info('  Bytecode scan skipped: contract code unavailable');
+  } else {
+    for (const finding of bytecode.findings) {
+      warnings.push(`Owner can ${finding.label} (+${finding.weight}): ${finding.functions.join(', ')}`);
+    }
+    if (bytecode.score >= HIGH_RISK_SCORE) {
+      warnings.push(`High bytecode risk score: ${bytecode.score}`);
+    } else {
+      logger.info(`  Bytecode scan: ${bytecode.selectors.length} selectors, risk score ${bytecode.score}`);
+    }
+  }
+
   // --- Ownership check ---
   const ownership = await checkOwnership(provider, tokenAddress);
   details.ownership = ownership;
@@ -180,6 +242,99 @@ async function runAntiScamChecks(provider, config, tokenAddress, amountInWei, to
     warnings.push(`Ownership NOT renounced (owner: ${ownership.owner}) — owner may have special privileges`);
   }
 
+  // --- Holder concentration ---
+  let holders = null;
+  if (config.holderScanBlocks > 0) {
+    const excluded = [...pools, pool].filter(Boolean).map((p) => p.pairAddress);
+    holders = await analyzeHolders(provider, config, tokenAddress, {
+      owner: ownership.hasOwner ? ownership.owner : null,
+      excluded,
+    }).catch((err) => {
+      logger.info(`  Holder analysis skipped: ${err.shortMessage || err.message}`);
+      return null;
+    });
+    details.holders = holders;
+
+    if (holders) {
+      const scan = holders.complete ? 'since creation' : `last ${holders.toBlock - holders.fromBlock + 1} blocks only`;
+      const owner = holders.owner ? `, owner ${holders.owner.pct}%` : '';
+      const deployer = holders.deployer ? `, deployer ${holders.deployer.pct}%` : '';
+      logger.info(`  Holders: ${holders.holderCount} (${scan}), top-10 ${holders.top10Pct}%${owner}${deployer}`);
+
+      const seen = new Set();
+      for (const [label, holder] of [
+        ['owner', holders.owner],
+        ['deployer', holders.deployer],
+        ...holders.top.map((h) => ['holder', h]),
+      ]) {
+        if (!holder || holder.pct <= config.maxHolderPercent || seen.has(holder.address)) continue;
+        seen.add(holder.address);
+        warnings.push(
+          `Concentrated supply: ${label} ${holder.address} holds ${holder.pct}% (max ${config.maxHolderPercent}%)`
+        );
+      }
+    }
+  }
+
+  // Needs the holder scan window; used by the LP lock and reputation checks
+  const deployer = await findDeployer(provider, tokenAddress, holders).catch(() => null);
+
+  // --- LP lock / burn ---
+  if (pool) {
+    let lpHolders = [];
+    if (holders) {
+      lpHolders = await findTopHolders(provider, pool.pairAddress, holders.fromBlock, holders.toBlock).catch((err) => {
+        logger.info(`  LP holder scan skipped: ${err.shortMessage || err.message}`);
+        return [];
+      });
+    }
+    const candidates = [ownership.hasOwner ? ownership.owner : null, deployer?.address, tokenAddress, ...lpHolders];
+
+    let lp = null;
+    try {
+      lp = await checkLpLock(provider, config, pool, candidates);
+      if (!lp) logger.info('  LP lock check skipped: pool has no ERC20 LP token (V3/V4)');
+    } catch (err) {
+      logger.warn(`  LP lock check failed: ${err.shortMessage || err.message}`);
+    }
+    details.lpLock = lp;
+
+    if (lp) {
+      const split = `burned ${lp.burnedPct}%, locked ${lp.lockedPct}%`;
+      const eoaHolders = lp.holders.filter((h) => h.eoa);
+      const eoa = eoaHolders.map((h) => ` — ${h.pct}% held by EOA ${h.address}`).join('');
+      if (lp.withdrawablePct > MAX_WITHDRAWABLE_PCT) {
+        warnings.push(`LP mostly withdrawable: ${lp.withdrawablePct}% not burned or locked (${split})${eoa}`);
+      } else {
+        logger.info(`  LP: ${split}, withdrawable ${lp.withdrawablePct}%${eoa}`);
+      }
+    }
+  }
+
+  // --- Deployer reputation ---
+  if (config.deployerDbPath) {
+    if (!deployer) {
+      logger.info('  Deployer reputation skipped: deployer not found (needs the holder scan window)');
+      details.deployer = null;
+    } else {
+      const db = loadReputationDb(config.deployerDbPath);
+      const reputation = await checkDeployerReputation(provider, config, db, deployer.address, tokenAddress, market);
+      saveReputationDb(config.deployerDbPath, db);
+      details.deployer = { ...deployer, ...reputation };
+
+      const known = reputation.previous.length;
+      const loss = `lost ≥${config.rugLiquidityLossPercent}% of their liquidity`;
+      if (reputation.rugged >= 2) {
+        warnings.push(`SERIAL RUGGER: deployer ${deployer.address} — ${reputation.rugged} of ${known} previous tokens ${loss}`);
+      } else if (reputation.rugged === 1) {
+        const rugged = reputation.previous.find((p) => p.rugged);
+        warnings.push(`Deployer ${deployer.address} rugged a previous token (${rugged.token}) — ${known} known`);
+      } else {
+        logger.info(`  Deployer: ${deployer.address} (from ${deployer.source}), ${known} previous token(s), none rugged`);
+      }
+    }
+  }
+
   // --- Token info warnings ---
   if (tokenInfo) {
     if (tokenInfo.totalSupply === 0n) {
@@ -189,10 +344,21 @@ async function runAntiScamChecks(provider, config, tokenAddress, amountInWei, to
 
   // --- Determine risk level ---
   const hasCritical = warnings.some(
-    (w) => w.includes('HONEYPOT') || w.includes('Extreme round-trip')
+    (w) =>
+      w.includes('HONEYPOT') ||
+      w.includes('Extreme round-trip') ||
+      w.includes('Extreme simulated tax') ||
+      w.includes('SERIAL RUGGER')
   );
   const hasHigh = warnings.some(
-    (w) => w.includes('High round-trip') || w.includes('upgradeable proxy')
+    (w) =>
+      w.includes('High round-trip') ||
+      w.includes('High simulated tax') ||
+      w.includes('upgradeable proxy') ||
+      w.includes('LP mostly withdrawable') ||
+      w.includes('Concentrated supply') ||
+      w.includes('High bytecode risk') ||
+      w.includes('rugged a previous token')
   );
 
   let riskLevel = 'low';
@@ -0,0 +1,110 @@
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { classifyBroadcastError, errorMessage, createTransport } = require('./rpcPool');
+
+/**
+ * Create a broadcaster that sends each signed transaction to the main provider
+ * and every extra endpoint (e.g. private / MEV-protected relays) at once.
+ *
+ * "already known" counts as accepted; "nonce too low" counts as accepted when
+ * the main provider already sees a transaction with our hash.
+ *
+ * @param {string[]} urls - extra JSON-RPC endpoints (BROADCAST_RPC_URLS)
+ * @param {object} opts - { timeoutMs }
+ * @returns {{ endpoints, broadcast, sendTransaction }}
+ */
+function createBroadcaster(urls, opts = {}) {
+  const { timeoutMs = 10000 } = opts;
+
+  const endpoints = urls.map((url) => ({ url, transport: createTransport(url, timeoutMs) }));
+
+  async function sendRaw(endpoint, signedTx) {
+    const [response] = await endpoint.transport._send({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'eth_sendRawTransaction',
+      params: [signedTx],
+    });
+    if (response?.error) {
+      const error = new Error(response.error.message);
+      error.code = response.error.code;
+      throw error;
+    }
+    return response?.result;
+  }
+
+  /**
+   * Broadcast `signedTx` everywhere; resolve with the first endpoint that accepted it.
+   * Throws only if every endpoint rejected it.
+   *
+   * @param {object} provider - main provider (RPC pool), also used for the nonce check
+   * @returns {{ hash: string, endpoint: string, ms: number }}
+   */
+  async function broadcast(provider, signedTx) {
+    const hash = ethers.keccak256(signedTx);
+    const started = Date.now();
+
+    const targets = [
+      { url: 'RPC_URL', send: () => provider.send('eth_sendRawTransaction', [signedTx]) },
+      ...endpoints.map((endpoint) => ({ url: endpoint.url, send: () => sendRaw(endpoint, signedTx) })),
+    ];
+
+    const attempts = targets.map(async ({ url, send }) => {
+      try {
+        await send();
+      } catch (err) {
+        const kind = classifyBroadcastError(err);
+        const ours = kind === 'known' || (kind === 'nonce' && (await provider.getTransaction(hash).catch(() => null)));
+        if (!ours) {
+          err.endpoint = url;
+          throw err;
+        }
+      }
+      return { hash, endpoint: url, ms: Date.now() - started };
+    });
+
+    // Report late rejections without holding up the swap
+    Promise.allSettled(attempts).then((results) => {
+      for (const r of results) {
+        if (r.status === 'rejected') {
+          logger.warn(`  Broadcast to ${r.reason.endpoint} failed: ${errorMessage(r.reason)}`);
+        }
+      }
+    });
+
+    try {
+      const first = await Promise.any(attempts);
+      logger.info(`  Broadcast to ${targets.length} endpoints — first accepted by ${first.endpoint} in ${first.ms}ms`);
+      return first;
+    } catch (err) {
+      const reasons = err.errors.map((e) => `${e.endpoint}: ${errorMessage(e)}`).join('; ');
+      throw new Error(`Transaction rejected by all ${targets.length} broadcast endpoints (${reasons})`);
+    }
+  }
+
+  /**
+   * Drop-in for wallet.sendTransaction(): populate, sign locally, broadcast.
+   * Returns { hash, nonce, fee fields, wait } like an ethers TransactionResponse.
+   */
+  async function sendTransaction(wallet, txRequest) {
+    const populated = await wallet.populateTransaction(txRequest);
+    const signedTx = await wallet.signTransaction(populated);
+    const { hash } = await broadcast(wallet.provider, signedTx);
+
+    return {
+      hash,
+      nonce: populated.nonce,
+      gasPrice: populated.gasPrice ?? null,
+      maxFeePerGas: populated.maxFeePerGas ?? null,
+      maxPriorityFeePerGas: populated.maxPriorityFeePerGas ?? null,
+      wait: () => wallet.provider.waitForTransaction(hash),
+    };
+  }
+
+  return { endpoints, broadcast, sendTransaction };
+}
+
+module.exports = {
+  classifyBroadcastError,
+  createBroadcaster,
+};
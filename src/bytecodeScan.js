@@ -0,0 +1,193 @@
+const { ethers } = require('ethers');
+
+const OP_PUSH1 = 0x60;
+const OP_PUSH4 = 0x63;
+const OP_PUSH32 = 0x7f;
+const OP_EQ = 0x14;
+const OP_DUP1 = 0x80;
+const OP_DUP16 = 0x8f;
+
+// Bytecode risk score at or above which the token counts as high risk
+const HIGH_RISK_SCORE = 50;
+
+/**
+ * Owner capabilities worth knowing about before buying, with the external
+ * functions that grant them. `weight` is added to the bytecode risk score once
+ * per capability, however many of its functions are present.
+ */
+const DANGEROUS_CAPABILITIES = [
+  {
+    key: 'mint',
+    label: 'mint new supply',
+    weight: 30,
+    signatures: ['mint(address,uint256)', 'mint(uint256)', 'mintTo(address,uint256)', 'issue(uint256)'],
+  },
+  {
+    key: 'blacklist',
+    label: 'blacklist/whitelist holders',
+    weight: 30,
+    signatures: [
+      'blacklist(address)',
+      'blacklistAddress(address,bool)',
+      'addToBlacklist(address)',
+      'addBlacklist(address)',
+      'setBlacklist(address,bool)',
+      'setBots(address[])',
+      'setBots(address[],bool)',
+      'addBots(address[])',
+      'setWhitelist(address,bool)',
+      'addToWhitelist(address)',
+    ],
+  },
+  {
+    key: 'fees',
+    label: 'change fees/taxes',
+    weight: 20,
+    signatures: [
+      'setFee(uint256)',
+      'setFees(uint256,uint256)',
+      'setTax(uint256)',
+      'setTaxes(uint256,uint256)',
+      'setBuyFee(uint256)',
+      'setSellFee(uint256)',
+      'setBuyTax(uint256)',
+      'setSellTax(uint256)',
+      'updateFees(uint256,uint256)',
+      'updateBuyFees(uint256,uint256,uint256)',
+      'updateSellFees(uint256,uint256,uint256)',
+      'setTaxFeePercent(uint256)',
+      'setLiquidityFeePercent(uint256)',
+    ],
+  },
+  {
+    key: 'trading',
+    label: 'pause or gate trading',
+    weight: 15,
+    signatures: [
+      'pause()',
+      'unpause()',
+      'enableTrading()',
+      'openTrading()',
+      'setTradingEnabled(bool)',
+      'setTrading(bool)',
+      'tradingStatus(bool)',
+    ],
+  },
+  {
+    key: 'maxTx',
+    label: 'limit transaction/wallet size',
+    weight: 10,
+    signatures: [
+      'setMaxTxAmount(uint256)',
+      'setMaxTxPercent(uint256)',
+      'setMaxWalletSize(uint256)',
+      'setMaxWallet(uint256)',
+      'updateMaxTxnAmount(uint256)',
+      'updateMaxWalletAmount(uint256)',
+      'removeLimits()',
+    ],
+  },
+  {
+    key: 'excludeFromFees',
+    label: 'exempt addresses from fees',
+    weight: 5,
+    signatures: [
+      'excludeFromFee(address)',
+      'excludeFromFees(address,bool)',
+      'includeInFee(address)',
+      'setExcludeFromFees(address,bool)',
+      'setIsFeeExempt(address,bool)',
+    ],
+  },
+  {
+    key: 'withdraw',
+    label: 'withdraw/rescue contract funds',
+    weight: 15,
+    signatures: [
+      'withdraw()',
+      'withdraw(uint256)',
+      'withdrawTokens(address)',
+      'rescueTokens(address,uint256)',
+      'rescueToken(address,uint256)',
+      'rescueETH()',
+      'recoverERC20(address,uint256)',
+      'clearStuckBalance()',
+      'clearStuckToken(address,uint256)',
+    ],
+  },
+].map((capability) => ({
+  ...capability,
+  selectors: Object.fromEntries(capability.signatures.map((sig) => [ethers.id(sig).slice(0, 10), sig])),
+}));
+
+/**
+ * 4-byte selectors compared against calldata in the contract's dispatcher:
+ * every `PUSH1`–`PUSH4 x` followed by `EQ` (optionally through one `DUPn`),
+ * walking opcodes so PUSH data is never read as code. The optimizer pushes
+ * selectors with leading zero bytes in fewer bytes, so `x` is left-padded to 4.
+ * Sorted and de-duplicated.
+ */
+function extractSelectors(code) {
+  const bytes = ethers.getBytes(code);
+  const selectors = new Set();
+
+  for (let pc = 0; pc < bytes.length; pc++) {
+    const op = bytes[pc];
+    if (op < OP_PUSH1 || op > OP_PUSH32) continue;
+
+    const size = op - OP_PUSH1 + 1;
+    const end = pc + size + 1;
+    if (op <= OP_PUSH4 && end < bytes.length) {
+      let next = bytes[end];
+      if (next >= OP_DUP1 && next <= OP_DUP16 && end + 1 < bytes.length) next = bytes[end + 1];
+      if (next === OP_EQ) selectors.add(ethers.zeroPadValue(bytes.slice(pc + 1, end), 4));
+    }
+    pc += size;
+  }
+
+  return [...selectors].sort();
+}
+
+/**
+ * Match a contract's selectors against DANGEROUS_CAPABILITIES.
+ *
+ * @returns {{ selectors: string[], findings: { key: string, label: string, weight: number, functions: string[] }[], score: number }}
+ */
+function scanBytecode(code) {
+  const selectors = extractSelectors(code);
+  const present = new Set(selectors);
+
+  const findings = [];
+  for (const { key, label, weight, selectors: known } of DANGEROUS_CAPABILITIES) {
+    const functions = Object.entries(known)
+      .filter(([selector]) => present.has(selector))
+      .map(([, sig]) => sig);
+    if (functions.length > 0) findings.push({ key, label, weight, functions });
+  }
+
+  return { selectors, findings, score: findings.reduce((sum, f) => sum + f.weight, 0) };
+}
+
+/**
+ * Fetch and scan the token's runtime code; for a proxy pass the implementation
+ * address as `codeAddress`. Returns null when the code cannot be read or is empty.
+ */
+async function checkBytecode(provider, codeAddress) {
+  let code;
+  try {
+    code = await provider.getCode(codeAddress);
+  } catch {
+    return null;
+  }
+  if (!code || code === '0x') return null;
+
+  return { address: codeAddress, ...scanBytecode(code) };
+}
+
+module.exports = {
+  checkBytecode,
+  scanBytecode,
+  extractSelectors,
+  DANGEROUS_CAPABILITIES,
+  HIGH_RISK_SCORE,
+};
@@ -0,0 +1,190 @@
+/**
+ * Chain profiles — everything that differs between EVM networks.
+ * `factory`/`router` are the chain's canonical Uniswap V2-style deployment
+ * (PancakeSwap V2 on BSC), used for pair discovery and the router swap backend;
+ * `v2DexId` is that DEX's DexScreener id; `lpLockers` are well-known LP locker
+ * contracts whose LP balance counts as locked.
+ */
+
+// 0x AllowanceHolder deployments (same address on every chain of a hardfork family).
+// With the allowance-holder flow every quote's `transaction.to` and allowance spender is one of these.
+const ALLOWANCE_HOLDER_CANCUN = '0x0000000000001fF3684f28c67538d4D072C22734';
+const ALLOWANCE_HOLDER_SHANGHAI = '0x0000000000005E88410CcDFaDe4a5EfaE4b49562';
+const ZEROX_ALLOWANCE_HOLDERS = [ALLOWANCE_HOLDER_CANCUN, ALLOWANCE_HOLDER_SHANGHAI];
+
+/**
+ * Build a profile and precompute lookup tables used by pool selection and discovery.
+ * `liquidQuotes` maps lowercased address → { symbol, tier }; the wrapped native
+ * token is always tier 1. `zeroxTargets` holds lowercased 0x contracts allowed as
+ * transaction target / spender.
+ */
+function defineChain(profile) {
+  const quotes = [{ ...profile.wrappedNative, tier: 1 }, ...profile.stablecoins];
+
+  return Object.freeze({
+    ...profile,
+    liquidQuotes: Object.fromEntries(
+      quotes.map((q) => [q.address.toLowerCase(), { symbol: q.symbol, tier: q.tier }])
+    ),
+    quoteTokens: new Set(quotes.map((q) => q.address.toLowerCase())),
+    trustedDexes: new Set(profile.trustedDexes),
+    lpLockers: profile.lpLockers || [],
+    zeroxTargets: new Set((profile.zeroxTargets || []).map((a) => a.toLowerCase())),
+  });
+}
+
+const CHAINS = {
+  bsc: defineChain({
+    key: 'bsc',
+    name: 'BSC',
+    chainId: 56,
+    nativeSymbol: 'BNB',
+    dexscreener: 'bsc',
+    explorerUrl: 'https://bscscan.com',
+    wrappedNative: { address: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', symbol: 'WBNB' },
+    stablecoins: [
+      { address: '0x55d398326f99059fF775485246999027B3197955', symbol: 'USDT', tier: 1 },
+      { address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', symbol: 'USDC', tier: 1 },
+      { address: '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56', symbol: 'BUSD', tier: 2 },
+    ],
+    factory: '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73',
+    router: '0x10ED43C718714eb63d5aA57B78B54704E256024E',
+    v2DexId: 'pancakeswap',
+    zeroxTargets: ZEROX_ALLOWANCE_HOLDERS,
+    lpLockers: [
+      '0x407993575c91ce7643a4d4cCACc9A98c36eE1BBE', // PinkLock V2
+      '0xC765bddB93b0D1c1A88282BA0fa6B2d00E3e0c83', // UniCrypt V2 locker (PancakeSwap)
+    ],
+    trustedDexes: [
+      'pancakeswap',
+      'pancakeswap-v3',
+      'pancakeswap-v4',
+      'biswap',
+      'biswap-v3',
+      'uniswap-v3',
+      'uniswap-v4',
+      'sushiswap',
+      'sushiswap-v3',
+      'thena',
+      'thena-v3',
+      'dodo',
+      'apeswap',
+      'mdex',
+      'bakeryswap',
+      'ellipsis',
+      'wombat',
+    ],
+  }),
+
+  'bsc-testnet': defineChain({
+    key: 'bsc-testnet',
+    name: 'BSC Testnet',
+    chainId: 97,
+    testnet: true,
+    nativeSymbol: 'tBNB',
+    dexscreener: null, // not indexed by DexScreener
+    explorerUrl: 'https://testnet.bscscan.com',
+    wrappedNative: { address: '0xae13d989daC2f0dEbFf460aC112a837C89BAa7cd', symbol: 'WBNB' },
+    stablecoins: [
+      { address: '0x337610d27c682E347C9cD60BD4b3b107C9d34dDd', symbol: 'USDT', tier: 1 },
+      { address: '0xeD24FC36d5Ee211Ea25A80239Fb8C4Cfd80f12Ee', symbol: 'BUSD', tier: 2 },
+    ],
+    factory: '0x6725F303b657a9451d8BA641348b6761A6CC7a17',
+    router: '0xD99D1c33F9fC3444f8101754aBC46c52416550D1',
+    v2DexId: 'pancakeswap',
+    zeroxTargets: [], // 0x API does not serve testnets
+    trustedDexes: ['pancakeswap'],
+  }),
+
+  ethereum: defineChain({
+    key: 'ethereum',
+    name: 'Ethereum',
+    chainId: 1,
+    nativeSymbol: 'ETH',
+    dexscreener: 'ethereum',
+    explorerUrl: 'https://etherscan.io',
+    wrappedNative: { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', symbol: 'WETH' },
+    stablecoins: [
+      { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', symbol: 'USDC', tier: 1 },
+      { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', symbol: 'USDT', tier: 1 },
+      { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', symbol: 'DAI', tier: 2 },
+    ],
+    factory: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f',
+    router: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
+    v2DexId: 'uniswap',
+    zeroxTargets: ZEROX_ALLOWANCE_HOLDERS,
+    lpLockers: ['0x663A5C229c09b049E36dCc11a9B0d4a8Eb9db214'], // UniCrypt V2 locker
+    trustedDexes: ['uniswap', 'uniswap-v3', 'uniswap-v4', 'sushiswap', 'sushiswap-v3', 'pancakeswap-v3', 'curve', 'balancer'],
+  }),
+
+  base: defineChain({
+    key: 'base',
+    name: 'Base',
+    chainId: 8453,
+    nativeSymbol: 'ETH',
+    dexscreener: 'base',
+    explorerUrl: 'https://basescan.org',
+    wrappedNative: { address: '0x4200000000000000000000000000000000000006', symbol: 'WETH' },
+    stablecoins: [
+      { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', symbol: 'USDC', tier: 1 },
+      { address: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA', symbol: 'USDbC', tier: 2 },
+    ],
+    factory: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6',
+    router: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24',
+    v2DexId: 'uniswap',
+    zeroxTargets: ZEROX_ALLOWANCE_HOLDERS,
+    trustedDexes: ['uniswap', 'uniswap-v3', 'uniswap-v4', 'aerodrome', 'aerodrome-slipstream', 'pancakeswap-v3', 'sushiswap', 'baseswap'],
+  }),
+
+  arbitrum: defineChain({
+    key: 'arbitrum',
+    name: 'Arbitrum One',
+    chainId: 42161,
+    nativeSymbol: 'ETH',
+    dexscreener: 'arbitrum',
+    explorerUrl: 'https://arbiscan.io',
+    wrappedNative: { address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', symbol: 'WETH' },
+    stablecoins: [
+      { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', symbol: 'USDC', tier: 1 },
+      { address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', symbol: 'USDT', tier: 1 },
+      { address: '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8', symbol: 'USDC.e', tier: 2 },
+    ],
+    factory: '0xf1D7CC64Fb4452F05c498126312eBE29f30Fbcf9',
+    router: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24',
+    v2DexId: 'uniswap',
+    zeroxTargets: ZEROX_ALLOWANCE_HOLDERS,
+    trustedDexes: ['uniswap', 'uniswap-v3', 'uniswap-v4', 'camelot', 'camelot-v3', 'sushiswap', 'sushiswap-v3', 'pancakeswap-v3', 'ramses'],
+  }),
+};
+
+const CHAIN_KEYS = Object.keys(CHAINS);
+
+/**
+ * Look up a profile by key ("bsc", "base", ...) or numeric chain id.
+ * Returns undefined for unknown chains.
+ */
+function getChainProfile(keyOrId) {
+  if (keyOrId == null) return undefined;
+
+  const asNumber = Number(keyOrId);
+  if (Number.isInteger(asNumber)) {
+    return Object.values(CHAINS).find((c) => c.chainId === asNumber);
+  }
+  return CHAINS[String(keyOrId).toLowerCase()];
+}
+
+/**
+ * True if `address` is a known 0x contract on the chain.
+ */
+function isZeroxTarget(chain, address) {
+  return !!address && chain.zeroxTargets.has(address.toLowerCase());
+}
+
+/**
+ * Explorer link for a transaction on the given chain.
+ */
+function txUrl(chain, hash) {
+  return `${chain.explorerUrl}/tx/${hash}`;
+}
+
+module.exports = { CHAINS, CHAIN_KEYS, ZEROX_ALLOWANCE_HOLDERS, getChainProfile, isZeroxTarget, txUrl };
@@ -2,19 +2,29 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
+const { CHAINS, CHAIN_KEYS, getChainProfile } = require('./chains');
+const { parseRpcUrls } = require('./rpcPool');
+const { MIN_REPLACEMENT_BUMP_PERCENT } = require('./txSender');
+const { PRICE_IMPACT_ACTIONS } = require('./priceImpact');
+const { loadScoringFile, DEFAULT_SCORING } = require('./scoring');
+const { isValidAddress } = require('./validate');
 
-const PANCAKE_ROUTER = '0x10ED43C718714eb63d5aA57B78B54704E256024E';
-const PANCAKE_FACTORY = '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73';
+// BSC defaults, kept as named exports for callers that predate chain profiles
+const PANCAKE_ROUTER = CHAINS.bsc.router;
+const PANCAKE_FACTORY = CHAINS.bsc.factory;
 
-const WBNB = '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c';
+const WBNB = CHAINS.bsc.wrappedNative.address;
 
 const NATIVE_TOKEN = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
-const USDT = '0x55d398326f99059fF775485246999027B3197955';
-const USDC = '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d';
-const BUSD = '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56';
+const [USDT, USDC, BUSD] = CHAINS.bsc.stablecoins.map((s) => s.address);
 
 const DEXSCREENER_API = 'https://api.dexscreener.com/latest/dex/tokens';
 
+const SWAP_BACKENDS = ['0x', 'pancake', 'auto'];
+
+const DEFAULT_JOURNAL_PATH = 'trades.jsonl';
+const DEFAULT_DEPLOYER_DB_PATH = 'deployers.json';
+
 /**
  * Convert BNB string to wei using integer arithmetic (no float rounding issues).
  * BNB uses 18 decimals.
@@ -27,6 +37,68 @@ function bnbToWei(bnbString) {
   return BigInt(whole) * 1_000_000_000_000_000_000n + BigInt(paddedFrac);
 }
 
+/**
+ * Parse TAKE_PROFIT_LADDER: comma-separated `multiple:percent` steps, e.g. "2:50,4:100"
+ * sells 50% of the balance at 2x and the rest at 4x. Percent is of the balance held
+ * when the step fires. Returns steps sorted by multiple; throws on invalid input.
+ */
+function parseTakeProfitLadder(value) {
+  if (!value || !value.trim()) return [];
+
+  const steps = value.split(',').map((part) => {
+    const [multipleStr, percentStr] = part.split(':').map((x) => x.trim());
+    const multiple = parseFloat(multipleStr);
+    const percent = parseFloat(percentStr);
+    if (isNaN(multiple) || multiple <= 1) {
+      throw new Error(`TAKE_PROFIT_LADDER step "${part.trim()}": multiple must be > 1`);
+    }
+    if (isNaN(percent) || percent <= 0 || percent > 100) {
+      throw new Error(`TAKE_PROFIT_LADDER step "${part.trim()}": percent must be in (0, 100]`);
+    }
+    return { multiple, percent };
+  });
+
+  return steps.sort((a, b) => a.multiple - b.multiple);
+}
+
+/**
+ * Point chain-dependent config fields at a chain profile.
+ * `wbnb`, `pancakeFactory` and `pancakeRouter` keep their historical names but hold
+ * the wrapped native token and V2 factory/router of whichever chain is selected.
+ */
+function applyChainProfile(config, chain) {
+  config.chain = chain;
+  config.wbnb = chain.wrappedNative.address;
+  config.pancakeFactory = chain.factory;
+  config.pancakeRouter = chain.router;
+  return config;
+}
+
+/**
+ * Pick the chain profile for the connected network.
+ * With CHAIN set, that profile is used; otherwise it is looked up by the RPC chain id.
+ * Throws when the network has no profile.
+ */
+function resolveChainProfile(config, networkChainId) {
+  if (config.chainSetting) return config.chain;
+
+  const chain = getChainProfile(Number(networkChainId));
+  if (!chain) {
+    throw new Error(
+      `Unsupported chain id ${networkChainId}. Supported: ${CHAIN_KEYS.map((k) => `${k} (${CHAINS[k].chainId})`).join(', ')}`
+    );
+  }
+  return chain;
+}
+
+/**
+ * Path of the append-only trade journal (TRADE_JOURNAL_PATH).
+ * Separate from loadConfig() so read-only commands work without a key.
+ */
+function getJournalPath() {
+  return process.env.TRADE_JOURNAL_PATH || DEFAULT_JOURNAL_PATH;
+}
+
 /**
  * Load private key from PRIVATE_KEY env var or PRIVATE_KEY_PATH file.
  * Returns the raw key string.
@@ -116,23 +188,60 @@ function createSafeConfig(configData) {
 function loadConfig() {
   checkEnvFilePermissions();
 
-  const rpcUrl = process.env.RPC_URL;
+  const rpcUrls = parseRpcUrls(process.env.RPC_URL);
+  const rpcTimeoutMs = parseInt(process.env.RPC_TIMEOUT_MS || '10000', 10);
+  const rpcHealthIntervalMs = parseInt(process.env.RPC_HEALTH_INTERVAL_MS || '30000', 10);
+  const rpcMaxLagBlocks = parseInt(process.env.RPC_MAX_LAG_BLOCKS || '5', 10);
+  const broadcastRpcUrls = parseRpcUrls(process.env.BROADCAST_RPC_URLS);
+  const wsRpcUrl = process.env.WS_RPC_URL ? process.env.WS_RPC_URL.trim() : null;
   const buyAmountBnb = process.env.BUY_AMOUNT_BNB;
   const slippagePercent = parseFloat(process.env.SLIPPAGE_PERCENT || '5');
   const gasLimit = parseInt(process.env.GAS_LIMIT || '300000', 10);
   const maxGasPriceGwei = parseFloat(process.env.MAX_GAS_PRICE_GWEI || '5');
+  const txConfirmTimeoutSec = parseInt(process.env.TX_CONFIRM_TIMEOUT_SEC || '60', 10);
+  const txSpeedupAttempts = parseInt(process.env.TX_SPEEDUP_ATTEMPTS || '2', 10);
+  const txGasBumpPercent = parseInt(process.env.TX_GAS_BUMP_PERCENT || '20', 10);
+  const txMaxGasPriceGwei = parseFloat(process.env.TX_MAX_GAS_PRICE_GWEI || String(maxGasPriceGwei));
+  const txCancelOnTimeout = (process.env.TX_CANCEL_ON_TIMEOUT || 'false').toLowerCase() === 'true';
   const buyRetries = parseInt(process.env.BUY_RETRIES || '3', 10);
   const buyRetryDelayMs = parseInt(process.env.BUY_RETRY_DELAY_MS || '500', 10);
+  const maxPriceDeviationPercent = parseFloat(process.env.MAX_PRICE_DEVIATION_PERCENT || '10');
+  const maxPriceImpactPercent = parseFloat(process.env.MAX_PRICE_IMPACT_PERCENT || '10');
+  const priceImpactAction = (process.env.PRICE_IMPACT_ACTION || 'refuse').toLowerCase();
   const simulateBeforeBuy = (process.env.SIMULATE_BEFORE_BUY || 'false').toLowerCase() === 'true';
+  const honeypotSimulation = (process.env.HONEYPOT_SIMULATION || 'true').toLowerCase() === 'true';
   const maxBuyBnb = parseFloat(process.env.MAX_BUY_BNB || '1');
   const minLiquidityUsd = parseFloat(process.env.MIN_LIQUIDITY_USD || '1000');
+  const maxLiquidityDivergencePercent = parseFloat(process.env.MAX_LIQUIDITY_DIVERGENCE_PERCENT || '50');
+  const lpLockers = (process.env.LP_LOCKERS || '').split(',').map((a) => a.trim()).filter(Boolean);
+  const holderScanBlocks = parseInt(process.env.HOLDER_SCAN_BLOCKS || '20000', 10);
+  const maxHolderPercent = parseFloat(process.env.MAX_HOLDER_PERCENT || '20');
+  const deployerDbPath = process.env.DEPLOYER_DB_PATH || DEFAULT_DEPLOYER_DB_PATH;
+  const rugLiquidityLossPercent = parseFloat(process.env.RUG_LIQUIDITY_LOSS_PERCENT || '80');
+  const pairIndexBlocks = parseInt(process.env.PAIR_INDEX_BLOCKS || '10000', 10);
   const maxTokenAgeSec = parseInt(process.env.MAX_TOKEN_AGE_SEC || '300', 10);
   const pollIntervalMs = parseInt(process.env.POLL_INTERVAL_MS || '3000', 10);
+  const stopLossPercent = parseFloat(process.env.STOP_LOSS_PERCENT || '0');
+  const trailingStopPercent = parseFloat(process.env.TRAILING_STOP_PERCENT || '0');
+  const maxHoldSec = parseInt(process.env.MAX_HOLD_SEC || '0', 10);
+  const monitorIntervalMs = parseInt(process.env.MONITOR_INTERVAL_MS || '10000', 10);
   const routerZeroxApiKey = process.env.ROUTER_ZERO_X_API_KEY;
   const zeroxApiUrl = process.env.ZEROX_API_URL || 'https://api.0x.org';
+  const swapBackend = (process.env.SWAP_BACKEND || '0x').toLowerCase();
+  const chainSetting = process.env.CHAIN ? process.env.CHAIN.trim().toLowerCase() : null;
 
   const errors = [];
-  if (!rpcUrl) errors.push('RPC_URL is required in .env');
+  if (rpcUrls.length === 0) errors.push('RPC_URL is required in .env');
+  for (const url of rpcUrls) {
+    if (!/^https?:\/\//i.test(url)) errors.push(`RPC_URL entry must be an http(s) URL: ${url}`);
+  }
+  if (isNaN(rpcTimeoutMs) || rpcTimeoutMs <= 0) errors.push('RPC_TIMEOUT_MS must be a positive integer');
+  if (isNaN(rpcHealthIntervalMs) || rpcHealthIntervalMs < 0) errors.push('RPC_HEALTH_INTERVAL_MS must be a non-negative integer (0 = off)');
+  if (isNaN(rpcMaxLagBlocks) || rpcMaxLagBlocks < 0) errors.push('RPC_MAX_LAG_BLOCKS must be a non-negative integer');
+  for (const url of broadcastRpcUrls) {
+    if (!/^https?:\/\//i.test(url)) errors.push(`BROADCAST_RPC_URLS entry must be an http(s) URL: ${url}`);
+  }
+  if (wsRpcUrl && !/^wss?:\/\//i.test(wsRpcUrl)) errors.push('WS_RPC_URL must be a ws:// or wss:// URL');
   if (!routerZeroxApiKey) errors.push('ROUTER_ZERO_X_API_KEY is required in .env');
   if (!buyAmountBnb || isNaN(parseFloat(buyAmountBnb))) {
     errors.push('BUY_AMOUNT_BNB must be a valid number in .env');
@@ -143,8 +252,58 @@ function loadConfig() {
   }
   if (isNaN(slippagePercent) || slippagePercent < 0) errors.push('SLIPPAGE_PERCENT must be a non-negative number');
   if (slippagePercent > 50) errors.push('SLIPPAGE_PERCENT exceeds 50% — likely a mistake');
+  if (isNaN(maxPriceDeviationPercent) || maxPriceDeviationPercent < 0 || maxPriceDeviationPercent >= 100) {
+    errors.push('MAX_PRICE_DEVIATION_PERCENT must be in [0, 100) (0 = off)');
+  }
+  if (isNaN(maxPriceImpactPercent) || maxPriceImpactPercent < 0 || maxPriceImpactPercent >= 100) {
+    errors.push('MAX_PRICE_IMPACT_PERCENT must be in [0, 100) (0 = off)');
+  }
+  if (!PRICE_IMPACT_ACTIONS.includes(priceImpactAction)) errors.push(`PRICE_IMPACT_ACTION must be one of: ${PRICE_IMPACT_ACTIONS.join(', ')}`);
   if (isNaN(gasLimit) || gasLimit <= 0) errors.push('GAS_LIMIT must be a positive integer');
   if (isNaN(maxGasPriceGwei) || maxGasPriceGwei <= 0) errors.push('MAX_GAS_PRICE_GWEI must be a positive number');
+  if (isNaN(txConfirmTimeoutSec) || txConfirmTimeoutSec < 0) errors.push('TX_CONFIRM_TIMEOUT_SEC must be a non-negative integer (0 = wait forever)');
+  if (isNaN(txSpeedupAttempts) || txSpeedupAttempts < 0) errors.push('TX_SPEEDUP_ATTEMPTS must be a non-negative integer');
+  if (isNaN(txGasBumpPercent) || txGasBumpPercent < MIN_REPLACEMENT_BUMP_PERCENT) {
+    errors.push(`TX_GAS_BUMP_PERCENT must be at least ${MIN_REPLACEMENT_BUMP_PERCENT} (nodes reject smaller replacement bumps)`);
+  }
+  if (isNaN(txMaxGasPriceGwei) || txMaxGasPriceGwei < maxGasPriceGwei) errors.push('TX_MAX_GAS_PRICE_GWEI must be a number >= MAX_GAS_PRICE_GWEI');
+  if (!SWAP_BACKENDS.includes(swapBackend)) errors.push(`SWAP_BACKEND must be one of: ${SWAP_BACKENDS.join(', ')}`);
+  if (chainSetting && !getChainProfile(chainSetting)) errors.push(`CHAIN must be one of: ${CHAIN_KEYS.join(', ')} (or a chain id)`);
+  if (isNaN(maxLiquidityDivergencePercent) || maxLiquidityDivergencePercent < 0 || maxLiquidityDivergencePercent >= 100) {
+    errors.push('MAX_LIQUIDITY_DIVERGENCE_PERCENT must be in [0, 100) (0 = off)');
+  }
+  for (const address of lpLockers) {
+    if (!isValidAddress(address)) errors.push(`LP_LOCKERS entry is not a valid address: ${address}`);
+  }
+  if (isNaN(holderScanBlocks) || holderScanBlocks < 0) errors.push('HOLDER_SCAN_BLOCKS must be a non-negative integer (0 = off)');
+  if (isNaN(maxHolderPercent) || maxHolderPercent <= 0 || maxHolderPercent > 100) {
+    errors.push('MAX_HOLDER_PERCENT must be in (0, 100]');
+  }
+  if (isNaN(rugLiquidityLossPercent) || rugLiquidityLossPercent <= 0 || rugLiquidityLossPercent > 100) {
+    errors.push('RUG_LIQUIDITY_LOSS_PERCENT must be in (0, 100]');
+  }
+  if (isNaN(pairIndexBlocks) || pairIndexBlocks < 0) errors.push('PAIR_INDEX_BLOCKS must be a non-negative integer (0 = off)');
+  if (isNaN(maxTokenAgeSec) || maxTokenAgeSec < 0) errors.push('MAX_TOKEN_AGE_SEC must be a non-negative integer (0 = no limit)');
+  if (isNaN(stopLossPercent) || stopLossPercent < 0 || stopLossPercent >= 100) errors.push('STOP_LOSS_PERCENT must be in [0, 100) (0 = off)');
+  if (isNaN(trailingStopPercent) || trailingStopPercent < 0 || trailingStopPercent >= 100) errors.push('TRAILING_STOP_PERCENT must be in [0, 100) (0 = off)');
+  if (isNaN(maxHoldSec) || maxHoldSec < 0) errors.push('MAX_HOLD_SEC must be a non-negative integer (0 = no limit)');
+  if (isNaN(monitorIntervalMs) || monitorIntervalMs <= 0) errors.push('MONITOR_INTERVAL_MS must be a positive integer');
+
+  let scoring = DEFAULT_SCORING;
+  if (process.env.POOL_SCORING_FILE) {
+    try {
+      scoring = loadScoringFile(process.env.POOL_SCORING_FILE);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+
+  let takeProfitLadder = [];
+  try {
+    takeProfitLadder = parseTakeProfitLadder(process.env.TAKE_PROFIT_LADDER);
+  } catch (err) {
+    errors.push(err.message);
+  }
 
   // Load private key
   let privateKeyRaw;
@@ -180,8 +339,17 @@ function loadConfig() {
   const buyAmountWei = bnbToWei(buyAmountBnb);
   const slippageBps = Math.round(slippagePercent * 100);
 
-  return createSafeConfig({
-    rpcUrl,
+  // Without CHAIN the profile is re-resolved from the RPC chain id after connecting
+  const chain = getChainProfile(chainSetting) || CHAINS.bsc;
+
+  const config = createSafeConfig({
+    rpcUrl: rpcUrls[0],
+    rpcUrls,
+    rpcTimeoutMs,
+    rpcHealthIntervalMs,
+    rpcMaxLagBlocks,
+    wsRpcUrl,
+    broadcastRpcUrls,
     wallet,
     buyAmountBnb,
     buyAmountWei,
@@ -189,20 +357,45 @@ function loadConfig() {
     slippageBps,
     gasLimit,
     maxGasPriceGwei,
+    txConfirmTimeoutSec,
+    txSpeedupAttempts,
+    txGasBumpPercent,
+    txMaxGasPriceGwei,
+    txCancelOnTimeout,
     buyRetries,
     buyRetryDelayMs,
+    maxPriceDeviationPercent,
+    maxPriceImpactPercent,
+    priceImpactAction,
     simulateBeforeBuy,
+    honeypotSimulation,
     maxBuyBnb,
     minLiquidityUsd,
+    maxLiquidityDivergencePercent,
+    lpLockers,
+    holderScanBlocks,
+    maxHolderPercent,
+    deployerDbPath,
+    rugLiquidityLossPercent,
+    pairIndexBlocks,
+    scoring,
     maxTokenAgeSec,
     pollIntervalMs,
+    takeProfitLadder,
+    stopLossPercent,
+    trailingStopPercent,
+    maxHoldSec,
+    monitorIntervalMs,
     dexscreenerApi: DEXSCREENER_API,
-    pancakeFactory: PANCAKE_FACTORY,
-    wbnb: WBNB,
+    chainSetting,
     routerZeroxApiKey,
     zeroxApiUrl,
+    swapBackend,
+    journalPath: getJournalPath(),
     nativeToken: NATIVE_TOKEN,
   });
+
+  return applyChainProfile(config, chain);
 }
 
 module.exports = {
@@ -210,6 +403,10 @@ module.exports = {
   bnbToWei,
   createSafeConfig,
   loadPrivateKeyRaw,
+  getJournalPath,
+  parseTakeProfitLadder,
+  applyChainProfile,
+  resolveChainProfile,
   PANCAKE_ROUTER,
   PANCAKE_FACTORY,
   WBNB,
@@ -218,4 +415,5 @@ module.exports = {
   BUSD,
   NATIVE_TOKEN,
   DEXSCREENER_API,
+  SWAP_BACKENDS,
 };
@@ -1,11 +1,17 @@
 const { client } = require('./http');
 const { withRetry } = require('./retry');
 const logger = require('./logger');
+const { CHAINS } = require('./chains');
 
 /**
- * Fetch all BSC pools for a given token address from DexScreener.
+ * Fetch all pools for a given token address from DexScreener on one chain
+ * (a chain profile, BSC by default).
  */
-async function fetchPools(apiUrl, tokenAddress) {
+async function fetchPools(apiUrl, tokenAddress, chain = CHAINS.bsc) {
+  if (!chain.dexscreener) {
+    throw new Error(`DexScreener does not index ${chain.name}`);
+  }
+
   logger.step(`Fetching pools from DexScreener for: ${tokenAddress}`);
 
   const url = `${apiUrl}/${tokenAddress}`;
@@ -27,15 +33,15 @@ async function fetchPools(apiUrl, tokenAddress) {
 
   logger.info(`Total pairs from DexScreener: ${data.pairs.length}`);
 
-  const bscPairs = data.pairs.filter((p) => p.chainId === 'bsc');
-  logger.info(`BSC pairs: ${bscPairs.length}`);
+  const chainPairs = data.pairs.filter((p) => p.chainId === chain.dexscreener);
+  logger.info(`${chain.name} pairs: ${chainPairs.length}`);
 
-  if (bscPairs.length === 0) {
+  if (chainPairs.length === 0) {
     const chains = [...new Set(data.pairs.map((p) => p.chainId))];
-    throw new Error(`No BSC pools found. Available chains: ${chains.join(', ') || 'none'}`);
+    throw new Error(`No ${chain.name} pools found. Available chains: ${chains.join(', ') || 'none'}`);
   }
 
-  return bscPairs;
+  return chainPairs;
 }
 
 module.exports = { fetchPools };
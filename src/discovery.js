@@ -0,0 +1,159 @@
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { CHAINS } = require('./chains');
+
+const FACTORY_ABI = [
+  'event PairCreated(address indexed token0, address indexed token1, address pair, uint256)',
+];
+
+const factoryInterface = new ethers.Interface(FACTORY_ABI);
+const PAIR_CREATED_TOPIC = factoryInterface.getEvent('PairCreated').topicHash;
+
+// Quote sides of a new pair — the other side is the token we want to buy.
+// BSC default; callers on other chains pass their profile's `quoteTokens`.
+const QUOTE_TOKENS = CHAINS.bsc.quoteTokens;
+
+// Most public RPCs reject eth_getLogs spanning more than a few thousand blocks
+const MAX_BLOCK_RANGE = 2000;
+
+/**
+ * Pick the newly listed token out of a pair.
+ * Returns { token, quoteToken } or null when neither or both sides are quote tokens.
+ */
+function extractNewToken(token0, token1, quoteTokens = QUOTE_TOKENS) {
+  const isQuote0 = quoteTokens.has(token0.toLowerCase());
+  const isQuote1 = quoteTokens.has(token1.toLowerCase());
+
+  if (isQuote0 === isQuote1) return null;
+  return isQuote0
+    ? { token: token1, quoteToken: token0 }
+    : { token: token0, quoteToken: token1 };
+}
+
+/**
+ * Turn a factory PairCreated log into a candidate ({ token, quoteToken, pair,
+ * blockNumber, txHash }), or null when it is not a new-token/quote pair.
+ */
+function parsePairLog(log, quoteTokens = QUOTE_TOKENS) {
+  const parsed = factoryInterface.parseLog(log);
+  if (!parsed) return null;
+
+  const [token0, token1, pair] = parsed.args;
+  const sides = extractNewToken(token0, token1, quoteTokens);
+  if (!sides) return null;
+
+  return { ...sides, pair, blockNumber: log.blockNumber, txHash: log.transactionHash };
+}
+
+/**
+ * Fetch PairCreated events from the factory between two blocks (inclusive).
+ * Splits the range into MAX_BLOCK_RANGE chunks. `quoteTokens` is a Set of
+ * lowercased quote addresses for the chain (defaults to BSC).
+ *
+ * @returns {Array<{ token: string, quoteToken: string, pair: string, blockNumber: number, txHash: string }>}
+ */
+async function fetchNewPairs(provider, factoryAddress, fromBlock, toBlock, quoteTokens = QUOTE_TOKENS) {
+  const candidates = [];
+
+  for (let start = fromBlock; start <= toBlock; start += MAX_BLOCK_RANGE) {
+    const end = Math.min(start + MAX_BLOCK_RANGE - 1, toBlock);
+    const logs = await provider.getLogs({
+      address: factoryAddress,
+      topics: [PAIR_CREATED_TOPIC],
+      fromBlock: start,
+      toBlock: end,
+    });
+
+    for (const log of logs) {
+      const candidate = parsePairLog(log, quoteTokens);
+      if (candidate) candidates.push(candidate);
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Create a poller that returns pairs created since the previous call.
+ * The first call only records the current head, so pairs created before
+ * the bot started are never bought.
+ */
+function createPairPoller(provider, factoryAddress, quoteTokens = QUOTE_TOKENS) {
+  let lastBlock = null;
+
+  return async function poll() {
+    const head = await provider.getBlockNumber();
+
+    if (lastBlock === null) {
+      lastBlock = head;
+      logger.info(`Watching PairCreated events from block ${head}`);
+      return [];
+    }
+
+    if (head <= lastBlock) return [];
+
+    const candidates = await fetchNewPairs(provider, factoryAddress, lastBlock + 1, head, quoteTokens);
+    lastBlock = head;
+    return candidates;
+  };
+}
+
+/**
+ * Like createPairPoller(), but takes PairCreated logs from a WebSocket block
+ * stream (see wsStream.js) as they arrive. Whenever the socket does not cover a
+ * block range — it is down, or it reconnected after a gap — that range is
+ * fetched over HTTP, so no pair is missed. Candidates may repeat across the
+ * overlap; callers dedupe by token.
+ */
+function createPairFeed(provider, factoryAddress, quoteTokens = QUOTE_TOKENS, stream = null) {
+  if (!stream) return createPairPoller(provider, factoryAddress, quoteTokens);
+
+  let lastBlock = null;
+  let buffered = [];
+
+  stream.on({ address: factoryAddress, topics: [PAIR_CREATED_TOPIC] }, (log) => {
+    const candidate = parsePairLog(log, quoteTokens);
+    if (candidate && lastBlock !== null) buffered.push(candidate);
+  });
+
+  async function catchUp(toBlock) {
+    if (toBlock <= lastBlock) return [];
+    const candidates = await fetchNewPairs(provider, factoryAddress, lastBlock + 1, toBlock, quoteTokens);
+    lastBlock = toBlock;
+    return candidates;
+  }
+
+  return async function poll() {
+    if (lastBlock === null) {
+      lastBlock = await provider.getBlockNumber();
+      logger.info(`Watching PairCreated events from block ${lastBlock} (WebSocket${stream.connected ? '' : ' reconnecting, HTTP polling'})`);
+      return [];
+    }
+
+    const candidates = buffered;
+    buffered = [];
+
+    if (!stream.connected) {
+      candidates.push(...(await catchUp(await provider.getBlockNumber())));
+      return candidates;
+    }
+
+    // Gap between the last covered block and the socket's subscription start
+    candidates.push(...(await catchUp(stream.coveredFrom)));
+    // Logs of the newest block may still be in flight — leave it for the overlap
+    lastBlock = Math.max(lastBlock, stream.head - 1);
+    return candidates;
+  };
+}
+
+module.exports = {
+  extractNewToken,
+  parsePairLog,
+  fetchNewPairs,
+  createPairPoller,
+  createPairFeed,
+  FACTORY_ABI,
+  PAIR_CREATED_TOPIC,
+  MAX_BLOCK_RANGE,
+  QUOTE_TOKENS,
+};
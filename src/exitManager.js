@@ -0,0 +1,182 @@
+const logger = require('./logger');
+const { getGasPrice } = require('./fees');
+const { checkHoneypot } = require('./antiscam');
+const { executeSell, formatRoute } = require('./swap');
+const { readTrades, recordTrade, filterTrades } = require('./journal');
+const { aggregatePositions, computePnl, valuePosition } = require('./positions');
+
+/**
+ * Decide whether a position should be (partially) sold.
+ * Full exits (stop-loss, max hold, trailing stop) take priority over take-profit steps.
+ *
+ * @param {object} rules - { takeProfitLadder, stopLossPercent, trailingStopPercent, maxHoldSec }
+ * @param {object} state - { valueWei, costBasisWei, peakValueWei, openedAt, ladderSteps, now }
+ * @returns {{ percent: number, reason: string, ladderStep?: number } | null}
+ */
+function evaluateExit(rules, state) {
+  const { valueWei, costBasisWei, peakValueWei, openedAt, ladderSteps, now } = state;
+
+  if (rules.stopLossPercent > 0 && costBasisWei > 0n) {
+    const floor = (costBasisWei * BigInt(Math.round((100 - rules.stopLossPercent) * 100))) / 10000n;
+    if (valueWei <= floor) {
+      return { percent: 100, reason: `stop-loss (-${rules.stopLossPercent}%)` };
+    }
+  }
+
+  if (rules.maxHoldSec > 0 && openedAt != null && now - openedAt >= rules.maxHoldSec * 1000) {
+    return { percent: 100, reason: `max hold time (${rules.maxHoldSec}s)` };
+  }
+
+  if (rules.trailingStopPercent > 0 && peakValueWei > 0n) {
+    const floor = (peakValueWei * BigInt(Math.round((100 - rules.trailingStopPercent) * 100))) / 10000n;
+    if (valueWei <= floor) {
+      return { percent: 100, reason: `trailing stop (-${rules.trailingStopPercent}% from peak)` };
+    }
+  }
+
+  if (costBasisWei > 0n) {
+    for (let i = 0; i < rules.takeProfitLadder.length; i++) {
+      if (ladderSteps.has(i)) continue;
+      const step = rules.takeProfitLadder[i];
+      const target = (costBasisWei * BigInt(Math.round(step.multiple * 100))) / 100n;
+      if (valueWei >= target) {
+        return { percent: step.percent, reason: `take-profit ${step.multiple}x`, ladderStep: i };
+      }
+      // Steps are sorted — if this multiple isn't reached, higher ones aren't either
+      break;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * True if any exit rule is configured.
+ */
+function hasExitRules(config) {
+  return (
+    config.takeProfitLadder.length > 0 ||
+    config.stopLossPercent > 0 ||
+    config.trailingStopPercent > 0 ||
+    config.maxHoldSec > 0
+  );
+}
+
+/**
+ * Create a position monitor. Each tick() re-reads the trade journal, values every
+ * open position via the sell-side 0x quote and sells when an exit rule fires.
+ * Peak values for the trailing stop are kept in memory (scaled down after partial
+ * sells); take-profit progress is restored from the journal (`ladderStep` on sell records).
+ */
+function createExitManager(config, provider, signer) {
+  const peaks = new Map();
+
+  async function sell(position, balance, decision) {
+    const amount = (balance * BigInt(Math.round(decision.percent * 100))) / 10000n;
+    if (amount === 0n) return;
+
+    logger.step(`Exit ${position.symbol}: ${decision.reason} — selling ${decision.percent}% of balance`);
+
+    const honeypot = await checkHoneypot(config, position.token, config.buyAmountWei);
+    if (!honeypot.canSell) {
+      logger.error(`  Sell blocked by honeypot check: ${honeypot.reason}`);
+      return;
+    }
+
+    let gasSettings;
+    try {
+      gasSettings = await getGasPrice(provider, config.maxGasPriceGwei);
+    } catch (err) {
+      logger.warn(`Gas price fetch failed: ${err.message}. Using default.`);
+    }
+
+    const entry = {
+      chain: config.chain.key,
+      side: 'sell',
+      token: position.token,
+      symbol: position.symbol,
+      amountIn: amount,
+      gasPriceGwei: gasSettings?.gasPriceGwei ?? null,
+      exitReason: decision.reason,
+      ladderStep: decision.ladderStep,
+    };
+
+    try {
+      const result = await executeSell(signer, config, position.token, amount, gasSettings);
+      logger.success(`  Exit sell confirmed: ${result.hash}`);
+      recordTrade(config.journalPath, {
+        ...entry,
+        status: 'success',
+        buyAmount: result.buyAmount,
+        minBuyAmount: result.minBuyAmount,
+        route: formatRoute(result.route),
+        txHash: result.hash,
+        ...(result.replacedHashes?.length > 0 && { replacedTxHashes: result.replacedHashes }),
+        approveTxHash: result.approveHash,
+        blockNumber: result.blockNumber,
+        gasUsed: result.gasUsed,
+      });
+      // The peak was measured on the whole balance — scale it to what is left, or the
+      // trailing stop would read the partial sell as a drawdown and dump the rest
+      const key = position.token.toLowerCase();
+      if (decision.percent >= 100) peaks.delete(key);
+      else if (peaks.has(key)) peaks.set(key, (peaks.get(key) * (balance - amount)) / balance);
+    } catch (err) {
+      logger.error(`  Exit sell failed: ${err.message}`);
+      recordTrade(config.journalPath, {
+        ...entry,
+        status: 'failed',
+        txHash: err.txHash || null,
+        ...(err.replacedHashes?.length > 0 && { replacedTxHashes: err.replacedHashes }),
+        error: err.message,
+      });
+    }
+  }
+
+  async function tick() {
+    // Positions opened on another chain are not held by this wallet here
+    const positions = aggregatePositions(filterTrades(readTrades(config.journalPath), { chain: config.chain.key }));
+
+    for (const position of positions.values()) {
+      const key = position.token.toLowerCase();
+
+      let valuation;
+      try {
+        valuation = await valuePosition(provider, config, signer.address, position.token);
+      } catch (err) {
+        logger.warn(`${position.symbol}: balance read failed: ${err.message}`);
+        continue;
+      }
+
+      if (valuation.balance === 0n) {
+        peaks.delete(key);
+        continue;
+      }
+      if (valuation.valueWei === null) {
+        logger.warn(`${position.symbol}: cannot value position — ${valuation.error}`);
+        continue;
+      }
+
+      const { costBasisWei } = computePnl(position, valuation.valueWei);
+      const peakValueWei = valuation.valueWei > (peaks.get(key) || 0n) ? valuation.valueWei : peaks.get(key);
+      peaks.set(key, peakValueWei);
+
+      const decision = evaluateExit(config, {
+        valueWei: valuation.valueWei,
+        costBasisWei,
+        peakValueWei,
+        openedAt: position.openedAt,
+        ladderSteps: position.ladderSteps,
+        now: Date.now(),
+      });
+
+      if (decision) {
+        await sell(position, valuation.balance, decision);
+      }
+    }
+  }
+
+  return { tick };
+}
+
+module.exports = { evaluateExit, hasExitRules, createExitManager };
@@ -0,0 +1,146 @@
+const { ethers } = require('ethers');
+const { ERC20_ABI } = require('./onchain');
+const { MAX_BLOCK_RANGE } = require('./discovery');
+const { BURN_ADDRESSES } = require('./lpLock');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const TOP_HOLDERS = 10;
+// Reconstructed balances drift for reflection/rebase tokens, so this many leaders are re-read with balanceOf()
+const REFRESH_CANDIDATES = 20;
+
+const pct = (part, total) => (total > 0n ? Number((part * 10000n) / total) / 100 : 0);
+const topicAddress = (topic) => ethers.getAddress(ethers.dataSlice(topic, 12));
+
+/**
+ * Block the token contract was deployed in, by binary search over historical
+ * getCode() between `fromBlock` and `toBlock`. Returns null when the contract
+ * already existed at `fromBlock` or the RPC has no historical state.
+ */
+async function findCreationBlock(provider, tokenAddress, fromBlock, toBlock) {
+  const hasCode = async (blockTag) => (await provider.getCode(tokenAddress, blockTag)) !== '0x';
+
+  try {
+    if (await hasCode(fromBlock)) return null;
+    let lo = fromBlock;
+    let hi = toBlock;
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (await hasCode(mid)) hi = mid;
+      else lo = mid;
+    }
+    return hi;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replay ERC20 Transfer logs between two blocks (inclusive) in MAX_BLOCK_RANGE
+ * chunks. Returns balances per address and the first mint recipient (the deployer
+ * for tokens that mint their supply in the constructor).
+ */
+async function replayTransfers(provider, tokenAddress, fromBlock, toBlock) {
+  const balances = new Map();
+  let firstMintTo = null;
+  let transfers = 0;
+
+  const add = (address, delta) => balances.set(address, (balances.get(address) || 0n) + delta);
+
+  for (let start = fromBlock; start <= toBlock; start += MAX_BLOCK_RANGE) {
+    const end = Math.min(start + MAX_BLOCK_RANGE - 1, toBlock);
+    const logs = await provider.getLogs({ address: tokenAddress, topics: [TRANSFER_TOPIC], fromBlock: start, toBlock: end });
+
+    for (const log of logs) {
+      if (log.topics.length !== 3) continue; // ERC721-style Transfer with an indexed id
+      const from = topicAddress(log.topics[1]);
+      const to = topicAddress(log.topics[2]);
+      const value = BigInt(log.data);
+
+      if (from === ethers.ZeroAddress) firstMintTo = firstMintTo || to;
+      else add(from, -value);
+      add(to, value);
+      transfers++;
+    }
+  }
+
+  return { balances, firstMintTo, transfers };
+}
+
+/**
+ * Addresses with the largest balances reconstructed from Transfer logs between two
+ * blocks (inclusive), burn addresses left out. Used for LP tokens, where whoever
+ * holds the LP can pull the liquidity.
+ */
+async function findTopHolders(provider, tokenAddress, fromBlock, toBlock, limit = TOP_HOLDERS) {
+  const { balances } = await replayTransfers(provider, tokenAddress, fromBlock, toBlock);
+  const burned = new Set(BURN_ADDRESSES.map((a) => a.toLowerCase()));
+  return [...balances.entries()]
+    .filter(([address, balance]) => balance > 0n && !burned.has(address.toLowerCase()))
+    .sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0))
+    .slice(0, limit)
+    .map(([address]) => address);
+}
+
+/**
+ * Top holders of a token reconstructed from its Transfer logs over the last
+ * `config.holderScanBlocks` blocks, starting at the creation block when it falls
+ * in that window (`complete: true`). Pairs (`excluded`), burn addresses and LP
+ * lockers are left out. Shares are percent of `totalSupply()`; the leaders, the
+ * owner and the deployer are re-read with balanceOf().
+ *
+ * @returns {{ fromBlock: number, toBlock: number, creationBlock: number|null, complete: boolean,
+ *   transfers: number, holderCount: number,
+ *   top: { address: string, pct: number }[], top10Pct: number,
+ *   owner: { address: string, pct: number } | null, deployer: { address: string, pct: number } | null }}
+ */
+async function analyzeHolders(provider, config, tokenAddress, { owner = null, excluded = [] } = {}) {
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  const toBlock = await provider.getBlockNumber();
+  const windowStart = Math.max(0, toBlock - config.holderScanBlocks + 1);
+
+  const creationBlock = await findCreationBlock(provider, tokenAddress, windowStart, toBlock);
+  const fromBlock = creationBlock ?? windowStart;
+  const { balances, firstMintTo, transfers } = await replayTransfers(provider, tokenAddress, fromBlock, toBlock);
+
+  const skip = new Set(
+    [...BURN_ADDRESSES, ...config.chain.lpLockers, ...(config.lpLockers || []), ...excluded]
+      .filter(Boolean)
+      .map((a) => a.toLowerCase())
+  );
+  const candidates = [...balances.entries()]
+    .filter(([address, balance]) => balance > 0n && !skip.has(address.toLowerCase()))
+    .sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0))
+    .slice(0, REFRESH_CANDIDATES)
+    .map(([address]) => address);
+
+  const [totalSupply, ...current] = await Promise.all([
+    token.totalSupply(),
+    ...candidates.map((address) => token.balanceOf(address)),
+  ]);
+  const top = candidates
+    .map((address, i) => ({ address, balance: current[i] }))
+    .filter((h) => h.balance > 0n)
+    .sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0))
+    .slice(0, TOP_HOLDERS)
+    .map(({ address, balance }) => ({ address, pct: pct(balance, totalSupply) }));
+
+  const share = async (address) =>
+    address && address !== ethers.ZeroAddress
+      ? { address: ethers.getAddress(address), pct: pct(await token.balanceOf(address), totalSupply) }
+      : null;
+
+  return {
+    fromBlock,
+    toBlock,
+    creationBlock,
+    complete: creationBlock !== null,
+    transfers,
+    holderCount: [...balances.values()].filter((b) => b > 0n).length,
+    top,
+    top10Pct: Math.round(top.reduce((sum, h) => sum + h.pct, 0) * 100) / 100,
+    owner: await share(owner),
+    deployer: await share(firstMintTo),
+  };
+}
+
+module.exports = { analyzeHolders, findCreationBlock, findTopHolders, replayTransfers, TRANSFER_TOPIC };
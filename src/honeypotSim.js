@@ -0,0 +1,150 @@
+const { ethers } = require('ethers');
+const { ERC20_ABI } = require('./onchain');
+const { ROUTER_ABI } = require('./pancake');
+const { decodeRevertReason } = require('./simulate');
+
+const routerInterface = new ethers.Interface([
+  ...ROUTER_ABI,
+  'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+]);
+const erc20Interface = new ethers.Interface([...ERC20_ABI, 'function transfer(address to, uint256 amount) returns (bool)']);
+
+const freshAddress = () => ethers.getAddress(ethers.hexlify(ethers.randomBytes(20)));
+
+/**
+ * Tax in percent implied by receiving `actual` where `expected` was due (0 when not less).
+ */
+function taxPercent(expected, actual) {
+  if (expected <= 0n || actual >= expected) return 0;
+  return Number(((expected - actual) * 10000n) / expected) / 100;
+}
+
+/**
+ * Buy, transfer and sell the token on-chain with eth_simulateV1, from fresh
+ * addresses with the buyer funded through a state override:
+ *
+ * 1. buyer swaps `amountInWei` of the native token for the token on the chain's V2 router
+ * 2. buyer transfers everything it received to a second fresh holder
+ * 3. holder approves the router and sells everything for the wrapped native token
+ *
+ * Each step's amount comes from the previous step's balance, so the calls are
+ * simulated in three growing batches pinned to one block. Taxes come from balance
+ * deltas against the router's getAmountsOut() just before each swap. A revert after
+ * the buy, or a buy that delivers nothing, is a honeypot; a reverted buy has no verdict.
+ *
+ * @returns {{ ok: true, buyTaxPct: number, transferTaxPct: number, sellTaxPct: number }
+ *   | { ok: false, stage: string, reason: string, honeypot: boolean } | null}
+ *   null when the RPC lacks eth_simulateV1 or the token has no V2 wrapped-native pair
+ */
+async function simulateRoundTrip(provider, config, tokenAddress, amountInWei) {
+  const router = config.chain.router;
+  const wrapped = config.chain.wrappedNative.address;
+  const buyPath = [wrapped, tokenAddress];
+  const sellPath = [tokenAddress, wrapped];
+  const buyer = freshAddress();
+  const holder = freshAddress();
+  const amountIn = BigInt(amountInWei);
+
+  const tokenCall = (to, from, fn, args) => ({ from, to, data: erc20Interface.encodeFunctionData(fn, args) });
+  const routerCall = (from, fn, args, value) => ({
+    from,
+    to: router,
+    data: routerInterface.encodeFunctionData(fn, args),
+    ...(value ? { value: ethers.toQuantity(value) } : {}),
+  });
+
+  let blockTag;
+  try {
+    blockTag = ethers.toQuantity(await provider.getBlockNumber());
+  } catch {
+    return null;
+  }
+
+  // Runs `calls` in one simulated block; null when eth_simulateV1 is unavailable
+  const simulate = async (calls) => {
+    try {
+      const blocks = await provider.send('eth_simulateV1', [
+        {
+          blockStateCalls: [{ stateOverrides: { [buyer]: { balance: ethers.toQuantity(amountIn) } }, calls }],
+          validation: false,
+        },
+        blockTag,
+      ]);
+      const results = blocks?.[0]?.calls;
+      return results?.length === calls.length ? results : null;
+    } catch {
+      return null;
+    }
+  };
+  const failed = (result) => BigInt(result.status) !== 1n;
+  const revertReason = (result) =>
+    decodeRevertReason({ data: result.returnData, message: result.error?.message || 'execution reverted' });
+  const uint = (result) => BigInt(result.returnData);
+
+  // --- Buy ---
+  const buyCalls = [
+    routerCall(buyer, 'getAmountsOut', [amountIn, buyPath]),
+    routerCall(buyer, 'swapExactETHForTokensSupportingFeeOnTransferTokens', [0n, buyPath, buyer, ethers.MaxUint256], amountIn),
+    tokenCall(tokenAddress, buyer, 'balanceOf', [buyer]),
+  ];
+  const buy = await simulate(buyCalls);
+  if (!buy || failed(buy[0])) return null;
+  if (failed(buy[1])) return { ok: false, stage: 'buy', reason: revertReason(buy[1]), honeypot: false };
+
+  const [expectedTokens] = routerInterface.decodeFunctionResult('getAmountsOut', buy[0].returnData)[0].slice(-1);
+  const bought = uint(buy[2]);
+  if (bought === 0n) return { ok: false, stage: 'buy', reason: 'buy delivered no tokens', honeypot: true };
+
+  // --- Transfer ---
+  const transferCalls = [
+    ...buyCalls,
+    tokenCall(tokenAddress, buyer, 'transfer', [holder, bought]),
+    tokenCall(tokenAddress, holder, 'balanceOf', [holder]),
+  ];
+  const transfer = await simulate(transferCalls);
+  if (!transfer) return null;
+  if (failed(transfer[3])) return { ok: false, stage: 'transfer', reason: revertReason(transfer[3]), honeypot: true };
+
+  const held = uint(transfer[4]);
+  if (held === 0n) return { ok: false, stage: 'transfer', reason: 'transfer delivered no tokens', honeypot: true };
+
+  // --- Sell ---
+  const sell = await simulate([
+    ...transferCalls,
+    tokenCall(tokenAddress, holder, 'approve', [router, ethers.MaxUint256]),
+    routerCall(holder, 'getAmountsOut', [held, sellPath]),
+    routerCall(holder, 'swapExactTokensForTokensSupportingFeeOnTransferTokens', [held, 0n, sellPath, holder, ethers.MaxUint256]),
+    tokenCall(wrapped, holder, 'balanceOf', [holder]),
+  ]);
+  if (!sell) return null;
+  if (failed(sell[5])) return { ok: false, stage: 'approve', reason: revertReason(sell[5]), honeypot: true };
+  if (failed(sell[6])) return { ok: false, stage: 'sell', reason: `getAmountsOut: ${revertReason(sell[6])}`, honeypot: true };
+  if (failed(sell[7])) return { ok: false, stage: 'sell', reason: revertReason(sell[7]), honeypot: true };
+
+  const [expectedOut] = routerInterface.decodeFunctionResult('getAmountsOut', sell[6].returnData)[0].slice(-1);
+  const received = uint(sell[8]);
+  if (received === 0n) return { ok: false, stage: 'sell', reason: 'sell returned nothing', honeypot: true };
+
+  return {
+    ok: true,
+    buyTaxPct: taxPercent(expectedTokens, bought),
+    transferTaxPct: taxPercent(bought, held),
+    sellTaxPct: taxPercent(expectedOut, received),
+  };
+}
+
+/**
+ * Whether the endpoint answers eth_simulateV1 (Geth ≥ 1.14.9, Reth, Erigon and
+ * some hosted RPCs). Probed once at startup so a node without it is reported up
+ * front instead of as "unavailable" on every token.
+ */
+async function supportsSimulateV1(provider) {
+  try {
+    await provider.send('eth_simulateV1', [{ blockStateCalls: [{ calls: [] }] }, 'latest']);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { simulateRoundTrip, supportsSimulateV1, taxPercent };
@@ -1,13 +1,25 @@
 const { ethers } = require('ethers');
 const logger = require('./logger');
-const { loadConfig, bnbToWei } = require('./config');
+const { loadConfig, bnbToWei, getJournalPath, applyChainProfile, resolveChainProfile } = require('./config');
 const { isValidAddress } = require('./validate');
 const { fetchPools } = require('./dexscreener');
-const { analyzePools } = require('./poolSelector');
-const { getTokenInfo } = require('./onchain');
+const { selectBestPool, getTokenAgeSec, poolLiquidityUsd } = require('./poolSelector');
+const { verifyPoolLiquidity, buildPairPool } = require('./poolLiquidity');
+const { getTokenInfo, ERC20_ABI } = require('./onchain');
 const { getGasPrice } = require('./fees');
-const { executeBuy, formatRoute } = require('./swap');
+const { getQuote, executeBuy, executeSell, formatRoute } = require('./swap');
 const { runAntiScamChecks } = require('./antiscam');
+const { supportsSimulateV1 } = require('./honeypotSim');
+const { createPairFeed } = require('./discovery');
+const { createBlockStream } = require('./wsStream');
+const { createBroadcaster } = require('./broadcast');
+const { createNonceManager } = require('./nonceManager');
+const { txUrl } = require('./chains');
+const { createRpcPool } = require('./rpcPool');
+const { aggregatePositions, computePnl, valuePosition } = require('./positions');
+const { recordTrade, readTrades, filterTrades, parseDateBound, formatTrade, OUTCOMES } = require('./journal');
+const { createExitManager, hasExitRules } = require('./exitManager');
+const { loadReputationDb, saveReputationDb, indexPairs, catchUpPairIndex } = require('./reputation');
 
 // Structured exit codes
 const EXIT = {
@@ -22,11 +34,24 @@ const EXIT = {
   TOKEN_INVALID: 8,
   PRICE_DEVIATION: 9,
   SCAM_DETECTED: 10,
+  SIMULATION_FAILED: 11,
+  NETWORK_MISMATCH: 12,
+  PRICE_IMPACT: 13,
+  NO_POOL: 14,
 };
 
+/**
+ * Log label of the SWAP_BACKEND setting on the active chain.
+ */
+function swapBackendLabel(config) {
+  const router = `${config.chain.name} V2 router`;
+  return { '0x': '0x aggregator', pancake: router, auto: `0x aggregator (${router} fallback)` }[config.swapBackend];
+}
+
 /**
  * Parse CLI flags from process.argv.
- * Supports: --dry-run, --yes/-y, --amount <BNB>, --token <address>
+ * Supports: [sell|history|positions|monitor] <address>, --dry-run, --yes/-y, --amount <native coin|tokens>, --percent <N>,
+ * --token <address>, --max-age <sec>, --from <date>, --to <date>, --outcome <status>
  */
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -35,7 +60,7 @@ function parseArgs() {
   const positional = [];
 
   for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--amount' || args[i] === '--token') {
+    if (['--amount', '--token', '--max-age', '--percent', '--from', '--to', '--outcome'].includes(args[i])) {
       named[args[i].slice(2)] = args[++i];
     } else if (args[i].startsWith('--') || args[i] === '-y') {
       flags.add(args[i]);
@@ -44,12 +69,22 @@ function parseArgs() {
     }
   }
 
+  const command = ['sell', 'history', 'positions', 'monitor'].includes(positional[0]) ? positional.shift() : 'buy';
+
   return {
+    command,
     tokenAddress: named.token || positional[0],
     isDryRun: flags.has('--dry-run'),
     skipConfirm: flags.has('--yes') || flags.has('-y'),
     cliAmount: named.amount || null,
+    cliMaxAge: named['max-age'] ?? null,
+    cliPercent: named.percent ?? null,
     continuous: flags.has('--continuous'),
+    historyFilter: {
+      from: named.from ?? null,
+      to: named.to ?? null,
+      outcome: named.outcome ?? null,
+    },
   };
 }
 
@@ -67,37 +102,189 @@ function confirm(message) {
   });
 }
 
+/**
+ * Resolve how many raw token units to sell from the wallet balance.
+ * `percent` (0-100] sells a share of the balance, `amount` is in whole tokens;
+ * with neither the whole balance is sold. Throws on invalid input.
+ */
+function resolveSellAmount(balance, decimals, { amount, percent } = {}) {
+  if (amount != null && percent != null) {
+    throw new Error('Use either --amount or --percent, not both');
+  }
+
+  if (percent != null) {
+    const parsed = Number(percent);
+    if (isNaN(parsed) || parsed <= 0 || parsed > 100) {
+      throw new Error('--percent must be a number in (0, 100]');
+    }
+    return (balance * BigInt(Math.round(parsed * 100))) / 10000n;
+  }
+
+  if (amount != null) {
+    let parsed;
+    try {
+      parsed = ethers.parseUnits(amount, decimals);
+    } catch {
+      throw new Error(`--amount ${amount} is not a valid token amount`);
+    }
+    if (parsed <= 0n) {
+      throw new Error('--amount must be a positive number');
+    }
+    return parsed;
+  }
+
+  return balance;
+}
+
+/**
+ * Check the token against MAX_TOKEN_AGE_SEC. Returns true if the token may be bought.
+ * Unknown age is allowed — freshly created pairs are often not indexed by DexScreener yet.
+ */
+function checkTokenAge(pools, tokenAddress, config, pairCreatedAt) {
+  if (!(config.maxTokenAgeSec > 0)) return true;
+
+  const ageSec = getTokenAgeSec(pools, tokenAddress, pairCreatedAt ? [pairCreatedAt] : []);
+  if (ageSec === null) {
+    logger.info('Token age: unknown (no pair creation time available)');
+    return true;
+  }
+
+  if (ageSec > config.maxTokenAgeSec) {
+    logger.warn(`Token age ${ageSec}s exceeds MAX_TOKEN_AGE_SEC (${config.maxTokenAgeSec}s). Skipping.`);
+    return false;
+  }
+
+  logger.info(`Token age: ${ageSec}s (max ${config.maxTokenAgeSec}s)`);
+  return true;
+}
+
+/**
+ * Fetch the token's DexScreener pools, verify their liquidity against on-chain
+ * reserves (unless MAX_LIQUIDITY_DIVERGENCE_PERCENT=0) and pick the best one.
+ * `rejection` says why no pool was selected.
+ * @returns {{ pools: object[], selectedPool: object|undefined, rejection: string|null }}
+ */
+async function selectPool(provider, config, tokenAddress) {
+  let pools = await fetchPools(config.dexscreenerApi, tokenAddress, config.chain);
+  if (config.maxLiquidityDivergencePercent > 0) {
+    pools = await verifyPoolLiquidity(provider, pools, tokenAddress, { chain: config.chain, scoring: config.scoring });
+  }
+  const { pool: selectedPool, rejection } = selectBestPool(pools, tokenAddress, {
+    maxTokenAgeSec: config.maxTokenAgeSec,
+    chain: config.chain,
+    maxLiquidityDivergencePercent: config.maxLiquidityDivergencePercent,
+    scoring: config.scoring,
+  });
+  return { pools, selectedPool, rejection };
+}
+
+/**
+ * Current gas price capped at MAX_GAS_PRICE_GWEI, or undefined (the swap falls back
+ * to its default) when the RPC cannot tell.
+ */
+async function fetchGasSettings(provider, config) {
+  try {
+    return await getGasPrice(provider, config.maxGasPriceGwei);
+  } catch (err) {
+    logger.warn(`Gas price fetch failed: ${err.message}. Using default.`);
+    return undefined;
+  }
+}
+
+/**
+ * Journal fields for sped-up / cancelled transactions (nothing when the original was mined).
+ */
+function replacedFields(replacedHashes) {
+  return replacedHashes?.length > 0 ? { replacedTxHashes: replacedHashes } : {};
+}
+
+function logReplaced(replacedHashes) {
+  if (replacedHashes?.length > 0) {
+    logger.info(`  Replaced TX: ${replacedHashes.join(', ')}`);
+  }
+}
+
+/**
+ * EXIT code for a failed executeBuy(), from the tag swap.js put on the error.
+ */
+function buyFailureCode(err) {
+  if (err.quoteError) return EXIT.QUOTE_ERROR;
+  if (err.priceDeviation) return EXIT.PRICE_DEVIATION;
+  if (err.priceImpact) return EXIT.PRICE_IMPACT;
+  if (err.simulation) return EXIT.SIMULATION_FAILED;
+  return EXIT.SWAP_ERROR;
+}
+
+/**
+ * Continuous mode buys with no prompt, so it must be either analysis-only
+ * (--dry-run) or explicitly unattended (--yes). Returns an error message or null.
+ */
+function checkContinuousFlags({ isDryRun, skipConfirm }) {
+  if (isDryRun || skipConfirm) return null;
+  return 'Continuous mode buys without confirmation. Pass --yes to allow unattended buys, or --dry-run to only analyze.';
+}
+
 /**
  * Process a single token: validate → pool analysis → anti-scam → buy.
+ * `opts.pairCreatedAt` (ms) is the creation time of the pair that surfaced the token, if known;
+ * `opts.pair`/`opts.quoteToken` are that pair's address and quote token (kept out of the holder
+ * analysis before DexScreener lists it, recorded in the deployer database, and used as the
+ * pool when DexScreener offers none);
+ * with `opts.dryRun` it stops after the anti-scam checks without buying or journaling.
+ *
+ * `reason` explains a failed outcome (null on success); `exitCode` is what the
+ * one-shot CLI exits with.
+ *
+ * @returns {{ ok: boolean, exitCode: number, reason: string|null }}
  */
-async function processToken(tokenAddress, config, provider, signer, gasSettings) {
+async function processToken(tokenAddress, config, provider, signer, gasSettings, opts = {}) {
   // --- On-chain token info ---
   let tokenInfo;
   try {
     tokenInfo = await getTokenInfo(provider, tokenAddress);
   } catch (err) {
     logger.error(`On-chain token validation failed: ${err.message}`);
-    return false;
+    return { ok: false, exitCode: EXIT.TOKEN_INVALID, reason: `token validation failed: ${err.message}` };
   }
   logger.sep();
 
   // --- DexScreener pool analysis ---
+  let pools = [];
   let selectedPool;
+  let rejection = null;
   try {
-    const pools = await fetchPools(config.dexscreenerApi, tokenAddress);
-    selectedPool = analyzePools(pools, tokenAddress);
+    ({ pools, selectedPool, rejection } = await selectPool(provider, config, tokenAddress));
   } catch (err) {
     logger.warn(`DexScreener lookup failed: ${err.message}`);
     logger.info('Continuing with 0x aggregator swap anyway...');
   }
   logger.sep();
 
+  // --- Token age check ---
+  if (!checkTokenAge(pools, tokenAddress, config, opts.pairCreatedAt)) {
+    return { ok: false, exitCode: EXIT.SWAP_ERROR, reason: 'token too old' };
+  }
+
+  // --- Minimum pool score (POOL_SCORING_FILE) ---
+  // Tokens DexScreener has not indexed yet have no pools to score and are not skipped
+  if (config.scoring.minScore > 0 && pools.length > 0 && !selectedPool) {
+    logger.warn(`No pool selected (${rejection}). Skipping.`);
+    return { ok: false, exitCode: EXIT.NO_POOL, reason: rejection };
+  }
+
+  // --- Discovered pair not selected from DexScreener (not indexed yet) ---
+  // Stands in for the selected pool so the liquidity, price impact and LP lock checks still run
+  if (!selectedPool && opts.pair && opts.quoteToken) {
+    selectedPool = await buildPairPool(provider, config.chain, tokenAddress, opts.pair, opts.quoteToken);
+    logger.info(`Using discovered ${config.chain.v2DexId} pair ${opts.pair} ($${poolLiquidityUsd(selectedPool)} on-chain)`);
+  }
+
   // --- Liquidity check ---
   if (selectedPool && config.minLiquidityUsd > 0) {
-    const liq = selectedPool.liquidity?.usd || 0;
+    const liq = poolLiquidityUsd(selectedPool);
     if (liq < config.minLiquidityUsd) {
       logger.warn(`Pool liquidity $${liq} is below minimum $${config.minLiquidityUsd}. Skipping.`);
-      return false;
+      return { ok: false, exitCode: EXIT.SWAP_ERROR, reason: 'liquidity below minimum' };
     }
   }
 
@@ -107,57 +294,416 @@ async function processToken(tokenAddress, config, provider, signer, gasSettings)
     config,
     tokenAddress,
     config.buyAmountWei,
-    tokenInfo
+    tokenInfo,
+    {
+      pool: selectedPool,
+      pools: opts.pair ? [...pools, { pairAddress: opts.pair }] : pools,
+      pair: opts.pair ? { pairAddress: opts.pair, quoteToken: opts.quoteToken } : undefined,
+    }
   );
 
+  if (opts.dryRun) {
+    logger.sep();
+    logger.success('Dry run: analysis complete, not buying.');
+    return { ok: true, exitCode: EXIT.SUCCESS, reason: null };
+  }
+
+  const journalEntry = {
+    chain: config.chain.key,
+    side: 'buy',
+    token: tokenAddress,
+    symbol: tokenInfo.symbol,
+    amountIn: config.buyAmountWei,
+    gasPriceGwei: gasSettings?.gasPriceGwei ?? null,
+    riskLevel: scamResult.riskLevel,
+    warnings: scamResult.warnings,
+  };
+
   if (scamResult.riskLevel === 'critical') {
     logger.error('Anti-scam: CRITICAL risk detected. Skipping token.');
-    return false;
+    recordTrade(config.journalPath, { ...journalEntry, status: 'skipped', error: 'critical anti-scam risk' });
+    return { ok: false, exitCode: EXIT.SCAM_DETECTED, reason: 'critical anti-scam risk' };
   }
   logger.sep();
 
   // --- Execute buy ---
   try {
-    const result = await executeBuy(signer, config, tokenAddress, gasSettings);
+    const result = await executeBuy(signer, config, tokenAddress, gasSettings, selectedPool, {
+      expectedBuyAmount: scamResult.details.honeypot?.tokenReceived,
+    });
+    recordTrade(config.journalPath, {
+      ...journalEntry,
+      amountIn: result.amountIn,
+      status: 'success',
+      backend: result.backend,
+      buyAmount: result.buyAmount,
+      minBuyAmount: result.minBuyAmount,
+      route: formatRoute(result.route),
+      txHash: result.hash,
+      ...replacedFields(result.replacedHashes),
+      blockNumber: result.blockNumber,
+      gasUsed: result.gasUsed,
+    });
     logger.sep();
     logger.success('Swap completed successfully!');
     logger.info(`  TX Hash: ${result.hash}`);
-    logger.info(`  BscScan: https://bscscan.com/tx/${result.hash}`);
+    logger.info(`  Explorer: ${txUrl(config.chain, result.hash)}`);
+    logReplaced(result.replacedHashes);
     if (result.route) {
-      logger.info(`  Route: ${formatRoute(result.route)}`);
+      logger.info(`  Route: ${formatRoute(result.route)} [${result.backend}]`);
     }
     logger.sep();
-    return true;
+    return { ok: true, exitCode: EXIT.SUCCESS, reason: null };
   } catch (err) {
     logger.error(`Swap failed: ${err.message}`);
     if (err.txHash) {
-      logger.error(`  TX (failed): https://bscscan.com/tx/${err.txHash}`);
+      logger.error(`  TX (failed): ${txUrl(config.chain, err.txHash)}`);
     }
-    return false;
+    logReplaced(err.replacedHashes);
+    recordTrade(config.journalPath, {
+      ...journalEntry,
+      // Price guards are deliberate refusals, like the anti-scam skip — nothing was sent
+      status: err.priceDeviation || err.priceImpact ? 'skipped' : 'failed',
+      txHash: err.txHash || null,
+      ...replacedFields(err.replacedHashes),
+      ...(err.priceDeviation && { priceDeviationPct: err.priceDeviation.percent }),
+      ...(err.priceImpact && { priceImpactPct: err.priceImpact.percent }),
+      error: err.message,
+    });
+    return { ok: false, exitCode: buyFailureCode(err), reason: err.message };
   }
 }
 
+/**
+ * Sell a token held by the wallet back to the native coin. Returns an EXIT code.
+ */
+async function sellToken(tokenAddress, config, provider, signer, gasSettings, opts) {
+  let tokenInfo;
+  try {
+    tokenInfo = await getTokenInfo(provider, tokenAddress);
+  } catch (err) {
+    logger.error(`Token info failed: ${err.message}`);
+    return EXIT.TOKEN_INVALID;
+  }
+
+  let tokenBalance;
+  try {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    tokenBalance = await token.balanceOf(signer.address);
+  } catch (err) {
+    logger.error(`Failed to fetch token balance: ${err.message}`);
+    return EXIT.RPC_ERROR;
+  }
+  logger.info(`Token balance: ${ethers.formatUnits(tokenBalance, tokenInfo.decimals)} ${tokenInfo.symbol}`);
+
+  let sellAmount;
+  try {
+    sellAmount = resolveSellAmount(tokenBalance, tokenInfo.decimals, {
+      amount: opts.cliAmount,
+      percent: opts.cliPercent,
+    });
+  } catch (err) {
+    logger.error(err.message);
+    return EXIT.BAD_ARGS;
+  }
+
+  if (sellAmount === 0n || sellAmount > tokenBalance) {
+    logger.error(`Insufficient token balance to sell ${ethers.formatUnits(sellAmount, tokenInfo.decimals)} ${tokenInfo.symbol}`);
+    return EXIT.INSUFFICIENT_FUNDS;
+  }
+
+  const sellAmountHuman = `${ethers.formatUnits(sellAmount, tokenInfo.decimals)} ${tokenInfo.symbol}`;
+  logger.info(`Sell amount: ${sellAmountHuman}`);
+  logger.sep();
+
+  if (opts.isDryRun) {
+    try {
+      const price = await getQuote(config, tokenAddress, config.nativeToken, sellAmount, signer.address);
+      if (price.liquidityAvailable === false) {
+        logger.error('No liquidity available for this token on any DEX');
+        return EXIT.QUOTE_ERROR;
+      }
+      logger.info(`Expected ${config.chain.nativeSymbol}: ${ethers.formatEther(price.buyAmount)}`);
+      logger.info(`Route: ${formatRoute(price.route)}`);
+    } catch (err) {
+      logger.error(`Sell quote failed: ${err.message}`);
+      return EXIT.QUOTE_ERROR;
+    }
+    logger.sep();
+    logger.success('Dry run complete. No transaction was sent.');
+    return EXIT.SUCCESS;
+  }
+
+  if (!opts.skipConfirm) {
+    if (!process.stdin.isTTY) {
+      logger.error('Non-interactive mode. Use --yes to skip confirmation.');
+      return EXIT.BAD_ARGS;
+    }
+    const ok = await confirm(`\n  Sell ${sellAmountHuman} for ${config.chain.nativeSymbol}?\n  Proceed? (y/n): `);
+    if (!ok) {
+      logger.info('Cancelled by user.');
+      return EXIT.USER_CANCELLED;
+    }
+  }
+
+  const journalEntry = {
+    chain: config.chain.key,
+    side: 'sell',
+    token: tokenAddress,
+    symbol: tokenInfo.symbol,
+    amountIn: sellAmount,
+    gasPriceGwei: gasSettings?.gasPriceGwei ?? null,
+  };
+
+  try {
+    const result = await executeSell(signer, config, tokenAddress, sellAmount, gasSettings);
+    recordTrade(config.journalPath, {
+      ...journalEntry,
+      status: 'success',
+      buyAmount: result.buyAmount,
+      minBuyAmount: result.minBuyAmount,
+      route: formatRoute(result.route),
+      txHash: result.hash,
+      ...replacedFields(result.replacedHashes),
+      approveTxHash: result.approveHash,
+      blockNumber: result.blockNumber,
+      gasUsed: result.gasUsed,
+    });
+    logger.sep();
+    logger.success('Sell completed successfully!');
+    logger.info(`  TX Hash: ${result.hash}`);
+    logger.info(`  Explorer: ${txUrl(config.chain, result.hash)}`);
+    logReplaced(result.replacedHashes);
+    if (result.route) {
+      logger.info(`  Route: ${formatRoute(result.route)}`);
+    }
+    logger.sep();
+    return EXIT.SUCCESS;
+  } catch (err) {
+    logger.error(`Sell failed: ${err.message}`);
+    if (err.txHash) {
+      logger.error(`  TX (failed): ${txUrl(config.chain, err.txHash)}`);
+    }
+    logReplaced(err.replacedHashes);
+    recordTrade(config.journalPath, {
+      ...journalEntry,
+      status: 'failed',
+      txHash: err.txHash || null,
+      ...replacedFields(err.replacedHashes),
+      error: err.message,
+    });
+    return EXIT.SWAP_ERROR;
+  }
+}
+
+/**
+ * Print journal records matching the filters. Returns an EXIT code.
+ */
+function showHistory(journalPath, tokenAddress, filter) {
+  let from;
+  let to;
+  try {
+    from = filter.from ? parseDateBound(filter.from) : null;
+    to = filter.to ? parseDateBound(filter.to, true) : null;
+  } catch (err) {
+    logger.error(err.message);
+    return EXIT.BAD_ARGS;
+  }
+
+  if (filter.outcome && !OUTCOMES.includes(filter.outcome)) {
+    logger.error(`--outcome must be one of: ${OUTCOMES.join(', ')}`);
+    return EXIT.BAD_ARGS;
+  }
+
+  const trades = filterTrades(readTrades(journalPath), {
+    token: tokenAddress,
+    from,
+    to,
+    outcome: filter.outcome,
+  });
+
+  logger.step(`Trade history (${journalPath})`);
+  if (trades.length === 0) {
+    logger.info('No trades match the filters.');
+    return EXIT.SUCCESS;
+  }
+
+  trades.forEach((t) => logger.info(formatTrade(t)));
+  logger.sep();
+  logger.info(`${trades.length} trade(s)`);
+  return EXIT.SUCCESS;
+}
+
+/**
+ * Report open positions and PnL for tokens in the trade journal. Returns an EXIT code.
+ */
+async function showPositions(config, provider, tokenAddress) {
+  const trades = filterTrades(readTrades(config.journalPath), { token: tokenAddress, chain: config.chain.key });
+  const positions = [...aggregatePositions(trades).values()];
+
+  logger.step(`Positions on ${config.chain.name} (from trade journal)`);
+  if (positions.length === 0) {
+    logger.info('No successful trades recorded.');
+    return EXIT.SUCCESS;
+  }
+
+  const bnb = (wei) => `${ethers.formatEther(wei)} ${config.chain.nativeSymbol}`;
+  let totalCost = 0n;
+  let totalRealized = 0n;
+  let totalUnrealized = 0n;
+  let exitCode = EXIT.SUCCESS;
+
+  for (const position of positions) {
+    logger.sep();
+    logger.info(`${position.symbol} (${position.token})`);
+
+    let valuation;
+    try {
+      valuation = await valuePosition(provider, config, config.wallet.address, position.token);
+    } catch (err) {
+      logger.error(`  Failed to read balance: ${err.message}`);
+      exitCode = EXIT.RPC_ERROR;
+      continue;
+    }
+
+    const pnl = computePnl(position, valuation.valueWei);
+    totalCost += pnl.costBasisWei;
+    totalRealized += pnl.realizedWei;
+
+    logger.info(`  Balance: ${valuation.balance.toString()} (raw)`);
+    logger.info(`  Cost basis: ${bnb(pnl.costBasisWei)} (total spent ${bnb(position.costWei)})`);
+    if (valuation.valueWei === null) {
+      logger.warn(`  Current value: unknown — ${valuation.error}`);
+    } else {
+      const tax = valuation.sellTaxBps > 0 ? ` (net of ${(valuation.sellTaxBps / 100).toFixed(1)}% sell tax)` : '';
+      logger.info(`  Current value: ${bnb(valuation.valueWei)}${tax}`);
+      logger.info(`  Unrealized PnL: ${bnb(pnl.unrealizedWei)}`);
+      totalUnrealized += pnl.unrealizedWei;
+    }
+    logger.info(`  Realized PnL: ${bnb(pnl.realizedWei)}`);
+  }
+
+  logger.sep();
+  logger.info(`Total cost basis: ${bnb(totalCost)}`);
+  logger.info(`Total unrealized PnL: ${bnb(totalUnrealized)}`);
+  logger.info(`Total realized PnL: ${bnb(totalRealized)}`);
+  return exitCode;
+}
+
+/**
+ * Watch open positions from the trade journal and sell when an exit rule fires.
+ * Runs until SIGINT/SIGTERM. Returns an EXIT code.
+ */
+async function runMonitor(config, provider, signer) {
+  if (!hasExitRules(config)) {
+    logger.error('No exit rules configured. Set TAKE_PROFIT_LADDER, STOP_LOSS_PERCENT, TRAILING_STOP_PERCENT or MAX_HOLD_SEC.');
+    return EXIT.CONFIG_ERROR;
+  }
+
+  const ladder = config.takeProfitLadder.map((s) => `${s.percent}%@${s.multiple}x`).join(', ');
+  logger.info(`Take-profit ladder: ${ladder || 'off'}`);
+  logger.info(`Stop-loss: ${config.stopLossPercent > 0 ? `-${config.stopLossPercent}%` : 'off'}`);
+  logger.info(`Trailing stop: ${config.trailingStopPercent > 0 ? `-${config.trailingStopPercent}% from peak` : 'off'}`);
+  logger.info(`Max hold: ${config.maxHoldSec > 0 ? `${config.maxHoldSec}s` : 'no limit'}`);
+  logger.sep();
+
+  logger.step(`Monitoring open positions every ${config.monitorIntervalMs}ms...`);
+  const manager = createExitManager(config, provider, signer);
+  let running = true;
+
+  const stop = () => {
+    logger.info('\nGraceful shutdown...');
+    running = false;
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  while (running) {
+    try {
+      await manager.tick();
+    } catch (err) {
+      logger.error(`Monitor error: ${err.message}`);
+    }
+    await new Promise((r) => setTimeout(r, config.monitorIntervalMs));
+  }
+
+  logger.info('Shutdown complete.');
+  return EXIT.SUCCESS;
+}
+
+/**
+ * Sleep until the next continuous-mode poll: the next streamed block when
+ * WS_RPC_URL is connected, otherwise POLL_INTERVAL_MS.
+ */
+function waitForNextPoll(config) {
+  if (config.blockStream) {
+    return config.blockStream.nextBlock(config.pollIntervalMs);
+  }
+  return new Promise((r) => setTimeout(r, config.pollIntervalMs));
+}
+
 async function main() {
   logger.banner();
 
   // --- Parse CLI arguments ---
-  const { tokenAddress, isDryRun, skipConfirm, cliAmount, continuous } = parseArgs();
+  const {
+    command,
+    tokenAddress,
+    isDryRun,
+    skipConfirm,
+    cliAmount,
+    cliMaxAge,
+    cliPercent,
+    continuous,
+    historyFilter,
+  } = parseArgs();
+  const isBuy = command === 'buy';
+  const isSell = command === 'sell';
+
+  // --- History (read-only, no config/RPC needed) ---
+  if (command === 'history') {
+    if (tokenAddress && !isValidAddress(tokenAddress)) {
+      logger.error(`Invalid address: ${tokenAddress}`);
+      process.exit(EXIT.BAD_ARGS);
+    }
+    process.exit(showHistory(getJournalPath(), tokenAddress, historyFilter));
+  }
+
+  const badUsage =
+    (isBuy && !tokenAddress && !continuous) ||
+    (isSell && (!tokenAddress || continuous)) ||
+    ((command === 'positions' || command === 'monitor') && continuous) ||
+    (command === 'monitor' && tokenAddress);
 
-  if (!tokenAddress && !continuous) {
+  if (badUsage) {
     logger.error('Usage: npm start <TOKEN_ADDRESS> [options]');
+    logger.error('       npm start sell <TOKEN_ADDRESS> [--percent N | --amount X] [options]');
+    logger.error('       npm start positions [TOKEN_ADDRESS]');
+    logger.error('       npm start monitor');
+    logger.error('       npm start history [TOKEN_ADDRESS] [--from DATE] [--to DATE] [--outcome success|failed|skipped]');
     logger.error('');
     logger.error('Options:');
-    logger.error('  --amount <BNB>    Override BUY_AMOUNT_BNB (e.g. --amount 0.05)');
+    logger.error('  --amount <N>      Override BUY_AMOUNT_BNB, in the native coin (e.g. --amount 0.05)');
+    logger.error('                    With sell: amount of tokens to sell');
+    logger.error('  --percent <N>     With sell: sell N% of the token balance (default 100)');
+    logger.error('  --max-age <SEC>   Override MAX_TOKEN_AGE_SEC (0 = no limit)');
     logger.error('  --dry-run         Analyze token without executing swap');
     logger.error('  --yes, -y         Skip confirmation prompt');
-    logger.error('  --continuous      Continuous mode: poll DexScreener for new tokens');
+    logger.error('  --continuous      Continuous mode: buy new pairs as they are created (needs --yes or --dry-run)');
     logger.error('');
     logger.error('Example: npm start 0x1234...abcd --amount 0.01');
+    logger.error('         npm start sell 0x1234...abcd --percent 50');
     process.exit(EXIT.BAD_ARGS);
   }
 
   if (tokenAddress && !isValidAddress(tokenAddress)) {
-    logger.error(`Invalid BSC address: ${tokenAddress}`);
+    logger.error(`Invalid address: ${tokenAddress}`);
+    process.exit(EXIT.BAD_ARGS);
+  }
+
+  const continuousError = continuous ? checkContinuousFlags({ isDryRun, skipConfirm }) : null;
+  if (continuousError) {
+    logger.error(continuousError);
     process.exit(EXIT.BAD_ARGS);
   }
 
@@ -175,7 +721,7 @@ async function main() {
   }
 
   // --- CLI --amount override ---
-  if (cliAmount) {
+  if (cliAmount && isBuy) {
     const parsed = parseFloat(cliAmount);
     if (isNaN(parsed) || parsed <= 0) {
       logger.error('--amount must be a positive number');
@@ -187,36 +733,130 @@ async function main() {
     }
     config.buyAmountWei = bnbToWei(cliAmount);
     config.buyAmountBnb = cliAmount;
-    logger.info(`CLI override: --amount ${cliAmount} BNB`);
+    logger.info(`CLI override: --amount ${cliAmount}`);
+  }
+
+  // --- CLI --max-age override ---
+  if (cliMaxAge !== null) {
+    const parsed = Number(cliMaxAge);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+      logger.error('--max-age must be a non-negative integer (seconds)');
+      process.exit(EXIT.BAD_ARGS);
+    }
+    config.maxTokenAgeSec = parsed;
+    logger.info(`CLI override: --max-age ${parsed}s`);
   }
 
   const walletAddress = config.wallet.address;
   logger.info(`Wallet: ${walletAddress}`);
-  logger.info(`Buy amount: ${config.buyAmountBnb} BNB`);
   logger.info(`Slippage: ${config.slippagePercent}% (${config.slippageBps} bps)`);
-  logger.info(`Swap via: 0x aggregator`);
+  logger.info(`Max token age: ${config.maxTokenAgeSec > 0 ? `${config.maxTokenAgeSec}s` : 'no limit'}`);
+  logger.info(`Swap via: ${swapBackendLabel(config)}`);
+  logger.info(`Pre-flight simulation: ${config.simulateBeforeBuy ? 'enabled' : 'disabled'}`);
+  logger.info(`Honeypot simulation: ${config.honeypotSimulation ? 'enabled' : 'disabled'}`);
+  logger.info(`Deployer database: ${config.deployerDbPath}`);
   logger.sep();
 
-  // --- Connect to BSC ---
-  logger.step('Connecting to BSC...');
-  let provider;
+  // --- Connect to RPC ---
+  logger.step(`Connecting to RPC (${config.rpcUrls.length} endpoint${config.rpcUrls.length > 1 ? 's' : ''})...`);
+  const rpcPool = createRpcPool(config.rpcUrls, {
+    timeoutMs: config.rpcTimeoutMs,
+    healthIntervalMs: config.rpcHealthIntervalMs,
+    maxLagBlocks: config.rpcMaxLagBlocks,
+  });
+  const provider = rpcPool.provider;
+  let network;
   try {
-    provider = new ethers.JsonRpcProvider(config.rpcUrl);
-    const network = await provider.getNetwork();
+    await rpcPool.checkHealth();
+    network = await provider.getNetwork();
     logger.info(`  Chain ID: ${network.chainId}`);
-
-    if (network.chainId === 56n) {
-      logger.warn('*** BSC MAINNET — real funds at risk ***');
-    } else if (network.chainId === 97n) {
-      logger.info('Running on BSC Testnet');
-    }
   } catch (err) {
     logger.error(`RPC connection failed: ${err.message}`);
     process.exit(EXIT.RPC_ERROR);
   }
+  for (const e of rpcPool.endpoints) {
+    const status = e.blockNumber === null ? 'unreachable' : `block ${e.blockNumber}, ${Math.round(e.latencyMs)}ms`;
+    logger.info(`  ${e.url}: ${status}`);
+  }
+
+  // --- Chain profile (CHAIN or RPC chain id) ---
+  try {
+    applyChainProfile(config, resolveChainProfile(config, network.chainId));
+  } catch (err) {
+    logger.error(`${err.message}. Set CHAIN in .env if this is intentional.`);
+    process.exit(EXIT.CONFIG_ERROR);
+  }
+  logger.info(`  Chain: ${config.chain.name} (${config.chain.key})`);
+  if (isBuy) {
+    logger.info(`Buy amount: ${config.buyAmountBnb} ${config.chain.nativeSymbol}`);
+  }
+
+  // Never sign on a network other than the one quotes and addresses are built for
+  if (BigInt(config.chain.chainId) !== network.chainId) {
+    logger.error(
+      `Network mismatch: CHAIN=${config.chain.key} expects chain id ${config.chain.chainId}, but RPC reports ${network.chainId}. Refusing to sign.`
+    );
+    process.exit(EXIT.NETWORK_MISMATCH);
+  }
+  if (config.rpcUrls.length > 1) {
+    try {
+      await rpcPool.assertChainId(config.chain.chainId);
+    } catch (err) {
+      logger.error(`${err.message}. Refusing to sign.`);
+      process.exit(EXIT.NETWORK_MISMATCH);
+    }
+  }
+  if (config.chain.testnet) {
+    logger.info(`Running on ${config.chain.name}`);
+  } else {
+    logger.warn(`*** ${config.chain.name.toUpperCase()} MAINNET — real funds at risk ***`);
+  }
+
+  // Buys are the only path that runs the on-chain honeypot simulation
+  if (isBuy && config.honeypotSimulation && !(await supportsSimulateV1(provider))) {
+    logger.warn(
+      'RPC endpoint does not support eth_simulateV1 — on-chain honeypot simulation will be skipped. ' +
+        'Use a node that does, or set HONEYPOT_SIMULATION=false.'
+    );
+  }
+
+  // --- Optional WebSocket stream: new blocks, PairCreated logs, receipts ---
+  if (config.wsRpcUrl) {
+    logger.step('Connecting WebSocket RPC...');
+    const blockStream = createBlockStream(config.wsRpcUrl, { chainId: config.chain.chainId });
+    try {
+      if (await blockStream.start()) {
+        logger.info(`  Streaming from block ${blockStream.head}`);
+      } else {
+        logger.warn('  Using HTTP polling until the WebSocket connects');
+      }
+    } catch (err) {
+      logger.error(`${err.message}. Refusing to continue.`);
+      process.exit(EXIT.NETWORK_MISMATCH);
+    }
+    config.blockStream = blockStream;
+  }
+
+  // --- Parallel broadcast of signed swaps (BROADCAST_RPC_URLS) ---
+  if (config.broadcastRpcUrls.length > 0) {
+    config.broadcaster = createBroadcaster(config.broadcastRpcUrls, { timeoutMs: config.rpcTimeoutMs });
+    logger.info(`Broadcasting swaps to RPC_URL + ${config.broadcastRpcUrls.length} extra endpoint(s)`);
+  }
 
   // --- Connect wallet to provider ---
   const signer = config.wallet.connect(provider);
+  // One nonce sequence for every buy, sell and approval sent by this process
+  config.nonceManager = createNonceManager(signer, { maxGasPriceGwei: config.maxGasPriceGwei });
+
+  // --- Positions (read-only) ---
+  if (command === 'positions') {
+    process.exit(await showPositions(config, provider, tokenAddress));
+  }
+
+  // --- Monitor: automated take-profit / stop-loss ---
+  if (command === 'monitor') {
+    process.exit(await runMonitor(config, provider, signer));
+  }
 
   // --- Balance check ---
   let balance;
@@ -227,49 +867,57 @@ async function main() {
     process.exit(EXIT.RPC_ERROR);
   }
 
+  const native = config.chain.nativeSymbol;
   const balanceBnb = ethers.formatEther(balance);
-  logger.info(`BNB balance: ${balanceBnb} BNB`);
+  logger.info(`${native} balance: ${balanceBnb} ${native}`);
+
+  if (isSell && balance === 0n) {
+    logger.error(`Insufficient ${native} to pay for gas`);
+    process.exit(EXIT.INSUFFICIENT_FUNDS);
+  }
 
-  if (balance < config.buyAmountWei) {
-    logger.error(`Insufficient BNB. Need ${config.buyAmountBnb} BNB but have ${balanceBnb} BNB`);
+  if (isBuy && balance < config.buyAmountWei) {
+    logger.error(`Insufficient ${native}. Need ${config.buyAmountBnb} ${native} but have ${balanceBnb} ${native}`);
     process.exit(EXIT.INSUFFICIENT_FUNDS);
   }
   logger.sep();
 
   // --- Gas price ---
-  let gasSettings;
-  try {
-    gasSettings = await getGasPrice(provider, config.maxGasPriceGwei);
-  } catch (err) {
-    logger.warn(`Gas price fetch failed: ${err.message}. Using default.`);
-  }
+  const gasSettings = await fetchGasSettings(provider, config);
   logger.sep();
 
+  // --- Sell mode ---
+  if (isSell) {
+    const code = await sellToken(tokenAddress, config, provider, signer, gasSettings, {
+      cliAmount,
+      cliPercent,
+      isDryRun,
+      skipConfirm,
+    });
+    process.exit(code);
+  }
+
+  // --- Deployer database: PairCreated index since the last run ---
+  // The reputation check needs the holder scan window to find deployers at all
+  const indexingPairs = config.deployerDbPath && config.holderScanBlocks > 0;
+  if (indexingPairs && config.pairIndexBlocks > 0) {
+    try {
+      const db = loadReputationDb(config.deployerDbPath);
+      const added = await catchUpPairIndex(provider, config, db, await provider.getBlockNumber());
+      saveReputationDb(config.deployerDbPath, db);
+      logger.info(`  ${added} new pair(s) indexed, ${Object.keys(db.pairs).length} in the deployer database`);
+    } catch (err) {
+      logger.warn(`PairCreated index catch-up failed: ${err.message}`);
+    }
+    logger.sep();
+  }
+
   // --- One-shot mode ---
   if (tokenAddress && !continuous) {
     if (isDryRun) {
-      // Dry run — just analyze, don't buy
-      let tokenInfo;
-      try {
-        tokenInfo = await getTokenInfo(provider, tokenAddress);
-      } catch (err) {
-        logger.error(`Token info failed: ${err.message}`);
-        process.exit(EXIT.TOKEN_INVALID);
-      }
-      logger.sep();
-
-      try {
-        const pools = await fetchPools(config.dexscreenerApi, tokenAddress);
-        analyzePools(pools, tokenAddress);
-      } catch (err) {
-        logger.warn(`DexScreener: ${err.message}`);
-      }
-      logger.sep();
-
-      await runAntiScamChecks(provider, config, tokenAddress, config.buyAmountWei, tokenInfo);
-      logger.sep();
-      logger.success('Dry run complete. No transaction was sent.');
-      process.exit(EXIT.SUCCESS);
+      // Dry run — the same analysis and skip rules as a buy, without buying
+      const outcome = await processToken(tokenAddress, config, provider, signer, gasSettings, { dryRun: true });
+      process.exit(outcome.exitCode);
     }
 
     // Confirmation prompt
@@ -278,20 +926,24 @@ async function main() {
         logger.error('Non-interactive mode. Use --yes to skip confirmation.');
         process.exit(EXIT.BAD_ARGS);
       }
-      const ok = await confirm(`\n  Swap ${config.buyAmountBnb} BNB for token ${tokenAddress}?\n  Proceed? (y/n): `);
+      const ok = await confirm(`\n  Swap ${config.buyAmountBnb} ${native} for token ${tokenAddress}?\n  Proceed? (y/n): `);
       if (!ok) {
         logger.info('Cancelled by user.');
         process.exit(EXIT.USER_CANCELLED);
       }
     }
 
-    const success = await processToken(tokenAddress, config, provider, signer, gasSettings);
-    process.exit(success ? EXIT.SUCCESS : EXIT.SWAP_ERROR);
+    const outcome = await processToken(tokenAddress, config, provider, signer, gasSettings);
+    process.exit(outcome.exitCode);
   }
 
   // --- Continuous mode ---
-  logger.step('Starting continuous mode — polling DexScreener for new BSC pairs...');
+  logger.step(
+    `Starting continuous mode — watching ${config.chain.name} V2 factory for new pairs` +
+      (isDryRun ? ' (dry run: analysis only)...' : '...')
+  );
   const seen = new Set();
+  const pollNewPairs = createPairFeed(provider, config.pancakeFactory, config.chain.quoteTokens, config.blockStream);
   let running = true;
 
   process.on('SIGINT', () => {
@@ -305,9 +957,43 @@ async function main() {
 
   while (running) {
     try {
-      // Poll DexScreener for new BSC pairs using WBNB as a base search
-      // In a real scenario, you'd poll a "new pairs" endpoint
-      await new Promise((r) => setTimeout(r, config.pollIntervalMs));
+      const candidates = await pollNewPairs();
+      if (candidates.length > 0 && indexingPairs) {
+        // Index every new pair, so later tokens from the same creator can be checked against it
+        try {
+          const db = loadReputationDb(config.deployerDbPath);
+          saveReputationDb(config.deployerDbPath, await indexPairs(provider, config.chain, db, candidates));
+        } catch (err) {
+          logger.warn(`PairCreated index update failed: ${err.message}`);
+        }
+      }
+
+      for (const candidate of candidates) {
+        if (!running) break;
+
+        const key = candidate.token.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        logger.sep();
+        logger.step(`New pair ${candidate.pair} (block ${candidate.blockNumber}) — token ${candidate.token}`);
+        // The feed has already moved past these blocks — one bad candidate must not drop the rest
+        try {
+          const block = await provider.getBlock(candidate.blockNumber);
+          // The session can run for hours — price gas for this candidate, not at startup
+          const candidateGas = await fetchGasSettings(provider, config);
+          await processToken(candidate.token, config, provider, signer, candidateGas, {
+            pairCreatedAt: block ? block.timestamp * 1000 : undefined,
+            pair: candidate.pair,
+            quoteToken: candidate.quoteToken,
+            dryRun: isDryRun,
+          });
+        } catch (err) {
+          logger.error(`Failed to process ${candidate.token}: ${err.message}`);
+        }
+      }
+
+      await waitForNextPoll(config);
     } catch (err) {
       logger.error(`Poll error: ${err.message}`);
       await new Promise((r) => setTimeout(r, config.pollIntervalMs));
@@ -327,4 +1013,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { main, parseArgs, EXIT };
+module.exports = { main, parseArgs, resolveSellAmount, buyFailureCode, checkContinuousFlags, EXIT };
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const OUTCOMES = ['success', 'failed', 'skipped'];
+
+// Records written before the journal had a `chain` field all came from BSC
+const LEGACY_CHAIN = 'bsc';
+
+/**
+ * JSON.stringify replacer — BigInt amounts are stored as decimal strings.
+ */
+function bigintReplacer(_key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Append one trade record to the JSONL journal.
+ * A timestamp is added if the entry has none. Never throws — a journal
+ * failure must not abort a trade that is already on-chain.
+ */
+function recordTrade(journalPath, entry) {
+  const record = { timestamp: new Date().toISOString(), ...entry };
+
+  try {
+    fs.mkdirSync(path.dirname(path.resolve(journalPath)), { recursive: true });
+    fs.appendFileSync(journalPath, JSON.stringify(record, bigintReplacer) + '\n');
+    return true;
+  } catch (err) {
+    logger.warn(`Failed to write trade journal ${journalPath}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Read all records from the journal. Malformed lines are skipped.
+ * Returns [] if the journal does not exist yet.
+ */
+function readTrades(journalPath) {
+  if (!fs.existsSync(journalPath)) return [];
+
+  const trades = [];
+  for (const line of fs.readFileSync(journalPath, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      trades.push(JSON.parse(line));
+    } catch { /* partial write or manual edit — skip */ }
+  }
+  return trades;
+}
+
+/**
+ * Parse a --from/--to date. Date-only values (YYYY-MM-DD) used as an upper
+ * bound cover the whole day. Returns a ms timestamp or throws.
+ */
+function parseDateBound(value, isUpper = false) {
+  const ts = Date.parse(value);
+  if (isNaN(ts)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  if (isUpper && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return ts + 24 * 60 * 60 * 1000 - 1;
+  }
+  return ts;
+}
+
+/**
+ * Chain profile key a record was written on.
+ */
+function tradeChain(t) {
+  return t.chain || LEGACY_CHAIN;
+}
+
+/**
+ * Filter trades by token address, chain profile key, date range (ms timestamps) and outcome.
+ */
+function filterTrades(trades, { token, chain, from, to, outcome } = {}) {
+  const tokenLc = token?.toLowerCase();
+
+  return trades.filter((t) => {
+    if (tokenLc && t.token?.toLowerCase() !== tokenLc) return false;
+    if (chain && tradeChain(t) !== chain) return false;
+    if (outcome && t.status !== outcome) return false;
+
+    const ts = Date.parse(t.timestamp);
+    if (from != null && !(ts >= from)) return false;
+    if (to != null && !(ts <= to)) return false;
+
+    return true;
+  });
+}
+
+/**
+ * One-line summary of a trade record for the history command.
+ */
+function formatTrade(t) {
+  const when = (t.timestamp || '').replace('T', ' ').replace(/\.\d+Z$/, '');
+  const side = (t.side || '?').toUpperCase().padEnd(4);
+  const status = (t.status || '?').padEnd(7);
+  const parts = [`${when} ${side} ${status} ${tradeChain(t)} ${t.token}`];
+
+  if (t.amountIn) parts.push(`in=${t.amountIn}`);
+  if (t.buyAmount) parts.push(`out=${t.buyAmount}`);
+  if (t.txHash) parts.push(`tx=${t.txHash}`);
+  if (t.riskLevel) parts.push(`risk=${t.riskLevel}`);
+  if (t.error) parts.push(`error="${t.error}"`);
+
+  return parts.join(' | ');
+}
+
+module.exports = {
+  recordTrade,
+  readTrades,
+  filterTrades,
+  tradeChain,
+  parseDateBound,
+  formatTrade,
+  OUTCOMES,
+};
@@ -0,0 +1,71 @@
+const { ethers } = require('ethers');
+const { ERC20_ABI } = require('./onchain');
+
+const DEAD_ADDRESS = '0x000000000000000000000000000000000000dEaD';
+const BURN_ADDRESSES = [ethers.ZeroAddress, DEAD_ADDRESS];
+
+// Above this share of LP neither burned nor locked, the deployer can pull the liquidity
+const MAX_WITHDRAWABLE_PCT = 50;
+
+const pct = (part, total) => Number((part * 10000n) / total) / 100;
+
+/**
+ * Who holds the LP of a V2 pair: the share burned (zero/dead addresses), locked in
+ * the chain's `lpLockers` plus `config.lpLockers`, and withdrawable (everything else).
+ * `candidates` (the token owner, the deployer, the largest LP holders) are looked up
+ * individually and tagged as EOA or contract, since an EOA holder can remove its
+ * liquidity at any time. Burn addresses and lockers among them are skipped.
+ *
+ * @returns {{ pair: string, burnedPct: number, lockedPct: number, withdrawablePct: number,
+ *   lockers: { address: string, pct: number }[], holders: { address: string, pct: number, eoa: boolean }[] } | null}
+ *   null when the pool is not an ERC20 LP token (V3/V4 positions) or has no supply
+ */
+async function checkLpLock(provider, config, pool, candidates = []) {
+  const pair = new ethers.Contract(pool.pairAddress, ERC20_ABI, provider);
+  const balanceOf = (address) => pair.balanceOf(address);
+
+  let totalSupply;
+  try {
+    totalSupply = await pair.totalSupply();
+  } catch {
+    return null;
+  }
+  if (totalSupply === 0n) return null;
+
+  const lockerAddresses = [...new Set([...config.chain.lpLockers, ...(config.lpLockers || [])].map(ethers.getAddress))];
+  const skip = new Set([...BURN_ADDRESSES, ...lockerAddresses].map((a) => a.toLowerCase()));
+  const holderAddresses = [...new Set(candidates.filter(Boolean).map(ethers.getAddress))].filter(
+    (address) => !skip.has(address.toLowerCase())
+  );
+
+  const [burned, locked, held] = await Promise.all([
+    Promise.all(BURN_ADDRESSES.map(balanceOf)),
+    Promise.all(lockerAddresses.map(balanceOf)),
+    Promise.all(holderAddresses.map(balanceOf)),
+  ]);
+
+  const burnedAmount = burned.reduce((sum, b) => sum + b, 0n);
+  const lockedAmount = locked.reduce((sum, b) => sum + b, 0n);
+  const burnedPct = pct(burnedAmount, totalSupply);
+  const lockedPct = pct(lockedAmount, totalSupply);
+
+  const holders = [];
+  for (const [i, address] of holderAddresses.entries()) {
+    if (held[i] === 0n) continue;
+    const code = await provider.getCode(address);
+    holders.push({ address, pct: pct(held[i], totalSupply), eoa: code === '0x' });
+  }
+
+  return {
+    pair: pool.pairAddress,
+    burnedPct,
+    lockedPct,
+    withdrawablePct: Math.max(0, Math.round((100 - burnedPct - lockedPct) * 100) / 100),
+    lockers: lockerAddresses
+      .map((address, i) => ({ address, pct: pct(locked[i], totalSupply) }))
+      .filter((l) => l.pct > 0),
+    holders,
+  };
+}
+
+module.exports = { checkLpLock, BURN_ADDRESSES, DEAD_ADDRESS, MAX_WITHDRAWABLE_PCT };
@@ -0,0 +1,201 @@
+const logger = require('./logger');
+const { classifyBroadcastError } = require('./broadcast');
+const { getGasPrice } = require('./fees');
+
+const FILLER_GAS_LIMIT = 21000;
+
+// A just-sent transaction may not have reached the node we ask yet — don't call it dropped
+const DROPPED_GRACE_MS = 30000;
+
+/**
+ * Create a local nonce manager for one wallet, shared by buys, sells and approvals.
+ *
+ * Nonces are handed out from a local counter (synced from the `pending` count on
+ * first use), so swaps sent close together never race on getTransactionCount.
+ * A nonce whose send failed is released and handed out again first; a nonce
+ * nobody reused while later transactions wait behind it is filled with a
+ * zero-value self-transfer by fillGaps(), priced like any other send (capped
+ * at `maxGasPriceGwei`). The hashes sent with each nonce are tracked, so a
+ * nonce whose transactions were all dropped from the mempool becomes a gap too.
+ *
+ * @param {object} signer - ethers Wallet connected to a provider
+ * @param {object} opts - { maxGasPriceGwei }
+ * @returns {{ reserve, release, track, resync, fillGaps, state }}
+ */
+function createNonceManager(signer, opts = {}) {
+  const { maxGasPriceGwei } = opts;
+
+  let next = null;
+  const inFlight = new Map(); // nonce → { hashes, sentAt }: not yet below the chain's pending nonce
+  const gaps = new Set(); // reserved then released — reuse before `next`
+  let queue = Promise.resolve();
+
+  // Serialize every state change: concurrent callers wait their turn
+  function lock(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // All of the nonce's transactions (original and replacements) are gone from the node
+  async function isDropped({ hashes, sentAt }) {
+    if (hashes.length === 0 || Date.now() - sentAt < DROPPED_GRACE_MS) return false;
+    for (const hash of hashes) {
+      const tx = await signer.provider.getTransaction(hash).catch(() => undefined);
+      if (tx !== null) return false;
+    }
+    return true;
+  }
+
+  async function sync() {
+    const pending = await signer.getNonce('pending');
+
+    for (const [n, sent] of inFlight) {
+      if (n < pending) {
+        inFlight.delete(n);
+      } else if (await isDropped(sent)) {
+        inFlight.delete(n);
+        logger.warn(`  Nonce ${n} transaction ${sent.hashes[sent.hashes.length - 1]} was dropped from the mempool`);
+      }
+    }
+    for (const n of gaps) {
+      if (n < pending) gaps.delete(n);
+    }
+    // Below our counter but not in the node's pending pool and not ours in flight → unused
+    for (let n = pending; next !== null && n < next; n++) {
+      if (!inFlight.has(n)) gaps.add(n);
+    }
+    next = next === null ? pending : Math.max(next, pending);
+  }
+
+  /**
+   * Take the next free nonce (lowest released one first).
+   */
+  function reserve() {
+    return lock(async () => {
+      if (next === null) await sync();
+
+      let nonce;
+      if (gaps.size > 0) {
+        nonce = Math.min(...gaps);
+        gaps.delete(nonce);
+      } else {
+        nonce = next++;
+      }
+      inFlight.set(nonce, { hashes: [], sentAt: Date.now() });
+      return nonce;
+    });
+  }
+
+  /**
+   * Give back a nonce whose transaction never reached the network.
+   */
+  function release(nonce) {
+    inFlight.delete(nonce);
+    if (next !== null && nonce < next) gaps.add(nonce);
+  }
+
+  /**
+   * Record a transaction sent with a reserved nonce (replacements add their hash too).
+   */
+  function track(nonce, hash) {
+    const sent = inFlight.get(nonce);
+    if (!sent || !hash) return;
+    sent.hashes.push(hash);
+    sent.sentAt = Date.now();
+  }
+
+  /**
+   * Re-read the `pending` nonce, e.g. after "nonce too low".
+   */
+  function resync() {
+    return lock(sync);
+  }
+
+  /**
+   * Send zero-value self-transfers into unused nonces that block later
+   * in-flight transactions. Returns the filler hashes.
+   */
+  function fillGaps() {
+    return lock(async () => {
+      await sync();
+      if (inFlight.size === 0) return [];
+
+      const highest = Math.max(...inFlight.keys());
+      const holes = [...gaps].filter((n) => n < highest).sort((a, b) => a - b);
+      const hashes = [];
+      if (holes.length === 0) return hashes;
+
+      let gasPrice;
+      try {
+        ({ gasPrice } = await getGasPrice(signer.provider, maxGasPriceGwei));
+      } catch (err) {
+        logger.warn(`  Could not fill nonce gaps ${holes.join(', ')}: gas price fetch failed: ${err.message}`);
+        return hashes;
+      }
+
+      for (const nonce of holes) {
+        try {
+          const tx = await signer.sendTransaction({
+            to: signer.address,
+            value: 0n,
+            gasLimit: FILLER_GAS_LIMIT,
+            gasPrice,
+            nonce,
+          });
+          gaps.delete(nonce);
+          inFlight.set(nonce, { hashes: [tx.hash], sentAt: Date.now() });
+          hashes.push(tx.hash);
+          logger.warn(`  Nonce ${nonce} was unused and blocked later transactions — filled with self-transfer ${tx.hash}`);
+        } catch (err) {
+          logger.warn(`  Could not fill nonce gap ${nonce}: ${err.shortMessage || err.message}`);
+        }
+      }
+      return hashes;
+    });
+  }
+
+  function state() {
+    return { next, inFlight: [...inFlight.keys()].sort((a, b) => a - b), gaps: [...gaps].sort((a, b) => a - b) };
+  }
+
+  return { reserve, release, track, resync, fillGaps, state };
+}
+
+/**
+ * Send `txRequest` with a nonce from the manager. `send(request)` does the
+ * actual broadcast. On "nonce too low" the manager resyncs and the send is
+ * retried once with a fresh nonce; on other failures the nonce is released.
+ * Requests that already carry a nonce (replacements) are sent as-is.
+ */
+async function withNonce(nonceManager, txRequest, send) {
+  if (!nonceManager) return send(txRequest);
+  if (txRequest.nonce != null) {
+    const tx = await send(txRequest);
+    nonceManager.track(txRequest.nonce, tx?.hash);
+    return tx;
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    const nonce = await nonceManager.reserve();
+    try {
+      const tx = await send({ ...txRequest, nonce });
+      nonceManager.track(nonce, tx?.hash);
+      return tx;
+    } catch (err) {
+      if (classifyBroadcastError(err) !== 'nonce') {
+        nonceManager.release(nonce);
+        throw err;
+      }
+      // Used by a transaction sent outside this process — the nonce is gone, resync
+      await nonceManager.resync();
+      if (attempt > 0) throw err;
+      logger.warn(`  Nonce ${nonce} already used — resynced from pending, retrying`);
+    }
+  }
+}
+
+module.exports = {
+  createNonceManager,
+  withNonce,
+};
@@ -0,0 +1,97 @@
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { identifyTokens } = require('./poolSelector');
+
+const ROUTER_ABI = [
+  'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+];
+
+const routerInterface = new ethers.Interface(ROUTER_ABI);
+
+// Swap must be mined within this window or the router reverts
+const DEADLINE_SEC = 300;
+
+/**
+ * True if a DexScreener pool is a PancakeSwap V2 pair (V3/V4 pools carry a version label).
+ * On other chains pass the profile's `v2DexId` (e.g. "uniswap").
+ */
+function isPancakeV2Pool(pool, dexId = 'pancakeswap') {
+  if ((pool?.dexId || '').toLowerCase() !== dexId) return false;
+  return !(pool.labels || []).some((label) => /^v[34]$/i.test(label));
+}
+
+/**
+ * Build the router path for buying `tokenAddress` with BNB.
+ * Routes through the pool's quote token when the selected pool is a
+ * PancakeSwap V2 pair against something other than WBNB.
+ */
+function buildPath(config, tokenAddress, pool) {
+  const wbnb = config.wbnb;
+
+  if (pool && isPancakeV2Pool(pool, config.chain?.v2DexId)) {
+    const tokens = identifyTokens(pool, tokenAddress);
+    const quoteAddr = tokens?.quote?.address;
+    if (quoteAddr && quoteAddr.toLowerCase() !== wbnb.toLowerCase()) {
+      return [wbnb, ethers.getAddress(quoteAddr), tokenAddress];
+    }
+  } else if (pool) {
+    logger.warn(`  Selected pool is on ${pool.dexId}, not the V2 router's DEX — using direct wrapped-native path`);
+  }
+
+  return [wbnb, tokenAddress];
+}
+
+/**
+ * Build a swapExactETHForTokensSupportingFeeOnTransferTokens transaction against
+ * the PancakeSwap V2 router. amountOutMin comes from on-chain getAmountsOut
+ * minus config.slippageBps.
+ *
+ * Returns an object shaped like a 0x quote ({ buyAmount, minBuyAmount, route, transaction })
+ * so it can go through the same send/simulate path.
+ */
+async function buildPancakeQuote(provider, config, tokenAddress, taker, pool) {
+  logger.info(`Building ${config.chain.name} V2 router swap...`);
+
+  const path = buildPath(config, tokenAddress, pool);
+  const router = new ethers.Contract(config.pancakeRouter, ROUTER_ABI, provider);
+
+  let amounts;
+  try {
+    amounts = await router.getAmountsOut(config.buyAmountWei, path);
+  } catch (err) {
+    throw new Error(`No PancakeSwap V2 route for token: ${err.shortMessage || err.message}`);
+  }
+
+  const buyAmount = amounts[amounts.length - 1];
+  if (buyAmount === 0n) {
+    throw new Error('PancakeSwap V2 getAmountsOut returned 0 tokens');
+  }
+
+  const minBuyAmount = (buyAmount * BigInt(10000 - config.slippageBps)) / 10000n;
+  const deadline = Math.floor(Date.now() / 1000) + DEADLINE_SEC;
+
+  const data = routerInterface.encodeFunctionData(
+    'swapExactETHForTokensSupportingFeeOnTransferTokens',
+    [minBuyAmount, path, taker, deadline]
+  );
+
+  return {
+    buyAmount: buyAmount.toString(),
+    minBuyAmount: minBuyAmount.toString(),
+    route: { fills: [{ source: 'PancakeSwap_V2', proportionBps: '10000' }], path },
+    transaction: {
+      to: config.pancakeRouter,
+      data,
+      value: config.buyAmountWei.toString(),
+    },
+  };
+}
+
+module.exports = {
+  buildPancakeQuote,
+  buildPath,
+  isPancakeV2Pool,
+  ROUTER_ABI,
+  DEADLINE_SEC,
+};
@@ -0,0 +1,155 @@
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { ERC20_ABI } = require('./onchain');
+const { getPairReserves } = require('./priceImpact');
+const { validatePool } = require('./poolSelector');
+
+// Only the leading slot0 fields — PancakeSwap V3 widens feeProtocol, so the tail differs by fork
+const V3_POOL_ABI = ['function slot0() view returns (uint160 sqrtPriceX96, int24 tick)'];
+
+const FACTORY_ABI = ['function getPair(address tokenA, address tokenB) view returns (address pair)'];
+
+const decimalsCache = new Map();
+
+async function getDecimals(provider, tokenAddress) {
+  const key = tokenAddress.toLowerCase();
+  if (!decimalsCache.has(key)) {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    decimalsCache.set(key, Number(await token.decimals()));
+  }
+  return decimalsCache.get(key);
+}
+
+/**
+ * Kind of AMM pool at `poolAddress`: 'v2' when getReserves() answers, 'v3' when
+ * slot0() does with a price set, null for anything else (V4 ids, DODO, non-pools).
+ */
+async function getPoolType(provider, poolAddress, tokenAddress) {
+  if (await getPairReserves(provider, poolAddress, tokenAddress)) return 'v2';
+  try {
+    const [sqrtPriceX96] = await new ethers.Contract(poolAddress, V3_POOL_ABI, provider).slot0();
+    return sqrtPriceX96 > 0n ? 'v3' : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * USD price of the wrapped native token from the chain's V2 pair against
+ * the first stablecoin that has one. Returns null when none is found.
+ */
+async function getNativeUsdPrice(provider, chain) {
+  const factory = new ethers.Contract(chain.factory, FACTORY_ABI, provider);
+  const native = chain.wrappedNative.address;
+
+  for (const stable of chain.stablecoins) {
+    try {
+      const pair = await factory.getPair(native, stable.address);
+      if (pair === ethers.ZeroAddress) continue;
+
+      const reserves = await getPairReserves(provider, pair, native);
+      if (!reserves || reserves.reserveToken === 0n) continue;
+
+      const [nativeDecimals, stableDecimals] = await Promise.all([
+        getDecimals(provider, native),
+        getDecimals(provider, stable.address),
+      ]);
+      return (
+        Number(ethers.formatUnits(reserves.reserveQuote, stableDecimals)) /
+        Number(ethers.formatUnits(reserves.reserveToken, nativeDecimals))
+      );
+    } catch {
+      // No pair / unreadable — try the next stablecoin
+    }
+  }
+  return null;
+}
+
+/**
+ * On-chain USD liquidity of one V2 or V3 pool: twice the pool's balance of the
+ * quote token, priced 1:1 for stablecoins or at `nativeUsd` for the wrapped native
+ * token. The balance covers every V3 range, so it is comparable with DexScreener TVL.
+ *
+ * @returns {{ usd: number, source: 'v2'|'v3' } | null} null when unreadable
+ */
+async function measurePoolLiquidity(provider, pool, quoteAddress, chain, nativeUsd) {
+  const source = await getPoolType(provider, pool.pairAddress, quoteAddress);
+  if (!source) return null;
+
+  // Quote tokens added through POOL_SCORING_FILE have no USD reference
+  const quote = quoteAddress.toLowerCase();
+  const isStable = chain.stablecoins.some((s) => s.address.toLowerCase() === quote);
+  const isNative = chain.wrappedNative.address.toLowerCase() === quote;
+  const price = isStable ? 1 : isNative ? nativeUsd : null;
+  if (price === null) return null;
+
+  const token = new ethers.Contract(quoteAddress, ERC20_ABI, provider);
+  const [balance, decimals] = await Promise.all([token.balanceOf(pool.pairAddress), getDecimals(provider, quoteAddress)]);
+  const quoteAmount = Number(ethers.formatUnits(balance, decimals));
+  return { usd: Math.round(2 * quoteAmount * price * 100) / 100, source };
+}
+
+/**
+ * Read every candidate pool's liquidity on-chain so analyzePools() can compare it
+ * with DexScreener's `liquidity.usd`. Pools that already fail the static filters
+ * are not read. Returns copies of `pools`; verified ones carry `onchainLiquidity`.
+ */
+async function verifyPoolLiquidity(provider, pools, targetAddress, opts = {}) {
+  const chain = opts.chain;
+  const quotes = pools.map((pool) => {
+    const result = validatePool(pool, targetAddress, { chain, scoring: opts.scoring });
+    return result.valid ? result.tokens.quote.address : null;
+  });
+  const count = quotes.filter(Boolean).length;
+  if (count === 0) return pools;
+
+  logger.info(`Reading on-chain reserves for ${count} pool(s)...`);
+  const nativeUsd = await getNativeUsdPrice(provider, chain);
+  if (nativeUsd === null) {
+    logger.warn(`  No ${chain.wrappedNative.symbol}/stablecoin V2 pair — ${chain.wrappedNative.symbol} pools not verified`);
+  }
+
+  return Promise.all(
+    pools.map(async (pool, i) => {
+      if (!quotes[i]) return pool;
+
+      const onchain = await measurePoolLiquidity(provider, pool, quotes[i], chain, nativeUsd).catch(() => null);
+      if (!onchain) {
+        logger.warn(`  ${pool.pairAddress} (${pool.dexId}): reserves unreadable — using DexScreener liquidity`);
+        return pool;
+      }
+      return { ...pool, onchainLiquidity: onchain };
+    })
+  );
+}
+
+/**
+ * Pool object, shaped like a DexScreener pair, for a V2 pair from the chain's
+ * factory that DexScreener has not indexed yet (PairCreated from discovery).
+ * Its liquidity is read on-chain; `liquidity.usd` is 0 when it cannot be priced.
+ */
+async function buildPairPool(provider, chain, tokenAddress, pairAddress, quoteAddress) {
+  const nativeUsd = await getNativeUsdPrice(provider, chain);
+  const pool = {
+    chainId: chain.dexscreener,
+    dexId: chain.v2DexId,
+    pairAddress,
+    baseToken: { address: tokenAddress },
+    quoteToken: { address: quoteAddress, symbol: chain.liquidQuotes[quoteAddress.toLowerCase()]?.symbol },
+  };
+
+  const onchain = await measurePoolLiquidity(provider, pool, quoteAddress, chain, nativeUsd).catch(() => null);
+  if (!onchain) {
+    logger.warn(`  ${pairAddress}: reserves unreadable — liquidity unknown`);
+    return { ...pool, liquidity: { usd: 0 } };
+  }
+  return { ...pool, liquidity: { usd: onchain.usd }, onchainLiquidity: onchain };
+}
+
+module.exports = {
+  verifyPoolLiquidity,
+  buildPairPool,
+  measurePoolLiquidity,
+  getNativeUsdPrice,
+  getPoolType,
+};
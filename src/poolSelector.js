@@ -1,34 +1,12 @@
 const logger = require('./logger');
-const { WBNB, USDT, USDC, BUSD } = require('./config');
-
-// --- Known liquid quote tokens on BSC ---
-const LIQUID_QUOTES = {
-  [WBNB.toLowerCase()]: { symbol: 'WBNB', tier: 1 },
-  [USDT.toLowerCase()]: { symbol: 'USDT', tier: 1 },
-  [USDC.toLowerCase()]: { symbol: 'USDC', tier: 1 },
-  [BUSD.toLowerCase()]: { symbol: 'BUSD', tier: 2 },
-};
+const { CHAINS } = require('./chains');
+const { DEFAULT_SCORING } = require('./scoring');
+
+// --- BSC defaults; pass `opts.chain` to validate pools on another chain ---
+const LIQUID_QUOTES = CHAINS.bsc.liquidQuotes;
+const TRUSTED_DEXES = CHAINS.bsc.trustedDexes;
 
-// --- Trusted DEXes on BSC (V2, V3, V4 and other major protocols) ---
-const TRUSTED_DEXES = new Set([
-  'pancakeswap',
-  'pancakeswap-v3',
-  'pancakeswap-v4',
-  'biswap',
-  'biswap-v3',
-  'uniswap-v3',
-  'uniswap-v4',
-  'sushiswap',
-  'sushiswap-v3',
-  'thena',
-  'thena-v3',
-  'dodo',
-  'apeswap',
-  'mdex',
-  'bakeryswap',
-  'ellipsis',
-  'wombat',
-]);
+const LIQUIDITY_DIVERGENCE_REASON = 'reported liquidity diverges from on-chain reserves';
 
 /**
  * Identify which token in the pair is the target and which is the quote.
@@ -43,23 +21,74 @@ function identifyTokens(pool, targetAddress) {
   return null;
 }
 
+/**
+ * Age of a pool in seconds from DexScreener's `pairCreatedAt` (ms timestamp).
+ * Returns null when the pool has no creation time.
+ */
+function getPoolAgeSec(pool, now = Date.now()) {
+  if (!pool.pairCreatedAt) return null;
+  return Math.max(0, Math.floor((now - pool.pairCreatedAt) / 1000));
+}
+
+/**
+ * Age of the token in seconds, taken from its oldest known listing.
+ * `extraCreatedAt` holds additional creation timestamps in ms
+ * (e.g. the block time of the factory PairCreated event).
+ * Returns null when no timestamp is available.
+ */
+function getTokenAgeSec(pools, targetAddress, extraCreatedAt = [], now = Date.now()) {
+  const ages = pools
+    .filter((pool) => identifyTokens(pool, targetAddress))
+    .map((pool) => getPoolAgeSec(pool, now))
+    .concat(extraCreatedAt.map((ts) => Math.max(0, Math.floor((now - ts) / 1000))))
+    .filter((age) => age !== null);
+
+  return ages.length > 0 ? Math.max(...ages) : null;
+}
+
+/**
+ * USD liquidity used for filtering and scoring: the on-chain figure when
+ * verifyPoolLiquidity() could read the pool, DexScreener's `liquidity.usd` otherwise.
+ */
+function poolLiquidityUsd(pool) {
+  return pool.onchainLiquidity?.usd ?? pool.liquidity?.usd ?? 0;
+}
+
+/**
+ * Divergence between reported and on-chain liquidity, in percent of the larger
+ * of the two (0 = equal, 100 = one side is zero).
+ */
+function liquidityDivergencePercent(reportedUsd, onchainUsd) {
+  const larger = Math.max(reportedUsd, onchainUsd);
+  if (larger <= 0) return 0;
+  return (Math.abs(reportedUsd - onchainUsd) / larger) * 100;
+}
+
 /**
  * Hard filters — pool MUST pass all of these or it's discarded.
+ * Pass `opts.maxTokenAgeSec` (> 0) to also reject pools created too long ago,
+ * and `opts.chain` (a chain profile) to use that chain's quote tokens and DEX list.
+ * `opts.scoring` (POOL_SCORING_FILE) overrides both lists when it sets them.
+ * With `opts.maxLiquidityDivergencePercent` (> 0), pools verified on-chain whose
+ * DexScreener liquidity diverges more than that from their reserves are rejected.
  */
-function validatePool(pool, targetAddress) {
+function validatePool(pool, targetAddress, opts = {}) {
   const tokens = identifyTokens(pool, targetAddress);
   if (!tokens) {
     return { valid: false, reason: 'target token not in pair' };
   }
 
+  const liquidQuotes = opts.scoring?.liquidQuotes || opts.chain?.liquidQuotes || LIQUID_QUOTES;
+  const trustedDexes = opts.scoring?.trustedDexes || opts.chain?.trustedDexes || TRUSTED_DEXES;
+
   const quoteAddr = tokens.quote?.address?.toLowerCase();
-  const quoteInfo = quoteAddr ? LIQUID_QUOTES[quoteAddr] : undefined;
+  const quoteInfo = quoteAddr ? liquidQuotes[quoteAddr] : undefined;
   if (!quoteInfo) {
     return { valid: false, reason: `non-liquid quote token: ${tokens.quote?.symbol || quoteAddr}` };
   }
 
   const dexId = (pool.dexId || '').toLowerCase();
-  if (!TRUSTED_DEXES.has(dexId)) {
+  if (!trustedDexes.has(dexId)) {
     return { valid: false, reason: `untrusted DEX: ${pool.dexId}` };
   }
 
@@ -68,14 +97,109 @@ function validatePool(pool, targetAddress) {
     return { valid: false, reason: 'zero liquidity' };
   }
 
+  if (opts.maxLiquidityDivergencePercent > 0 && pool.onchainLiquidity) {
+    const divergence = liquidityDivergencePercent(liq, pool.onchainLiquidity.usd);
+    if (divergence > opts.maxLiquidityDivergencePercent) {
+      return { valid: false, reason: LIQUIDITY_DIVERGENCE_REASON };
+    }
+  }
+
+  if (opts.maxTokenAgeSec > 0) {
+    const age = getPoolAgeSec(pool, opts.now);
+    if (age !== null && age > opts.maxTokenAgeSec) {
+      return { valid: false, reason: `older than max token age (${opts.maxTokenAgeSec}s)` };
+    }
+  }
+
   return { valid: true, tokens, quoteInfo };
 }
 
+// DexScreener activity windows, shortest first
+const WINDOWS = [
+  { key: 'm5', sec: 300 },
+  { key: 'h1', sec: 3_600 },
+  { key: 'h6', sec: 21_600 },
+  { key: 'h24', sec: 86_400 },
+];
+const MIN_WINDOW_TXNS = 10; // fewer trades say nothing about the buy/sell split
+const FLAT_PRICE_CHANGE_PCT = 5;
+
+// 0 below `from`, 1 above `to`, linear in between
+const ramp = (value, from, to) => Math.min(1, Math.max(0, (value - from) / (to - from)));
+
 /**
- * Composite scoring (0-100 scale).
+ * Most one-sided trading across the m5/h1/h6/h24 windows:
+ * |buys − sells| / (buys + sells) — 0 is balanced, 1 is only buys (nobody can sell)
+ * or only sells. Windows under MIN_WINDOW_TXNS trades are skipped; null when none qualify.
  */
-function scorePool(pool, quoteInfo) {
-  const liq = pool.liquidity?.usd || 0;
+function buySellImbalance(pool) {
+  let worst = null;
+  for (const { key } of WINDOWS) {
+    const buys = pool.txns?.[key]?.buys || 0;
+    const sells = pool.txns?.[key]?.sells || 0;
+    if (buys + sells < MIN_WINDOW_TXNS) continue;
+    worst = Math.max(worst ?? 0, Math.abs(buys - sells) / (buys + sells));
+  }
+  return worst;
+}
+
+/**
+ * Average trade size as a share of pool liquidity, worst of h1/h24. Organic trading
+ * is many small trades; bots cycling volume through a pool make few trades that are
+ * each a large slice of it. Volume without any trades counts as 1. Null without volume.
+ */
+function avgTradeShare(pool, liq) {
+  if (liq <= 0) return null;
+  let worst = null;
+  for (const key of ['h1', 'h24']) {
+    const vol = pool.volume?.[key] || 0;
+    if (vol <= 0) continue;
+    const txCount = (pool.txns?.[key]?.buys || 0) + (pool.txns?.[key]?.sells || 0);
+    worst = Math.max(worst ?? 0, txCount > 0 ? vol / txCount / liq : 1);
+  }
+  return worst;
+}
+
+/**
+ * 24h turnover (volume / liquidity) when the price moved less than
+ * FLAT_PRICE_CHANGE_PCT over the same window — heavy volume that goes nowhere
+ * is typical of round-trip wash trading. 0 when the price moved, null without `priceChange.h24`.
+ */
+function flatPriceTurnover(pool, liq) {
+  const change = pool.priceChange?.h24;
+  if (change === undefined || change === null || liq <= 0) return null;
+  if (Math.abs(change) >= FLAT_PRICE_CHANGE_PCT) return 0;
+  return (pool.volume?.h24 || 0) / liq;
+}
+
+/**
+ * Largest jump in hourly volume rate between neighbouring windows (m5 vs h1,
+ * h1 vs h6, h6 vs h24). Window lengths are capped at the pool age, so a pool
+ * younger than a window is not read as spiking. Null without volume.
+ */
+function volumeSpikeRatio(pool, now = Date.now()) {
+  const age = getPoolAgeSec(pool, now);
+  const rate = ({ key, sec }) => (pool.volume?.[key] || 0) / Math.max(1, age === null ? sec : Math.min(sec, age));
+
+  let worst = null;
+  for (let i = 0; i < WINDOWS.length - 1; i++) {
+    const baseline = rate(WINDOWS[i + 1]);
+    if (baseline <= 0) continue;
+    worst = Math.max(worst ?? 0, rate(WINDOWS[i]) / baseline);
+  }
+  return worst;
+}
+
+/**
+ * Composite scoring — 0-100 with the default weights. `scoring.weights` sets the
+ * points per component; `scoring.dexAdjustments[dexId]` is added to the total
+ * and up to `scoring.penalties` points are subtracted for one-sided trading,
+ * wash-trading patterns and volume spikes (floored at 0). The raw heuristic
+ * values are returned in `signals`.
+ */
+function scorePool(pool, quoteInfo, scoring = DEFAULT_SCORING, now = Date.now()) {
+  const weights = scoring.weights;
+  const liq = poolLiquidityUsd(pool);
   const vol = pool.volume?.h24 || 0;
   const txCount = (pool.txns?.h24?.buys || 0) + (pool.txns?.h24?.sells || 0);
 
@@ -87,16 +211,37 @@ function scorePool(pool, quoteInfo) {
     return Math.min(maxPts, Math.max(0, ((log - logLow) / (logHigh - logLow)) * maxPts));
   };
 
-  const liqScore = logScore(liq, 40, 1_000, 1_000_000);
-  const volScore = logScore(vol, 25, 100, 500_000);
+  const liqScore = logScore(liq, weights.liquidity, 1_000, 1_000_000);
+  const volScore = logScore(vol, weights.volume, 100, 500_000);
 
   const turnover = liq > 0 ? Math.min(vol / liq, 2.0) : 0;
-  const turnoverScore = (turnover / 2.0) * 15;
+  const turnoverScore = (turnover / 2.0) * weights.turnover;
+
+  const quoteScore = quoteInfo.tier === 1 ? weights.quoteQuality : weights.quoteQuality / 2;
+  const txScore = logScore(txCount, weights.txActivity, 10, 10_000);
 
-  const quoteScore = quoteInfo.tier === 1 ? 10 : 5;
-  const txScore = logScore(txCount, 10, 10, 10_000);
+  const dexAdjustment = scoring.dexAdjustments[(pool.dexId || '').toLowerCase()] || 0;
+
+  const penalties = scoring.penalties;
+  const signals = {
+    buySellImbalance: buySellImbalance(pool),
+    avgTradeShare: avgTradeShare(pool, liq),
+    flatPriceTurnover: flatPriceTurnover(pool, liq),
+    volumeSpike: volumeSpikeRatio(pool, now),
+  };
+  const round = (n) => Math.round(n * 100) / 100;
+  const buySellPenalty = round(ramp(signals.buySellImbalance ?? 0, 0.6, 0.9) * penalties.buySellImbalance);
+  const washPenalty = round(
+    Math.max(ramp(signals.avgTradeShare ?? 0, 0.01, 0.05), ramp(signals.flatPriceTurnover ?? 0, 5, 20)) *
+      penalties.washTrading
+  );
+  const spikePenalty = round(ramp(signals.volumeSpike ?? 0, 3, 10) * penalties.volumeSpike);
 
-  const total = liqScore + volScore + turnoverScore + quoteScore + txScore;
+  const total = Math.max(
+    0,
+    liqScore + volScore + turnoverScore + quoteScore + txScore + dexAdjustment -
+      buySellPenalty - washPenalty - spikePenalty
+  );
 
   return {
     total: Math.round(total * 100) / 100,
@@ -106,21 +251,44 @@ function scorePool(pool, quoteInfo) {
       turnover: Math.round(turnoverScore * 100) / 100,
       quoteQuality: quoteScore,
       txActivity: Math.round(txScore * 100) / 100,
+      dexAdjustment,
+      buySell: -buySellPenalty,
+      washTrading: -washPenalty,
+      volumeSpike: -spikePenalty,
     },
+    signals,
   };
 }
 
+/**
+ * Every trading heuristic behind the penalties, `n/a` where DexScreener has no data.
+ */
+function formatSignals(signals) {
+  const pct = (n) => (n === null ? 'n/a' : `${(n * 100).toFixed(1)}%`);
+  const times = (n) => (n === null ? 'n/a' : `${n.toFixed(1)}x`);
+  return [
+    `buy/sell imbalance ${pct(signals.buySellImbalance)}`,
+    `avg trade ${pct(signals.avgTradeShare)} of liquidity`,
+    `flat-price turnover ${times(signals.flatPriceTurnover)}`,
+    `volume spike ${times(signals.volumeSpike)}`,
+  ].join(', ');
+}
+
 /**
  * Analyze and rank pools from DexScreener.
- * Returns the best pool or undefined.
+ * `opts` is forwarded to validatePool(); `opts.scoring` also sets the score
+ * weights and `minScore` — when the best pool scores below it, no pool is returned.
+ * `rejection` says why no pool was selected (null when one was).
+ *
+ * @returns {{ pool: object|undefined, rejection: string|null }}
  */
-function analyzePools(pools, targetAddress) {
+function selectBestPool(pools, targetAddress, opts = {}) {
   logger.step('Analyzing DexScreener pools...');
   logger.sep();
 
   if (pools.length === 0) {
     logger.warn('No pools found on DexScreener for this token.');
-    return undefined;
+    return { pool: undefined, rejection: 'no pools on DexScreener' };
   }
 
   logger.info(`Total pools from DexScreener: ${pools.length}`);
@@ -129,12 +297,18 @@ function analyzePools(pools, targetAddress) {
   const rejected = { total: 0, reasons: {} };
 
   for (const pool of pools) {
-    const result = validatePool(pool, targetAddress);
+    const result = validatePool(pool, targetAddress, opts);
     if (result.valid) {
       valid.push({ pool, quoteInfo: result.quoteInfo, tokens: result.tokens });
     } else {
       rejected.total++;
       rejected.reasons[result.reason] = (rejected.reasons[result.reason] || 0) + 1;
+      if (pool.onchainLiquidity && result.reason === LIQUIDITY_DIVERGENCE_REASON) {
+        logger.warn(
+          `  ${pool.pairAddress}: DexScreener $${Number(pool.liquidity.usd).toLocaleString()} vs ` +
+          `on-chain $${pool.onchainLiquidity.usd.toLocaleString()}`
+        );
+      }
     }
   }
 
@@ -148,7 +322,8 @@ function analyzePools(pools, targetAddress) {
   if (valid.length === 0) {
     logger.warn('No pools passed filters. Token may lack liquid pairs on trusted DEXes.');
     logger.sep();
-    return undefined;
+    const reasons = Object.entries(rejected.reasons).map(([reason, count]) => `${reason} (${count})`);
+    return { pool: undefined, rejection: `no pool passed the filters: ${reasons.join(', ')}` };
   }
 
   logger.info(`Qualified pools: ${valid.length}`);
@@ -158,42 +333,81 @@ function analyzePools(pools, targetAddress) {
     pool,
     tokens,
     quoteInfo,
-    score: scorePool(pool, quoteInfo),
+    score: scorePool(pool, quoteInfo, opts.scoring, opts.now),
   }));
 
   scored.sort((a, b) => b.score.total - a.score.total);
 
+  const weights = (opts.scoring || DEFAULT_SCORING).weights;
+  const maxScore = Object.values(weights).reduce((sum, w) => sum + w, 0);
+
   scored.forEach(({ pool, score }, i) => {
+    const { breakdown } = score;
+    // `|| 0` turns a -0 penalty into 0
+    const factors = [
+      ['liq', breakdown.liquidity],
+      ['vol', breakdown.volume],
+      ['turn', breakdown.turnover],
+      ['quote', breakdown.quoteQuality],
+      ['tx', breakdown.txActivity],
+      ['dex', breakdown.dexAdjustment],
+      ['b/s', breakdown.buySell],
+      ['wash', breakdown.washTrading],
+      ['spike', breakdown.volumeSpike],
+    ]
+      .map(([name, pts]) => `${name}=${name === 'dex' && pts > 0 ? '+' : ''}${pts || 0}`)
+      .join(' ');
     logger.pool(i, pool);
-    logger.info(
-      `  Score: ${score.total}/100 ` +
-        `(liq=${score.breakdown.liquidity} vol=${score.breakdown.volume} ` +
-        `turn=${score.breakdown.turnover} quote=${score.breakdown.quoteQuality} ` +
-        `tx=${score.breakdown.txActivity})`
-    );
+    logger.info(`  Score: ${score.total}/${maxScore} (${factors})`);
+    logger.info(`  Trading: ${formatSignals(score.signals)}`);
   });
   logger.sep();
 
   const best = scored[0];
+  const minScore = opts.scoring?.minScore || 0;
+  if (best.score.total < minScore) {
+    logger.warn(`Best pool scores ${best.score.total}, below the minimum ${minScore}. No pool selected.`);
+    logger.sep();
+    return { pool: undefined, rejection: `best pool scores ${best.score.total}, below the minimum score ${minScore}` };
+  }
   const liq = best.pool.liquidity?.usd
     ? `$${Number(best.pool.liquidity.usd).toLocaleString()}`
     : 'N/A';
+  const onchainLiq = best.pool.onchainLiquidity
+    ? ` (on-chain ${best.pool.onchainLiquidity.source}: $${best.pool.onchainLiquidity.usd.toLocaleString()})`
+    : '';
   const pair = `${best.pool.baseToken.symbol}/${best.pool.quoteToken.symbol}`;
   logger.sep();
-  logger.success(`Best pool: ${pair} on ${best.pool.dexId} (score: ${best.score.total}/100)`);
-  logger.info(`  Liquidity: ${liq}`);
+  logger.success(`Best pool: ${pair} on ${best.pool.dexId} (score: ${best.score.total}/${maxScore})`);
+  logger.info(`  Liquidity: ${liq}${onchainLiq}`);
   logger.info(`  Pool: ${best.pool.pairAddress}`);
   logger.info(`  Quote token: ${best.quoteInfo.symbol} (tier ${best.quoteInfo.tier})`);
   logger.sep();
 
-  return best.pool;
+  return { pool: best.pool, rejection: null };
+}
+
+/**
+ * selectBestPool() without the rejection reason: the best pool or undefined.
+ */
+function analyzePools(pools, targetAddress, opts = {}) {
+  return selectBestPool(pools, targetAddress, opts).pool;
 }
 
 module.exports = {
   analyzePools,
+  selectBestPool,
   identifyTokens,
   validatePool,
   scorePool,
+  poolLiquidityUsd,
+  liquidityDivergencePercent,
+  buySellImbalance,
+  avgTradeShare,
+  flatPriceTurnover,
+  volumeSpikeRatio,
+  getPoolAgeSec,
+  getTokenAgeSec,
   LIQUID_QUOTES,
   TRUSTED_DEXES,
 };
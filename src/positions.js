@@ -0,0 +1,103 @@
+const { ethers } = require('ethers');
+const { ERC20_ABI } = require('./onchain');
+const { getQuote } = require('./swap');
+
+/**
+ * Fold successful journal trades into per-token positions.
+ * Amounts are BigInt: BNB in wei, tokens in raw units. `openedAt` is the
+ * first buy (ms), `ladderSteps` the take-profit steps already sold.
+ *
+ * @returns {Map<string, { token, symbol, boughtTokens, costWei, soldTokens, proceedsWei, openedAt, ladderSteps }>}
+ */
+function aggregatePositions(trades) {
+  const positions = new Map();
+
+  for (const t of trades) {
+    if (t.status !== 'success' || !t.token) continue;
+
+    const key = t.token.toLowerCase();
+    if (!positions.has(key)) {
+      positions.set(key, {
+        token: t.token,
+        symbol: t.symbol || '???',
+        boughtTokens: 0n,
+        costWei: 0n,
+        soldTokens: 0n,
+        proceedsWei: 0n,
+        openedAt: null,
+        ladderSteps: new Set(),
+      });
+    }
+    const p = positions.get(key);
+
+    if (t.side === 'buy') {
+      p.boughtTokens += BigInt(t.buyAmount || 0);
+      p.costWei += BigInt(t.amountIn || 0);
+      const ts = Date.parse(t.timestamp);
+      if (!isNaN(ts) && (p.openedAt === null || ts < p.openedAt)) p.openedAt = ts;
+    } else if (t.side === 'sell') {
+      p.soldTokens += BigInt(t.amountIn || 0);
+      p.proceedsWei += BigInt(t.buyAmount || 0);
+      if (t.ladderStep != null) p.ladderSteps.add(t.ladderStep);
+    }
+  }
+
+  return positions;
+}
+
+function min(a, b) {
+  return a < b ? a : b;
+}
+
+/**
+ * Average-cost PnL for a position.
+ * Cost of sold tokens is pro-rated from the average buy price; the rest is the
+ * open cost basis. `valueWei` is the current sell-side value of the wallet balance.
+ *
+ * @returns {{ costBasisWei: bigint, realizedWei: bigint, unrealizedWei: bigint|null }}
+ */
+function computePnl(position, valueWei) {
+  const soldCostWei =
+    position.boughtTokens > 0n
+      ? (position.costWei * min(position.soldTokens, position.boughtTokens)) / position.boughtTokens
+      : 0n;
+
+  const costBasisWei = position.costWei - soldCostWei;
+  const realizedWei = position.proceedsWei - soldCostWei;
+  const unrealizedWei = valueWei == null ? null : valueWei - costBasisWei;
+
+  return { costBasisWei, realizedWei, unrealizedWei };
+}
+
+/**
+ * Read the wallet's current balance of the token and price it token → BNB via 0x /price.
+ * The quote is reduced by `tokenMetadata.sellToken.sellTaxBps` when reported.
+ *
+ * @returns {{ balance: bigint, valueWei: bigint|null, sellTaxBps: number, error?: string }}
+ */
+async function valuePosition(provider, config, walletAddress, tokenAddress) {
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+  const balance = await token.balanceOf(walletAddress);
+
+  if (balance === 0n) {
+    return { balance, valueWei: 0n, sellTaxBps: 0 };
+  }
+
+  let price;
+  try {
+    price = await getQuote(config, tokenAddress, config.nativeToken, balance, walletAddress);
+  } catch (err) {
+    return { balance, valueWei: null, sellTaxBps: 0, error: `Sell quote failed: ${err.message}` };
+  }
+
+  if (price.liquidityAvailable === false || !price.buyAmount) {
+    return { balance, valueWei: null, sellTaxBps: 0, error: 'No liquidity available for sell' };
+  }
+
+  const sellTaxBps = parseInt(price.tokenMetadata?.sellToken?.sellTaxBps || '0', 10) || 0;
+  const valueWei = (BigInt(price.buyAmount) * BigInt(10000 - sellTaxBps)) / 10000n;
+
+  return { balance, valueWei, sellTaxBps };
+}
+
+module.exports = { aggregatePositions, computePnl, valuePosition };
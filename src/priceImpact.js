@@ -0,0 +1,135 @@
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { identifyTokens } = require('./poolSelector');
+
+const PAIR_ABI = [
+  'function token0() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+];
+
+const PRICE_IMPACT_ACTIONS = ['refuse', 'downsize'];
+
+const BPS = 10000n;
+
+/**
+ * Read a V2 pair's reserves, oriented to `tokenAddress`.
+ * Returns { reserveToken, reserveQuote } or null when the pool has no
+ * getReserves() (V3/V4 pools, non-V2 forks).
+ */
+async function getPairReserves(provider, pairAddress, tokenAddress) {
+  const pair = new ethers.Contract(pairAddress, PAIR_ABI, provider);
+  try {
+    const [token0, reserves] = await Promise.all([pair.token0(), pair.getReserves()]);
+    const isToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
+    return {
+      reserveToken: isToken0 ? reserves[0] : reserves[1],
+      reserveQuote: isToken0 ? reserves[1] : reserves[0],
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Constant-product price impact, in bps, of moving `amount` against `reserve`.
+ * Input side: x / (reserveIn + x). Output side: out / reserveOut — the same number
+ * for a swap through a single pair, so either side of the trade can be used.
+ */
+function impactBps(amount, reserve, side = 'in') {
+  const a = BigInt(amount);
+  const r = BigInt(reserve);
+  const denominator = side === 'in' ? r + a : r;
+  if (denominator === 0n || a >= denominator) return Number(BPS);
+  return Number((a * BPS) / denominator);
+}
+
+/**
+ * Largest input that keeps impact at `maxBps`, scaled from `amountIn` which caused `currentBps`.
+ * x / (r + x) = p  →  x = r · p / (1 − p), linear in r, so the ratio needs no reserves.
+ */
+function downsizeAmount(amountIn, currentBps, maxBps) {
+  const current = BigInt(currentBps);
+  const max = BigInt(maxBps);
+  if (current <= max) return BigInt(amountIn);
+  if (current >= BPS) return 0n;
+  return (BigInt(amountIn) * max * (BPS - current)) / (current * (BPS - max));
+}
+
+/**
+ * Price impact of the buy on the pool chosen by analyzePools(), from on-chain reserves.
+ *
+ * For a wrapped-native pool the impact is BUY_AMOUNT_BNB against the native reserve,
+ * and the pool's own output estimate is logged next to the quote's buyAmount. For a
+ * stablecoin pool the BNB input has no quote-token amount, so the impact is implied
+ * by the quote's buyAmount against the token reserve.
+ *
+ * @returns {{ impactBps: number, source: 'reserves'|'quote', poolBuyAmount: bigint|null } | null}
+ *   null when there is no pool or it has no V2 reserves
+ */
+async function estimatePriceImpact(provider, config, tokenAddress, pool, quote) {
+  if (!pool?.pairAddress) return null;
+
+  const reserves = await getPairReserves(provider, pool.pairAddress, tokenAddress);
+  if (!reserves) {
+    logger.warn(`  Pool ${pool.pairAddress} has no V2 reserves — price impact not checked`);
+    return null;
+  }
+
+  const quoteAddr = identifyTokens(pool, tokenAddress)?.quote?.address;
+  const isNativePool = quoteAddr?.toLowerCase() === config.wbnb?.toLowerCase();
+
+  if (isNativePool) {
+    const amountIn = config.buyAmountWei;
+    const poolBuyAmount = (reserves.reserveToken * amountIn) / (reserves.reserveQuote + amountIn);
+    logger.info(`  Pool estimate: ${poolBuyAmount.toString()} (raw) vs quote ${quote.buyAmount}`);
+    return { impactBps: impactBps(amountIn, reserves.reserveQuote, 'in'), source: 'reserves', poolBuyAmount };
+  }
+
+  return { impactBps: impactBps(quote.buyAmount, reserves.reserveToken, 'out'), source: 'quote', poolBuyAmount: null };
+}
+
+/**
+ * Enforce MAX_PRICE_IMPACT_PERCENT on a buy quote.
+ *
+ * Returns null when the impact is within the limit (or cannot be measured), or
+ * `{ impactPct, amountIn }` with a smaller BNB amount when PRICE_IMPACT_ACTION is
+ * `downsize`. Otherwise throws with `error.priceImpact`.
+ */
+async function checkPriceImpact(provider, config, tokenAddress, pool, quote) {
+  if (!(config.maxPriceImpactPercent > 0)) return null;
+
+  const estimate = await estimatePriceImpact(provider, config, tokenAddress, pool, quote);
+  if (!estimate) return null;
+
+  const impactPct = estimate.impactBps / 100;
+  const maxBps = Math.round(config.maxPriceImpactPercent * 100);
+
+  if (estimate.impactBps <= maxBps) {
+    logger.info(`  Price impact: ${impactPct.toFixed(2)}% (max ${config.maxPriceImpactPercent}%)`);
+    return null;
+  }
+
+  const amountIn = downsizeAmount(config.buyAmountWei, estimate.impactBps, maxBps);
+  if (config.priceImpactAction === 'downsize' && amountIn > 0n) {
+    logger.warn(
+      `  Price impact ${impactPct.toFixed(2)}% exceeds ${config.maxPriceImpactPercent}% — ` +
+      `downsizing buy to ${ethers.formatEther(amountIn)} ${config.chain.nativeSymbol}`
+    );
+    return { impactPct, amountIn };
+  }
+
+  const error = new Error(
+    `Price impact ${impactPct.toFixed(2)}% exceeds MAX_PRICE_IMPACT_PERCENT (${config.maxPriceImpactPercent}%)`
+  );
+  error.priceImpact = { percent: impactPct, source: estimate.source, maxAmountIn: amountIn.toString() };
+  throw error;
+}
+
+module.exports = {
+  getPairReserves,
+  impactBps,
+  downsizeAmount,
+  estimatePriceImpact,
+  checkPriceImpact,
+  PRICE_IMPACT_ACTIONS,
+};
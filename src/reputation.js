@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { MAX_BLOCK_RANGE, fetchNewPairs } = require('./discovery');
+const { getPairReserves } = require('./priceImpact');
+const { identifyTokens } = require('./poolSelector');
+
+const OWNERSHIP_TRANSFERRED_TOPIC = ethers.id('OwnershipTransferred(address,address)');
+
+// Cap on tracked tokens; the oldest clean ones are pruned first, rugged ones are kept as evidence
+const MAX_TRACKED_TOKENS = 5000;
+
+// Cap on the PairCreated index; the pairs from the oldest blocks are pruned first
+const MAX_INDEXED_PAIRS = 20000;
+
+/**
+ * Local deployer reputation database (DEPLOYER_DB_PATH), keyed by lowercased address:
+ * - `tokens`: token → { deployer, pair, quoteToken, peakQuoteReserve, lastQuoteReserve, rugged, firstSeen, checkedAt }
+ *   for analyzed tokens and earlier tokens of their deployers
+ * - `deployers`: deployer → tracked tokens it deployed
+ * - `pairs`: token → { pair, quoteToken, blockNumber, creator, addedQuote } — factory PairCreated index,
+ *   including tokens the bot never analyzed. `creator` sent the transaction that created the pair
+ *   (the wallet that listed the token); `addedQuote` is the native amount it sent (addLiquidityETH)
+ *   when the quote is the wrapped native token
+ * - `pairsBlock`: last block the index covers
+ * Reserves and `addedQuote` are decimal strings of the quote-token side of the V2 pair.
+ */
+function emptyDb() {
+  return { tokens: {}, deployers: {}, pairs: {}, pairsBlock: null };
+}
+
+/**
+ * Read the database. A missing or unreadable file starts an empty one.
+ */
+function loadReputationDb(dbPath) {
+  if (!fs.existsSync(dbPath)) return emptyDb();
+  try {
+    const { tokens = {}, deployers = {}, pairs = {}, pairsBlock = null } = JSON.parse(fs.readFileSync(dbPath, 'utf-8'));
+    return { tokens, deployers, pairs, pairsBlock };
+  } catch (err) {
+    logger.warn(`Deployer database ${dbPath} is unreadable (${err.message}) — starting a new one`);
+    return emptyDb();
+  }
+}
+
+/**
+ * Write the database through a temp file so a crash never leaves it half-written.
+ * Never throws — reputation is advisory.
+ */
+function saveReputationDb(dbPath, db) {
+  try {
+    fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+    const tmp = `${dbPath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(db, null, 2));
+    fs.renameSync(tmp, dbPath);
+    return true;
+  } catch (err) {
+    logger.warn(`Failed to write deployer database ${dbPath}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Drop the least recently checked clean tokens until at most `maxTokens` remain.
+ * Rugged tokens are never dropped. Mutates and returns `db`.
+ */
+function pruneReputationDb(db, maxTokens = MAX_TRACKED_TOKENS) {
+  const excess = Object.keys(db.tokens).length - maxTokens;
+  if (excess <= 0) return db;
+
+  const dropped = new Set(
+    Object.entries(db.tokens)
+      .filter(([, record]) => !record.rugged)
+      .sort(([, a], [, b]) => (a.checkedAt < b.checkedAt ? -1 : a.checkedAt > b.checkedAt ? 1 : 0))
+      .slice(0, excess)
+      .map(([token]) => token)
+  );
+  for (const token of dropped) delete db.tokens[token];
+  for (const [deployer, tokens] of Object.entries(db.deployers)) {
+    const kept = tokens.filter((t) => !dropped.has(t));
+    if (kept.length > 0) db.deployers[deployer] = kept;
+    else delete db.deployers[deployer];
+  }
+  return db;
+}
+
+/**
+ * Add PairCreated entries ({ token, pair, quoteToken, blockNumber, creator, addedQuote }) to the
+ * index and drop the oldest beyond `maxPairs`. Mutates and returns `db`.
+ */
+function recordPairs(db, entries, maxPairs = MAX_INDEXED_PAIRS) {
+  for (const { token, ...entry } of entries) {
+    db.pairs[token.toLowerCase()] = entry;
+    if (db.pairsBlock === null || entry.blockNumber > db.pairsBlock) db.pairsBlock = entry.blockNumber;
+  }
+
+  const excess = Object.keys(db.pairs).length - maxPairs;
+  if (excess > 0) {
+    Object.entries(db.pairs)
+      .sort(([, a], [, b]) => a.blockNumber - b.blockNumber)
+      .slice(0, excess)
+      .forEach(([token]) => delete db.pairs[token]);
+  }
+  return db;
+}
+
+/**
+ * Index discovery candidates ({ token, quoteToken, pair, blockNumber, txHash }), reading each
+ * pair's creator and added native liquidity from its transaction. Tokens already indexed are
+ * not read again; a transaction that cannot be read leaves the entry without a creator.
+ * Mutates and returns `db`.
+ */
+async function indexPairs(provider, chain, db, candidates) {
+  const wrapped = chain.wrappedNative.address.toLowerCase();
+  const entries = [];
+
+  for (const { token, quoteToken, pair, blockNumber, txHash } of candidates) {
+    if (db.pairs[token.toLowerCase()]) continue;
+    const tx = txHash ? await provider.getTransaction(txHash).catch(() => null) : null;
+    const value = tx?.value ?? 0n;
+    entries.push({
+      token,
+      pair,
+      quoteToken,
+      blockNumber,
+      creator: tx?.from ? ethers.getAddress(tx.from) : null,
+      addedQuote: quoteToken.toLowerCase() === wrapped && value > 0n ? value.toString() : null,
+    });
+  }
+
+  return recordPairs(db, entries);
+}
+
+/**
+ * Index PairCreated events of the chain's V2 factory from where the index stopped (at most
+ * `config.pairIndexBlocks` back) up to `head`. Mutates `db`; the caller saves it.
+ *
+ * @returns {number} new pairs indexed
+ */
+async function catchUpPairIndex(provider, config, db, head) {
+  const fromBlock = Math.max(db.pairsBlock === null ? 0 : db.pairsBlock + 1, head - config.pairIndexBlocks + 1, 0);
+  if (fromBlock > head) return 0;
+
+  logger.info(`Indexing PairCreated events in blocks ${fromBlock}–${head}...`);
+  const before = Object.keys(db.pairs).length;
+  const candidates = await fetchNewPairs(provider, config.pancakeFactory, fromBlock, head, config.chain.quoteTokens);
+  await indexPairs(provider, config.chain, db, candidates);
+  db.pairsBlock = head;
+  return Object.keys(db.pairs).length - before;
+}
+
+/**
+ * Find who deployed the token, using the holder scan's block range:
+ * 1. the creation transaction — a contract-creation tx in `holders.creationBlock`
+ *    whose CREATE address is the token
+ * 2. the first OwnershipTransferred event from the zero address (factory-made tokens)
+ * 3. the recipient of the first mint
+ *
+ * @returns {{ address: string, source: 'creation'|'ownership'|'mint' } | null}
+ */
+async function findDeployer(provider, tokenAddress, holders) {
+  if (!holders) return null;
+  const token = tokenAddress.toLowerCase();
+
+  if (holders.creationBlock !== null && holders.creationBlock !== undefined) {
+    const block = await provider.getBlock(holders.creationBlock, true).catch(() => null);
+    const tx = (block?.prefetchedTransactions || []).find(
+      (t) => !t.to && ethers.getCreateAddress({ from: t.from, nonce: t.nonce }).toLowerCase() === token
+    );
+    if (tx) return { address: ethers.getAddress(tx.from), source: 'creation' };
+  }
+
+  for (let start = holders.fromBlock; start <= holders.toBlock; start += MAX_BLOCK_RANGE) {
+    const logs = await provider
+      .getLogs({
+        address: tokenAddress,
+        topics: [OWNERSHIP_TRANSFERRED_TOPIC, ethers.zeroPadValue(ethers.ZeroAddress, 32)],
+        fromBlock: start,
+        toBlock: Math.min(start + MAX_BLOCK_RANGE - 1, holders.toBlock),
+      })
+      .catch(() => []);
+    if (logs.length > 0) {
+      return { address: ethers.getAddress(ethers.dataSlice(logs[0].topics[2], 12)), source: 'ownership' };
+    }
+  }
+
+  return holders.deployer ? { address: holders.deployer.address, source: 'mint' } : null;
+}
+
+/**
+ * Quote-token reserve of a token's V2 pair, or null when it has no readable pair.
+ */
+async function quoteReserve(provider, record) {
+  if (!record?.pair || !record.quoteToken) return null;
+  const reserves = await getPairReserves(provider, record.pair, record.quoteToken);
+  return reserves ? reserves.reserveToken : null;
+}
+
+/**
+ * Re-read the liquidity of every other token `deployer` launched and mark those
+ * that lost at least `config.rugLiquidityLossPercent` of their peak quote reserve,
+ * then register the current token with its V2 pair: `market.pair` (the PairCreated
+ * pair from discovery, { pairAddress, quoteToken }), else its indexed pair, else `market.pool`.
+ * Tokens in the PairCreated index whose pair the deployer created are tracked from their
+ * first lookup, with the liquidity it added as the starting peak.
+ * Mutates `db`; the caller saves it.
+ *
+ * @returns {{ previous: { token: string, pair: string|null, lossPct: number|null, rugged: boolean }[], rugged: number }}
+ */
+async function checkDeployerReputation(provider, config, db, deployer, tokenAddress, market = {}) {
+  const deployerKey = deployer.toLowerCase();
+  const tokenKey = tokenAddress.toLowerCase();
+  const now = new Date().toISOString();
+  const owned = [...(db.deployers[deployerKey] || [])];
+
+  // Tokens the deployer listed that were never analyzed
+  for (const [token, entry] of Object.entries(db.pairs)) {
+    if (token === tokenKey || db.tokens[token] || entry.creator?.toLowerCase() !== deployerKey) continue;
+    db.tokens[token] = {
+      deployer: ethers.getAddress(deployer),
+      pair: entry.pair,
+      quoteToken: entry.quoteToken,
+      peakQuoteReserve: entry.addedQuote || '0',
+      lastQuoteReserve: null,
+      rugged: false,
+      firstSeen: now,
+      checkedAt: now,
+    };
+    owned.push(token);
+  }
+
+  const previous = [];
+  for (const token of owned.filter((t) => t !== tokenKey)) {
+    const record = db.tokens[token];
+    const current = await quoteReserve(provider, record);
+    if (current === null) {
+      previous.push({ token, pair: record?.pair || null, lossPct: null, rugged: !!record?.rugged });
+      continue;
+    }
+
+    const peak = BigInt(record.peakQuoteReserve || 0);
+    const newPeak = current > peak ? current : peak;
+    const lossPct = newPeak > 0n ? Number(((newPeak - current) * 10000n) / newPeak) / 100 : 0;
+    const rugged = record.rugged || lossPct >= config.rugLiquidityLossPercent;
+    Object.assign(record, {
+      peakQuoteReserve: newPeak.toString(),
+      lastQuoteReserve: current.toString(),
+      rugged,
+      checkedAt: now,
+    });
+    previous.push({ token, pair: record.pair, lossPct, rugged });
+  }
+
+  // --- Register the current token ---
+  const { pair, pool } = market;
+  const known = pair
+    ? { pair: pair.pairAddress, quoteToken: pair.quoteToken }
+    : db.pairs[tokenKey] || { pair: pool?.pairAddress, quoteToken: pool ? identifyTokens(pool, tokenAddress)?.quote?.address : null };
+  const existing = db.tokens[tokenKey];
+  const record = {
+    deployer: ethers.getAddress(deployer),
+    pair: existing?.pair || known.pair || null,
+    quoteToken: existing?.quoteToken || known.quoteToken || null,
+    peakQuoteReserve: existing?.peakQuoteReserve || '0',
+    lastQuoteReserve: existing?.lastQuoteReserve || null,
+    rugged: existing?.rugged || false,
+    firstSeen: existing?.firstSeen || now,
+    checkedAt: now,
+  };
+  const current = await quoteReserve(provider, record);
+  if (current !== null) {
+    if (current > BigInt(record.peakQuoteReserve)) record.peakQuoteReserve = current.toString();
+    record.lastQuoteReserve = current.toString();
+  }
+  db.tokens[tokenKey] = record;
+  db.deployers[deployerKey] = owned.includes(tokenKey) ? owned : [...owned, tokenKey];
+  pruneReputationDb(db);
+
+  return { previous, rugged: previous.filter((p) => p.rugged).length };
+}
+
+module.exports = {
+  loadReputationDb,
+  saveReputationDb,
+  pruneReputationDb,
+  recordPairs,
+  indexPairs,
+  catchUpPairIndex,
+  findDeployer,
+  checkDeployerReputation,
+  emptyDb,
+  MAX_TRACKED_TOKENS,
+  MAX_INDEXED_PAIRS,
+};
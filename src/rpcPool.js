@@ -0,0 +1,288 @@
+const { ethers } = require('ethers');
+const logger = require('./logger');
+
+// Weight of the newest sample in the latency / error-rate moving averages
+const EWMA_ALPHA = 0.3;
+
+// Consecutive transport failures before an endpoint is benched
+const MAX_CONSECUTIVE_ERRORS = 3;
+
+// JSON-RPC error responses that mean "this node won't serve you", not "the call failed"
+const RATE_LIMIT_CODES = [-32005, 429];
+const RATE_LIMIT_PATTERN = /rate limit|too many requests|limit exceeded/i;
+
+// Node already has this exact transaction — an earlier send got it there first
+const ALREADY_KNOWN_PATTERN = /already known|known transaction|already imported|already exists|already in mempool/i;
+
+// Nonce consumed — fine only if it was consumed by this very transaction
+const NONCE_TOO_LOW_PATTERN = /nonce too low|nonce has already been used|nonce expired/i;
+
+/**
+ * Split RPC_URL into endpoints. Accepts a comma-separated list.
+ */
+function parseRpcUrls(value) {
+  return (value || '')
+    .split(',')
+    .map((url) => url.trim())
+    .filter(Boolean);
+}
+
+function errorMessage(err) {
+  return err?.error?.message || err?.info?.error?.message || err?.message || String(err);
+}
+
+/**
+ * Classify an eth_sendRawTransaction failure: 'known', 'nonce' or 'error'.
+ */
+function classifyBroadcastError(err) {
+  const message = errorMessage(err);
+  if (ALREADY_KNOWN_PATTERN.test(message)) return 'known';
+  if (NONCE_TOO_LOW_PATTERN.test(message) || err?.code === 'NONCE_EXPIRED') return 'nonce';
+  return 'error';
+}
+
+/**
+ * JSON-RPC transport for one URL. Used only for its _send() primitive — no
+ * network detection, so an unreachable URL does not stall startup.
+ */
+function createTransport(url, timeoutMs) {
+  const request = new ethers.FetchRequest(url);
+  request.timeout = timeoutMs;
+  return new ethers.JsonRpcProvider(request, undefined, { staticNetwork: true });
+}
+
+function ewma(previous, sample) {
+  return previous === null ? sample : previous * (1 - EWMA_ALPHA) + sample * EWMA_ALPHA;
+}
+
+/**
+ * Order endpoints for the next request: available before benched, in sync before
+ * lagging, then by error rate and latency. Disabled endpoints are dropped.
+ */
+function rankEndpoints(endpoints, maxLagBlocks, now = Date.now()) {
+  const penalty = (e) => (e.benchedUntil > now ? 2 : 0) + (e.lagBlocks > maxLagBlocks ? 1 : 0);
+
+  return endpoints
+    .filter((e) => !e.disabled)
+    .sort(
+      (a, b) =>
+        penalty(a) - penalty(b) ||
+        a.errorRate - b.errorRate ||
+        (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity)
+    );
+}
+
+/**
+ * True if a JSON-RPC response batch contains a rate-limit error.
+ */
+function isRateLimited(responses) {
+  return responses.some(
+    (r) => r.error && (RATE_LIMIT_CODES.includes(r.error.code) || RATE_LIMIT_PATTERN.test(r.error.message || ''))
+  );
+}
+
+/**
+ * Create a pool of JSON-RPC endpoints behind a single ethers provider.
+ *
+ * Every request (reads, gas, receipts, broadcasts) is routed to the best-ranked
+ * endpoint and retried on the next one when the transport fails or the node
+ * rate-limits. Periodic health checks call eth_blockNumber on all endpoints to
+ * refresh latency and block-height lag.
+ *
+ * @param {string[]} urls
+ * @param {object} opts - { timeoutMs, healthIntervalMs, maxLagBlocks, benchMs }
+ * @returns {{ provider, endpoints, send, checkHealth, assertChainId, stop }}
+ */
+function createRpcPool(urls, opts = {}) {
+  const {
+    timeoutMs = 10000,
+    healthIntervalMs = 30000,
+    maxLagBlocks = 5,
+    benchMs = 30000,
+  } = opts;
+
+  if (urls.length === 0) {
+    throw new Error('At least one RPC URL is required');
+  }
+
+  const endpoints = urls.map((url) => ({
+    url,
+    transport: createTransport(url, timeoutMs),
+    latencyMs: null,
+    errorRate: 0,
+    consecutiveErrors: 0,
+    blockNumber: null,
+    lagBlocks: 0,
+    benchedUntil: 0,
+    disabled: false,
+  }));
+
+  function recordSuccess(endpoint, latencyMs) {
+    endpoint.latencyMs = ewma(endpoint.latencyMs, latencyMs);
+    endpoint.errorRate = ewma(endpoint.errorRate, 0);
+    endpoint.consecutiveErrors = 0;
+    endpoint.benchedUntil = 0;
+  }
+
+  function recordFailure(endpoint, reason) {
+    endpoint.errorRate = ewma(endpoint.errorRate, 1);
+    endpoint.consecutiveErrors++;
+    if (endpoint.consecutiveErrors >= MAX_CONSECUTIVE_ERRORS && endpoint.benchedUntil <= Date.now()) {
+      endpoint.benchedUntil = Date.now() + benchMs;
+      logger.warn(`RPC ${endpoint.url} benched for ${benchMs}ms after ${endpoint.consecutiveErrors} failures: ${reason}`);
+    }
+  }
+
+  /**
+   * A node that times out may still have accepted a raw transaction, so the next
+   * endpoint can answer "already known" or "nonce too low" for the very same tx.
+   * Rewrite those errors into the locally computed hash when the tx is ours.
+   */
+  async function acceptOwnTransactions(endpoint, payload, responses) {
+    const requests = [].concat(payload);
+    return Promise.all(
+      responses.map(async (response) => {
+        const request = requests.find((r) => r.id === response.id);
+        if (!response.error || request?.method !== 'eth_sendRawTransaction') return response;
+
+        const hash = ethers.keccak256(request.params[0]);
+        const kind = classifyBroadcastError(response.error);
+        if (kind === 'nonce') {
+          const [lookup] = await endpoint.transport
+            ._send({ jsonrpc: '2.0', id: 1, method: 'eth_getTransactionByHash', params: [hash] })
+            .catch(() => []);
+          if (!lookup?.result) return response;
+        } else if (kind !== 'known') {
+          return response;
+        }
+        return { jsonrpc: '2.0', id: response.id, result: hash };
+      })
+    );
+  }
+
+  /**
+   * Send a raw JSON-RPC payload (single or batch), failing over across endpoints.
+   * JSON-RPC errors other than rate limits (e.g. reverts) are returned as-is, except
+   * a raw transaction the node already has, which resolves to its hash.
+   */
+  async function send(payload) {
+    const ranked = rankEndpoints(endpoints, maxLagBlocks);
+    if (ranked.length === 0) {
+      throw new Error('No usable RPC endpoints');
+    }
+
+    let lastError;
+    for (const endpoint of ranked) {
+      const started = Date.now();
+      try {
+        const responses = await endpoint.transport._send(payload);
+        if (isRateLimited(responses)) {
+          throw new Error('rate limited');
+        }
+        recordSuccess(endpoint, Date.now() - started);
+        return await acceptOwnTransactions(endpoint, payload, responses);
+      } catch (err) {
+        lastError = err;
+        recordFailure(endpoint, err.message);
+        if (ranked.length > 1) {
+          logger.warn(`RPC ${endpoint.url} failed (${err.shortMessage || err.message}), trying next endpoint...`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  async function callEndpoint(endpoint, method) {
+    const started = Date.now();
+    const [response] = await endpoint.transport._send({ jsonrpc: '2.0', id: 1, method, params: [] });
+    if (response?.error) {
+      throw new Error(response.error.message);
+    }
+    return { result: response?.result, latencyMs: Date.now() - started };
+  }
+
+  /**
+   * Probe every endpoint with eth_blockNumber; refresh latency, errors and lag.
+   */
+  async function checkHealth() {
+    await Promise.all(
+      endpoints
+        .filter((e) => !e.disabled)
+        .map(async (endpoint) => {
+          try {
+            const { result, latencyMs } = await callEndpoint(endpoint, 'eth_blockNumber');
+            endpoint.blockNumber = Number(result);
+            recordSuccess(endpoint, latencyMs);
+          } catch (err) {
+            recordFailure(endpoint, err.message);
+          }
+        })
+    );
+
+    const heights = endpoints.filter((e) => !e.disabled && e.blockNumber !== null).map((e) => e.blockNumber);
+    const head = heights.length > 0 ? Math.max(...heights) : null;
+    for (const endpoint of endpoints) {
+      endpoint.lagBlocks = head !== null && endpoint.blockNumber !== null ? head - endpoint.blockNumber : 0;
+    }
+  }
+
+  /**
+   * Disable endpoints serving a different chain. Throws if none are left.
+   */
+  async function assertChainId(expected) {
+    await Promise.all(
+      endpoints
+        .filter((e) => !e.disabled)
+        .map(async (endpoint) => {
+          try {
+            const { result } = await callEndpoint(endpoint, 'eth_chainId');
+            if (BigInt(result) !== BigInt(expected)) {
+              endpoint.disabled = true;
+              logger.warn(`RPC ${endpoint.url} is on chain ${BigInt(result)}, expected ${expected} — disabled`);
+            }
+          } catch (err) {
+            // Unreachable now — keep it, failover will skip it while it is down
+            recordFailure(endpoint, err.message);
+          }
+        })
+    );
+
+    if (endpoints.every((e) => e.disabled)) {
+      const error = new Error(`No RPC endpoint serves chain id ${expected}`);
+      error.chainMismatch = true;
+      throw error;
+    }
+  }
+
+  // ethers' JsonRpcProvider transport hook — route everything through the pool.
+  // Batching is off so one slow endpoint never holds up unrelated calls.
+  const provider = new ethers.JsonRpcProvider(urls[0], undefined, { batchMaxCount: 1 });
+  provider._send = send;
+
+  let timer = null;
+  if (endpoints.length > 1 && healthIntervalMs > 0) {
+    timer = setInterval(() => {
+      checkHealth().catch((err) => logger.warn(`RPC health check failed: ${err.message}`));
+    }, healthIntervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { provider, endpoints, send, checkHealth, assertChainId, stop };
+}
+
+module.exports = {
+  parseRpcUrls,
+  rankEndpoints,
+  isRateLimited,
+  classifyBroadcastError,
+  errorMessage,
+  createTransport,
+  createRpcPool,
+  MAX_CONSECUTIVE_ERRORS,
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { isValidAddress } = require('./validate');
+
+// Points per scorePool() component; a pool's maximum total is their sum (100 by default)
+const DEFAULT_WEIGHTS = Object.freeze({
+  liquidity: 40,
+  volume: 25,
+  turnover: 15,
+  quoteQuality: 10,
+  txActivity: 10,
+});
+
+// Maximum points subtracted by each trading-pattern heuristic in scorePool(); 0 turns one off
+const DEFAULT_PENALTIES = Object.freeze({
+  buySellImbalance: 15,
+  washTrading: 15,
+  volumeSpike: 10,
+});
+
+const FILE_KEYS = ['weights', 'penalties', 'trustedDexes', 'liquidQuotes', 'dexAdjustments', 'minScore'];
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * Check a parsed POOL_SCORING_FILE. Returns a list of problems (empty when valid).
+ */
+function validateScoring(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ['must be a JSON object'];
+
+  const errors = [];
+  for (const key of Object.keys(raw)) {
+    if (!FILE_KEYS.includes(key)) errors.push(`unknown key "${key}" (allowed: ${FILE_KEYS.join(', ')})`);
+  }
+
+  const checkPoints = (key, defaults, kind) => {
+    const obj = raw[key];
+    if (obj === undefined) return;
+    if (typeof obj !== 'object' || obj === null || Array.isArray(obj)) {
+      errors.push(`${key} must be an object`);
+      return;
+    }
+    for (const [name, value] of Object.entries(obj)) {
+      if (!(name in defaults)) {
+        errors.push(`${key}.${name} is not a ${kind} (${Object.keys(defaults).join(', ')})`);
+      } else if (!isNumber(value) || value < 0) {
+        errors.push(`${key}.${name} must be a non-negative number`);
+      }
+    }
+  };
+  checkPoints('weights', DEFAULT_WEIGHTS, 'score component');
+  checkPoints('penalties', DEFAULT_PENALTIES, 'penalty');
+
+  if (raw.trustedDexes !== undefined) {
+    const ok = Array.isArray(raw.trustedDexes) && raw.trustedDexes.length > 0 &&
+      raw.trustedDexes.every((d) => typeof d === 'string' && d.trim());
+    if (!ok) errors.push('trustedDexes must be a non-empty array of DexScreener dex ids');
+  }
+
+  if (raw.liquidQuotes !== undefined) {
+    if (!Array.isArray(raw.liquidQuotes) || raw.liquidQuotes.length === 0) {
+      errors.push('liquidQuotes must be a non-empty array of { address, symbol, tier }');
+    } else {
+      raw.liquidQuotes.forEach((q, i) => {
+        if (!isValidAddress(q?.address)) errors.push(`liquidQuotes[${i}].address is not a valid address`);
+        if (typeof q?.symbol !== 'string' || !q.symbol) errors.push(`liquidQuotes[${i}].symbol is required`);
+        if (q?.tier !== 1 && q?.tier !== 2) errors.push(`liquidQuotes[${i}].tier must be 1 or 2`);
+      });
+    }
+  }
+
+  if (raw.dexAdjustments !== undefined) {
+    if (typeof raw.dexAdjustments !== 'object' || raw.dexAdjustments === null || Array.isArray(raw.dexAdjustments)) {
+      errors.push('dexAdjustments must be an object of dex id → points');
+    } else {
+      for (const [dex, value] of Object.entries(raw.dexAdjustments)) {
+        if (!isNumber(value)) errors.push(`dexAdjustments.${dex} must be a number`);
+      }
+    }
+  }
+
+  if (raw.minScore !== undefined && (!isNumber(raw.minScore) || raw.minScore < 0)) {
+    errors.push('minScore must be a non-negative number');
+  }
+
+  return errors;
+}
+
+/**
+ * Normalize a validated scoring object. Omitted keys fall back to the defaults;
+ * `trustedDexes`/`liquidQuotes` stay null so the chain profile's lists apply.
+ *
+ * @returns {{ weights: object, penalties: object, trustedDexes: Set<string>|null, liquidQuotes: object|null, dexAdjustments: object, minScore: number }}
+ */
+function parseScoring(raw = {}) {
+  const lowerKeys = (obj) => Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [k.toLowerCase(), v]));
+
+  return {
+    weights: { ...DEFAULT_WEIGHTS, ...raw.weights },
+    penalties: { ...DEFAULT_PENALTIES, ...raw.penalties },
+    trustedDexes: raw.trustedDexes ? new Set(raw.trustedDexes.map((d) => d.trim().toLowerCase())) : null,
+    liquidQuotes: raw.liquidQuotes
+      ? Object.fromEntries(raw.liquidQuotes.map((q) => [q.address.toLowerCase(), { symbol: q.symbol, tier: q.tier }]))
+      : null,
+    dexAdjustments: lowerKeys(raw.dexAdjustments),
+    minScore: raw.minScore || 0,
+  };
+}
+
+/**
+ * Read and validate POOL_SCORING_FILE. Throws one error listing every problem.
+ */
+function loadScoringFile(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`POOL_SCORING_FILE not found: ${resolved}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  } catch (err) {
+    throw new Error(`POOL_SCORING_FILE is not valid JSON: ${err.message}`);
+  }
+
+  const errors = validateScoring(raw);
+  if (errors.length > 0) {
+    throw new Error(`POOL_SCORING_FILE ${resolved}: ${errors.join('; ')}`);
+  }
+  return parseScoring(raw);
+}
+
+const DEFAULT_SCORING = Object.freeze(parseScoring());
+
+module.exports = {
+  loadScoringFile,
+  parseScoring,
+  validateScoring,
+  DEFAULT_WEIGHTS,
+  DEFAULT_PENALTIES,
+  DEFAULT_SCORING,
+};
@@ -0,0 +1,106 @@
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { ERC20_ABI } = require('./onchain');
+
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+// Standard Solidity revert payloads
+const ERROR_INTERFACE = new ethers.Interface([
+  'error Error(string reason)',
+  'error Panic(uint256 code)',
+]);
+
+/**
+ * Extract a human-readable revert reason from an ethers call/estimateGas error.
+ */
+function decodeRevertReason(err) {
+  if (err.reason) return err.reason;
+  if (err.revert) return `${err.revert.name}(${err.revert.args.join(', ')})`;
+
+  const data = err.data || err.info?.error?.data;
+  if (typeof data === 'string' && data.length >= 10) {
+    try {
+      const parsed = ERROR_INTERFACE.parseError(data);
+      if (parsed) return parsed.name === 'Error' ? parsed.args[0] : `${parsed.name}(${parsed.args.join(', ')})`;
+    } catch { /* unknown selector */ }
+    return `custom error ${data.slice(0, 10)}`;
+  }
+
+  return err.shortMessage || err.message;
+}
+
+/**
+ * Measure the taker's token balance change from the swap using eth_simulateV1,
+ * which executes balanceOf → swap → balanceOf against shared state.
+ * Returns null when the RPC does not support eth_simulateV1.
+ */
+async function simulateBalanceDelta(provider, tx, tokenAddress) {
+  const balanceCall = {
+    from: tx.from,
+    to: tokenAddress,
+    data: erc20Interface.encodeFunctionData('balanceOf', [tx.from]),
+  };
+  const swapCall = {
+    from: tx.from,
+    to: tx.to,
+    data: tx.data,
+    value: ethers.toQuantity(tx.value),
+  };
+
+  let blocks;
+  try {
+    blocks = await provider.send('eth_simulateV1', [
+      { blockStateCalls: [{ calls: [balanceCall, swapCall, balanceCall] }], validation: false },
+      'latest',
+    ]);
+  } catch {
+    return null;
+  }
+
+  const [before, swap, after] = blocks?.[0]?.calls || [];
+  if (!before || !swap || !after || BigInt(swap.status) !== 1n) return null;
+
+  return BigInt(after.returnData) - BigInt(before.returnData);
+}
+
+/**
+ * Pre-flight the exact 0x transaction from the taker address.
+ *
+ * 1. provider.call() — catches reverts and decodes the reason
+ * 2. provider.estimateGas()
+ * 3. eth_simulateV1 token balance delta (best effort)
+ *
+ * @returns {{ ok: boolean, reason?: string, gasEstimate?: bigint, balanceDelta?: bigint|null }}
+ */
+async function simulateSwap(provider, quote, taker, tokenAddress) {
+  logger.info('Simulating swap transaction (eth_call)...');
+
+  const tx = {
+    from: taker,
+    to: quote.transaction.to,
+    data: quote.transaction.data,
+    value: BigInt(quote.transaction.value),
+  };
+
+  try {
+    await provider.call(tx);
+  } catch (err) {
+    return { ok: false, reason: `eth_call reverted: ${decodeRevertReason(err)}` };
+  }
+
+  let gasEstimate;
+  try {
+    gasEstimate = await provider.estimateGas(tx);
+  } catch (err) {
+    return { ok: false, reason: `estimateGas failed: ${decodeRevertReason(err)}` };
+  }
+
+  const balanceDelta = await simulateBalanceDelta(provider, tx, tokenAddress);
+  if (balanceDelta !== null && balanceDelta <= 0n) {
+    return { ok: false, reason: 'Simulated swap delivered no tokens', gasEstimate, balanceDelta };
+  }
+
+  return { ok: true, gasEstimate, balanceDelta };
+}
+
+module.exports = { simulateSwap, simulateBalanceDelta, decodeRevertReason };
@@ -1,6 +1,17 @@
+const { ethers } = require('ethers');
 const logger = require('./logger');
 const { client } = require('./http');
 const { withRetry } = require('./retry');
+const { ERC20_ABI } = require('./onchain');
+const { simulateSwap } = require('./simulate');
+const { buildPancakeQuote } = require('./pancake');
+const { isZeroxTarget } = require('./chains');
+const { sendAndConfirm, waitForReceipt } = require('./txSender');
+const { withNonce } = require('./nonceManager');
+const { checkPriceImpact } = require('./priceImpact');
+
+// approve() on a standard ERC20 costs ~46k gas; leave headroom for tokens with hooks
+const APPROVE_GAS_LIMIT = 100000;
 
 const ZEROX_HEADERS = (apiKey) => ({
   '0x-api-key': apiKey,
@@ -15,7 +26,7 @@ async function getQuote(config, sellToken, buyToken, sellAmount, taker) {
   const { data } = await client.get(`${config.zeroxApiUrl}/swap/allowance-holder/price`, {
     headers: ZEROX_HEADERS(config.routerZeroxApiKey),
     params: {
-      chainId: 56,
+      chainId: config.chain.chainId,
       sellToken,
       buyToken,
       sellAmount: sellAmount.toString(),
@@ -37,32 +48,22 @@ function formatRoute(route) {
 }
 
 /**
- * Execute a buy swap via 0x Swap API v2.
- *
- * 1. GET /swap/allowance-holder/quote with retry
- * 2. Check liquidityAvailable
- * 3. wallet.sendTransaction({ to, data, value, gasLimit })
- * 4. tx.wait() → check receipt.status
- *
- * @returns {{ hash: string, buyAmount: string, minBuyAmount: string, route: object }}
+ * Request a firm quote (with calldata) from 0x /quote, retrying transient errors.
+ * Throws if the quote's `transaction.to` is not a known 0x contract for the chain —
+ * the calldata would otherwise be signed against an arbitrary address.
  */
-async function executeBuy(wallet, config, tokenAddress, gasSettings) {
-  logger.step(`Swapping ${config.buyAmountBnb} BNB for token via 0x...`);
-
-  const sellAmount = config.buyAmountWei;
-
-  // 1. Get quote with calldata from 0x
+async function fetchSwapQuote(config, sellToken, buyToken, sellAmount, taker) {
   logger.info('Getting quote from 0x aggregator...');
   const quote = await withRetry(
     () =>
       client.get(`${config.zeroxApiUrl}/swap/allowance-holder/quote`, {
         headers: ZEROX_HEADERS(config.routerZeroxApiKey),
         params: {
-          chainId: 56,
-          sellToken: config.nativeToken,
-          buyToken: tokenAddress,
+          chainId: config.chain.chainId,
+          sellToken,
+          buyToken,
           sellAmount: sellAmount.toString(),
-          taker: wallet.address,
+          taker,
           slippageBps: config.slippageBps,
         },
       }),
@@ -75,22 +76,25 @@ async function executeBuy(wallet, config, tokenAddress, gasSettings) {
     }
   ).then((res) => res.data);
 
-  // 2. Check liquidity
   if (quote.liquidityAvailable === false) {
     throw new Error('No liquidity available for this token on any DEX');
   }
 
-  logger.info(`  Buy amount: ${quote.buyAmount} (raw)`);
-  logger.info(`  Min buy amount: ${quote.minBuyAmount}`);
-  logger.info(`  Route: ${formatRoute(quote.route)}`);
-
-  // Check sell tax from token metadata
-  const sellTaxBps = quote.tokenMetadata?.buyToken?.sellTaxBps;
-  if (sellTaxBps && parseInt(sellTaxBps) > 0) {
-    logger.warn(`  Token has sell tax: ${(parseInt(sellTaxBps) / 100).toFixed(1)}%`);
+  if (!isZeroxTarget(config.chain, quote.transaction?.to)) {
+    throw new Error(
+      `0x quote targets unknown contract ${quote.transaction?.to} on ${config.chain.name} — refusing to send`
+    );
   }
 
-  // 3. Send transaction
+  return quote;
+}
+
+/**
+ * Send the 0x quote transaction and wait for the receipt.
+ * Throws with `error.txHash` set if the transaction reverts on-chain.
+ * `hash` is the version that was mined — a replacement if the original got stuck.
+ */
+async function sendQuoteTransaction(wallet, config, quote, gasSettings) {
   logger.info('Sending swap transaction...');
   const txRequest = {
     to: quote.transaction.to,
@@ -103,29 +107,297 @@ async function executeBuy(wallet, config, tokenAddress, gasSettings) {
     txRequest.gasPrice = gasSettings.gasPrice;
   }
 
-  const tx = await wallet.sendTransaction(txRequest);
-  logger.info(`  TX Hash: ${tx.hash}`);
-  logger.info('Waiting for confirmation...');
-
-  // 4. Wait for confirmation
-  const receipt = await tx.wait();
+  // Speeds up / cancels the tx if it is stuck longer than TX_CONFIRM_TIMEOUT_SEC
+  const { hash, receipt, replacedHashes } = await sendAndConfirm(wallet, config, txRequest);
 
   if (receipt.status === 0) {
     const error = new Error('Transaction reverted on-chain');
-    error.txHash = tx.hash;
+    error.txHash = hash;
+    error.replacedHashes = replacedHashes;
     throw error;
   }
 
   logger.success('Swap confirmed!');
+  if (replacedHashes.length > 0) {
+    logger.info(`  Mined replacement ${hash} (replaced ${replacedHashes.join(', ')})`);
+  }
   logger.info(`  Block: ${receipt.blockNumber}`);
   logger.info(`  Gas used: ${receipt.gasUsed.toString()}`);
 
+  return { hash, receipt, replacedHashes };
+}
+
+/**
+ * Make sure the 0x spender may pull `amount` of the token from the wallet.
+ * Spender comes from `issues.allowance.spender` (falls back to `allowanceTarget`)
+ * and must be a known 0x contract for the chain.
+ * Approves exactly `amount` when the current allowance is insufficient.
+ */
+async function ensureAllowance(wallet, config, tokenAddress, quote, amount, gasSettings) {
+  const spender = quote.issues?.allowance?.spender || quote.allowanceTarget;
+  if (!spender) {
+    throw new Error('0x quote did not return an allowance spender');
+  }
+  if (!isZeroxTarget(config.chain, spender)) {
+    throw new Error(`0x allowance spender ${spender} is not a known 0x contract on ${config.chain.name}`);
+  }
+
+  const token = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+  const current = await token.allowance(wallet.address, spender);
+
+  if (current >= amount) {
+    logger.info(`  Allowance OK for spender ${spender}`);
+    return null;
+  }
+
+  logger.info(`Approving ${spender} to spend ${amount.toString()} (raw)...`);
+  const overrides = { gasLimit: APPROVE_GAS_LIMIT };
+  if (gasSettings?.gasPrice) {
+    overrides.gasPrice = gasSettings.gasPrice;
+  }
+
+  const tx = await withNonce(config.nonceManager, overrides, (o) => token.approve(spender, amount, o));
+  logger.info(`  Approve TX: ${tx.hash}`);
+  const receipt = await waitForReceipt(wallet, config, tx);
+
+  if (receipt.status === 0) {
+    const error = new Error('Approve transaction reverted on-chain');
+    error.txHash = tx.hash;
+    throw error;
+  }
+
+  logger.success('Approval confirmed');
+  return tx.hash;
+}
+
+/**
+ * Run the quote transaction through simulateSwap() and throw if it would fail.
+ * The thrown error carries the simulation result in `error.simulation`.
+ */
+async function preflightBuy(wallet, quote, tokenAddress) {
+  const sim = await simulateSwap(wallet.provider, quote, wallet.address, tokenAddress);
+
+  if (!sim.ok) {
+    const error = new Error(`Simulation failed: ${sim.reason}`);
+    error.simulation = sim;
+    throw error;
+  }
+
+  logger.success(`Simulation OK (gas estimate: ${sim.gasEstimate.toString()})`);
+  if (sim.balanceDelta === null) {
+    logger.info('  Token balance delta: unavailable (RPC lacks eth_simulateV1)');
+  } else {
+    logger.info(`  Simulated tokens received: ${sim.balanceDelta.toString()} (raw)`);
+    if (sim.balanceDelta < BigInt(quote.minBuyAmount)) {
+      logger.warn('  Simulated amount is below minBuyAmount — token likely has a transfer tax');
+    }
+  }
+}
+
+/**
+ * Absolute difference, in percent, between the token amount the honeypot /price
+ * check returned and the amount in the firm quote for the same BNB input.
+ */
+function priceDeviationPercent(expectedAmount, quotedAmount) {
+  const expected = BigInt(expectedAmount);
+  if (expected === 0n) return 0;
+  const diff = BigInt(quotedAmount) - expected;
+  return Number(((diff < 0n ? -diff : diff) * 10000n) / expected) / 100;
+}
+
+/**
+ * Throw if the firm quote moved more than MAX_PRICE_DEVIATION_PERCENT away from
+ * the /price check. The thrown error carries `error.priceDeviation`.
+ */
+function checkPriceDeviation(config, expectedAmount, quotedAmount) {
+  if (!(config.maxPriceDeviationPercent > 0) || !expectedAmount) return;
+
+  const percent = priceDeviationPercent(expectedAmount, quotedAmount);
+  if (percent > config.maxPriceDeviationPercent) {
+    const error = new Error(
+      `Price moved ${percent.toFixed(2)}% between the /price check and the quote (max ${config.maxPriceDeviationPercent}%)`
+    );
+    error.priceDeviation = { expected: String(expectedAmount), quoted: String(quotedAmount), percent };
+    throw error;
+  }
+  logger.info(`  Price deviation vs /price check: ${percent.toFixed(2)}%`);
+}
+
+/**
+ * Get a buy quote from the configured backend (SWAP_BACKEND).
+ * - '0x'      — 0x allowance-holder /quote
+ * - 'pancake' — direct PancakeSwap V2 router
+ * - 'auto'    — 0x, falling back to PancakeSwap V2 if 0x fails or has no liquidity
+ *
+ * @returns {{ backend: string, quote: object }}
+ */
+async function getBuyQuote(wallet, config, tokenAddress, pool) {
+  const backend = config.swapBackend || '0x';
+
+  if (backend === 'pancake') {
+    return {
+      backend,
+      quote: await buildPancakeQuote(wallet.provider, config, tokenAddress, wallet.address, pool),
+    };
+  }
+
+  try {
+    const quote = await fetchSwapQuote(
+      config,
+      config.nativeToken,
+      tokenAddress,
+      config.buyAmountWei,
+      wallet.address
+    );
+    return { backend: '0x', quote };
+  } catch (err) {
+    if (backend !== 'auto') throw err;
+
+    logger.warn(`0x quote failed: ${err.message}. Falling back to ${config.chain.name} V2 router...`);
+    return {
+      backend: 'pancake',
+      quote: await buildPancakeQuote(wallet.provider, config, tokenAddress, wallet.address, pool),
+    };
+  }
+}
+
+/**
+ * Execute a buy swap via 0x Swap API v2 or the PancakeSwap V2 router.
+ *
+ * 1. Get quote from SWAP_BACKEND (0x /quote with retry, or router getAmountsOut)
+ * 2. Check liquidityAvailable
+ * 3. Compare buyAmount with the honeypot /price amount (MAX_PRICE_DEVIATION_PERCENT)
+ * 4. Price impact on the selected pool's reserves (MAX_PRICE_IMPACT_PERCENT) — refuse or downsize and re-quote
+ * 5. Pre-flight eth_call simulation (if SIMULATE_BEFORE_BUY)
+ * 6. wallet.sendTransaction({ to, data, value, gasLimit })
+ * 7. wait for the receipt (speed-up / cancel on TX_CONFIRM_TIMEOUT_SEC) → check receipt.status
+ *
+ * `pool` is the DexScreener pool chosen by analyzePools(); the router backend uses it for the path.
+ * `opts.expectedBuyAmount` is the token amount from the honeypot /price check; the
+ * quote must stay within MAX_PRICE_DEVIATION_PERCENT of it.
+ *
+ * Errors before anything is sent are tagged: `error.quoteError` (no quote from the
+ * backend), `error.priceDeviation`, `error.priceImpact`, `error.simulation`.
+ * `amountIn` in the result is the BNB actually spent — less than BUY_AMOUNT_BNB after a downsize.
+ *
+ * @returns {{ hash: string, replacedHashes: string[], backend: string, amountIn: bigint, blockNumber: number, gasUsed: bigint, buyAmount: string, minBuyAmount: string, route: object }}
+ */
+async function executeBuy(wallet, config, tokenAddress, gasSettings, pool, opts = {}) {
+  const backendLabel = config.swapBackend === 'pancake' ? `${config.chain.name} V2 router` : '0x';
+  logger.step(`Swapping ${config.buyAmountBnb} ${config.chain.nativeSymbol} for token via ${backendLabel}...`);
+
+  const quoteFor = async (buyConfig) => {
+    try {
+      return await getBuyQuote(wallet, buyConfig, tokenAddress, pool);
+    } catch (err) {
+      err.quoteError = true;
+      throw err;
+    }
+  };
+
+  let { backend, quote } = await quoteFor(config);
+
+  logger.info(`  Buy amount: ${quote.buyAmount} (raw)`);
+  logger.info(`  Min buy amount: ${quote.minBuyAmount}`);
+  logger.info(`  Route: ${formatRoute(quote.route)}`);
+
+  checkPriceDeviation(config, opts.expectedBuyAmount, quote.buyAmount);
+
+  let amountIn = config.buyAmountWei;
+  const downsized = await checkPriceImpact(wallet.provider, config, tokenAddress, pool, quote);
+  if (downsized) {
+    amountIn = downsized.amountIn;
+    ({ backend, quote } = await quoteFor({
+      ...config,
+      buyAmountWei: amountIn,
+      buyAmountBnb: ethers.formatEther(amountIn),
+    }));
+    logger.info(`  Buy amount: ${quote.buyAmount} (raw) for ${ethers.formatEther(amountIn)} ${config.chain.nativeSymbol}`);
+    logger.info(`  Min buy amount: ${quote.minBuyAmount}`);
+  }
+
+  // Check sell tax from token metadata
+  const sellTaxBps = quote.tokenMetadata?.buyToken?.sellTaxBps;
+  if (sellTaxBps && parseInt(sellTaxBps) > 0) {
+    logger.warn(`  Token has sell tax: ${(parseInt(sellTaxBps) / 100).toFixed(1)}%`);
+  }
+
+  if (config.simulateBeforeBuy) {
+    await preflightBuy(wallet, quote, tokenAddress);
+  }
+
+  const { hash, receipt, replacedHashes } = await sendQuoteTransaction(wallet, config, quote, gasSettings);
+
   return {
-    hash: tx.hash,
+    hash,
+    replacedHashes,
+    backend,
+    amountIn,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
     buyAmount: quote.buyAmount,
     minBuyAmount: quote.minBuyAmount,
     route: quote.route,
   };
 }
 
-module.exports = { getQuote, executeBuy, formatRoute, ZEROX_HEADERS };
+/**
+ * Execute a sell swap (token → native coin) via 0x Swap API v2.
+ *
+ * 1. GET /swap/allowance-holder/quote with retry
+ * 2. Approve the allowance-holder spender if needed
+ * 3. wallet.sendTransaction() → wait for the receipt (speed-up / cancel) → check receipt.status
+ *
+ * @param {bigint} sellAmount - raw token amount to sell
+ * @returns {{ hash: string, replacedHashes: string[], approveHash: string|null, blockNumber: number, gasUsed: bigint, buyAmount: string, minBuyAmount: string, route: object }}
+ */
+async function executeSell(wallet, config, tokenAddress, sellAmount, gasSettings) {
+  logger.step(`Swapping ${sellAmount.toString()} (raw) tokens for ${config.chain.nativeSymbol} via 0x...`);
+
+  const quote = await fetchSwapQuote(
+    config,
+    tokenAddress,
+    config.nativeToken,
+    sellAmount,
+    wallet.address
+  );
+
+  logger.info(`  Expected ${config.chain.nativeSymbol}: ${ethers.formatEther(quote.buyAmount)}`);
+  logger.info(`  Min ${config.chain.nativeSymbol}: ${ethers.formatEther(quote.minBuyAmount)}`);
+  logger.info(`  Route: ${formatRoute(quote.route)}`);
+
+  const sellTaxBps = quote.tokenMetadata?.sellToken?.sellTaxBps;
+  if (sellTaxBps && parseInt(sellTaxBps) > 0) {
+    logger.warn(`  Token has sell tax: ${(parseInt(sellTaxBps) / 100).toFixed(1)}%`);
+  }
+
+  const approveHash = await ensureAllowance(wallet, config, tokenAddress, quote, sellAmount, gasSettings);
+
+  // The quote was priced before the approval landed — refresh it so calldata is current
+  const finalQuote = approveHash
+    ? await fetchSwapQuote(config, tokenAddress, config.nativeToken, sellAmount, wallet.address)
+    : quote;
+
+  const { hash, receipt, replacedHashes } = await sendQuoteTransaction(wallet, config, finalQuote, gasSettings);
+
+  return {
+    hash,
+    replacedHashes,
+    approveHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    buyAmount: finalQuote.buyAmount,
+    minBuyAmount: finalQuote.minBuyAmount,
+    route: finalQuote.route,
+  };
+}
+
+module.exports = {
+  getQuote,
+  executeBuy,
+  executeSell,
+  ensureAllowance,
+  formatRoute,
+  priceDeviationPercent,
+  ZEROX_HEADERS,
+};
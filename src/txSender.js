@@ -0,0 +1,225 @@
+const { ethers } = require('ethers');
+const logger = require('./logger');
+const { withNonce } = require('./nonceManager');
+
+// Nodes reject a same-nonce replacement unless every fee field rises by at least 10%
+const MIN_REPLACEMENT_BUMP_PERCENT = 10;
+
+const CANCEL_GAS_LIMIT = 21000;
+
+function ceilPercent(value, percent) {
+  return (value * BigInt(100 + percent) + 99n) / 100n;
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Fee fields of a sent transaction: { gasPrice } or { maxFeePerGas, maxPriorityFeePerGas }.
+ */
+function feesOf(tx) {
+  if (tx.maxFeePerGas != null) {
+    return { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas };
+  }
+  return { gasPrice: tx.gasPrice };
+}
+
+/**
+ * Raise fees by `percent`, capped at `ceilingWei`. Returns null when the cap
+ * leaves less than the 10% bump nodes require for a replacement.
+ */
+function bumpFees(fees, percent, ceilingWei) {
+  const bump = (value, cap) => {
+    const next = ceilPercent(value, percent);
+    const capped = next > cap ? cap : next;
+    return capped >= ceilPercent(value, MIN_REPLACEMENT_BUMP_PERCENT) ? capped : null;
+  };
+
+  if (fees.maxFeePerGas != null) {
+    const maxFeePerGas = bump(fees.maxFeePerGas, ceilingWei);
+    if (maxFeePerGas === null) return null;
+    const maxPriorityFeePerGas = bump(fees.maxPriorityFeePerGas, maxFeePerGas);
+    if (maxPriorityFeePerGas === null) return null;
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  const gasPrice = bump(fees.gasPrice, ceilingWei);
+  return gasPrice === null ? null : { gasPrice };
+}
+
+function formatFees(fees) {
+  const gwei = (v) => `${ethers.formatUnits(v, 'gwei')} gwei`;
+  return fees.maxFeePerGas != null
+    ? `maxFee ${gwei(fees.maxFeePerGas)}, tip ${gwei(fees.maxPriorityFeePerGas)}`
+    : gwei(fees.gasPrice);
+}
+
+/**
+ * Send through the parallel broadcaster when BROADCAST_RPC_URLS is set,
+ * otherwise through the wallet's provider. The nonce comes from the shared
+ * nonce manager unless the request already has one (replacements).
+ */
+function sendTransaction(wallet, config, txRequest) {
+  return withNonce(config.nonceManager, txRequest, (request) =>
+    config.broadcaster ? config.broadcaster.sendTransaction(wallet, request) : wallet.sendTransaction(request)
+  );
+}
+
+/**
+ * Wait for a mined receipt. With a WebSocket block stream (WS_RPC_URL) the
+ * receipt is checked on every new block; otherwise ethers polls over HTTP.
+ */
+async function waitForReceipt(wallet, config, tx) {
+  if (config.blockStream) {
+    return config.blockStream.waitForReceipt(wallet.provider, tx.hash, config.pollIntervalMs);
+  }
+  return tx.wait();
+}
+
+/**
+ * Poll until any of `hashes` is mined or `timeoutMs` passes.
+ * @returns {{ hash: string, receipt: object } | null}
+ */
+async function waitForAnyReceipt(wallet, config, hashes, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  const pollMs = config.pollIntervalMs || 3000;
+
+  for (;;) {
+    for (const hash of hashes) {
+      const receipt = await wallet.provider.getTransactionReceipt(hash);
+      if (receipt) return { hash, receipt };
+    }
+
+    const left = deadline - Date.now();
+    if (left <= 0) return null;
+    const waitMs = Math.min(left, pollMs);
+    await (config.blockStream ? config.blockStream.nextBlock(waitMs) : sleep(waitMs));
+  }
+}
+
+/**
+ * Wait for any of `hashes` with no deadline. Throws only once the nonce was
+ * used by some other transaction, i.e. none of them can be mined any more.
+ */
+async function waitUntilMined(wallet, config, nonce, hashes, pollMs) {
+  for (;;) {
+    const mined = await waitForAnyReceipt(wallet, config, hashes, pollMs);
+    if (mined) return mined;
+
+    const used = await wallet.provider.getTransactionCount(wallet.address, 'latest').catch(() => 0);
+    if (used > nonce) {
+      // The nonce may have been taken by one of ours between the two reads
+      const last = await waitForAnyReceipt(wallet, config, hashes, 0);
+      if (last) return last;
+      const error = new Error(`Transaction not mined — nonce ${nonce} was used by another transaction`);
+      error.txHash = hashes[hashes.length - 1];
+      error.replacedHashes = hashes.slice(0, -1);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Send a transaction and wait for it, replacing it if it gets stuck.
+ *
+ * Without TX_CONFIRM_TIMEOUT_SEC this is sendTransaction() + waitForReceipt().
+ * With it, every timeout re-signs the same nonce with fees bumped by
+ * TX_GAS_BUMP_PERCENT (capped at TX_MAX_GAS_PRICE_GWEI), up to
+ * TX_SPEEDUP_ATTEMPTS times; then, if TX_CANCEL_ON_TIMEOUT, a zero-value
+ * self-transfer takes the nonce. Whichever version is mined wins. When no
+ * cancel is sent (TX_CANCEL_ON_TIMEOUT off, or the cap leaves no room for
+ * another bump) it keeps waiting for the versions already sent.
+ *
+ * Throws with `txHash` (last or mined hash) and `replacedHashes` when the
+ * transaction was cancelled or its nonce was taken by another transaction.
+ *
+ * @returns {{ hash: string, receipt: object, replacedHashes: string[] }}
+ */
+async function sendAndConfirm(wallet, config, txRequest) {
+  const tx = await sendTransaction(wallet, config, txRequest);
+  logger.info(`  TX Hash: ${tx.hash}`);
+  logger.info('Waiting for confirmation...');
+
+  const timeoutMs = (config.txConfirmTimeoutSec || 0) * 1000;
+  if (timeoutMs === 0) {
+    return { hash: tx.hash, receipt: await waitForReceipt(wallet, config, tx), replacedHashes: [] };
+  }
+
+  const ceilingWei = ethers.parseUnits(String(config.txMaxGasPriceGwei), 'gwei');
+  const { gasPrice, maxFeePerGas, maxPriorityFeePerGas, ...baseRequest } = txRequest;
+  const hashes = [tx.hash];
+  let fees = feesOf(tx);
+  let speedups = 0;
+  let cancelHash = null;
+
+  const done = (mined) => ({
+    hash: mined.hash,
+    receipt: mined.receipt,
+    replacedHashes: hashes.filter((h) => h !== mined.hash),
+  });
+
+  for (;;) {
+    const mined = await waitForAnyReceipt(wallet, config, hashes, timeoutMs);
+    if (mined && mined.hash !== cancelHash) return done(mined);
+
+    if (mined || cancelHash) {
+      const error = new Error(
+        mined ? 'Transaction cancelled — nonce taken by zero-value self-transfer' : 'Cancel transaction not confirmed'
+      );
+      error.txHash = mined ? mined.hash : cancelHash;
+      error.replacedHashes = hashes.filter((h) => h !== error.txHash);
+      error.cancelled = !!mined;
+      throw error;
+    }
+
+    // A released nonce below ours would keep this transaction queued forever
+    if (config.nonceManager) {
+      await config.nonceManager.fillGaps();
+    }
+
+    const cancel = speedups >= (config.txSpeedupAttempts || 0);
+    const nextFees = bumpFees(fees, config.txGasBumpPercent, ceilingWei);
+
+    // Nothing more to send: the transaction is still live, so it is not a failure yet
+    if ((cancel && !config.txCancelOnTimeout) || !nextFees) {
+      const why = nextFees ? `${speedups} speed-up(s)` : 'fees are at the TX_MAX_GAS_PRICE_GWEI cap';
+      logger.warn(`  Not confirmed in ${config.txConfirmTimeoutSec}s (${why}) — waiting for it to be mined`);
+      return done(await waitUntilMined(wallet, config, tx.nonce, hashes, timeoutMs));
+    }
+
+    const replacement = cancel
+      ? { to: wallet.address, value: 0n, data: '0x', gasLimit: CANCEL_GAS_LIMIT, nonce: tx.nonce, ...nextFees }
+      : { ...baseRequest, nonce: tx.nonce, ...nextFees };
+
+    if (cancel) {
+      logger.warn(`  Not confirmed in ${config.txConfirmTimeoutSec}s — cancelling with self-transfer (${formatFees(nextFees)})`);
+    } else {
+      speedups++;
+      logger.warn(
+        `  Not confirmed in ${config.txConfirmTimeoutSec}s — speed-up ${speedups}/${config.txSpeedupAttempts} (${formatFees(nextFees)})`
+      );
+    }
+
+    try {
+      const sent = await sendTransaction(wallet, config, replacement);
+      hashes.push(sent.hash);
+      fees = nextFees;
+      if (cancel) cancelHash = sent.hash;
+      logger.info(`  Replacement TX: ${sent.hash}`);
+    } catch (err) {
+      // Typically "nonce too low": an earlier version was mined meanwhile
+      logger.warn(`  Replacement rejected: ${err.shortMessage || err.message}`);
+    }
+  }
+}
+
+module.exports = {
+  feesOf,
+  bumpFees,
+  sendTransaction,
+  waitForReceipt,
+  waitForAnyReceipt,
+  sendAndConfirm,
+  MIN_REPLACEMENT_BUMP_PERCENT,
+};
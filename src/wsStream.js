@@ -0,0 +1,235 @@
+const { ethers } = require('ethers');
+const logger = require('./logger');
+
+// Reconnect backoff: 1s, 2s, 4s ... capped
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+// No newHeads for this long means a half-open socket — reconnect
+const STALL_MS = 60000;
+
+/**
+ * Create a WebSocket block/log stream with automatic reconnect.
+ *
+ * ethers' WebSocketProvider does not reconnect on its own: when the socket
+ * closes, errors or stops delivering blocks, this wrapper destroys it, opens a
+ * new one with exponential backoff and re-registers every subscription
+ * (`block` → eth_subscribe newHeads, filters → eth_subscribe logs).
+ * While the socket is down `connected` is false and callers fall back to
+ * HTTP polling.
+ *
+ * @param {string} url - ws:// or wss:// endpoint
+ * @param {object} opts - { chainId, reconnectBaseMs, reconnectMaxMs, stallMs, connectTimeoutMs }
+ * @returns {{ start, on, nextBlock, waitForReceipt, stop, connected, head, coveredFrom }}
+ */
+function createBlockStream(url, opts = {}) {
+  const {
+    chainId = null,
+    reconnectBaseMs = RECONNECT_BASE_MS,
+    reconnectMaxMs = RECONNECT_MAX_MS,
+    stallMs = STALL_MS,
+    connectTimeoutMs = 10000,
+  } = opts;
+
+  const subscriptions = [];
+  let blockWaiters = [];
+  let ws = null;
+  let connected = false;
+  let stopped = false;
+  let attempt = 0;
+  let reconnectTimer = null;
+  let stallTimer = null;
+  let head = null;
+  let coveredFrom = null;
+
+  function armStallTimer() {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => handleDrop(`no new blocks for ${stallMs}ms`), stallMs);
+    stallTimer.unref();
+  }
+
+  function onBlock(blockNumber) {
+    if (head === null || blockNumber > head) head = blockNumber;
+    armStallTimer();
+
+    const waiters = blockWaiters;
+    blockWaiters = [];
+    for (const resolve of waiters) resolve(blockNumber);
+  }
+
+  async function subscribe(provider) {
+    const network = await provider.getNetwork();
+    if (chainId !== null && network.chainId !== BigInt(chainId)) {
+      const error = new Error(`WebSocket RPC is on chain ${network.chainId}, expected ${chainId}`);
+      error.chainMismatch = true;
+      throw error;
+    }
+
+    // Coverage starts at the current head; earlier blocks are the HTTP poller's job
+    coveredFrom = await provider.getBlockNumber();
+    if (head === null || coveredFrom > head) head = coveredFrom;
+
+    await provider.on('block', onBlock);
+    for (const { event, listener } of subscriptions) {
+      await provider.on(event, listener);
+    }
+  }
+
+  function discard(provider) {
+    provider.destroy().catch(() => {});
+  }
+
+  /**
+   * Open a socket, check its chain id and subscribe everything.
+   */
+  async function connect() {
+    const provider = new ethers.WebSocketProvider(url);
+    let timer;
+    // Until the socket is up, close/error/timeout fail this attempt
+    const failed = new Promise((_, reject) => {
+      provider.websocket.onclose = () => reject(new Error('socket closed'));
+      provider.websocket.onerror = (err) => reject(new Error(err?.message || 'socket error'));
+      timer = setTimeout(() => reject(new Error(`no response in ${connectTimeoutMs}ms`)), connectTimeoutMs);
+    });
+
+    try {
+      await Promise.race([failed, subscribe(provider)]);
+    } catch (err) {
+      discard(provider);
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    provider.websocket.onclose = () => handleDrop('socket closed');
+    provider.websocket.onerror = (err) => handleDrop(err?.message || 'socket error');
+    ws = provider;
+    connected = true;
+    attempt = 0;
+    armStallTimer();
+  }
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) return;
+
+    const delay = Math.min(reconnectBaseMs * 2 ** attempt, reconnectMaxMs);
+    attempt++;
+    reconnectTimer = setTimeout(async () => {
+      reconnectTimer = null;
+      try {
+        await connect();
+        logger.success(`WebSocket RPC reconnected (block ${head})`);
+      } catch (err) {
+        if (err.chainMismatch) {
+          logger.error(`${err.message} — WebSocket disabled, staying on HTTP polling`);
+          stop();
+          return;
+        }
+        logger.warn(`WebSocket reconnect failed: ${err.message}`);
+        scheduleReconnect();
+      }
+    }, delay);
+    reconnectTimer.unref();
+  }
+
+  function handleDrop(reason) {
+    if (!connected) return;
+
+    connected = false;
+    clearTimeout(stallTimer);
+    logger.warn(`WebSocket RPC dropped (${reason}) — falling back to HTTP polling`);
+    if (ws) discard(ws);
+    ws = null;
+    scheduleReconnect();
+  }
+
+  /**
+   * Connect for the first time. Returns false (and keeps retrying in the
+   * background) when the endpoint is unreachable; throws on a chain id mismatch.
+   */
+  async function start() {
+    try {
+      await connect();
+      return true;
+    } catch (err) {
+      if (err.chainMismatch) throw err;
+      logger.warn(`WebSocket RPC unavailable: ${err.message}`);
+      scheduleReconnect();
+      return false;
+    }
+  }
+
+  /**
+   * Subscribe to `block` or a log filter. Kept across reconnects.
+   */
+  function on(event, listener) {
+    subscriptions.push({ event, listener });
+    if (ws) {
+      ws.on(event, listener).catch((err) => handleDrop(err.message));
+    }
+  }
+
+  /**
+   * Resolve on the next newHeads block, or after `timeoutMs` (with null) —
+   * so callers keep their HTTP polling cadence while the socket is down.
+   */
+  function nextBlock(timeoutMs) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        blockWaiters = blockWaiters.filter((w) => w !== wake);
+        resolve(null);
+      }, timeoutMs);
+      const wake = (blockNumber) => {
+        clearTimeout(timer);
+        resolve(blockNumber);
+      };
+      blockWaiters.push(wake);
+    });
+  }
+
+  /**
+   * Wait for a transaction receipt, checking once per new block (or every
+   * `pollIntervalMs` over HTTP while the socket is down).
+   */
+  async function waitForReceipt(provider, hash, pollIntervalMs = 3000) {
+    for (;;) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+      await nextBlock(pollIntervalMs);
+    }
+  }
+
+  function stop() {
+    stopped = true;
+    connected = false;
+    clearTimeout(reconnectTimer);
+    clearTimeout(stallTimer);
+    reconnectTimer = null;
+    if (ws) discard(ws);
+    ws = null;
+  }
+
+  return {
+    start,
+    on,
+    nextBlock,
+    waitForReceipt,
+    stop,
+    get connected() {
+      return connected;
+    },
+    get head() {
+      return head;
+    },
+    get coveredFrom() {
+      return coveredFrom;
+    },
+  };
+}
+
+module.exports = {
+  createBlockStream,
+  RECONNECT_BASE_MS,
+  RECONNECT_MAX_MS,
+  STALL_MS,
+};
@@ -15,11 +15,13 @@ jest.mock('../src/http', () => ({
 
 const { ethers } = require('ethers');
 const { client } = require('../src/http');
+const { CHAINS } = require('../src/chains');
 
 const TOKEN_ADDR = '0x1234567890abcdef1234567890abcdef12345678';
 const AMOUNT_WEI = 10_000_000_000_000_000n; // 0.01 BNB
 
 const BASE_CONFIG = {
+  chain: CHAINS.bsc,
   routerZeroxApiKey: 'test-api-key',
   zeroxApiUrl: 'https://api.0x.org',
   nativeToken: '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE',
@@ -289,8 +291,26 @@ describe('checkHoneypot', () => {
 // === runAntiScamChecks ===
 
 describe('runAntiScamChecks', () => {
-  function setupRunAntiScamChecks(httpMocks) {
+  let checkLpLock;
+  let analyzeHolders;
+  let findTopHolders;
+  let reputation;
+
+  function setupRunAntiScamChecks(httpMocks, simulation = null, lpLock = null, holders = null) {
     jest.resetModules();
+    jest.doMock('../src/honeypotSim', () => ({ simulateRoundTrip: jest.fn().mockResolvedValue(simulation) }));
+    checkLpLock = jest.fn().mockResolvedValue(lpLock);
+    jest.doMock('../src/lpLock', () => ({ ...jest.requireActual('../src/lpLock'), checkLpLock }));
+    analyzeHolders = jest.fn().mockResolvedValue(holders);
+    findTopHolders = jest.fn().mockResolvedValue([]);
+    jest.doMock('../src/holders', () => ({ analyzeHolders, findTopHolders }));
+    reputation = {
+      loadReputationDb: jest.fn().mockReturnValue({ pairs: {}, tokens: {}, deployers: {} }),
+      saveReputationDb: jest.fn().mockReturnValue(true),
+      findDeployer: jest.fn().mockResolvedValue(null),
+      checkDeployerReputation: jest.fn(),
+    };
+    jest.doMock('../src/reputation', () => reputation);
     jest.doMock('../src/logger', () => ({
       step: jest.fn(), info: jest.fn(), warn: jest.fn(),
       error: jest.fn(), success: jest.fn(), sep: jest.fn(),
@@ -378,4 +398,346 @@ describe('runAntiScamChecks', () => {
     const result = await runAntiScamChecks(provider, BASE_CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
     expect(result.warnings.some((w) => w.includes('zero supply'))).toBe(true);
   });
+
+  describe('with HONEYPOT_SIMULATION', () => {
+    const CLEAN_QUOTES = [
+      { data: { buyAmount: '1000000', liquidityAvailable: true, tokenMetadata: { buyToken: { sellTaxBps: '0' } } } },
+      { data: { buyAmount: '9500000000000000', liquidityAvailable: true } },
+    ];
+    const CONFIG = { ...BASE_CONFIG, honeypotSimulation: true };
+    const provider = { getStorage: jest.fn().mockResolvedValue('0x' + '0'.repeat(64)) };
+    const tokenInfo = { totalSupply: 1000000n };
+    const taxes = (buyTaxPct, transferTaxPct, sellTaxPct) => ({ ok: true, buyTaxPct, transferTaxPct, sellTaxPct });
+
+    test('stores the simulation in details.honeypot and stays low risk without taxes', async () => {
+      const { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES, taxes(0, 0, 0.5));
+
+      const result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+
+      expect(result.riskLevel).toBe('low');
+      expect(result.details.honeypot.simulation).toEqual(taxes(0, 0, 0.5));
+    });
+
+    test('grades simulated taxes', async () => {
+      let { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES, taxes(5, 0, 5));
+      let result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+      expect(result.riskLevel).toBe('medium');
+      expect(result.warnings).toEqual(['Simulated tax: buy 5.0%, transfer 0.0%, sell 5.0%']);
+
+      ({ runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES, taxes(0, 25, 0)));
+      result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+      expect(result.riskLevel).toBe('high');
+
+      ({ runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES, taxes(0, 0, 99)));
+      result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+      expect(result.riskLevel).toBe('critical');
+    });
+
+    test('a failed sell is critical, a reverted buy is only a warning', async () => {
+      let { runAntiScamChecks } = setupRunAntiScamChecks(
+        CLEAN_QUOTES,
+        { ok: false, stage: 'sell', reason: 'TRANSFER_FROM_FAILED', honeypot: true }
+      );
+      let result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+      expect(result.riskLevel).toBe('critical');
+      expect(result.warnings).toEqual(['HONEYPOT RISK: simulated sell failed: TRANSFER_FROM_FAILED']);
+
+      ({ runAntiScamChecks } = setupRunAntiScamChecks(
+        CLEAN_QUOTES,
+        { ok: false, stage: 'buy', reason: 'Trading not enabled', honeypot: false }
+      ));
+      result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+      expect(result.riskLevel).toBe('medium');
+    });
+
+    test('skips the check when the simulation is unavailable', async () => {
+      const { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES, null);
+
+      const result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+
+      expect(result.riskLevel).toBe('low');
+      expect(result.details.honeypot.simulation).toBeNull();
+    });
+
+    test('treats malformed simulation output as unavailable and finishes the analysis', async () => {
+      const { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES);
+      require('../src/honeypotSim').simulateRoundTrip.mockRejectedValueOnce(new SyntaxError('Cannot convert 0x to a BigInt'));
+      const logger = require('../src/logger');
+
+      const result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+
+      expect(logger.info).toHaveBeenCalledWith('  On-chain simulation unavailable (Cannot convert 0x to a BigInt)');
+      expect(result.details.honeypot.simulation).toBeNull();
+      expect(result.details.ownership).toBeDefined();
+      expect(result.riskLevel).toBe('low');
+    });
+  });
+
+  describe('bytecode scan', () => {
+    const CLEAN_QUOTES = [
+      { data: { buyAmount: '1000000', liquidityAvailable: true, tokenMetadata: { buyToken: { sellTaxBps: '0' } } } },
+      { data: { buyAmount: '9500000000000000', liquidityAvailable: true } },
+    ];
+    const tokenInfo = { totalSupply: 1000000n };
+    const code = (...sigs) =>
+      '0x' + sigs.map((sig) => `8063${ethers.id(sig).slice(2, 10)}1461010057`).join('');
+
+    test('warns per capability and raises risk to high above the score threshold', async () => {
+      const { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES);
+      const provider = {
+        getStorage: jest.fn().mockResolvedValue('0x' + '0'.repeat(64)),
+        getCode: jest.fn().mockResolvedValue(code('mint(address,uint256)', 'blacklist(address)')),
+      };
+
+      const result = await runAntiScamChecks(provider, BASE_CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+
+      expect(result.riskLevel).toBe('high');
+      expect(result.warnings).toEqual([
+        'Owner can mint new supply (+30): mint(address,uint256)',
+        'Owner can blacklist/whitelist holders (+30): blacklist(address)',
+        'High bytecode risk score: 60',
+      ]);
+      expect(result.details.bytecode.selectors).toHaveLength(2);
+    });
+
+    test('low-weight findings are medium risk', async () => {
+      const { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES);
+      const provider = {
+        getStorage: jest.fn().mockResolvedValue('0x' + '0'.repeat(64)),
+        getCode: jest.fn().mockResolvedValue(code('excludeFromFee(address)')),
+      };
+
+      const result = await runAntiScamChecks(provider, BASE_CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+
+      expect(result.riskLevel).toBe('medium');
+      expect(result.details.bytecode.score).toBe(5);
+    });
+
+    test('scans the implementation of a proxy', async () => {
+      const { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES);
+      const impl = '0x1234567890abcdef1234567890abcdef12345678';
+      const provider = {
+        getStorage: jest.fn().mockResolvedValue('0x000000000000000000000000' + impl.slice(2)),
+        getCode: jest.fn().mockResolvedValue(code('pause()')),
+      };
+
+      const result = await runAntiScamChecks(provider, BASE_CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+
+      expect(provider.getCode).toHaveBeenCalledWith(ethers.getAddress(impl));
+      expect(result.details.bytecode.findings.map((f) => f.key)).toEqual(['trading']);
+    });
+  });
+
+  describe('LP lock check', () => {
+    const CLEAN_QUOTES = [
+      { data: { buyAmount: '1000000', liquidityAvailable: true, tokenMetadata: { buyToken: { sellTaxBps: '0' } } } },
+      { data: { buyAmount: '9500000000000000', liquidityAvailable: true } },
+    ];
+    const provider = { getStorage: jest.fn().mockResolvedValue('0x' + '0'.repeat(64)) };
+    const tokenInfo = { totalSupply: 1000000n };
+    const POOL = { pairAddress: '0x00000000000000000000000000000000000000cc' };
+    const lp = (burnedPct, lockedPct, holders = []) => ({
+      pair: POOL.pairAddress,
+      burnedPct,
+      lockedPct,
+      withdrawablePct: 100 - burnedPct - lockedPct,
+      lockers: [],
+      holders,
+    });
+
+    test('mostly withdrawable LP is high risk', async () => {
+      const owner = { address: '0x00000000000000000000000000000000000000Aa', pct: 80, eoa: true };
+      const { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES, null, lp(10, 10, [owner]));
+
+      const result = await runAntiScamChecks(provider, BASE_CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo, { pool: POOL });
+
+      expect(checkLpLock).toHaveBeenCalledWith(provider, BASE_CONFIG, POOL, [null, undefined, TOKEN_ADDR]);
+      expect(findTopHolders).not.toHaveBeenCalled();
+      expect(result.riskLevel).toBe('high');
+      expect(result.warnings).toEqual([
+        'LP mostly withdrawable: 80% not burned or locked (burned 10%, locked 10%)' +
+          ' — 80% held by EOA 0x00000000000000000000000000000000000000Aa',
+      ]);
+      expect(result.details.lpLock.withdrawablePct).toBe(80);
+    });
+
+    test('burned or locked LP adds no warning', async () => {
+      const { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES, null, lp(60, 35));
+
+      const result = await runAntiScamChecks(provider, BASE_CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo, { pool: POOL });
+
+      expect(result.riskLevel).toBe('low');
+    });
+
+    test('checks the deployer and the largest LP holders from the holder scan window', async () => {
+      const DEPLOYER = '0x00000000000000000000000000000000000000d1';
+      const LP_WHALE = '0x00000000000000000000000000000000000000e1';
+      const scan = { fromBlock: 1, toBlock: 100, complete: true, transfers: 1, holderCount: 1, top: [], top10Pct: 0, owner: null, deployer: null };
+      const deployerLp = { address: DEPLOYER, pct: 90, eoa: true };
+      const { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES, null, lp(5, 5, [deployerLp]), scan);
+      reputation.findDeployer.mockResolvedValue({ address: DEPLOYER, source: 'creation' });
+      findTopHolders.mockResolvedValue([DEPLOYER, LP_WHALE]);
+      const config = { ...BASE_CONFIG, holderScanBlocks: 100 };
+
+      const result = await runAntiScamChecks(provider, config, TOKEN_ADDR, AMOUNT_WEI, tokenInfo, { pool: POOL });
+
+      expect(findTopHolders).toHaveBeenCalledWith(provider, POOL.pairAddress, 1, 100);
+      expect(checkLpLock).toHaveBeenCalledWith(provider, config, POOL, [null, DEPLOYER, TOKEN_ADDR, DEPLOYER, LP_WHALE]);
+      expect(result.warnings).toEqual([
+        `LP mostly withdrawable: 90% not burned or locked (burned 5%, locked 5%) — 90% held by EOA ${DEPLOYER}`,
+      ]);
+    });
+
+    test('logs the real error when the LP read fails', async () => {
+      const { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES);
+      checkLpLock.mockRejectedValue(new Error('rpc timeout'));
+      const logger = require('../src/logger');
+
+      const result = await runAntiScamChecks(provider, BASE_CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo, { pool: POOL });
+
+      expect(logger.warn).toHaveBeenCalledWith('  LP lock check failed: rpc timeout');
+      expect(logger.info).not.toHaveBeenCalledWith(expect.stringContaining('V3/V4'));
+      expect(result.details.lpLock).toBeNull();
+    });
+
+    test('is skipped without a selected pool', async () => {
+      const { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES, null, lp(0, 0));
+
+      const result = await runAntiScamChecks(provider, BASE_CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+
+      expect(checkLpLock).not.toHaveBeenCalled();
+      expect(result.details.lpLock).toBeUndefined();
+    });
+  });
+
+  describe('holder concentration', () => {
+    const CLEAN_QUOTES = [
+      { data: { buyAmount: '1000000', liquidityAvailable: true, tokenMetadata: { buyToken: { sellTaxBps: '0' } } } },
+      { data: { buyAmount: '9500000000000000', liquidityAvailable: true } },
+    ];
+    const provider = { getStorage: jest.fn().mockResolvedValue('0x' + '0'.repeat(64)) };
+    const tokenInfo = { totalSupply: 1000000n };
+    const CONFIG = { ...BASE_CONFIG, holderScanBlocks: 20000, maxHolderPercent: 20 };
+    const WHALE = '0x00000000000000000000000000000000000000Aa';
+    const DEPLOYER = '0x00000000000000000000000000000000000000d1';
+    const holders = (top, deployer = null) => ({
+      fromBlock: 1,
+      toBlock: 100,
+      complete: true,
+      transfers: 10,
+      holderCount: 5,
+      top,
+      top10Pct: top.reduce((sum, h) => sum + h.pct, 0),
+      owner: null,
+      deployer,
+    });
+
+    test('warns once per wallet above MAX_HOLDER_PERCENT', async () => {
+      const deployer = { address: DEPLOYER, pct: 30 };
+      const { runAntiScamChecks } = setupRunAntiScamChecks(
+        CLEAN_QUOTES,
+        null,
+        null,
+        holders([deployer, { address: WHALE, pct: 25 }, { address: TOKEN_ADDR, pct: 5 }], deployer)
+      );
+      const pools = [{ pairAddress: '0x00000000000000000000000000000000000000cc' }];
+
+      const result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo, { pools });
+
+      expect(analyzeHolders).toHaveBeenCalledWith(provider, CONFIG, TOKEN_ADDR, {
+        owner: null,
+        excluded: ['0x00000000000000000000000000000000000000cc'],
+      });
+      expect(result.riskLevel).toBe('high');
+      expect(result.warnings).toEqual([
+        `Concentrated supply: deployer ${DEPLOYER} holds 30% (max 20%)`,
+        `Concentrated supply: holder ${WHALE} holds 25% (max 20%)`,
+      ]);
+      expect(result.details.holders.top10Pct).toBe(60);
+    });
+
+    test('distributed supply adds no warning', async () => {
+      const { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES, null, null, holders([{ address: WHALE, pct: 8 }]));
+
+      const result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+
+      expect(result.riskLevel).toBe('low');
+    });
+
+    test('is skipped with HOLDER_SCAN_BLOCKS=0 or when the scan fails', async () => {
+      let { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES);
+      await runAntiScamChecks(provider, BASE_CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+      expect(analyzeHolders).not.toHaveBeenCalled();
+
+      ({ runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES));
+      analyzeHolders.mockRejectedValueOnce(new Error('block range too large'));
+      const result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+      expect(result.details.holders).toBeNull();
+      expect(result.riskLevel).toBe('low');
+    });
+  });
+
+  describe('deployer reputation', () => {
+    const CLEAN_QUOTES = [
+      { data: { buyAmount: '1000000', liquidityAvailable: true, tokenMetadata: { buyToken: { sellTaxBps: '0' } } } },
+      { data: { buyAmount: '9500000000000000', liquidityAvailable: true } },
+    ];
+    const provider = { getStorage: jest.fn().mockResolvedValue('0x' + '0'.repeat(64)) };
+    const tokenInfo = { totalSupply: 1000000n };
+    const CONFIG = { ...BASE_CONFIG, deployerDbPath: '/tmp/deployers.json', rugLiquidityLossPercent: 80 };
+    const DEPLOYER = '0x00000000000000000000000000000000000000d1';
+    const PREV = (n, rugged) => ({ token: `0x${String(n).padStart(40, '0')}`, pair: null, lossPct: rugged ? 95 : 10, rugged });
+
+    function setup(previous) {
+      const mod = setupRunAntiScamChecks(CLEAN_QUOTES);
+      reputation.findDeployer.mockResolvedValue({ address: DEPLOYER, source: 'creation' });
+      reputation.checkDeployerReputation.mockResolvedValue({ previous, rugged: previous.filter((p) => p.rugged).length });
+      return mod;
+    }
+
+    test('flags a serial rugger as critical and saves the database', async () => {
+      const { runAntiScamChecks } = setup([PREV(1, true), PREV(2, true), PREV(3, false)]);
+      const market = { pool: { pairAddress: '0x00000000000000000000000000000000000000cc' } };
+
+      const result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo, market);
+
+      expect(result.riskLevel).toBe('critical');
+      expect(result.warnings).toContain(
+        `SERIAL RUGGER: deployer ${DEPLOYER} — 2 of 3 previous tokens lost ≥80% of their liquidity`
+      );
+      const db = reputation.loadReputationDb.mock.results[0].value;
+      expect(reputation.checkDeployerReputation).toHaveBeenCalledWith(provider, CONFIG, db, DEPLOYER, TOKEN_ADDR, market);
+      expect(reputation.saveReputationDb).toHaveBeenCalledWith('/tmp/deployers.json', db);
+      expect(result.details.deployer).toMatchObject({ address: DEPLOYER, source: 'creation', rugged: 2 });
+    });
+
+    test('one rugged token is high risk', async () => {
+      const { runAntiScamChecks } = setup([PREV(1, true), PREV(2, false)]);
+
+      const result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+
+      expect(result.riskLevel).toBe('high');
+      expect(result.warnings).toEqual([`Deployer ${DEPLOYER} rugged a previous token (${PREV(1).token}) — 2 known`]);
+    });
+
+    test('a clean history adds no warning', async () => {
+      const { runAntiScamChecks } = setup([PREV(1, false)]);
+
+      const result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+
+      expect(result.riskLevel).toBe('low');
+      expect(reputation.saveReputationDb).toHaveBeenCalled();
+    });
+
+    test('is skipped when the deployer cannot be identified', async () => {
+      const { runAntiScamChecks } = setupRunAntiScamChecks(CLEAN_QUOTES);
+
+      const result = await runAntiScamChecks(provider, CONFIG, TOKEN_ADDR, AMOUNT_WEI, tokenInfo);
+
+      expect(reputation.findDeployer).toHaveBeenCalledWith(provider, TOKEN_ADDR, null);
+      expect(reputation.checkDeployerReputation).not.toHaveBeenCalled();
+      expect(reputation.saveReputationDb).not.toHaveBeenCalled();
+      expect(result.details.deployer).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,156 @@
+jest.mock('../src/logger', () => ({
+  step: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+  sep: jest.fn(),
+}));
+
+const { ethers } = require('ethers');
+const logger = require('../src/logger');
+const { classifyBroadcastError, createBroadcaster } = require('../src/broadcast');
+
+const RELAY_A = 'https://relay-a.test';
+const RELAY_B = 'https://relay-b.test';
+const SIGNED_TX = '0x02f86a38808080808080c0';
+const HASH = ethers.keccak256(SIGNED_TX);
+
+function rpcError(message, code = -32000) {
+  return [{ jsonrpc: '2.0', id: 1, error: { code, message } }];
+}
+
+// Replace each relay's HTTP transport with a mock
+function mockBroadcaster(handlers) {
+  const broadcaster = createBroadcaster(Object.keys(handlers));
+  for (const endpoint of broadcaster.endpoints) {
+    endpoint.transport._send = jest.fn(handlers[endpoint.url]);
+  }
+  return broadcaster;
+}
+
+function mockProvider(overrides = {}) {
+  return {
+    send: jest.fn().mockResolvedValue(HASH),
+    getTransaction: jest.fn().mockResolvedValue(null),
+    waitForTransaction: jest.fn().mockResolvedValue({ status: 1 }),
+    ...overrides,
+  };
+}
+
+// === classifyBroadcastError ===
+
+describe('classifyBroadcastError', () => {
+  test('recognizes already-known transactions', () => {
+    expect(classifyBroadcastError(new Error('already known'))).toBe('known');
+    expect(classifyBroadcastError({ error: { message: 'Known transaction: 0xabc' } })).toBe('known');
+  });
+
+  test('recognizes used nonces', () => {
+    expect(classifyBroadcastError(new Error('nonce too low: next nonce 5, tx nonce 4'))).toBe('nonce');
+    expect(classifyBroadcastError({ code: 'NONCE_EXPIRED', message: 'x' })).toBe('nonce');
+  });
+
+  test('everything else is an error', () => {
+    expect(classifyBroadcastError(new Error('insufficient funds for gas'))).toBe('error');
+  });
+});
+
+// === createBroadcaster ===
+
+describe('createBroadcaster', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('sends the raw transaction to the main provider and every relay', async () => {
+    const broadcaster = mockBroadcaster({
+      [RELAY_A]: async () => [{ jsonrpc: '2.0', id: 1, result: HASH }],
+      [RELAY_B]: async () => [{ jsonrpc: '2.0', id: 1, result: HASH }],
+    });
+    const provider = mockProvider();
+
+    const result = await broadcaster.broadcast(provider, SIGNED_TX);
+
+    expect(result.hash).toBe(HASH);
+    expect(provider.send).toHaveBeenCalledWith('eth_sendRawTransaction', [SIGNED_TX]);
+    for (const endpoint of broadcaster.endpoints) {
+      expect(endpoint.transport._send).toHaveBeenCalledWith(
+        expect.objectContaining({ method: 'eth_sendRawTransaction', params: [SIGNED_TX] })
+      );
+    }
+  });
+
+  test('reports the endpoint that accepted first', async () => {
+    const broadcaster = mockBroadcaster({
+      [RELAY_A]: async () => [{ jsonrpc: '2.0', id: 1, result: HASH }],
+    });
+    const provider = mockProvider({ send: jest.fn(() => new Promise((r) => setTimeout(() => r(HASH), 50))) });
+
+    const result = await broadcaster.broadcast(provider, SIGNED_TX);
+
+    expect(result.endpoint).toBe(RELAY_A);
+    expect(logger.info).toHaveBeenCalledWith(expect.stringContaining(`first accepted by ${RELAY_A}`));
+  });
+
+  test('treats "already known" as accepted', async () => {
+    const broadcaster = mockBroadcaster({ [RELAY_A]: async () => rpcError('already known') });
+    const provider = mockProvider({ send: jest.fn().mockRejectedValue(new Error('already known')) });
+
+    await expect(broadcaster.broadcast(provider, SIGNED_TX)).resolves.toMatchObject({ hash: HASH });
+  });
+
+  test('treats "nonce too low" as accepted only for our own hash', async () => {
+    const broadcaster = mockBroadcaster({ [RELAY_A]: async () => rpcError('nonce too low') });
+
+    const seen = mockProvider({
+      send: jest.fn().mockRejectedValue(new Error('nonce too low')),
+      getTransaction: jest.fn().mockResolvedValue({ hash: HASH }),
+    });
+    await expect(broadcaster.broadcast(seen, SIGNED_TX)).resolves.toMatchObject({ hash: HASH });
+    expect(seen.getTransaction).toHaveBeenCalledWith(HASH);
+
+    const unseen = mockProvider({ send: jest.fn().mockRejectedValue(new Error('nonce too low')) });
+    await expect(broadcaster.broadcast(unseen, SIGNED_TX)).rejects.toThrow('rejected by all 2 broadcast endpoints');
+  });
+
+  test('succeeds while at least one endpoint accepts', async () => {
+    const broadcaster = mockBroadcaster({
+      [RELAY_A]: async () => {
+        throw new Error('ECONNREFUSED');
+      },
+    });
+    const provider = mockProvider();
+
+    await expect(broadcaster.broadcast(provider, SIGNED_TX)).resolves.toMatchObject({ endpoint: 'RPC_URL' });
+    await new Promise((r) => setImmediate(r));
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining(`Broadcast to ${RELAY_A} failed: ECONNREFUSED`));
+  });
+
+  test('throws with every reason when all endpoints reject', async () => {
+    const broadcaster = mockBroadcaster({ [RELAY_A]: async () => rpcError('insufficient funds for gas') });
+    const provider = mockProvider({ send: jest.fn().mockRejectedValue(new Error('insufficient funds')) });
+
+    await expect(broadcaster.broadcast(provider, SIGNED_TX)).rejects.toThrow(
+      `RPC_URL: insufficient funds; ${RELAY_A}: insufficient funds for gas`
+    );
+  });
+
+  test('sendTransaction signs locally and waits via the provider', async () => {
+    const broadcaster = mockBroadcaster({ [RELAY_A]: async () => [{ jsonrpc: '2.0', id: 1, result: HASH }] });
+    const provider = mockProvider();
+    const wallet = {
+      provider,
+      populateTransaction: jest.fn().mockResolvedValue({ to: '0x1', nonce: 3 }),
+      signTransaction: jest.fn().mockResolvedValue(SIGNED_TX),
+    };
+
+    const tx = await broadcaster.sendTransaction(wallet, { to: '0x1', value: 1n });
+
+    expect(wallet.populateTransaction).toHaveBeenCalledWith({ to: '0x1', value: 1n });
+    expect(wallet.signTransaction).toHaveBeenCalledWith({ to: '0x1', nonce: 3 });
+    expect(tx.hash).toBe(HASH);
+    expect(await tx.wait()).toEqual({ status: 1 });
+    expect(provider.waitForTransaction).toHaveBeenCalledWith(HASH);
+  });
+});
@@ -0,0 +1,87 @@
+const { ethers } = require('ethers');
+const {
+  checkBytecode,
+  scanBytecode,
+  extractSelectors,
+  DANGEROUS_CAPABILITIES,
+  HIGH_RISK_SCORE,
+} = require('../src/bytecodeScan');
+
+const TOKEN_ADDR = '0x1234567890abcdef1234567890abcdef12345678';
+
+const selector = (sig) => ethers.id(sig).slice(2, 10);
+
+// solc-style dispatcher: selector = calldata >> 224, then DUP1 PUSH4 sel EQ PUSH2 dest JUMPI per function
+function dispatcher(signatures) {
+  const branches = signatures.map((sig, i) => `8063${selector(sig)}14${(0x100 + i).toString(16).padStart(4, '0')}57`);
+  return `0x60003560e01c${branches.join('')}00`;
+}
+
+const ERC20 = ['transfer(address,uint256)', 'balanceOf(address)', 'approve(address,uint256)'];
+
+describe('extractSelectors', () => {
+  test('reads PUSH4 … EQ dispatcher entries', () => {
+    expect(extractSelectors(dispatcher(ERC20))).toEqual(ERC20.map((sig) => `0x${selector(sig)}`).sort());
+  });
+
+  test('accepts PUSH4 followed by DUPn before EQ', () => {
+    const code = `0x63${selector('pause()')}8114`;
+    expect(extractSelectors(code)).toEqual([`0x${selector('pause()')}`]);
+  });
+
+  test('left-pads selectors pushed with fewer than 4 bytes', () => {
+    // Optimized dispatchers push 0x0000abcd as PUSH2 0xabcd and 0x00abcdef as PUSH3
+    const code = '0x8061abcd14' + '62abcdef8114' + '600114';
+    expect(extractSelectors(code)).toEqual(['0x00000001', '0x0000abcd', '0x00abcdef']);
+  });
+
+  test('skips PUSH data and PUSH4 not compared with EQ', () => {
+    // PUSH32 whose data looks like PUSH4 sel EQ, then a PUSH4 used as a mask
+    const fake = `63${selector('mint(uint256)')}14`.padEnd(64, '0');
+    const code = `0x7f${fake}63ffffffff16`;
+    expect(extractSelectors(code)).toEqual([]);
+  });
+});
+
+describe('scanBytecode', () => {
+  test('plain ERC20 has no findings', () => {
+    expect(scanBytecode(dispatcher(ERC20))).toMatchObject({ findings: [], score: 0 });
+  });
+
+  test('groups dangerous functions by capability and sums weights once each', () => {
+    const result = scanBytecode(
+      dispatcher([...ERC20, 'mint(address,uint256)', 'setFee(uint256)', 'setSellFee(uint256)', 'rescueETH()'])
+    );
+
+    expect(result.findings).toEqual([
+      { key: 'mint', label: 'mint new supply', weight: 30, functions: ['mint(address,uint256)'] },
+      { key: 'fees', label: 'change fees/taxes', weight: 20, functions: ['setFee(uint256)', 'setSellFee(uint256)'] },
+      { key: 'withdraw', label: 'withdraw/rescue contract funds', weight: 15, functions: ['rescueETH()'] },
+    ]);
+    expect(result.score).toBe(65);
+    expect(result.score).toBeGreaterThanOrEqual(HIGH_RISK_SCORE);
+    expect(result.selectors).toHaveLength(7);
+  });
+
+  test('every capability signature has a distinct selector', () => {
+    const all = DANGEROUS_CAPABILITIES.flatMap((c) => Object.keys(c.selectors));
+    expect(new Set(all).size).toBe(DANGEROUS_CAPABILITIES.reduce((n, c) => n + c.signatures.length, 0));
+  });
+});
+
+describe('checkBytecode', () => {
+  test('scans the code at the given address', async () => {
+    const provider = { getCode: jest.fn().mockResolvedValue(dispatcher(['blacklist(address)'])) };
+
+    const result = await checkBytecode(provider, TOKEN_ADDR);
+
+    expect(provider.getCode).toHaveBeenCalledWith(TOKEN_ADDR);
+    expect(result.address).toBe(TOKEN_ADDR);
+    expect(result.findings.map((f) => f.key)).toEqual(['blacklist']);
+  });
+
+  test('returns null for empty code or RPC errors', async () => {
+    expect(await checkBytecode({ getCode: jest.fn().mockResolvedValue('0x') }, TOKEN_ADDR)).toBeNull();
+    expect(await checkBytecode({ getCode: jest.fn().mockRejectedValue(new Error('RPC error')) }, TOKEN_ADDR)).toBeNull();
+  });
+});
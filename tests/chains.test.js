@@ -0,0 +1,73 @@
+const { ethers } = require('ethers');
+const { CHAINS, CHAIN_KEYS, ZEROX_ALLOWANCE_HOLDERS, getChainProfile, isZeroxTarget, txUrl } = require('../src/chains');
+
+describe('CHAINS', () => {
+  test('includes BSC, BSC testnet, Ethereum, Base and Arbitrum', () => {
+    expect(CHAIN_KEYS).toEqual(expect.arrayContaining(['bsc', 'bsc-testnet', 'ethereum', 'base', 'arbitrum']));
+  });
+
+  test.each(CHAIN_KEYS)('%s has checksummed addresses', (key) => {
+    const chain = CHAINS[key];
+    const addresses = [
+      chain.wrappedNative.address,
+      chain.factory,
+      chain.router,
+      ...chain.stablecoins.map((s) => s.address),
+    ];
+    for (const address of addresses) {
+      expect(ethers.getAddress(address)).toBe(address);
+    }
+  });
+
+  test('derives quote lookups from wrapped native and stablecoins', () => {
+    const bsc = CHAINS.bsc;
+    expect(bsc.liquidQuotes[bsc.wrappedNative.address.toLowerCase()]).toEqual({ symbol: 'WBNB', tier: 1 });
+    expect(bsc.liquidQuotes['0xe9e7cea3dedca5984780bafc599bd69add087d56']).toEqual({ symbol: 'BUSD', tier: 2 });
+    expect(bsc.quoteTokens.size).toBe(4);
+    expect(bsc.trustedDexes.has('pancakeswap')).toBe(true);
+  });
+
+  test('profiles are frozen', () => {
+    expect(Object.isFrozen(CHAINS.base)).toBe(true);
+  });
+});
+
+describe('getChainProfile', () => {
+  test('looks up by key case-insensitively', () => {
+    expect(getChainProfile('Base')).toBe(CHAINS.base);
+  });
+
+  test('looks up by numeric or string chain id', () => {
+    expect(getChainProfile(42161)).toBe(CHAINS.arbitrum);
+    expect(getChainProfile('97')).toBe(CHAINS['bsc-testnet']);
+  });
+
+  test('returns undefined for unknown chains', () => {
+    expect(getChainProfile('solana')).toBeUndefined();
+    expect(getChainProfile(137)).toBeUndefined();
+    expect(getChainProfile(null)).toBeUndefined();
+  });
+});
+
+describe('isZeroxTarget', () => {
+  test('accepts 0x AllowanceHolder case-insensitively', () => {
+    expect(isZeroxTarget(CHAINS.bsc, ZEROX_ALLOWANCE_HOLDERS[0])).toBe(true);
+    expect(isZeroxTarget(CHAINS.base, ZEROX_ALLOWANCE_HOLDERS[1].toLowerCase())).toBe(true);
+  });
+
+  test('rejects unknown or missing addresses', () => {
+    expect(isZeroxTarget(CHAINS.bsc, CHAINS.bsc.router)).toBe(false);
+    expect(isZeroxTarget(CHAINS.bsc, undefined)).toBe(false);
+  });
+
+  test('testnet has no 0x contracts', () => {
+    expect(isZeroxTarget(CHAINS['bsc-testnet'], ZEROX_ALLOWANCE_HOLDERS[0])).toBe(false);
+  });
+});
+
+describe('txUrl', () => {
+  test('builds explorer transaction link', () => {
+    expect(txUrl(CHAINS.bsc, '0xabc')).toBe('https://bscscan.com/tx/0xabc');
+    expect(txUrl(CHAINS.base, '0xabc')).toBe('https://basescan.org/tx/0xabc');
+  });
+});
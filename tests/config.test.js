@@ -1,4 +1,5 @@
-const { bnbToWei, loadConfig, createSafeConfig } = require('../src/config');
+const path = require('path');
+const { bnbToWei, loadConfig, createSafeConfig, parseTakeProfitLadder } = require('../src/config');
 
 describe('bnbToWei', () => {
   test('converts 1 BNB', () => {
@@ -83,6 +84,37 @@ describe('loadConfig', () => {
     delete process.env.MAX_BUY_BNB;
     delete process.env.ROUTER_ZERO_X_API_KEY;
     delete process.env.ZEROX_API_URL;
+    delete process.env.MAX_TOKEN_AGE_SEC;
+    delete process.env.SWAP_BACKEND;
+    delete process.env.TRADE_JOURNAL_PATH;
+    delete process.env.TAKE_PROFIT_LADDER;
+    delete process.env.STOP_LOSS_PERCENT;
+    delete process.env.TRAILING_STOP_PERCENT;
+    delete process.env.MAX_HOLD_SEC;
+    delete process.env.MONITOR_INTERVAL_MS;
+    delete process.env.CHAIN;
+    delete process.env.RPC_TIMEOUT_MS;
+    delete process.env.RPC_HEALTH_INTERVAL_MS;
+    delete process.env.RPC_MAX_LAG_BLOCKS;
+    delete process.env.WS_RPC_URL;
+    delete process.env.BROADCAST_RPC_URLS;
+    delete process.env.TX_CONFIRM_TIMEOUT_SEC;
+    delete process.env.TX_SPEEDUP_ATTEMPTS;
+    delete process.env.TX_GAS_BUMP_PERCENT;
+    delete process.env.TX_MAX_GAS_PRICE_GWEI;
+    delete process.env.TX_CANCEL_ON_TIMEOUT;
+    delete process.env.MAX_PRICE_DEVIATION_PERCENT;
+    delete process.env.MAX_PRICE_IMPACT_PERCENT;
+    delete process.env.PRICE_IMPACT_ACTION;
+    delete process.env.MAX_LIQUIDITY_DIVERGENCE_PERCENT;
+    delete process.env.POOL_SCORING_FILE;
+    delete process.env.HONEYPOT_SIMULATION;
+    delete process.env.LP_LOCKERS;
+    delete process.env.HOLDER_SCAN_BLOCKS;
+    delete process.env.MAX_HOLDER_PERCENT;
+    delete process.env.DEPLOYER_DB_PATH;
+    delete process.env.RUG_LIQUIDITY_LOSS_PERCENT;
+    delete process.env.PAIR_INDEX_BLOCKS;
   });
 
   afterAll(() => {
@@ -150,6 +182,78 @@ describe('loadConfig', () => {
     expect(() => lc()).toThrow('ROUTER_ZERO_X_API_KEY is required');
   });
 
+  test('throws on negative MAX_TOKEN_AGE_SEC', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.MAX_TOKEN_AGE_SEC = '-1';
+    const { loadConfig: lc } = require('../src/config');
+    expect(() => lc()).toThrow('MAX_TOKEN_AGE_SEC must be a non-negative integer');
+  });
+
+  test('throws on unknown SWAP_BACKEND', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.SWAP_BACKEND = 'uniswap';
+    const { loadConfig: lc } = require('../src/config');
+    expect(() => lc()).toThrow('SWAP_BACKEND must be one of: 0x, pancake, auto');
+  });
+
+  test('SWAP_BACKEND defaults to 0x and is case-insensitive', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    const { loadConfig: lc } = require('../src/config');
+    expect(lc().swapBackend).toBe('0x');
+
+    process.env.SWAP_BACKEND = 'Auto';
+    expect(lc().swapBackend).toBe('auto');
+  });
+
+  test('parses exit rules', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.TAKE_PROFIT_LADDER = '4:100,2:50';
+    process.env.STOP_LOSS_PERCENT = '30';
+    process.env.MAX_HOLD_SEC = '3600';
+    const { loadConfig: lc } = require('../src/config');
+    const config = lc();
+    expect(config.takeProfitLadder).toEqual([
+      { multiple: 2, percent: 50 },
+      { multiple: 4, percent: 100 },
+    ]);
+    expect(config.stopLossPercent).toBe(30);
+    expect(config.trailingStopPercent).toBe(0);
+    expect(config.maxHoldSec).toBe(3600);
+    expect(config.monitorIntervalMs).toBe(10000);
+  });
+
+  test('throws on out-of-range STOP_LOSS_PERCENT', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.STOP_LOSS_PERCENT = '100';
+    const { loadConfig: lc } = require('../src/config');
+    expect(() => lc()).toThrow('STOP_LOSS_PERCENT must be in [0, 100)');
+  });
+
+  test('throws on invalid TAKE_PROFIT_LADDER', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.TAKE_PROFIT_LADDER = '2:150';
+    const { loadConfig: lc } = require('../src/config');
+    expect(() => lc()).toThrow('percent must be in (0, 100]');
+  });
+
   test('collects multiple errors', () => {
     const { loadConfig: lc } = require('../src/config');
     try {
@@ -225,6 +329,287 @@ describe('loadConfig', () => {
     expect(config.routerZeroxApiKey).toBe('my-0x-key');
     expect(config.zeroxApiUrl).toBe('https://api.0x.org');
     expect(config.nativeToken).toBe('0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE');
+    expect(config.pancakeRouter).toBe('0x10ED43C718714eb63d5aA57B78B54704E256024E');
+    expect(config.journalPath).toBe('trades.jsonl');
+  });
+
+  test('RPC_URL accepts a comma-separated list of endpoints', () => {
+    process.env.RPC_URL = 'https://rpc-a.test, https://rpc-b.test';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    const { loadConfig: lc } = require('../src/config');
+    const config = lc();
+    expect(config.rpcUrls).toEqual(['https://rpc-a.test', 'https://rpc-b.test']);
+    expect(config.rpcUrl).toBe('https://rpc-a.test');
+    expect(config.rpcTimeoutMs).toBe(10000);
+    expect(config.rpcMaxLagBlocks).toBe(5);
+  });
+
+  test('throws on non-http RPC_URL entry', () => {
+    process.env.RPC_URL = 'https://rpc-a.test,wss://rpc-b.test';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    const { loadConfig: lc } = require('../src/config');
+    expect(() => lc()).toThrow('RPC_URL entry must be an http(s) URL: wss://rpc-b.test');
+  });
+
+  test('stuck transaction settings have defaults', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.MAX_GAS_PRICE_GWEI = '3';
+    const { loadConfig: lc } = require('../src/config');
+    const config = lc();
+    expect(config.txConfirmTimeoutSec).toBe(60);
+    expect(config.txSpeedupAttempts).toBe(2);
+    expect(config.txGasBumpPercent).toBe(20);
+    expect(config.txMaxGasPriceGwei).toBe(3);
+    expect(config.txCancelOnTimeout).toBe(false);
+  });
+
+  test('throws on a replacement bump below 10%', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.TX_GAS_BUMP_PERCENT = '5';
+    const { loadConfig: lc } = require('../src/config');
+    expect(() => lc()).toThrow('TX_GAS_BUMP_PERCENT must be at least 10');
+  });
+
+  test('throws when the speed-up ceiling is below MAX_GAS_PRICE_GWEI', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.MAX_GAS_PRICE_GWEI = '5';
+    process.env.TX_MAX_GAS_PRICE_GWEI = '4';
+    const { loadConfig: lc } = require('../src/config');
+    expect(() => lc()).toThrow('TX_MAX_GAS_PRICE_GWEI must be a number >= MAX_GAS_PRICE_GWEI');
+  });
+
+  test('MAX_PRICE_DEVIATION_PERCENT defaults to 10 and accepts 0', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    const { loadConfig: lc } = require('../src/config');
+    expect(lc().maxPriceDeviationPercent).toBe(10);
+
+    process.env.MAX_PRICE_DEVIATION_PERCENT = '0';
+    expect(lc().maxPriceDeviationPercent).toBe(0);
+  });
+
+  test('throws on an out-of-range MAX_PRICE_DEVIATION_PERCENT', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.MAX_PRICE_DEVIATION_PERCENT = '-1';
+    const { loadConfig: lc } = require('../src/config');
+    expect(() => lc()).toThrow('MAX_PRICE_DEVIATION_PERCENT must be in [0, 100)');
+  });
+
+  test('price impact guard defaults to 10% and refuse', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    const { loadConfig: lc } = require('../src/config');
+    const config = lc();
+    expect(config.maxPriceImpactPercent).toBe(10);
+    expect(config.priceImpactAction).toBe('refuse');
+  });
+
+  test('throws on an unknown PRICE_IMPACT_ACTION', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.PRICE_IMPACT_ACTION = 'shrink';
+    const { loadConfig: lc } = require('../src/config');
+    expect(() => lc()).toThrow('PRICE_IMPACT_ACTION must be one of: refuse, downsize');
+  });
+
+  test('MAX_LIQUIDITY_DIVERGENCE_PERCENT defaults to 50 and is range-checked', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    const { loadConfig: lc } = require('../src/config');
+    expect(lc().maxLiquidityDivergencePercent).toBe(50);
+
+    process.env.MAX_LIQUIDITY_DIVERGENCE_PERCENT = '100';
+    expect(() => lc()).toThrow('MAX_LIQUIDITY_DIVERGENCE_PERCENT must be in [0, 100)');
+  });
+
+  test('parses LP_LOCKERS and rejects invalid entries', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.LP_LOCKERS = ' 0x00000000000000000000000000000000000000bb, ';
+    const { loadConfig: lc } = require('../src/config');
+    expect(lc().lpLockers).toEqual(['0x00000000000000000000000000000000000000bb']);
+
+    process.env.LP_LOCKERS = '0x00000000000000000000000000000000000000bb,0xnope';
+    expect(() => lc()).toThrow('LP_LOCKERS entry is not a valid address: 0xnope');
+  });
+
+  test('parses holder analysis settings', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    const { loadConfig: lc } = require('../src/config');
+    expect(lc()).toMatchObject({ holderScanBlocks: 20000, maxHolderPercent: 20 });
+
+    process.env.HOLDER_SCAN_BLOCKS = '-1';
+    expect(() => lc()).toThrow('HOLDER_SCAN_BLOCKS must be a non-negative integer');
+
+    process.env.HOLDER_SCAN_BLOCKS = '0';
+    process.env.MAX_HOLDER_PERCENT = '0';
+    expect(() => lc()).toThrow('MAX_HOLDER_PERCENT must be in (0, 100]');
+  });
+
+  test('parses deployer reputation settings', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    const { loadConfig: lc } = require('../src/config');
+    expect(lc()).toMatchObject({ deployerDbPath: 'deployers.json', rugLiquidityLossPercent: 80, pairIndexBlocks: 10000 });
+
+    process.env.DEPLOYER_DB_PATH = 'data/rep.json';
+    process.env.RUG_LIQUIDITY_LOSS_PERCENT = '90';
+    process.env.PAIR_INDEX_BLOCKS = '0';
+    expect(lc()).toMatchObject({ deployerDbPath: 'data/rep.json', rugLiquidityLossPercent: 90, pairIndexBlocks: 0 });
+
+    process.env.RUG_LIQUIDITY_LOSS_PERCENT = '120';
+    expect(() => lc()).toThrow('RUG_LIQUIDITY_LOSS_PERCENT must be in (0, 100]');
+
+    process.env.RUG_LIQUIDITY_LOSS_PERCENT = '80';
+    process.env.PAIR_INDEX_BLOCKS = '-5';
+    expect(() => lc()).toThrow('PAIR_INDEX_BLOCKS must be a non-negative integer');
+  });
+
+  test('HONEYPOT_SIMULATION defaults to enabled', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    const { loadConfig: lc } = require('../src/config');
+    expect(lc().honeypotSimulation).toBe(true);
+
+    process.env.HONEYPOT_SIMULATION = 'false';
+    expect(lc().honeypotSimulation).toBe(false);
+  });
+
+  test('uses default scoring without POOL_SCORING_FILE', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    const { loadConfig: lc } = require('../src/config');
+    const { DEFAULT_SCORING } = require('../src/scoring');
+    expect(lc().scoring).toBe(DEFAULT_SCORING);
+  });
+
+  test('loads POOL_SCORING_FILE', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.POOL_SCORING_FILE = path.join(__dirname, '..', 'scoring.example.json');
+    const { loadConfig: lc } = require('../src/config');
+    expect(lc().scoring.minScore).toBe(40);
+  });
+
+  test('reports an invalid POOL_SCORING_FILE as a config error', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.POOL_SCORING_FILE = path.join(__dirname, 'missing-scoring.json');
+    const { loadConfig: lc } = require('../src/config');
+    expect(() => lc()).toThrow('POOL_SCORING_FILE not found');
+  });
+
+  test('BROADCAST_RPC_URLS parses a list and defaults to none', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    const { loadConfig: lc } = require('../src/config');
+    expect(lc().broadcastRpcUrls).toEqual([]);
+
+    process.env.BROADCAST_RPC_URLS = 'https://relay-a.test, https://relay-b.test';
+    expect(lc().broadcastRpcUrls).toEqual(['https://relay-a.test', 'https://relay-b.test']);
+
+    process.env.BROADCAST_RPC_URLS = 'wss://relay.test';
+    expect(() => lc()).toThrow('BROADCAST_RPC_URLS entry must be an http(s) URL: wss://relay.test');
+  });
+
+  test('WS_RPC_URL is optional', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    const { loadConfig: lc } = require('../src/config');
+    expect(lc().wsRpcUrl).toBeNull();
+
+    process.env.WS_RPC_URL = 'wss://node.test/ws';
+    expect(lc().wsRpcUrl).toBe('wss://node.test/ws');
+  });
+
+  test('throws on non-websocket WS_RPC_URL', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.WS_RPC_URL = 'https://node.test';
+    const { loadConfig: lc } = require('../src/config');
+    expect(() => lc()).toThrow('WS_RPC_URL must be a ws:// or wss:// URL');
+  });
+
+  test('CHAIN selects a chain profile', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.CHAIN = 'Base';
+    const { loadConfig: lc } = require('../src/config');
+    const { CHAINS } = require('../src/chains');
+    const config = lc();
+    expect(config.chainSetting).toBe('base');
+    expect(config.chain).toBe(CHAINS.base);
+    expect(config.wbnb).toBe(CHAINS.base.wrappedNative.address);
+    expect(config.pancakeFactory).toBe(CHAINS.base.factory);
+    expect(config.pancakeRouter).toBe(CHAINS.base.router);
+  });
+
+  test('defaults to the BSC profile without CHAIN', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    const { loadConfig: lc } = require('../src/config');
+    const config = lc();
+    expect(config.chainSetting).toBeNull();
+    expect(config.chain.key).toBe('bsc');
+  });
+
+  test('throws on unknown CHAIN', () => {
+    process.env.RPC_URL = 'http://localhost:8545';
+    process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+    process.env.BUY_AMOUNT_BNB = '0.01';
+    process.env.ROUTER_ZERO_X_API_KEY = 'test-key';
+    process.env.CHAIN = 'solana';
+    const { loadConfig: lc } = require('../src/config');
+    expect(() => lc()).toThrow('CHAIN must be one of: bsc, bsc-testnet, ethereum, base, arbitrum');
   });
 
   test('slippageBps is correctly computed from slippagePercent', () => {
@@ -259,3 +644,52 @@ describe('loadConfig', () => {
     expect(config.zeroxApiUrl).toBe('https://custom.api.0x.org');
   });
 });
+
+describe('parseTakeProfitLadder', () => {
+  test('returns [] for empty value', () => {
+    expect(parseTakeProfitLadder(undefined)).toEqual([]);
+    expect(parseTakeProfitLadder('  ')).toEqual([]);
+  });
+
+  test('parses and sorts steps by multiple', () => {
+    expect(parseTakeProfitLadder(' 3 : 100, 1.5:25 ')).toEqual([
+      { multiple: 1.5, percent: 25 },
+      { multiple: 3, percent: 100 },
+    ]);
+  });
+
+  test('rejects multiples of 1 or less', () => {
+    expect(() => parseTakeProfitLadder('1:50')).toThrow('multiple must be > 1');
+  });
+
+  test('rejects malformed steps', () => {
+    expect(() => parseTakeProfitLadder('2')).toThrow('percent must be in (0, 100]');
+  });
+});
+
+describe('resolveChainProfile', () => {
+  const { resolveChainProfile, applyChainProfile } = require('../src/config');
+  const { CHAINS } = require('../src/chains');
+
+  test('uses the RPC chain id when CHAIN is not set', () => {
+    expect(resolveChainProfile({ chainSetting: null, chain: CHAINS.bsc }, 8453n)).toBe(CHAINS.base);
+  });
+
+  test('keeps the configured profile when CHAIN is set', () => {
+    expect(resolveChainProfile({ chainSetting: 'arbitrum', chain: CHAINS.arbitrum }, 56n)).toBe(CHAINS.arbitrum);
+  });
+
+  test('throws for chains without a profile', () => {
+    expect(() => resolveChainProfile({ chainSetting: null }, 137n)).toThrow('Unsupported chain id 137');
+  });
+
+  test('applyChainProfile points router fields at the profile', () => {
+    const config = applyChainProfile({}, CHAINS.ethereum);
+    expect(config).toEqual({
+      chain: CHAINS.ethereum,
+      wbnb: CHAINS.ethereum.wrappedNative.address,
+      pancakeFactory: CHAINS.ethereum.factory,
+      pancakeRouter: CHAINS.ethereum.router,
+    });
+  });
+});
@@ -15,6 +15,7 @@ jest.mock('../src/logger', () => ({
 
 const { client } = require('../src/http');
 const { fetchPools } = require('../src/dexscreener');
+const { CHAINS } = require('../src/chains');
 
 describe('fetchPools', () => {
   beforeEach(() => {
@@ -62,6 +63,25 @@ describe('fetchPools', () => {
     await expect(fetchPools('url', '0xABCD')).rejects.toThrow('ethereum, solana');
   });
 
+  test('filters by the DexScreener slug of the given chain', async () => {
+    client.get.mockResolvedValue({
+      data: {
+        pairs: [
+          { chainId: 'bsc', pairAddress: 'p1' },
+          { chainId: 'base', pairAddress: 'p2' },
+        ],
+      },
+    });
+
+    const pools = await fetchPools('url', '0xABCD', CHAINS.base);
+    expect(pools.map((p) => p.pairAddress)).toEqual(['p2']);
+  });
+
+  test('throws for chains DexScreener does not index', async () => {
+    await expect(fetchPools('url', '0xABCD', CHAINS['bsc-testnet'])).rejects.toThrow('does not index BSC Testnet');
+    expect(client.get).not.toHaveBeenCalled();
+  });
+
   test('constructs correct URL', async () => {
     client.get.mockResolvedValue({
       data: { pairs: [{ chainId: 'bsc', dexId: 'pancakeswap', pairAddress: 'p1' }] },
@@ -0,0 +1,287 @@
+jest.mock('../src/logger', () => ({
+  step: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+  sep: jest.fn(),
+}));
+
+const { ethers } = require('ethers');
+const {
+  extractNewToken,
+  fetchNewPairs,
+  createPairPoller,
+  createPairFeed,
+  parsePairLog,
+  FACTORY_ABI,
+  PAIR_CREATED_TOPIC,
+  MAX_BLOCK_RANGE,
+} = require('../src/discovery');
+const { WBNB, USDT, PANCAKE_FACTORY } = require('../src/config');
+const { CHAINS } = require('../src/chains');
+
+const TOKEN_A = '0x1234567890AbcdEF1234567890aBcdef12345678';
+const TOKEN_B = '0xdeadbeef00000000000000000000000000000001';
+const PAIR_ADDR = '0x00000000000000000000000000000000000000AA';
+
+const iface = new ethers.Interface(FACTORY_ABI);
+
+function makeLog(token0, token1, pair = PAIR_ADDR, blockNumber = 100) {
+  const { data, topics } = iface.encodeEventLog('PairCreated', [token0, token1, pair, 1n]);
+  return { data, topics, blockNumber, address: PANCAKE_FACTORY };
+}
+
+// === extractNewToken ===
+
+describe('extractNewToken', () => {
+  test('returns token1 when token0 is WBNB', () => {
+    expect(extractNewToken(WBNB, TOKEN_A)).toEqual({ token: TOKEN_A, quoteToken: WBNB });
+  });
+
+  test('returns token0 when token1 is a stablecoin', () => {
+    expect(extractNewToken(TOKEN_A, USDT)).toEqual({ token: TOKEN_A, quoteToken: USDT });
+  });
+
+  test('matches quote tokens case-insensitively', () => {
+    expect(extractNewToken(WBNB.toLowerCase(), TOKEN_A).token).toBe(TOKEN_A);
+  });
+
+  test('returns null when both sides are quote tokens', () => {
+    expect(extractNewToken(WBNB, USDT)).toBeNull();
+  });
+
+  test('returns null when neither side is a quote token', () => {
+    expect(extractNewToken(TOKEN_A, TOKEN_B)).toBeNull();
+  });
+
+  test('uses the given chain quote tokens', () => {
+    const weth = CHAINS.ethereum.wrappedNative.address;
+    expect(extractNewToken(weth, TOKEN_A)).toBeNull();
+    expect(extractNewToken(weth, TOKEN_A, CHAINS.ethereum.quoteTokens)).toEqual({ token: TOKEN_A, quoteToken: weth });
+    expect(extractNewToken(WBNB, TOKEN_A, CHAINS.ethereum.quoteTokens)).toBeNull();
+  });
+});
+
+// === fetchNewPairs ===
+
+describe('fetchNewPairs', () => {
+  test('queries factory for PairCreated logs and decodes candidates', async () => {
+    const provider = {
+      getLogs: jest.fn().mockResolvedValue([makeLog(WBNB, TOKEN_A, PAIR_ADDR, 105)]),
+    };
+
+    const result = await fetchNewPairs(provider, PANCAKE_FACTORY, 100, 110);
+
+    expect(provider.getLogs).toHaveBeenCalledWith({
+      address: PANCAKE_FACTORY,
+      topics: [PAIR_CREATED_TOPIC],
+      fromBlock: 100,
+      toBlock: 110,
+    });
+    expect(result).toEqual([
+      { token: TOKEN_A, quoteToken: WBNB, pair: PAIR_ADDR, blockNumber: 105 },
+    ]);
+  });
+
+  test('skips pairs without exactly one quote token', async () => {
+    const provider = {
+      getLogs: jest.fn().mockResolvedValue([
+        makeLog(TOKEN_A, TOKEN_B),
+        makeLog(WBNB, USDT),
+      ]),
+    };
+
+    const result = await fetchNewPairs(provider, PANCAKE_FACTORY, 1, 1);
+    expect(result).toEqual([]);
+  });
+
+  test('splits large ranges into chunks', async () => {
+    const provider = { getLogs: jest.fn().mockResolvedValue([]) };
+
+    await fetchNewPairs(provider, PANCAKE_FACTORY, 1, MAX_BLOCK_RANGE * 2 + 10);
+
+    expect(provider.getLogs).toHaveBeenCalledTimes(3);
+    expect(provider.getLogs.mock.calls[0][0]).toMatchObject({ fromBlock: 1, toBlock: MAX_BLOCK_RANGE });
+    expect(provider.getLogs.mock.calls[2][0]).toMatchObject({
+      fromBlock: MAX_BLOCK_RANGE * 2 + 1,
+      toBlock: MAX_BLOCK_RANGE * 2 + 10,
+    });
+  });
+});
+
+// === createPairPoller ===
+
+describe('createPairPoller', () => {
+  test('first poll only records the head block', async () => {
+    const provider = {
+      getBlockNumber: jest.fn().mockResolvedValue(500),
+      getLogs: jest.fn(),
+    };
+
+    const poll = createPairPoller(provider, PANCAKE_FACTORY);
+    expect(await poll()).toEqual([]);
+    expect(provider.getLogs).not.toHaveBeenCalled();
+  });
+
+  test('subsequent polls scan from the last seen block', async () => {
+    const provider = {
+      getBlockNumber: jest.fn().mockResolvedValueOnce(500).mockResolvedValueOnce(503),
+      getLogs: jest.fn().mockResolvedValue([makeLog(TOKEN_A, WBNB, PAIR_ADDR, 502)]),
+    };
+
+    const poll = createPairPoller(provider, PANCAKE_FACTORY);
+    await poll();
+    const result = await poll();
+
+    expect(provider.getLogs).toHaveBeenCalledWith(
+      expect.objectContaining({ fromBlock: 501, toBlock: 503 })
+    );
+    expect(result).toHaveLength(1);
+    expect(result[0].token).toBe(TOKEN_A);
+  });
+
+  test('returns nothing when no new blocks', async () => {
+    const provider = {
+      getBlockNumber: jest.fn().mockResolvedValue(500),
+      getLogs: jest.fn(),
+    };
+
+    const poll = createPairPoller(provider, PANCAKE_FACTORY);
+    await poll();
+    expect(await poll()).toEqual([]);
+    expect(provider.getLogs).not.toHaveBeenCalled();
+  });
+
+  test('retries the same range after a failed scan', async () => {
+    const provider = {
+      getBlockNumber: jest.fn()
+        .mockResolvedValueOnce(500)
+        .mockResolvedValueOnce(505)
+        .mockResolvedValueOnce(506),
+      getLogs: jest.fn()
+        .mockRejectedValueOnce(new Error('rate limited'))
+        .mockResolvedValueOnce([]),
+    };
+
+    const poll = createPairPoller(provider, PANCAKE_FACTORY);
+    await poll();
+    await expect(poll()).rejects.toThrow('rate limited');
+    await poll();
+
+    expect(provider.getLogs).toHaveBeenLastCalledWith(
+      expect.objectContaining({ fromBlock: 501, toBlock: 506 })
+    );
+  });
+});
+
+// === parsePairLog ===
+
+describe('parsePairLog', () => {
+  test('returns the candidate for a token/quote pair', () => {
+    expect(parsePairLog(makeLog(WBNB, TOKEN_A, PAIR_ADDR, 7))).toEqual({
+      token: TOKEN_A,
+      quoteToken: WBNB,
+      pair: PAIR_ADDR,
+      blockNumber: 7,
+    });
+  });
+
+  test('returns null for pairs without a quote token', () => {
+    expect(parsePairLog(makeLog(TOKEN_A, TOKEN_B))).toBeNull();
+  });
+});
+
+// === createPairFeed ===
+
+describe('createPairFeed', () => {
+  // Stand-in for wsStream: captures the log listener, exposes connection state
+  function fakeStream(overrides = {}) {
+    const stream = {
+      connected: true,
+      head: 500,
+      coveredFrom: 500,
+      listeners: [],
+      on: jest.fn((filter, listener) => stream.listeners.push(listener)),
+      emit: (log) => stream.listeners.forEach((l) => l(log)),
+      ...overrides,
+    };
+    return stream;
+  }
+
+  test('falls back to the HTTP poller without a stream', async () => {
+    const provider = { getBlockNumber: jest.fn().mockResolvedValue(500), getLogs: jest.fn() };
+    const poll = createPairFeed(provider, PANCAKE_FACTORY);
+    expect(await poll()).toEqual([]);
+  });
+
+  test('subscribes to factory PairCreated logs', () => {
+    const stream = fakeStream();
+    createPairFeed({}, PANCAKE_FACTORY, undefined, stream);
+    expect(stream.on).toHaveBeenCalledWith(
+      { address: PANCAKE_FACTORY, topics: [PAIR_CREATED_TOPIC] },
+      expect.any(Function)
+    );
+  });
+
+  test('returns streamed pairs without HTTP calls while connected', async () => {
+    const provider = { getBlockNumber: jest.fn().mockResolvedValue(500), getLogs: jest.fn() };
+    const stream = fakeStream();
+    const poll = createPairFeed(provider, PANCAKE_FACTORY, undefined, stream);
+
+    await poll();
+    stream.emit(makeLog(TOKEN_A, WBNB, PAIR_ADDR, 501));
+    stream.emit(makeLog(TOKEN_A, TOKEN_B, PAIR_ADDR, 501));
+    stream.head = 501;
+
+    const result = await poll();
+    expect(result).toHaveLength(1);
+    expect(result[0].token).toBe(TOKEN_A);
+    expect(await poll()).toEqual([]);
+    expect(provider.getLogs).not.toHaveBeenCalled();
+  });
+
+  test('ignores streamed logs before the first poll', async () => {
+    const provider = { getBlockNumber: jest.fn().mockResolvedValue(500), getLogs: jest.fn() };
+    const stream = fakeStream();
+    const poll = createPairFeed(provider, PANCAKE_FACTORY, undefined, stream);
+
+    stream.emit(makeLog(TOKEN_A, WBNB, PAIR_ADDR, 499));
+    await poll();
+    expect(await poll()).toEqual([]);
+  });
+
+  test('polls over HTTP from the last streamed block while the socket is down', async () => {
+    const provider = {
+      getBlockNumber: jest.fn().mockResolvedValueOnce(500).mockResolvedValueOnce(520),
+      getLogs: jest.fn().mockResolvedValue([makeLog(WBNB, TOKEN_A, PAIR_ADDR, 515)]),
+    };
+    const stream = fakeStream();
+    const poll = createPairFeed(provider, PANCAKE_FACTORY, undefined, stream);
+
+    await poll();
+    stream.head = 510;
+    await poll(); // connected: covered up to head - 1
+    stream.connected = false;
+    const result = await poll();
+
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 510, toBlock: 520 }));
+    expect(result.map((c) => c.token)).toEqual([TOKEN_A]);
+  });
+
+  test('fills the gap before a reconnected subscription over HTTP', async () => {
+    const provider = {
+      getBlockNumber: jest.fn().mockResolvedValueOnce(500).mockResolvedValueOnce(505),
+      getLogs: jest.fn().mockResolvedValue([]),
+    };
+    const stream = fakeStream({ connected: false });
+    const poll = createPairFeed(provider, PANCAKE_FACTORY, undefined, stream);
+
+    await poll();
+    await poll(); // down: HTTP up to 505
+    Object.assign(stream, { connected: true, coveredFrom: 512, head: 512 });
+    await poll();
+
+    expect(provider.getLogs).toHaveBeenLastCalledWith(expect.objectContaining({ fromBlock: 506, toBlock: 512 }));
+  });
+});
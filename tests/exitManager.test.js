@@ -0,0 +1,277 @@
+jest.mock('../src/logger', () => ({
+  step: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+  sep: jest.fn(),
+}));
+
+jest.mock('../src/fees', () => ({
+  getGasPrice: jest.fn(),
+}));
+
+jest.mock('../src/antiscam', () => ({
+  checkHoneypot: jest.fn(),
+}));
+
+jest.mock('../src/swap', () => ({
+  executeSell: jest.fn(),
+  formatRoute: jest.fn(() => 'PancakeSwap_V2 100%'),
+}));
+
+jest.mock('../src/journal', () => ({
+  ...jest.requireActual('../src/journal'),
+  readTrades: jest.fn(),
+  recordTrade: jest.fn(),
+}));
+
+jest.mock('../src/positions', () => ({
+  ...jest.requireActual('../src/positions'),
+  valuePosition: jest.fn(),
+}));
+
+const { getGasPrice } = require('../src/fees');
+const { checkHoneypot } = require('../src/antiscam');
+const { executeSell } = require('../src/swap');
+const { readTrades, recordTrade } = require('../src/journal');
+const { valuePosition } = require('../src/positions');
+const { evaluateExit, hasExitRules, createExitManager } = require('../src/exitManager');
+
+const TOKEN = '0x1234567890abcdef1234567890abcdef12345678';
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+const NO_RULES = {
+  takeProfitLadder: [],
+  stopLossPercent: 0,
+  trailingStopPercent: 0,
+  maxHoldSec: 0,
+};
+
+function state(overrides = {}) {
+  return {
+    valueWei: 1000n,
+    costBasisWei: 1000n,
+    peakValueWei: 1000n,
+    openedAt: NOW,
+    ladderSteps: new Set(),
+    now: NOW,
+    ...overrides,
+  };
+}
+
+// === evaluateExit ===
+
+describe('evaluateExit', () => {
+  test('returns null without rules', () => {
+    expect(evaluateExit(NO_RULES, state({ valueWei: 1n }))).toBeNull();
+  });
+
+  test('stop-loss sells everything at or below the loss threshold', () => {
+    const rules = { ...NO_RULES, stopLossPercent: 30 };
+    expect(evaluateExit(rules, state({ valueWei: 701n }))).toBeNull();
+    expect(evaluateExit(rules, state({ valueWei: 700n }))).toMatchObject({ percent: 100, reason: 'stop-loss (-30%)' });
+  });
+
+  test('max hold time sells everything', () => {
+    const rules = { ...NO_RULES, maxHoldSec: 60 };
+    expect(evaluateExit(rules, state({ now: NOW + 59_000 }))).toBeNull();
+    expect(evaluateExit(rules, state({ now: NOW + 60_000 }))).toMatchObject({ percent: 100 });
+  });
+
+  test('trailing stop measures drawdown from peak value', () => {
+    const rules = { ...NO_RULES, trailingStopPercent: 20 };
+    expect(evaluateExit(rules, state({ valueWei: 2500n, peakValueWei: 3000n }))).toBeNull();
+    expect(evaluateExit(rules, state({ valueWei: 2400n, peakValueWei: 3000n }))).toMatchObject({
+      percent: 100,
+      reason: 'trailing stop (-20% from peak)',
+    });
+  });
+
+  test('take-profit fires the next un-sold ladder step', () => {
+    const rules = {
+      ...NO_RULES,
+      takeProfitLadder: [
+        { multiple: 2, percent: 50 },
+        { multiple: 4, percent: 100 },
+      ],
+    };
+
+    expect(evaluateExit(rules, state({ valueWei: 1999n }))).toBeNull();
+    expect(evaluateExit(rules, state({ valueWei: 2000n }))).toEqual({
+      percent: 50,
+      reason: 'take-profit 2x',
+      ladderStep: 0,
+    });
+    expect(evaluateExit(rules, state({ valueWei: 3000n, ladderSteps: new Set([0]) }))).toBeNull();
+    expect(evaluateExit(rules, state({ valueWei: 4000n, ladderSteps: new Set([0]) }))).toMatchObject({
+      percent: 100,
+      ladderStep: 1,
+    });
+  });
+
+  test('full exits take priority over take-profit', () => {
+    const rules = { ...NO_RULES, maxHoldSec: 60, takeProfitLadder: [{ multiple: 2, percent: 50 }] };
+    const decision = evaluateExit(rules, state({ valueWei: 5000n, now: NOW + 120_000 }));
+    expect(decision.percent).toBe(100);
+    expect(decision.ladderStep).toBeUndefined();
+  });
+
+  test('percent-based rules are skipped without a cost basis', () => {
+    const rules = { ...NO_RULES, stopLossPercent: 50, takeProfitLadder: [{ multiple: 2, percent: 50 }] };
+    expect(evaluateExit(rules, state({ costBasisWei: 0n, valueWei: 0n }))).toBeNull();
+  });
+});
+
+// === hasExitRules ===
+
+describe('hasExitRules', () => {
+  test('false when every rule is off', () => {
+    expect(hasExitRules(NO_RULES)).toBe(false);
+  });
+
+  test('true when any rule is set', () => {
+    expect(hasExitRules({ ...NO_RULES, trailingStopPercent: 10 })).toBe(true);
+    expect(hasExitRules({ ...NO_RULES, takeProfitLadder: [{ multiple: 2, percent: 100 }] })).toBe(true);
+  });
+});
+
+// === createExitManager ===
+
+describe('createExitManager', () => {
+  const config = {
+    ...NO_RULES,
+    takeProfitLadder: [{ multiple: 2, percent: 50 }],
+    stopLossPercent: 50,
+    chain: { key: 'bsc' },
+    journalPath: 'trades.jsonl',
+    maxGasPriceGwei: 5,
+    buyAmountWei: 10n,
+  };
+  const signer = { address: '0x00000000000000000000000000000000000000aa' };
+  const provider = {};
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    readTrades.mockReturnValue([
+      { side: 'buy', status: 'success', token: TOKEN, symbol: 'TKN', amountIn: '1000', buyAmount: '500', timestamp: '2026-01-01T00:00:00Z' },
+    ]);
+    getGasPrice.mockResolvedValue({ gasPrice: 1n, gasPriceGwei: 1 });
+    checkHoneypot.mockResolvedValue({ canSell: true });
+    executeSell.mockResolvedValue({ hash: '0xsell', buyAmount: 2000n, minBuyAmount: 1900n, blockNumber: 1 });
+  });
+
+  test('does nothing while no rule fires', async () => {
+    valuePosition.mockResolvedValue({ balance: 500n, valueWei: 1200n, sellTaxBps: 0 });
+
+    await createExitManager(config, provider, signer).tick();
+
+    expect(executeSell).not.toHaveBeenCalled();
+  });
+
+  test('sells the ladder share and journals the step', async () => {
+    valuePosition.mockResolvedValue({ balance: 500n, valueWei: 2000n, sellTaxBps: 0 });
+
+    await createExitManager(config, provider, signer).tick();
+
+    expect(checkHoneypot).toHaveBeenCalledWith(config, TOKEN, 10n);
+    expect(getGasPrice).toHaveBeenCalledWith(provider, 5);
+    expect(executeSell).toHaveBeenCalledWith(signer, config, TOKEN, 250n, { gasPrice: 1n, gasPriceGwei: 1 });
+    expect(recordTrade).toHaveBeenCalledWith('trades.jsonl', expect.objectContaining({
+      chain: 'bsc',
+      side: 'sell',
+      status: 'success',
+      amountIn: 250n,
+      exitReason: 'take-profit 2x',
+      ladderStep: 0,
+      txHash: '0xsell',
+    }));
+  });
+
+  test('sells the whole balance on stop-loss', async () => {
+    valuePosition.mockResolvedValue({ balance: 500n, valueWei: 400n, sellTaxBps: 0 });
+
+    await createExitManager(config, provider, signer).tick();
+
+    expect(executeSell).toHaveBeenCalledWith(signer, config, TOKEN, 500n, expect.anything());
+  });
+
+  test('skips the sell when the honeypot check blocks it', async () => {
+    valuePosition.mockResolvedValue({ balance: 500n, valueWei: 400n, sellTaxBps: 0 });
+    checkHoneypot.mockResolvedValue({ canSell: false, reason: 'sell reverted' });
+
+    await createExitManager(config, provider, signer).tick();
+
+    expect(executeSell).not.toHaveBeenCalled();
+    expect(recordTrade).not.toHaveBeenCalled();
+  });
+
+  test('journals failed exit sells', async () => {
+    valuePosition.mockResolvedValue({ balance: 500n, valueWei: 400n, sellTaxBps: 0 });
+    const err = new Error('reverted');
+    err.txHash = '0xfail';
+    executeSell.mockRejectedValue(err);
+
+    await createExitManager(config, provider, signer).tick();
+
+    expect(recordTrade).toHaveBeenCalledWith('trades.jsonl', expect.objectContaining({
+      status: 'failed',
+      txHash: '0xfail',
+      error: 'reverted',
+    }));
+  });
+
+  test('only watches positions opened on the active chain', async () => {
+    readTrades.mockReturnValue([
+      { side: 'buy', status: 'success', token: TOKEN, symbol: 'TKN', amountIn: '1000', buyAmount: '500', chain: 'base' },
+    ]);
+
+    await createExitManager(config, provider, signer).tick();
+
+    expect(valuePosition).not.toHaveBeenCalled();
+  });
+
+  test('skips positions without balance or valuation', async () => {
+    valuePosition.mockResolvedValueOnce({ balance: 0n, valueWei: 0n, sellTaxBps: 0 });
+    const manager = createExitManager(config, provider, signer);
+    await manager.tick();
+
+    valuePosition.mockResolvedValueOnce({ balance: 500n, valueWei: null, sellTaxBps: 0, error: 'No liquidity' });
+    await manager.tick();
+
+    expect(executeSell).not.toHaveBeenCalled();
+  });
+
+  test('tracks peak value across ticks for the trailing stop', async () => {
+    const trailing = { ...config, takeProfitLadder: [], stopLossPercent: 0, trailingStopPercent: 25 };
+    const manager = createExitManager(trailing, provider, signer);
+
+    valuePosition.mockResolvedValueOnce({ balance: 500n, valueWei: 1600n, sellTaxBps: 0 });
+    await manager.tick();
+    valuePosition.mockResolvedValueOnce({ balance: 500n, valueWei: 1300n, sellTaxBps: 0 });
+    await manager.tick();
+    expect(executeSell).not.toHaveBeenCalled();
+
+    valuePosition.mockResolvedValueOnce({ balance: 500n, valueWei: 1200n, sellTaxBps: 0 });
+    await manager.tick();
+    expect(executeSell).toHaveBeenCalledWith(signer, trailing, TOKEN, 500n, expect.anything());
+  });
+
+  test('scales the trailing peak down after a partial take-profit', async () => {
+    const both = { ...config, trailingStopPercent: 25 };
+    const manager = createExitManager(both, provider, signer);
+
+    valuePosition.mockResolvedValueOnce({ balance: 500n, valueWei: 2000n, sellTaxBps: 0 });
+    await manager.tick();
+    expect(executeSell).toHaveBeenCalledWith(signer, both, TOKEN, 250n, expect.anything());
+
+    // Half the balance is left, at the same price — not a 50% drawdown
+    valuePosition.mockResolvedValueOnce({ balance: 250n, valueWei: 1000n, sellTaxBps: 0 });
+    await manager.tick();
+    expect(executeSell).toHaveBeenCalledTimes(1);
+
+    valuePosition.mockResolvedValueOnce({ balance: 250n, valueWei: 750n, sellTaxBps: 0 });
+    await manager.tick();
+    expect(executeSell).toHaveBeenLastCalledWith(signer, both, TOKEN, 250n, expect.anything());
+  });
+});
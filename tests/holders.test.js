@@ -0,0 +1,149 @@
+const { ethers } = require('ethers');
+const { analyzeHolders, findCreationBlock, findTopHolders, replayTransfers, TRANSFER_TOPIC } = require('../src/holders');
+const { DEAD_ADDRESS } = require('../src/lpLock');
+const { CHAINS } = require('../src/chains');
+
+const TOKEN = '0x1234567890AbcdEF1234567890aBcdef12345678';
+const DEPLOYER = '0x00000000000000000000000000000000000000d1';
+const PAIR = '0x00000000000000000000000000000000000000cc';
+const WHALE = '0x00000000000000000000000000000000000000aa';
+const OWNER = '0x00000000000000000000000000000000000000bb';
+const PINKLOCK = CHAINS.bsc.lpLockers[0];
+
+const iface = new ethers.Interface([
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address) view returns (uint256)',
+]);
+
+const transfer = (from, to, value, blockNumber = 1) => ({
+  blockNumber,
+  topics: [TRANSFER_TOPIC, ethers.zeroPadValue(from, 32), ethers.zeroPadValue(to, 32)],
+  data: ethers.toBeHex(value, 32),
+});
+
+/**
+ * `logs` are served by block range; `createdAt` is the first block with contract code;
+ * `balances` overrides what balanceOf() returns (defaults to the replayed balance).
+ */
+function mockProvider({ head = 10_000, createdAt = 9_000, logs = [], totalSupply = 1000n, balances = {} }) {
+  return {
+    getBlockNumber: jest.fn().mockResolvedValue(head),
+    getCode: jest.fn(async (address, blockTag) => (blockTag >= createdAt ? '0x6080' : '0x')),
+    getLogs: jest.fn(async ({ fromBlock, toBlock }) =>
+      logs.filter((l) => l.blockNumber >= fromBlock && l.blockNumber <= toBlock)
+    ),
+    call: jest.fn(async ({ data }) => {
+      const fn = iface.getFunction(data.slice(0, 10));
+      if (fn.name === 'totalSupply') return iface.encodeFunctionResult(fn, [totalSupply]);
+      const [holder] = iface.decodeFunctionData(fn, data);
+      return iface.encodeFunctionResult(fn, [balances[holder.toLowerCase()] ?? 0n]);
+    }),
+  };
+}
+
+const CONFIG = { chain: CHAINS.bsc, lpLockers: [], holderScanBlocks: 5000 };
+
+describe('findCreationBlock', () => {
+  test('binary-searches the first block with code', async () => {
+    const provider = mockProvider({ createdAt: 7_321 });
+    expect(await findCreationBlock(provider, TOKEN, 5_001, 10_000)).toBe(7_321);
+  });
+
+  test('null when the contract predates the window or history is unavailable', async () => {
+    expect(await findCreationBlock(mockProvider({ createdAt: 100 }), TOKEN, 5_001, 10_000)).toBeNull();
+
+    const pruned = { getCode: jest.fn().mockRejectedValue(new Error('missing trie node')) };
+    expect(await findCreationBlock(pruned, TOKEN, 5_001, 10_000)).toBeNull();
+  });
+});
+
+describe('replayTransfers', () => {
+  test('replays balances in chunks and finds the first mint recipient', async () => {
+    const provider = mockProvider({
+      logs: [
+        transfer(ethers.ZeroAddress, DEPLOYER, 1000n, 9_000),
+        transfer(DEPLOYER, PAIR, 600n, 9_001),
+        transfer(PAIR, WHALE, 250n, 9_500),
+        { blockNumber: 9_600, topics: [TRANSFER_TOPIC, ethers.ZeroHash, ethers.ZeroHash, ethers.ZeroHash], data: '0x' },
+      ],
+    });
+
+    const { balances, firstMintTo, transfers } = await replayTransfers(provider, TOKEN, 7_000, 10_000);
+
+    expect(provider.getLogs).toHaveBeenCalledTimes(2);
+    expect(firstMintTo).toBe(ethers.getAddress(DEPLOYER));
+    expect(transfers).toBe(3);
+    expect(balances.get(ethers.getAddress(DEPLOYER))).toBe(400n);
+    expect(balances.get(ethers.getAddress(PAIR))).toBe(350n);
+    expect(balances.get(ethers.getAddress(WHALE))).toBe(250n);
+  });
+});
+
+describe('findTopHolders', () => {
+  test('ranks replayed balances without burn addresses', async () => {
+    const provider = mockProvider({
+      logs: [
+        transfer(ethers.ZeroAddress, DEAD_ADDRESS, 1n, 9_000),
+        transfer(ethers.ZeroAddress, DEPLOYER, 900n, 9_000),
+        transfer(DEPLOYER, WHALE, 100n, 9_100),
+        transfer(DEPLOYER, OWNER, 300n, 9_200),
+      ],
+    });
+
+    expect(await findTopHolders(provider, PAIR, 9_000, 10_000, 2)).toEqual([
+      ethers.getAddress(DEPLOYER),
+      ethers.getAddress(OWNER),
+    ]);
+  });
+});
+
+describe('analyzeHolders', () => {
+  const LOGS = [
+    transfer(ethers.ZeroAddress, DEPLOYER, 1000n, 9_000),
+    transfer(DEPLOYER, PAIR, 500n, 9_001),
+    transfer(DEPLOYER, DEAD_ADDRESS, 100n, 9_002),
+    transfer(DEPLOYER, PINKLOCK, 100n, 9_003),
+    transfer(PAIR, WHALE, 250n, 9_100),
+    transfer(PAIR, OWNER, 30n, 9_200),
+  ];
+  const BALANCES = {
+    [DEPLOYER]: 50n, // sold or reflected away since the replayed 300
+    [PAIR]: 220n,
+    [WHALE]: 250n,
+    [OWNER]: 30n,
+  };
+
+  test('ranks holders without pairs, burn and locker addresses', async () => {
+    const provider = mockProvider({ logs: LOGS, balances: BALANCES });
+
+    const result = await analyzeHolders(provider, CONFIG, TOKEN, { owner: OWNER, excluded: [PAIR] });
+
+    expect(result).toEqual({
+      fromBlock: 9_000,
+      toBlock: 10_000,
+      creationBlock: 9_000,
+      complete: true,
+      transfers: 6,
+      holderCount: 6,
+      top: [
+        { address: ethers.getAddress(WHALE), pct: 25 },
+        { address: ethers.getAddress(DEPLOYER), pct: 5 },
+        { address: ethers.getAddress(OWNER), pct: 3 },
+      ],
+      top10Pct: 33,
+      owner: { address: ethers.getAddress(OWNER), pct: 3 },
+      deployer: { address: ethers.getAddress(DEPLOYER), pct: 5 },
+    });
+  });
+
+  test('scans the whole window when the token is older than it', async () => {
+    const provider = mockProvider({ createdAt: 10, logs: LOGS, balances: BALANCES });
+
+    const result = await analyzeHolders(provider, CONFIG, TOKEN);
+
+    expect(result.complete).toBe(false);
+    expect(result.fromBlock).toBe(5_001);
+    expect(result.owner).toBeNull();
+    expect(result.top[0]).toEqual({ address: ethers.getAddress(WHALE), pct: 25 });
+  });
+});
@@ -0,0 +1,143 @@
+jest.mock('../src/logger', () => ({
+  step: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+  sep: jest.fn(),
+}));
+
+const { ethers } = require('ethers');
+const { simulateRoundTrip, supportsSimulateV1, taxPercent } = require('../src/honeypotSim');
+const { CHAINS } = require('../src/chains');
+
+const TOKEN = '0x1234567890AbcdEF1234567890aBcdef12345678';
+const AMOUNT_IN = 10n ** 16n;
+const CONFIG = { chain: CHAINS.bsc };
+
+const routerIface = new ethers.Interface([
+  'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+]);
+const uint = (n) => ethers.toBeHex(n, 32);
+const ok = (returnData = '0x') => ({ status: '0x1', returnData });
+const reverted = (reason) => ({
+  status: '0x0',
+  returnData: new ethers.Interface(['error Error(string)']).encodeErrorResult('Error', [reason]),
+});
+const amountsOut = (amountIn, out) => ok(routerIface.encodeFunctionResult('getAmountsOut', [[amountIn, out]]));
+
+/**
+ * Token round trip: the pool quotes 1000 tokens for the buy and 9e15 wei for the sell.
+ * `bought`/`held`/`received` are what the balances show; `fail` maps call index → revert.
+ */
+function mockProvider({ bought = 1000n, held = bought, received = 9n * 10n ** 15n, fail = {} } = {}) {
+  const results = [
+    amountsOut(AMOUNT_IN, 1000n), // getAmountsOut(buy)
+    ok(), // buy
+    ok(uint(bought)), // balanceOf(buyer)
+    ok(uint(1)), // transfer
+    ok(uint(held)), // balanceOf(holder)
+    ok(uint(1)), // approve
+    amountsOut(held, 9n * 10n ** 15n), // getAmountsOut(sell)
+    ok(), // sell
+    ok(uint(received)), // WBNB.balanceOf(holder)
+  ];
+  for (const [i, reason] of Object.entries(fail)) results[i] = reverted(reason);
+
+  return {
+    getBlockNumber: jest.fn().mockResolvedValue(1000),
+    send: jest.fn(async (method, [{ blockStateCalls }]) => [
+      { calls: results.slice(0, blockStateCalls[0].calls.length) },
+    ]),
+  };
+}
+
+describe('taxPercent', () => {
+  test('shortfall against the expected amount', () => {
+    expect(taxPercent(1000n, 900n)).toBe(10);
+    expect(taxPercent(3n, 2n)).toBe(33.33);
+  });
+
+  test('0 when nothing is missing or nothing was expected', () => {
+    expect(taxPercent(1000n, 1000n)).toBe(0);
+    expect(taxPercent(1000n, 1200n)).toBe(0);
+    expect(taxPercent(0n, 0n)).toBe(0);
+  });
+});
+
+describe('simulateRoundTrip', () => {
+  test('measures buy, transfer and sell tax from balance deltas', async () => {
+    const provider = mockProvider({ bought: 950n, held: 900n, received: 8n * 10n ** 15n });
+
+    const result = await simulateRoundTrip(provider, CONFIG, TOKEN, AMOUNT_IN);
+
+    expect(result).toEqual({ ok: true, buyTaxPct: 5, transferTaxPct: 5.26, sellTaxPct: 11.11 });
+  });
+
+  test('runs growing batches on one pinned block with a funded fresh buyer', async () => {
+    const provider = mockProvider();
+
+    await simulateRoundTrip(provider, CONFIG, TOKEN, AMOUNT_IN);
+
+    expect(provider.send).toHaveBeenCalledTimes(3);
+    const batches = provider.send.mock.calls.map(([method, [payload, block]]) => {
+      expect(method).toBe('eth_simulateV1');
+      expect(block).toBe('0x3e8');
+      return payload.blockStateCalls[0];
+    });
+    expect(batches.map((b) => b.calls.length)).toEqual([3, 5, 9]);
+
+    const { stateOverrides, calls } = batches[2];
+    const buyer = calls[1].from;
+    expect(stateOverrides).toEqual({ [buyer]: { balance: ethers.toQuantity(AMOUNT_IN) } });
+    expect(calls[1]).toMatchObject({ to: CHAINS.bsc.router, value: ethers.toQuantity(AMOUNT_IN) });
+    expect(calls[7].from).not.toBe(buyer);
+    expect(calls[8].to).toBe(CHAINS.bsc.wrappedNative.address);
+  });
+
+  test('a reverted sell is a honeypot', async () => {
+    const result = await simulateRoundTrip(mockProvider({ fail: { 7: 'TRANSFER_FROM_FAILED' } }), CONFIG, TOKEN, AMOUNT_IN);
+    expect(result).toEqual({ ok: false, stage: 'sell', reason: 'TRANSFER_FROM_FAILED', honeypot: true });
+  });
+
+  test('a reverted transfer is a honeypot', async () => {
+    const result = await simulateRoundTrip(mockProvider({ fail: { 3: 'blacklisted' } }), CONFIG, TOKEN, AMOUNT_IN);
+    expect(result).toEqual({ ok: false, stage: 'transfer', reason: 'blacklisted', honeypot: true });
+  });
+
+  test('a buy that delivers nothing is a honeypot', async () => {
+    const result = await simulateRoundTrip(mockProvider({ bought: 0n }), CONFIG, TOKEN, AMOUNT_IN);
+    expect(result).toMatchObject({ ok: false, stage: 'buy', honeypot: true });
+  });
+
+  test('a reverted buy has no verdict', async () => {
+    const result = await simulateRoundTrip(mockProvider({ fail: { 1: 'Trading not enabled' } }), CONFIG, TOKEN, AMOUNT_IN);
+    expect(result).toEqual({ ok: false, stage: 'buy', reason: 'Trading not enabled', honeypot: false });
+  });
+
+  test('returns null without a V2 pair or eth_simulateV1', async () => {
+    const noPair = mockProvider({ fail: { 0: 'PancakeLibrary: INSUFFICIENT_LIQUIDITY' } });
+    expect(await simulateRoundTrip(noPair, CONFIG, TOKEN, AMOUNT_IN)).toBeNull();
+
+    const unsupported = {
+      getBlockNumber: jest.fn().mockResolvedValue(1000),
+      send: jest.fn().mockRejectedValue(new Error('the method eth_simulateV1 does not exist')),
+    };
+    expect(await simulateRoundTrip(unsupported, CONFIG, TOKEN, AMOUNT_IN)).toBeNull();
+  });
+});
+
+describe('supportsSimulateV1', () => {
+  test('true when the endpoint answers an empty simulation', async () => {
+    const provider = { send: jest.fn().mockResolvedValue([{ calls: [] }]) };
+
+    expect(await supportsSimulateV1(provider)).toBe(true);
+    expect(provider.send).toHaveBeenCalledWith('eth_simulateV1', [{ blockStateCalls: [{ calls: [] }] }, 'latest']);
+  });
+
+  test('false when the method is missing', async () => {
+    const provider = { send: jest.fn().mockRejectedValue(new Error('the method eth_simulateV1 does not exist')) };
+
+    expect(await supportsSimulateV1(provider)).toBe(false);
+  });
+});
@@ -4,7 +4,7 @@
  * the CLI parsing layer and config validation end-to-end.
  */
 
-const { parseArgs, EXIT } = require('../src/index');
+const { parseArgs, resolveSellAmount, buyFailureCode, checkContinuousFlags, EXIT } = require('../src/index');
 
 describe('parseArgs', () => {
   const originalArgv = process.argv;
@@ -55,16 +55,103 @@ describe('parseArgs', () => {
     expect(result.tokenAddress).toBe('0xABCD');
   });
 
+  test('parses --max-age named argument', () => {
+    process.argv = ['node', 'index.js', '0xABCD', '--max-age', '600'];
+    const result = parseArgs();
+    expect(result.cliMaxAge).toBe('600');
+    expect(result.tokenAddress).toBe('0xABCD');
+  });
+
+  test('defaults to buy command', () => {
+    process.argv = ['node', 'index.js', '0xABCD'];
+    expect(parseArgs().command).toBe('buy');
+  });
+
+  test('parses sell command with --percent', () => {
+    process.argv = ['node', 'index.js', 'sell', '0xABCD', '--percent', '50'];
+    const result = parseArgs();
+    expect(result.command).toBe('sell');
+    expect(result.tokenAddress).toBe('0xABCD');
+    expect(result.cliPercent).toBe('50');
+  });
+
+  test('parses sell command with --amount', () => {
+    process.argv = ['node', 'index.js', 'sell', '--amount', '1000', '--token', '0xABCD'];
+    const result = parseArgs();
+    expect(result.command).toBe('sell');
+    expect(result.tokenAddress).toBe('0xABCD');
+    expect(result.cliAmount).toBe('1000');
+  });
+
+  test('parses history command with filters', () => {
+    process.argv = ['node', 'index.js', 'history', '0xABCD', '--from', '2026-01-01', '--to', '2026-01-31', '--outcome', 'failed'];
+    const result = parseArgs();
+    expect(result.command).toBe('history');
+    expect(result.tokenAddress).toBe('0xABCD');
+    expect(result.historyFilter).toEqual({ from: '2026-01-01', to: '2026-01-31', outcome: 'failed' });
+  });
+
+  test('parses monitor command', () => {
+    process.argv = ['node', 'index.js', 'monitor'];
+    const result = parseArgs();
+    expect(result.command).toBe('monitor');
+    expect(result.tokenAddress).toBeUndefined();
+  });
+
+  test('parses positions command', () => {
+    process.argv = ['node', 'index.js', 'positions'];
+    const result = parseArgs();
+    expect(result.command).toBe('positions');
+    expect(result.tokenAddress).toBeUndefined();
+  });
+
   test('returns null for missing optional args', () => {
     process.argv = ['node', 'index.js', '0xABCD'];
     const result = parseArgs();
     expect(result.cliAmount).toBeNull();
+    expect(result.cliMaxAge).toBeNull();
+    expect(result.cliPercent).toBeNull();
     expect(result.isDryRun).toBe(false);
     expect(result.skipConfirm).toBe(false);
     expect(result.continuous).toBe(false);
   });
 });
 
+describe('resolveSellAmount', () => {
+  const BALANCE = 1000n * 10n ** 18n;
+
+  test('sells whole balance by default', () => {
+    expect(resolveSellAmount(BALANCE, 18n)).toBe(BALANCE);
+  });
+
+  test('sells a percentage of the balance', () => {
+    expect(resolveSellAmount(BALANCE, 18n, { percent: '25' })).toBe(250n * 10n ** 18n);
+  });
+
+  test('supports fractional percentages', () => {
+    expect(resolveSellAmount(10000n, 18n, { percent: '12.5' })).toBe(1250n);
+  });
+
+  test('converts --amount using token decimals', () => {
+    expect(resolveSellAmount(BALANCE, 9n, { amount: '1.5' })).toBe(1_500_000_000n);
+  });
+
+  test('rejects percent outside (0, 100]', () => {
+    expect(() => resolveSellAmount(BALANCE, 18n, { percent: '0' })).toThrow('--percent');
+    expect(() => resolveSellAmount(BALANCE, 18n, { percent: '101' })).toThrow('--percent');
+    expect(() => resolveSellAmount(BALANCE, 18n, { percent: 'abc' })).toThrow('--percent');
+  });
+
+  test('rejects invalid or zero amount', () => {
+    expect(() => resolveSellAmount(BALANCE, 18n, { amount: 'abc' })).toThrow('not a valid token amount');
+    expect(() => resolveSellAmount(BALANCE, 18n, { amount: '0' })).toThrow('positive');
+  });
+
+  test('rejects both amount and percent', () => {
+    expect(() => resolveSellAmount(BALANCE, 18n, { amount: '1', percent: '50' })).toThrow('not both');
+  });
+});
+
 describe('EXIT codes', () => {
   test('all exit codes are unique', () => {
     const values = Object.values(EXIT);
@@ -84,5 +171,41 @@ describe('EXIT codes', () => {
     expect(EXIT.SWAP_ERROR).toBeDefined();
     expect(EXIT.TOKEN_INVALID).toBeDefined();
     expect(EXIT.SCAM_DETECTED).toBeDefined();
+    expect(EXIT.SIMULATION_FAILED).toBeDefined();
+    expect(EXIT.NETWORK_MISMATCH).toBeDefined();
+    expect(EXIT.NO_POOL).toBeDefined();
+  });
+});
+
+describe('checkContinuousFlags', () => {
+  test('requires --yes or --dry-run', () => {
+    expect(checkContinuousFlags({ isDryRun: false, skipConfirm: false })).toMatch('--yes');
+    expect(checkContinuousFlags({ isDryRun: false, skipConfirm: true })).toBeNull();
+    expect(checkContinuousFlags({ isDryRun: true, skipConfirm: false })).toBeNull();
+  });
+});
+
+describe('buyFailureCode', () => {
+  const tagged = (tag) => Object.assign(new Error('x'), tag);
+
+  test('maps a failed quote to QUOTE_ERROR', () => {
+    expect(buyFailureCode(tagged({ quoteError: true }))).toBe(EXIT.QUOTE_ERROR);
+  });
+
+  test('maps a price move to PRICE_DEVIATION', () => {
+    expect(buyFailureCode(tagged({ priceDeviation: { percent: 12 } }))).toBe(EXIT.PRICE_DEVIATION);
+  });
+
+  test('maps an excessive price impact to PRICE_IMPACT', () => {
+    expect(buyFailureCode(tagged({ priceImpact: { percent: 12 } }))).toBe(EXIT.PRICE_IMPACT);
+  });
+
+  test('maps a failed pre-flight simulation to SIMULATION_FAILED', () => {
+    expect(buyFailureCode(tagged({ simulation: { ok: false } }))).toBe(EXIT.SIMULATION_FAILED);
+  });
+
+  test('maps anything else (revert, send error) to SWAP_ERROR', () => {
+    expect(buyFailureCode(tagged({ txHash: '0xabc' }))).toBe(EXIT.SWAP_ERROR);
+    expect(buyFailureCode(new Error('network'))).toBe(EXIT.SWAP_ERROR);
   });
 });
@@ -0,0 +1,153 @@
+jest.mock('../src/logger', () => ({
+  step: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+  sep: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  recordTrade,
+  readTrades,
+  filterTrades,
+  parseDateBound,
+  formatTrade,
+} = require('../src/journal');
+
+const TOKEN_A = '0x1234567890abcdef1234567890abcdef12345678';
+const TOKEN_B = '0xdeadbeefdeadbeefdeadbeefdeadbeefdeadbeef';
+
+describe('recordTrade / readTrades', () => {
+  let dir;
+  let journalPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+    journalPath = path.join(dir, 'nested', 'trades.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('appends JSONL records and reads them back', () => {
+    recordTrade(journalPath, { side: 'buy', token: TOKEN_A, status: 'success' });
+    recordTrade(journalPath, { side: 'sell', token: TOKEN_A, status: 'failed', error: 'reverted' });
+
+    const lines = fs.readFileSync(journalPath, 'utf-8').trim().split('\n');
+    expect(lines).toHaveLength(2);
+
+    const trades = readTrades(journalPath);
+    expect(trades[0]).toMatchObject({ side: 'buy', status: 'success' });
+    expect(trades[1]).toMatchObject({ side: 'sell', error: 'reverted' });
+    expect(trades[0].timestamp).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  test('serializes BigInt values as strings', () => {
+    recordTrade(journalPath, { token: TOKEN_A, amountIn: 10_000_000_000_000_000n, gasUsed: 150000n });
+
+    const [trade] = readTrades(journalPath);
+    expect(trade.amountIn).toBe('10000000000000000');
+    expect(trade.gasUsed).toBe('150000');
+  });
+
+  test('returns false instead of throwing when write fails', () => {
+    fs.writeFileSync(path.join(dir, 'file'), '');
+    expect(recordTrade(path.join(dir, 'file', 'trades.jsonl'), { token: TOKEN_A })).toBe(false);
+  });
+
+  test('returns [] when journal does not exist', () => {
+    expect(readTrades(journalPath)).toEqual([]);
+  });
+
+  test('skips malformed lines', () => {
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+    fs.writeFileSync(journalPath, '{"token":"a"}\n{broken\n\n{"token":"b"}\n');
+
+    expect(readTrades(journalPath).map((t) => t.token)).toEqual(['a', 'b']);
+  });
+});
+
+describe('filterTrades', () => {
+  const trades = [
+    { timestamp: '2026-01-01T10:00:00.000Z', token: TOKEN_A, status: 'success' },
+    { timestamp: '2026-01-02T10:00:00.000Z', token: TOKEN_B, status: 'failed' },
+    { timestamp: '2026-01-03T10:00:00.000Z', token: TOKEN_A.toUpperCase().replace('0X', '0x'), status: 'failed' },
+  ];
+
+  test('returns everything without filters', () => {
+    expect(filterTrades(trades)).toHaveLength(3);
+  });
+
+  test('filters by token case-insensitively', () => {
+    expect(filterTrades(trades, { token: TOKEN_A })).toHaveLength(2);
+  });
+
+  test('filters by outcome', () => {
+    expect(filterTrades(trades, { outcome: 'failed' })).toHaveLength(2);
+  });
+
+  test('filters by date range', () => {
+    const result = filterTrades(trades, {
+      from: Date.parse('2026-01-02T00:00:00Z'),
+      to: Date.parse('2026-01-02T23:59:59Z'),
+    });
+    expect(result).toHaveLength(1);
+    expect(result[0].token).toBe(TOKEN_B);
+  });
+
+  test('combines filters', () => {
+    expect(filterTrades(trades, { token: TOKEN_A, outcome: 'success' })).toHaveLength(1);
+  });
+
+  test('filters by chain, counting records without one as bsc', () => {
+    const mixed = [...trades, { timestamp: '2026-01-04T10:00:00.000Z', token: TOKEN_A, status: 'success', chain: 'base' }];
+    expect(filterTrades(mixed, { chain: 'bsc' })).toHaveLength(3);
+    expect(filterTrades(mixed, { chain: 'base' })).toEqual([mixed[3]]);
+  });
+});
+
+describe('parseDateBound', () => {
+  test('parses ISO timestamps', () => {
+    expect(parseDateBound('2026-01-02T10:00:00Z')).toBe(Date.parse('2026-01-02T10:00:00Z'));
+  });
+
+  test('upper bound of a date-only value covers the whole day', () => {
+    expect(parseDateBound('2026-01-02', true)).toBe(Date.parse('2026-01-03T00:00:00Z') - 1);
+  });
+
+  test('throws on invalid date', () => {
+    expect(() => parseDateBound('yesterday')).toThrow('Invalid date');
+  });
+});
+
+describe('formatTrade', () => {
+  test('includes side, status, token and tx hash', () => {
+    const line = formatTrade({
+      timestamp: '2026-01-02T10:00:00.123Z',
+      side: 'buy',
+      status: 'success',
+      token: TOKEN_A,
+      amountIn: '10000000000000000',
+      txHash: '0xhash',
+    });
+    expect(line).toContain('2026-01-02 10:00:00 BUY ');
+    expect(line).toContain('success');
+    expect(line).toContain(TOKEN_A);
+    expect(line).toContain('tx=0xhash');
+    expect(line).toContain(`bsc ${TOKEN_A}`);
+  });
+
+  test('includes the chain', () => {
+    expect(formatTrade({ side: 'buy', status: 'success', token: TOKEN_A, chain: 'base' })).toContain(`base ${TOKEN_A}`);
+  });
+
+  test('includes failure reason', () => {
+    const line = formatTrade({ side: 'sell', status: 'failed', token: TOKEN_A, error: 'reverted' });
+    expect(line).toContain('error="reverted"');
+  });
+});
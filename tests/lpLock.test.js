@@ -0,0 +1,88 @@
+const { ethers } = require('ethers');
+const { checkLpLock, DEAD_ADDRESS } = require('../src/lpLock');
+const { CHAINS } = require('../src/chains');
+
+const PAIR = '0x00000000000000000000000000000000000000cc';
+const OWNER = '0x00000000000000000000000000000000000000aa';
+const TOKEN = '0x1234567890AbcdEF1234567890aBcdef12345678';
+const EXTRA_LOCKER = '0x00000000000000000000000000000000000000bb';
+const PINKLOCK = CHAINS.bsc.lpLockers[0];
+
+const iface = new ethers.Interface([
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address) view returns (uint256)',
+]);
+
+const CONFIG = { chain: CHAINS.bsc, lpLockers: [] };
+const POOL = { pairAddress: PAIR };
+
+// balances: lowercased holder → LP balance; `code` lists addresses that are contracts
+function mockProvider(totalSupply, balances = {}, code = []) {
+  return {
+    call: jest.fn(async ({ data }) => {
+      const fn = iface.getFunction(data.slice(0, 10));
+      if (fn.name === 'totalSupply') {
+        if (totalSupply === null) throw new Error('execution reverted');
+        return iface.encodeFunctionResult(fn, [totalSupply]);
+      }
+      const [holder] = iface.decodeFunctionData(fn, data);
+      return iface.encodeFunctionResult(fn, [balances[holder.toLowerCase()] || 0n]);
+    }),
+    getCode: jest.fn(async (address) => (code.includes(address.toLowerCase()) ? '0x6080' : '0x')),
+  };
+}
+
+describe('checkLpLock', () => {
+  test('splits LP into burned, locked and withdrawable', async () => {
+    const provider = mockProvider(1000n, {
+      [ethers.ZeroAddress]: 1n,
+      [DEAD_ADDRESS.toLowerCase()]: 499n,
+      [PINKLOCK.toLowerCase()]: 300n,
+    });
+
+    const result = await checkLpLock(provider, CONFIG, POOL);
+
+    expect(result).toEqual({
+      pair: PAIR,
+      burnedPct: 50,
+      lockedPct: 30,
+      withdrawablePct: 20,
+      lockers: [{ address: PINKLOCK, pct: 30 }],
+      holders: [],
+    });
+  });
+
+  test('counts LP_LOCKERS entries as locked', async () => {
+    const provider = mockProvider(1000n, { [EXTRA_LOCKER]: 900n });
+
+    const result = await checkLpLock(provider, { ...CONFIG, lpLockers: [EXTRA_LOCKER] }, POOL);
+
+    expect(result.lockedPct).toBe(90);
+    expect(result.withdrawablePct).toBe(10);
+  });
+
+  test('tags candidate holders as EOA or contract', async () => {
+    const provider = mockProvider(1000n, { [OWNER]: 950n, [TOKEN.toLowerCase()]: 50n }, [TOKEN.toLowerCase()]);
+
+    const result = await checkLpLock(provider, CONFIG, POOL, [OWNER, TOKEN, null]);
+
+    expect(result.withdrawablePct).toBe(100);
+    expect(result.holders).toEqual([
+      { address: ethers.getAddress(OWNER), pct: 95, eoa: true },
+      { address: ethers.getAddress(TOKEN), pct: 5, eoa: false },
+    ]);
+  });
+
+  test('skips burn and locker addresses among the candidates', async () => {
+    const provider = mockProvider(1000n, { [DEAD_ADDRESS.toLowerCase()]: 500n, [PINKLOCK.toLowerCase()]: 300n, [OWNER]: 200n });
+
+    const result = await checkLpLock(provider, CONFIG, POOL, [DEAD_ADDRESS, PINKLOCK, OWNER]);
+
+    expect(result.holders).toEqual([{ address: ethers.getAddress(OWNER), pct: 20, eoa: true }]);
+  });
+
+  test('returns null for pools without an ERC20 LP token or supply', async () => {
+    expect(await checkLpLock(mockProvider(null), CONFIG, POOL)).toBeNull();
+    expect(await checkLpLock(mockProvider(0n), CONFIG, POOL)).toBeNull();
+  });
+});
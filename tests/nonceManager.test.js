@@ -0,0 +1,263 @@
+jest.mock('../src/logger', () => ({
+  step: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+  sep: jest.fn(),
+}));
+
+const { ethers } = require('ethers');
+const { createNonceManager, withNonce } = require('../src/nonceManager');
+
+const WALLET_ADDR = '0x00000000000000000000000000000000000000aa';
+
+function mockSigner(pending = 10) {
+  const signer = {
+    address: WALLET_ADDR,
+    pending,
+    getNonce: jest.fn(async () => signer.pending),
+    sendTransaction: jest.fn(async (tx) => ({ hash: `0xfill${tx.nonce}` })),
+    provider: {
+      getFeeData: jest.fn(async () => ({ gasPrice: ethers.parseUnits('3', 'gwei') })),
+      getTransaction: jest.fn(async (hash) => ({ hash })),
+    },
+  };
+  return signer;
+}
+
+function nonceError() {
+  const err = new Error('nonce too low: next nonce 12, tx nonce 10');
+  err.code = 'NONCE_EXPIRED';
+  return err;
+}
+
+// === createNonceManager ===
+
+describe('createNonceManager', () => {
+  test('syncs from the pending count once, then counts locally', async () => {
+    const signer = mockSigner(10);
+    const nonces = createNonceManager(signer);
+
+    expect(await nonces.reserve()).toBe(10);
+    expect(await nonces.reserve()).toBe(11);
+    expect(signer.getNonce).toHaveBeenCalledTimes(1);
+    expect(signer.getNonce).toHaveBeenCalledWith('pending');
+  });
+
+  test('hands out distinct nonces to concurrent callers', async () => {
+    const nonces = createNonceManager(mockSigner(10));
+
+    const reserved = await Promise.all([nonces.reserve(), nonces.reserve(), nonces.reserve()]);
+
+    expect(reserved.sort()).toEqual([10, 11, 12]);
+  });
+
+  test('reuses a released nonce first', async () => {
+    const nonces = createNonceManager(mockSigner(10));
+    await nonces.reserve(); // 10
+    const failed = await nonces.reserve(); // 11
+    await nonces.reserve(); // 12
+
+    nonces.release(failed);
+
+    expect(await nonces.reserve()).toBe(11);
+    expect(await nonces.reserve()).toBe(13);
+  });
+
+  test('resync jumps ahead after nonces were used elsewhere', async () => {
+    const signer = mockSigner(10);
+    const nonces = createNonceManager(signer);
+    await nonces.reserve(); // 10
+
+    signer.pending = 15;
+    await nonces.resync();
+
+    expect(await nonces.reserve()).toBe(15);
+    expect(nonces.state().inFlight).toEqual([15]);
+  });
+
+  test('resync treats missing nonces that are not in flight as gaps', async () => {
+    const signer = mockSigner(10);
+    const nonces = createNonceManager(signer);
+    await nonces.reserve(); // 10
+    await nonces.reserve(); // 11
+    nonces.release(11);
+    await nonces.reserve(); // 11 again
+    await nonces.reserve(); // 12
+
+    signer.pending = 11;
+    await nonces.resync();
+
+    expect(nonces.state()).toEqual({ next: 13, inFlight: [11, 12], gaps: [] });
+  });
+
+  test('fillGaps sends self-transfers into released nonces below in-flight ones', async () => {
+    const signer = mockSigner(10);
+    const nonces = createNonceManager(signer, { maxGasPriceGwei: 5 });
+    await nonces.reserve(); // 10
+    const failed = await nonces.reserve(); // 11
+    await nonces.reserve(); // 12 — queued behind 11
+    nonces.release(failed);
+    signer.pending = 11;
+
+    const hashes = await nonces.fillGaps();
+
+    expect(hashes).toEqual(['0xfill11']);
+    expect(signer.sendTransaction).toHaveBeenCalledWith({
+      to: WALLET_ADDR,
+      value: 0n,
+      gasLimit: 21000,
+      gasPrice: ethers.parseUnits('3', 'gwei'),
+      nonce: 11,
+    });
+    expect(nonces.state().gaps).toEqual([]);
+  });
+
+  test('fillGaps caps the filler gas price at MAX_GAS_PRICE_GWEI', async () => {
+    const signer = mockSigner(10);
+    signer.provider.getFeeData.mockResolvedValue({ gasPrice: ethers.parseUnits('50', 'gwei') });
+    const nonces = createNonceManager(signer, { maxGasPriceGwei: 5 });
+    await nonces.reserve(); // 10
+    const failed = await nonces.reserve(); // 11
+    await nonces.reserve(); // 12
+    nonces.release(failed);
+    signer.pending = 11;
+
+    await nonces.fillGaps();
+
+    expect(signer.sendTransaction.mock.calls[0][0].gasPrice).toBe(ethers.parseUnits('5', 'gwei'));
+  });
+
+  test('fillGaps leaves the gap when the gas price is unavailable', async () => {
+    const signer = mockSigner(10);
+    signer.provider.getFeeData.mockRejectedValue(new Error('rpc down'));
+    const nonces = createNonceManager(signer, { maxGasPriceGwei: 5 });
+    await nonces.reserve(); // 10
+    const failed = await nonces.reserve(); // 11
+    await nonces.reserve(); // 12
+    nonces.release(failed);
+    signer.pending = 11;
+
+    expect(await nonces.fillGaps()).toEqual([]);
+    expect(signer.sendTransaction).not.toHaveBeenCalled();
+    expect(nonces.state().gaps).toEqual([11]);
+  });
+
+  test('fillGaps refills a nonce whose transaction was dropped from the mempool', async () => {
+    const signer = mockSigner(10);
+    const nonces = createNonceManager(signer, { maxGasPriceGwei: 5 });
+    nonces.track(await nonces.reserve(), '0xdropped'); // 10
+    nonces.track(await nonces.reserve(), '0xqueued'); // 11 — waits behind 10
+    signer.provider.getTransaction.mockImplementation(async (hash) => (hash === '0xdropped' ? null : { hash }));
+
+    // Too fresh to call dropped
+    expect(await nonces.fillGaps()).toEqual([]);
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60000);
+    const hashes = await nonces.fillGaps();
+    jest.restoreAllMocks();
+
+    expect(hashes).toEqual(['0xfill10']);
+    expect(signer.sendTransaction.mock.calls[0][0].nonce).toBe(10);
+    expect(nonces.state()).toEqual({ next: 12, inFlight: [10, 11], gaps: [] });
+  });
+
+  test('a replaced transaction keeps its nonce in flight', async () => {
+    const signer = mockSigner(10);
+    const nonces = createNonceManager(signer);
+    const nonce = await nonces.reserve();
+    nonces.track(nonce, '0xoriginal');
+    nonces.track(nonce, '0xspeedup');
+    signer.provider.getTransaction.mockImplementation(async (hash) => (hash === '0xspeedup' ? { hash } : null));
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60000);
+    await nonces.resync();
+    jest.restoreAllMocks();
+
+    expect(nonces.state()).toEqual({ next: 11, inFlight: [10], gaps: [] });
+  });
+
+  test('fillGaps does nothing without blocked transactions', async () => {
+    const signer = mockSigner(10);
+    const nonces = createNonceManager(signer);
+    const only = await nonces.reserve();
+    nonces.release(only);
+
+    expect(await nonces.fillGaps()).toEqual([]);
+    expect(signer.sendTransaction).not.toHaveBeenCalled();
+  });
+});
+
+// === withNonce ===
+
+describe('withNonce', () => {
+  test('sends without a manager unchanged', async () => {
+    const send = jest.fn().mockResolvedValue('tx');
+    expect(await withNonce(null, { to: '0x1' }, send)).toBe('tx');
+    expect(send).toHaveBeenCalledWith({ to: '0x1' });
+  });
+
+  test('injects a reserved nonce', async () => {
+    const nonces = createNonceManager(mockSigner(4));
+    const send = jest.fn().mockResolvedValue('tx');
+
+    await withNonce(nonces, { to: '0x1' }, send);
+
+    expect(send).toHaveBeenCalledWith({ to: '0x1', nonce: 4 });
+  });
+
+  test('tracks the hash sent with each nonce', async () => {
+    const nonces = createNonceManager(mockSigner(4));
+    jest.spyOn(nonces, 'track');
+    const send = jest.fn().mockResolvedValue({ hash: '0xabc' });
+
+    await withNonce(nonces, { to: '0x1' }, send);
+    await withNonce(nonces, { to: '0x1', nonce: 4 }, send);
+
+    expect(nonces.track.mock.calls).toEqual([
+      [4, '0xabc'],
+      [4, '0xabc'],
+    ]);
+  });
+
+  test('keeps an explicit nonce (replacements)', async () => {
+    const nonces = createNonceManager(mockSigner(4));
+    const send = jest.fn().mockResolvedValue('tx');
+
+    await withNonce(nonces, { to: '0x1', nonce: 2 }, send);
+
+    expect(send).toHaveBeenCalledWith({ to: '0x1', nonce: 2 });
+    expect(nonces.state().next).toBeNull();
+  });
+
+  test('releases the nonce when the send fails', async () => {
+    const nonces = createNonceManager(mockSigner(4));
+    const send = jest.fn().mockRejectedValue(new Error('insufficient funds'));
+
+    await expect(withNonce(nonces, {}, send)).rejects.toThrow('insufficient funds');
+    expect(await nonces.reserve()).toBe(4);
+  });
+
+  test('resyncs and retries once on "nonce too low"', async () => {
+    const signer = mockSigner(10);
+    const nonces = createNonceManager(signer);
+    const send = jest.fn()
+      .mockImplementationOnce(async () => {
+        signer.pending = 12;
+        throw nonceError();
+      })
+      .mockResolvedValueOnce('tx');
+
+    expect(await withNonce(nonces, {}, send)).toBe('tx');
+    expect(send).toHaveBeenLastCalledWith({ nonce: 12 });
+  });
+
+  test('gives up after a second nonce error', async () => {
+    const nonces = createNonceManager(mockSigner(10));
+    const send = jest.fn().mockRejectedValue(nonceError());
+
+    await expect(withNonce(nonces, {}, send)).rejects.toThrow('nonce too low');
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,147 @@
+jest.mock('../src/logger', () => ({
+  step: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+  sep: jest.fn(),
+}));
+
+const { ethers } = require('ethers');
+const { buildPancakeQuote, buildPath, isPancakeV2Pool, ROUTER_ABI } = require('../src/pancake');
+const { WBNB, USDT, PANCAKE_ROUTER } = require('../src/config');
+const { CHAINS } = require('../src/chains');
+
+const TOKEN_ADDR = '0x1234567890AbcdEF1234567890aBcdef12345678';
+const TAKER = '0x00000000000000000000000000000000000000aa';
+
+const routerIface = new ethers.Interface(ROUTER_ABI);
+
+const CONFIG = {
+  chain: CHAINS.bsc,
+  wbnb: WBNB,
+  pancakeRouter: PANCAKE_ROUTER,
+  buyAmountWei: 10_000_000_000_000_000n,
+  slippageBps: 500,
+};
+
+function makePool(overrides = {}) {
+  return {
+    dexId: 'pancakeswap',
+    labels: ['v2'],
+    baseToken: { symbol: 'TOKEN', address: TOKEN_ADDR },
+    quoteToken: { symbol: 'WBNB', address: WBNB },
+    ...overrides,
+  };
+}
+
+function mockRouterProvider(amounts) {
+  return {
+    call: jest.fn().mockResolvedValue(
+      routerIface.encodeFunctionResult('getAmountsOut', [amounts])
+    ),
+  };
+}
+
+// === isPancakeV2Pool ===
+
+describe('isPancakeV2Pool', () => {
+  test('accepts pancakeswap v2 pool', () => {
+    expect(isPancakeV2Pool(makePool())).toBe(true);
+  });
+
+  test('accepts pancakeswap pool without labels', () => {
+    expect(isPancakeV2Pool(makePool({ labels: undefined }))).toBe(true);
+  });
+
+  test('rejects pancakeswap v3 pool', () => {
+    expect(isPancakeV2Pool(makePool({ labels: ['v3'] }))).toBe(false);
+  });
+
+  test('rejects other DEXes', () => {
+    expect(isPancakeV2Pool(makePool({ dexId: 'biswap' }))).toBe(false);
+    expect(isPancakeV2Pool(undefined)).toBe(false);
+  });
+
+  test('matches the given V2 DEX id on other chains', () => {
+    expect(isPancakeV2Pool(makePool({ dexId: 'uniswap', labels: ['v2'] }), 'uniswap')).toBe(true);
+    expect(isPancakeV2Pool(makePool(), 'uniswap')).toBe(false);
+  });
+});
+
+// === buildPath ===
+
+describe('buildPath', () => {
+  test('uses direct WBNB path without a pool', () => {
+    expect(buildPath(CONFIG, TOKEN_ADDR)).toEqual([WBNB, TOKEN_ADDR]);
+  });
+
+  test('uses direct WBNB path for WBNB-quoted pool', () => {
+    expect(buildPath(CONFIG, TOKEN_ADDR, makePool())).toEqual([WBNB, TOKEN_ADDR]);
+  });
+
+  test('routes through stable quote of selected V2 pool', () => {
+    const pool = makePool({ quoteToken: { symbol: 'USDT', address: USDT.toLowerCase() } });
+    expect(buildPath(CONFIG, TOKEN_ADDR, pool)).toEqual([WBNB, USDT, TOKEN_ADDR]);
+  });
+
+  test('falls back to WBNB path for non-V2 pool', () => {
+    const pool = makePool({ labels: ['v3'], quoteToken: { symbol: 'USDT', address: USDT } });
+    expect(buildPath(CONFIG, TOKEN_ADDR, pool)).toEqual([WBNB, TOKEN_ADDR]);
+  });
+});
+
+// === buildPancakeQuote ===
+
+describe('buildPancakeQuote', () => {
+  test('computes amountOutMin from getAmountsOut and slippage', async () => {
+    const provider = mockRouterProvider([CONFIG.buyAmountWei, 1_000_000n]);
+
+    const quote = await buildPancakeQuote(provider, CONFIG, TOKEN_ADDR, TAKER, makePool());
+
+    expect(quote.buyAmount).toBe('1000000');
+    expect(quote.minBuyAmount).toBe('950000');
+    expect(quote.transaction.to).toBe(PANCAKE_ROUTER);
+    expect(quote.transaction.value).toBe(CONFIG.buyAmountWei.toString());
+    expect(quote.route.fills[0].source).toBe('PancakeSwap_V2');
+  });
+
+  test('encodes swapExactETHForTokensSupportingFeeOnTransferTokens calldata', async () => {
+    const provider = mockRouterProvider([CONFIG.buyAmountWei, 1_000_000n]);
+
+    const quote = await buildPancakeQuote(provider, CONFIG, TOKEN_ADDR, TAKER, makePool());
+    const decoded = routerIface.parseTransaction({ data: quote.transaction.data });
+
+    expect(decoded.name).toBe('swapExactETHForTokensSupportingFeeOnTransferTokens');
+    expect(decoded.args[0]).toBe(950000n);
+    expect(decoded.args[1]).toEqual([WBNB, TOKEN_ADDR]);
+    expect(decoded.args[2]).toBe(ethers.getAddress(TAKER));
+    expect(Number(decoded.args[3])).toBeGreaterThan(Math.floor(Date.now() / 1000));
+  });
+
+  test('queries getAmountsOut on the router', async () => {
+    const provider = mockRouterProvider([CONFIG.buyAmountWei, 1n]);
+
+    await buildPancakeQuote(provider, CONFIG, TOKEN_ADDR, TAKER);
+
+    const [tx] = provider.call.mock.calls[0];
+    expect(tx.to).toBe(PANCAKE_ROUTER);
+    const decoded = routerIface.parseTransaction({ data: tx.data });
+    expect(decoded.name).toBe('getAmountsOut');
+    expect(decoded.args[0]).toBe(CONFIG.buyAmountWei);
+  });
+
+  test('throws when router has no route', async () => {
+    const provider = { call: jest.fn().mockRejectedValue(new Error('execution reverted')) };
+
+    await expect(buildPancakeQuote(provider, CONFIG, TOKEN_ADDR, TAKER))
+      .rejects.toThrow('No PancakeSwap V2 route');
+  });
+
+  test('throws when router quotes zero output', async () => {
+    const provider = mockRouterProvider([CONFIG.buyAmountWei, 0n]);
+
+    await expect(buildPancakeQuote(provider, CONFIG, TOKEN_ADDR, TAKER))
+      .rejects.toThrow('returned 0 tokens');
+  });
+});
@@ -0,0 +1,193 @@
+jest.mock('../src/logger', () => ({
+  step: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+  sep: jest.fn(),
+}));
+
+const { ethers } = require('ethers');
+const {
+  verifyPoolLiquidity,
+  measurePoolLiquidity,
+  getNativeUsdPrice,
+  getPoolType,
+  buildPairPool,
+} = require('../src/poolLiquidity');
+const { CHAINS } = require('../src/chains');
+
+const CHAIN = CHAINS.bsc;
+const WBNB = CHAIN.wrappedNative.address;
+const USDT = CHAIN.stablecoins[0].address;
+const TOKEN = '0x1234567890AbcdEF1234567890aBcdef12345678';
+const V2_PAIR = '0x00000000000000000000000000000000000000a2';
+const V3_POOL = '0x00000000000000000000000000000000000000a3';
+const NATIVE_PAIR = '0x00000000000000000000000000000000000000bb';
+const ONE = 10n ** 18n;
+
+const iface = new ethers.Interface([
+  'function decimals() view returns (uint8)',
+  'function getPair(address tokenA, address tokenB) view returns (address pair)',
+  'function token0() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick)',
+  'function balanceOf(address) view returns (uint256)',
+]);
+
+// contracts: address → { functionName: result array | (...args) => result array }; anything else reverts
+function mockProvider(contracts) {
+  return {
+    call: jest.fn(async ({ to, data }) => {
+      const fn = iface.getFunction(data.slice(0, 10));
+      let result = contracts[to.toLowerCase()]?.[fn.name];
+      if (typeof result === 'function') result = result(...iface.decodeFunctionData(fn, data));
+      if (!result) throw new Error('execution reverted');
+      return iface.encodeFunctionResult(fn, result);
+    }),
+  };
+}
+
+// balanceOf() answering from `balances` (holder → amount), 0 for everyone else
+const balancesOf = (balances) => (holder) => [balances[holder.toLowerCase()] ?? 0n];
+
+// BNB at $600: 1000 WBNB / 600k USDT
+const BASE_CONTRACTS = {
+  [CHAIN.factory.toLowerCase()]: { getPair: [NATIVE_PAIR] },
+  [NATIVE_PAIR]: { token0: [USDT], getReserves: [600_000n * ONE, 1000n * ONE, 0] },
+  [WBNB.toLowerCase()]: { decimals: [18] },
+  [USDT.toLowerCase()]: { decimals: [18] },
+};
+
+function makePool(pairAddress, quoteAddress, usd, dexId = 'pancakeswap') {
+  return {
+    dexId,
+    pairAddress,
+    baseToken: { address: TOKEN, symbol: 'TKN' },
+    quoteToken: { address: quoteAddress, symbol: quoteAddress === WBNB ? 'WBNB' : 'USDT' },
+    liquidity: { usd },
+  };
+}
+
+describe('getNativeUsdPrice', () => {
+  test('prices the wrapped native token from its V2 stablecoin pair', async () => {
+    expect(await getNativeUsdPrice(mockProvider(BASE_CONTRACTS), CHAIN)).toBe(600);
+  });
+
+  test('returns null when no stablecoin pair exists', async () => {
+    const provider = mockProvider({ [CHAIN.factory.toLowerCase()]: { getPair: [ethers.ZeroAddress] } });
+    expect(await getNativeUsdPrice(provider, CHAIN)).toBeNull();
+  });
+});
+
+describe('getPoolType', () => {
+  test('tells V2 pairs from V3 pools and other contracts', async () => {
+    const provider = mockProvider({
+      [V2_PAIR]: { token0: [TOKEN], getReserves: [1n, 1n, 0] },
+      [V3_POOL]: { slot0: [2n * 2n ** 96n, 0] },
+      [NATIVE_PAIR]: { slot0: [0n, 0] },
+    });
+
+    expect(await getPoolType(provider, V2_PAIR, WBNB)).toBe('v2');
+    expect(await getPoolType(provider, V3_POOL, WBNB)).toBe('v3');
+    expect(await getPoolType(provider, NATIVE_PAIR, WBNB)).toBeNull();
+    expect(await getPoolType(provider, '0x00000000000000000000000000000000000000dd', WBNB)).toBeNull();
+  });
+});
+
+describe('measurePoolLiquidity', () => {
+  test('V2 WBNB pool: twice its WBNB balance at the native USD price', async () => {
+    const provider = mockProvider({
+      ...BASE_CONTRACTS,
+      [V2_PAIR]: { token0: [TOKEN], getReserves: [5_000_000n * ONE, 10n * ONE, 0] },
+      [WBNB.toLowerCase()]: { decimals: [18], balanceOf: balancesOf({ [V2_PAIR]: 10n * ONE }) },
+    });
+
+    const result = await measurePoolLiquidity(provider, makePool(V2_PAIR, WBNB, 0), WBNB, CHAIN, 600);
+
+    expect(result).toEqual({ usd: 12000, source: 'v2' });
+  });
+
+  test('V3 stablecoin pool: twice its stable balance at $1, not in-range virtual reserves', async () => {
+    const provider = mockProvider({
+      ...BASE_CONTRACTS,
+      [V3_POOL]: { slot0: [2n * 2n ** 96n, 0] },
+      [USDT.toLowerCase()]: { decimals: [18], balanceOf: balancesOf({ [V3_POOL]: 2000n * ONE }) },
+    });
+
+    const result = await measurePoolLiquidity(provider, makePool(V3_POOL, USDT, 0), USDT, CHAIN, 600);
+
+    expect(result).toEqual({ usd: 4000, source: 'v3' });
+  });
+
+  test('returns null for WBNB pools without a native price', async () => {
+    const provider = mockProvider({
+      ...BASE_CONTRACTS,
+      [V2_PAIR]: { token0: [TOKEN], getReserves: [1n, 1n, 0] },
+    });
+    expect(await measurePoolLiquidity(provider, makePool(V2_PAIR, WBNB, 0), WBNB, CHAIN, null)).toBeNull();
+  });
+});
+
+describe('verifyPoolLiquidity', () => {
+  test('annotates readable candidate pools and leaves the rest untouched', async () => {
+    const provider = mockProvider({
+      ...BASE_CONTRACTS,
+      [V2_PAIR]: { token0: [TOKEN], getReserves: [5_000_000n * ONE, 10n * ONE, 0] },
+      [WBNB.toLowerCase()]: { decimals: [18], balanceOf: balancesOf({ [V2_PAIR]: 10n * ONE }) },
+    });
+    const pools = [
+      makePool(V2_PAIR, WBNB, 500000),
+      makePool('0x00000000000000000000000000000000000000dd', WBNB, 1000), // unreadable
+      makePool('0x00000000000000000000000000000000000000ee', WBNB, 1000, 'scamdex'), // filtered, not read
+    ];
+
+    const verified = await verifyPoolLiquidity(provider, pools, TOKEN, { chain: CHAIN });
+
+    expect(verified[0].onchainLiquidity).toEqual({ usd: 12000, source: 'v2' });
+    expect(verified[1]).toBe(pools[1]);
+    expect(verified[2]).toBe(pools[2]);
+    expect(pools[0].onchainLiquidity).toBeUndefined();
+    expect(provider.call).not.toHaveBeenCalledWith(
+      expect.objectContaining({ to: '0x00000000000000000000000000000000000000ee' })
+    );
+  });
+
+  test('makes no calls without candidate pools', async () => {
+    const provider = mockProvider({});
+    const pools = [makePool(V2_PAIR, WBNB, 1000, 'scamdex')];
+
+    expect(await verifyPoolLiquidity(provider, pools, TOKEN, { chain: CHAIN })).toBe(pools);
+    expect(provider.call).not.toHaveBeenCalled();
+  });
+});
+
+describe('buildPairPool', () => {
+  test('builds a V2 pool for an unindexed pair with its on-chain liquidity', async () => {
+    const provider = mockProvider({
+      ...BASE_CONTRACTS,
+      [V2_PAIR]: { token0: [TOKEN], getReserves: [1n, 1n, 0] },
+      [WBNB.toLowerCase()]: { decimals: [18], balanceOf: balancesOf({ [V2_PAIR]: 5n * ONE }) },
+    });
+
+    const pool = await buildPairPool(provider, CHAIN, TOKEN, V2_PAIR, WBNB);
+
+    expect(pool).toEqual({
+      chainId: 'bsc',
+      dexId: 'pancakeswap',
+      pairAddress: V2_PAIR,
+      baseToken: { address: TOKEN },
+      quoteToken: { address: WBNB, symbol: 'WBNB' },
+      liquidity: { usd: 6000 },
+      onchainLiquidity: { usd: 6000, source: 'v2' },
+    });
+  });
+
+  test('reports zero liquidity when the pair cannot be read', async () => {
+    const pool = await buildPairPool(mockProvider(BASE_CONTRACTS), CHAIN, TOKEN, V2_PAIR, USDT);
+
+    expect(pool.liquidity).toEqual({ usd: 0 });
+    expect(pool.onchainLiquidity).toBeUndefined();
+    expect(pool.quoteToken.symbol).toBe('USDT');
+  });
+});
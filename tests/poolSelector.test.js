@@ -9,13 +9,24 @@ jest.mock('../src/logger', () => ({
 
 const {
   analyzePools,
+  selectBestPool,
   identifyTokens,
   validatePool,
   scorePool,
+  poolLiquidityUsd,
+  liquidityDivergencePercent,
+  buySellImbalance,
+  avgTradeShare,
+  flatPriceTurnover,
+  volumeSpikeRatio,
+  getPoolAgeSec,
+  getTokenAgeSec,
   LIQUID_QUOTES,
   TRUSTED_DEXES,
 } = require('../src/poolSelector');
 const { WBNB, USDT, USDC, BUSD } = require('../src/config');
+const { CHAINS } = require('../src/chains');
+const { parseScoring } = require('../src/scoring');
 
 const TARGET_ADDR = '0x1234567890abcdef1234567890abcdef12345678';
 const JUNK_ADDR = '0xdeadbeefdeadbeefdeadbeefdeadbeefdeadbeef';
@@ -121,6 +132,21 @@ describe('validatePool', () => {
     expect(result.reason).toContain('untrusted DEX');
   });
 
+  test('uses quote tokens and DEX list of opts.chain', () => {
+    const base = CHAINS.base;
+    const pool = makePool({
+      dexId: 'aerodrome',
+      quoteToken: { symbol: 'WETH', address: base.wrappedNative.address },
+    });
+
+    expect(validatePool(pool, TARGET_ADDR).valid).toBe(false);
+    const result = validatePool(pool, TARGET_ADDR, { chain: base });
+    expect(result.valid).toBe(true);
+    expect(result.quoteInfo).toEqual({ symbol: 'WETH', tier: 1 });
+
+    expect(validatePool(makePool(), TARGET_ADDR, { chain: base }).reason).toContain('non-liquid quote token');
+  });
+
   test('rejects pool with zero liquidity', () => {
     const pool = makePool({ liquidity: { usd: 0 } });
     const result = validatePool(pool, TARGET_ADDR);
@@ -163,6 +189,82 @@ describe('validatePool', () => {
     const result = validatePool(pool, TARGET_ADDR);
     expect(result.valid).toBe(true);
   });
+
+  test('rejects pool older than maxTokenAgeSec', () => {
+    const now = 1_700_000_000_000;
+    const pool = makePool({ pairCreatedAt: now - 600_000 });
+    const result = validatePool(pool, TARGET_ADDR, { maxTokenAgeSec: 300, now });
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe('older than max token age (300s)');
+  });
+
+  test('passes pool younger than maxTokenAgeSec', () => {
+    const now = 1_700_000_000_000;
+    const pool = makePool({ pairCreatedAt: now - 60_000 });
+    const result = validatePool(pool, TARGET_ADDR, { maxTokenAgeSec: 300, now });
+    expect(result.valid).toBe(true);
+  });
+
+  test('passes pool without pairCreatedAt when age limit set', () => {
+    const pool = makePool();
+    const result = validatePool(pool, TARGET_ADDR, { maxTokenAgeSec: 300 });
+    expect(result.valid).toBe(true);
+  });
+
+  test('ignores age when maxTokenAgeSec is 0', () => {
+    const pool = makePool({ pairCreatedAt: 1 });
+    const result = validatePool(pool, TARGET_ADDR, { maxTokenAgeSec: 0 });
+    expect(result.valid).toBe(true);
+  });
+});
+
+// === getPoolAgeSec / getTokenAgeSec ===
+
+describe('getPoolAgeSec', () => {
+  const now = 1_700_000_000_000;
+
+  test('returns age in whole seconds', () => {
+    expect(getPoolAgeSec(makePool({ pairCreatedAt: now - 90_500 }), now)).toBe(90);
+  });
+
+  test('returns null without pairCreatedAt', () => {
+    expect(getPoolAgeSec(makePool(), now)).toBeNull();
+  });
+
+  test('clamps future timestamps to 0', () => {
+    expect(getPoolAgeSec(makePool({ pairCreatedAt: now + 5000 }), now)).toBe(0);
+  });
+});
+
+describe('getTokenAgeSec', () => {
+  const now = 1_700_000_000_000;
+
+  test('uses the oldest pool containing the target', () => {
+    const pools = [
+      makePool({ pairCreatedAt: now - 60_000 }),
+      makePool({ pairCreatedAt: now - 3_600_000 }),
+    ];
+    expect(getTokenAgeSec(pools, TARGET_ADDR, [], now)).toBe(3600);
+  });
+
+  test('ignores pools without the target token', () => {
+    const pools = [
+      makePool({ pairCreatedAt: now - 60_000 }),
+      makePool({
+        baseToken: { symbol: 'OTHER', address: JUNK_ADDR },
+        pairCreatedAt: now - 3_600_000,
+      }),
+    ];
+    expect(getTokenAgeSec(pools, TARGET_ADDR, [], now)).toBe(60);
+  });
+
+  test('includes extra creation timestamps', () => {
+    expect(getTokenAgeSec([], TARGET_ADDR, [now - 30_000], now)).toBe(30);
+  });
+
+  test('returns null when no timestamps are known', () => {
+    expect(getTokenAgeSec([makePool()], TARGET_ADDR, [], now)).toBeNull();
+  });
 });
 
 // === scorePool ===
@@ -278,9 +380,234 @@ describe('analyzePools', () => {
     expect(best).toBeUndefined();
   });
 
+  test('filters out pools older than maxTokenAgeSec', () => {
+    const logger = require('../src/logger');
+    const now = Date.now();
+    const pools = [
+      makePool({ pairAddress: 'old', liquidity: { usd: 999999 }, pairCreatedAt: now - 3_600_000 }),
+      makePool({ pairAddress: 'new', liquidity: { usd: 5000 }, pairCreatedAt: now - 60_000 }),
+    ];
+    const best = analyzePools(pools, TARGET_ADDR, { maxTokenAgeSec: 300 });
+    expect(best.pairAddress).toBe('new');
+    expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('older than max token age (300s): 1'));
+  });
+
+  test('rejects pools whose reported liquidity diverges from on-chain reserves', () => {
+    const logger = require('../src/logger');
+    const pools = [
+      makePool({ pairAddress: 'spoofed', liquidity: { usd: 900000 }, onchainLiquidity: { usd: 2000, source: 'v2' } }),
+      makePool({ pairAddress: 'honest', liquidity: { usd: 40000 }, onchainLiquidity: { usd: 38000, source: 'v2' } }),
+    ];
+    const best = analyzePools(pools, TARGET_ADDR, { maxLiquidityDivergencePercent: 50 });
+    expect(best.pairAddress).toBe('honest');
+    expect(logger.info).toHaveBeenCalledWith(
+      expect.stringContaining('reported liquidity diverges from on-chain reserves: 1')
+    );
+  });
+
+  test('keeps diverging pools when the check is off', () => {
+    const pools = [makePool({ pairAddress: 'spoofed', onchainLiquidity: { usd: 10, source: 'v2' } })];
+    expect(analyzePools(pools, TARGET_ADDR).pairAddress).toBe('spoofed');
+  });
+
   test('handles single valid pool', () => {
     const pools = [makePool({ pairAddress: 'only' })];
     const best = analyzePools(pools, TARGET_ADDR);
     expect(best.pairAddress).toBe('only');
   });
 });
+
+// === on-chain liquidity ===
+
+describe('poolLiquidityUsd', () => {
+  test('prefers the on-chain figure', () => {
+    expect(poolLiquidityUsd(makePool({ onchainLiquidity: { usd: 1234 } }))).toBe(1234);
+    expect(poolLiquidityUsd(makePool())).toBe(50000);
+    expect(poolLiquidityUsd(makePool({ liquidity: undefined }))).toBe(0);
+  });
+
+  test('scorePool scores on-chain liquidity when present', () => {
+    const reported = scorePool(makePool(), { tier: 1 });
+    const verified = scorePool(makePool({ onchainLiquidity: { usd: 1000 } }), { tier: 1 });
+    expect(verified.breakdown.liquidity).toBe(0);
+    expect(reported.breakdown.liquidity).toBeGreaterThan(0);
+  });
+});
+
+describe('liquidityDivergencePercent', () => {
+  test('is relative to the larger value and symmetric', () => {
+    expect(liquidityDivergencePercent(100, 100)).toBe(0);
+    expect(liquidityDivergencePercent(100, 25)).toBe(75);
+    expect(liquidityDivergencePercent(25, 100)).toBe(75);
+    expect(liquidityDivergencePercent(100, 0)).toBe(100);
+    expect(liquidityDivergencePercent(0, 0)).toBe(0);
+  });
+});
+
+// === configurable scoring (POOL_SCORING_FILE) ===
+
+describe('configurable scoring', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('weights set the points per component', () => {
+    const pool = makePool({ liquidity: { usd: 1_000_000 }, volume: { h24: 0 }, txns: {} });
+    const scoring = parseScoring({ weights: { liquidity: 70, quoteQuality: 30 } });
+
+    const s = scorePool(pool, { tier: 2 }, scoring);
+
+    expect(s.breakdown.liquidity).toBe(70);
+    expect(s.breakdown.quoteQuality).toBe(15);
+    expect(s.total).toBe(85);
+  });
+
+  test('dex adjustments add to the total, floored at 0', () => {
+    const scoring = parseScoring({ dexAdjustments: { pancakeswap: 5, biswap: -500 } });
+    const base = scorePool(makePool(), { tier: 1 });
+
+    expect(scorePool(makePool(), { tier: 1 }, scoring).total).toBe(Math.round((base.total + 5) * 100) / 100);
+    expect(scorePool(makePool({ dexId: 'biswap' }), { tier: 1 }, scoring).total).toBe(0);
+  });
+
+  test('trust lists from the file replace the chain profile lists', () => {
+    const scoring = parseScoring({
+      trustedDexes: ['biswap'],
+      liquidQuotes: [{ address: USDT, symbol: 'USDT', tier: 1 }],
+    });
+
+    expect(validatePool(makePool(), TARGET_ADDR, { scoring }).reason).toBe('non-liquid quote token: WBNB');
+    const usdtPool = makePool({ quoteToken: { symbol: 'USDT', address: USDT } });
+    expect(validatePool(usdtPool, TARGET_ADDR, { scoring }).reason).toBe('untrusted DEX: pancakeswap');
+    expect(validatePool({ ...usdtPool, dexId: 'biswap' }, TARGET_ADDR, { scoring }).valid).toBe(true);
+  });
+
+  test('returns no pool when the best score is below minScore', () => {
+    const logger = require('../src/logger');
+    const pools = [makePool({ liquidity: { usd: 1000 }, volume: { h24: 0 }, txns: {} })];
+
+    expect(analyzePools(pools, TARGET_ADDR, { scoring: parseScoring({ minScore: 50 }) })).toBeUndefined();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('below the minimum 50'));
+    expect(analyzePools(pools, TARGET_ADDR, { scoring: parseScoring({ minScore: 5 }) })).toBe(pools[0]);
+  });
+
+  test('selectBestPool reports why no pool was selected', () => {
+    const pools = [makePool({ liquidity: { usd: 1000 }, volume: { h24: 0 }, txns: {} })];
+
+    expect(selectBestPool(pools, TARGET_ADDR, { scoring: parseScoring({ minScore: 50 }) }).rejection).toMatch(
+      /^best pool scores \d+, below the minimum score 50$/
+    );
+    expect(selectBestPool([{ ...pools[0], dexId: 'unknowndex' }], TARGET_ADDR).rejection).toBe(
+      'no pool passed the filters: untrusted DEX: unknowndex (1)'
+    );
+    expect(selectBestPool([], TARGET_ADDR).rejection).toBe('no pools on DexScreener');
+    expect(selectBestPool(pools, TARGET_ADDR)).toEqual({ pool: pools[0], rejection: null });
+  });
+});
+
+// === trading-pattern heuristics ===
+
+describe('buySellImbalance', () => {
+  test('takes the most one-sided window', () => {
+    const pool = makePool({
+      txns: { m5: { buys: 20, sells: 0 }, h1: { buys: 60, sells: 40 }, h24: { buys: 100, sells: 80 } },
+    });
+    expect(buySellImbalance(pool)).toBe(1);
+  });
+
+  test('ignores windows with too few trades', () => {
+    expect(buySellImbalance(makePool({ txns: { m5: { buys: 5, sells: 0 } } }))).toBeNull();
+    expect(buySellImbalance(makePool({ txns: { h1: { buys: 30, sells: 10 } } }))).toBe(0.5);
+  });
+});
+
+describe('avgTradeShare', () => {
+  test('average trade size over liquidity, worst of h1/h24', () => {
+    const pool = makePool({
+      volume: { h1: 3000, h24: 10000 },
+      txns: { h1: { buys: 5, sells: 5 }, h24: { buys: 100, sells: 100 } },
+    });
+    expect(avgTradeShare(pool, 10000)).toBe(0.03);
+  });
+
+  test('volume without trades counts as 1, no volume as null', () => {
+    expect(avgTradeShare(makePool({ volume: { h24: 500 }, txns: {} }), 10000)).toBe(1);
+    expect(avgTradeShare(makePool({ volume: {} }), 10000)).toBeNull();
+    expect(avgTradeShare(makePool(), 0)).toBeNull();
+  });
+});
+
+describe('flatPriceTurnover', () => {
+  test('turnover when the price barely moved', () => {
+    expect(flatPriceTurnover(makePool({ volume: { h24: 400000 }, priceChange: { h24: -1.5 } }), 50000)).toBe(8);
+    expect(flatPriceTurnover(makePool({ volume: { h24: 400000 }, priceChange: { h24: 35 } }), 50000)).toBe(0);
+    expect(flatPriceTurnover(makePool(), 50000)).toBeNull();
+  });
+});
+
+describe('volumeSpikeRatio', () => {
+  const NOW = 1_700_000_000_000;
+
+  test('compares hourly rates of neighbouring windows', () => {
+    // m5 rate 12000/h vs h1 rate 2000/h
+    const pool = makePool({ volume: { m5: 1000, h1: 2000, h6: 12000, h24: 48000 } });
+    expect(volumeSpikeRatio(pool, NOW)).toBe(6);
+  });
+
+  test('caps windows at the pool age so fresh pools are not spikes', () => {
+    const pool = makePool({ pairCreatedAt: NOW - 240_000, volume: { m5: 5000, h1: 5000, h6: 5000, h24: 5000 } });
+    expect(volumeSpikeRatio(pool, NOW)).toBe(1);
+  });
+
+  test('null without volume', () => {
+    expect(volumeSpikeRatio(makePool({ volume: {} }), NOW)).toBeNull();
+  });
+});
+
+describe('scorePool trading penalties', () => {
+  test('organic pool gets no penalty', () => {
+    const s = scorePool(makePool(), { tier: 1 });
+    expect(s.breakdown).toMatchObject({ buySell: -0, washTrading: -0, volumeSpike: -0 });
+  });
+
+  test('one-sided, wash-traded and spiking pool loses the configured points', () => {
+    const pool = makePool({
+      liquidity: { usd: 10000 },
+      volume: { m5: 20000, h1: 20000, h6: 30000, h24: 40000 },
+      txns: { h1: { buys: 40, sells: 0 }, h24: { buys: 45, sells: 1 } },
+    });
+    const noPenalties = parseScoring({ penalties: { buySellImbalance: 0, washTrading: 0, volumeSpike: 0 } });
+    const base = scorePool(pool, { tier: 1 }, noPenalties);
+    const s = scorePool(pool, { tier: 1 });
+
+    expect(s.breakdown.buySell).toBe(-15);
+    expect(s.breakdown.washTrading).toBe(-15);
+    expect(s.breakdown.volumeSpike).toBe(-10);
+    expect(s.total).toBe(Math.max(0, Math.round((base.total - 40) * 100) / 100));
+    expect(s.signals.buySellImbalance).toBe(1);
+  });
+
+  test('analyzePools prints penalties and the signals behind them', () => {
+    const logger = require('../src/logger');
+    logger.info.mockClear();
+    const pool = makePool({ txns: { h24: { buys: 95, sells: 5 } } });
+
+    analyzePools([pool], TARGET_ADDR);
+
+    expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('b/s=-15'));
+    expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Trading: buy/sell imbalance 90.0%'));
+  });
+
+  test('analyzePools prints every factor and penalty, including zeros', () => {
+    const logger = require('../src/logger');
+    logger.info.mockClear();
+    const pool = makePool({ liquidity: { usd: 1000 }, volume: {}, txns: {}, priceChange: {} });
+
+    analyzePools([pool], TARGET_ADDR);
+
+    expect(logger.info).toHaveBeenCalledWith(
+      expect.stringMatching(/Score: [\d.]+\/100 \(liq=0 vol=0 turn=0 quote=10 tx=0 dex=0 b\/s=0 wash=0 spike=0\)$/)
+    );
+    expect(logger.info).toHaveBeenCalledWith(
+      '  Trading: buy/sell imbalance n/a, avg trade n/a of liquidity, flat-price turnover n/a, volume spike n/a'
+    );
+  });
+});
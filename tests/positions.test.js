@@ -0,0 +1,173 @@
+jest.mock('../src/logger', () => ({
+  step: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+  sep: jest.fn(),
+}));
+
+jest.mock('../src/http', () => ({
+  client: {
+    get: jest.fn(),
+  },
+}));
+
+const { ethers } = require('ethers');
+const { client } = require('../src/http');
+const { ERC20_ABI } = require('../src/onchain');
+const { CHAINS } = require('../src/chains');
+const { aggregatePositions, computePnl, valuePosition } = require('../src/positions');
+
+const TOKEN_A = '0x1234567890abcdef1234567890abcdef12345678';
+const TOKEN_B = '0xdeadbeefdeadbeefdeadbeefdeadbeefdeadbeef';
+const WALLET = '0x00000000000000000000000000000000000000aa';
+const ONE_BNB = 10n ** 18n;
+
+const CONFIG = {
+  chain: CHAINS.bsc,
+  routerZeroxApiKey: 'test-api-key',
+  zeroxApiUrl: 'https://api.0x.org',
+  nativeToken: '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE',
+};
+
+const erc20 = new ethers.Interface(ERC20_ABI);
+
+function balanceProvider(balance) {
+  return {
+    call: jest.fn().mockResolvedValue(erc20.encodeFunctionResult('balanceOf', [balance])),
+  };
+}
+
+// === aggregatePositions ===
+
+describe('aggregatePositions', () => {
+  test('sums successful buys and sells per token', () => {
+    const positions = aggregatePositions([
+      { side: 'buy', status: 'success', token: TOKEN_A, symbol: 'AAA', amountIn: '1000', buyAmount: '500' },
+      { side: 'buy', status: 'success', token: TOKEN_A.toUpperCase().replace('0X', '0x'), amountIn: '3000', buyAmount: '500' },
+      { side: 'sell', status: 'success', token: TOKEN_A, amountIn: '200', buyAmount: '900' },
+      { side: 'buy', status: 'success', token: TOKEN_B, amountIn: '10', buyAmount: '1' },
+    ]);
+
+    expect(positions.size).toBe(2);
+    expect(positions.get(TOKEN_A)).toMatchObject({
+      symbol: 'AAA',
+      boughtTokens: 1000n,
+      costWei: 4000n,
+      soldTokens: 200n,
+      proceedsWei: 900n,
+    });
+  });
+
+  test('tracks earliest buy time and take-profit steps already sold', () => {
+    const positions = aggregatePositions([
+      { side: 'buy', status: 'success', token: TOKEN_A, timestamp: '2026-01-02T10:00:00.000Z', amountIn: '1' },
+      { side: 'buy', status: 'success', token: TOKEN_A, timestamp: '2026-01-01T10:00:00.000Z', amountIn: '1' },
+      { side: 'sell', status: 'success', token: TOKEN_A, ladderStep: 0, amountIn: '1' },
+      { side: 'sell', status: 'failed', token: TOKEN_A, ladderStep: 1, amountIn: '1' },
+    ]);
+
+    const p = positions.get(TOKEN_A);
+    expect(p.openedAt).toBe(Date.parse('2026-01-01T10:00:00.000Z'));
+    expect([...p.ladderSteps]).toEqual([0]);
+  });
+
+  test('ignores failed and skipped trades', () => {
+    const positions = aggregatePositions([
+      { side: 'buy', status: 'failed', token: TOKEN_A, amountIn: '1000' },
+      { side: 'buy', status: 'skipped', token: TOKEN_A, amountIn: '1000' },
+    ]);
+    expect(positions.size).toBe(0);
+  });
+});
+
+// === computePnl ===
+
+describe('computePnl', () => {
+  const position = { boughtTokens: 1000n, costWei: 4000n, soldTokens: 250n, proceedsWei: 1500n };
+
+  test('pro-rates cost of sold tokens at average price', () => {
+    const pnl = computePnl(position, 4000n);
+    expect(pnl.costBasisWei).toBe(3000n);
+    expect(pnl.realizedWei).toBe(500n);
+    expect(pnl.unrealizedWei).toBe(1000n);
+  });
+
+  test('unrealized PnL is null when value is unknown', () => {
+    expect(computePnl(position, null).unrealizedWei).toBeNull();
+  });
+
+  test('caps sold cost at total cost when selling more than bought', () => {
+    const pnl = computePnl({ ...position, soldTokens: 2000n }, 0n);
+    expect(pnl.costBasisWei).toBe(0n);
+    expect(pnl.realizedWei).toBe(1500n - 4000n);
+  });
+
+  test('handles positions with no recorded buy amount', () => {
+    const pnl = computePnl({ boughtTokens: 0n, costWei: 100n, soldTokens: 0n, proceedsWei: 0n }, 50n);
+    expect(pnl.costBasisWei).toBe(100n);
+    expect(pnl.unrealizedWei).toBe(-50n);
+  });
+});
+
+// === valuePosition ===
+
+describe('valuePosition', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('prices wallet balance token→BNB via 0x /price', async () => {
+    client.get.mockResolvedValue({ data: { buyAmount: ONE_BNB.toString(), liquidityAvailable: true } });
+
+    const result = await valuePosition(balanceProvider(5000n), CONFIG, WALLET, TOKEN_A);
+
+    expect(result).toEqual({ balance: 5000n, valueWei: ONE_BNB, sellTaxBps: 0 });
+    expect(client.get).toHaveBeenCalledWith(
+      'https://api.0x.org/swap/allowance-holder/price',
+      expect.objectContaining({
+        params: expect.objectContaining({
+          sellToken: TOKEN_A,
+          buyToken: CONFIG.nativeToken,
+          sellAmount: '5000',
+        }),
+      })
+    );
+  });
+
+  test('deducts reported sell tax from value', async () => {
+    client.get.mockResolvedValue({
+      data: {
+        buyAmount: ONE_BNB.toString(),
+        tokenMetadata: { sellToken: { sellTaxBps: '1000' } },
+      },
+    });
+
+    const result = await valuePosition(balanceProvider(5000n), CONFIG, WALLET, TOKEN_A);
+
+    expect(result.valueWei).toBe(ONE_BNB * 9n / 10n);
+    expect(result.sellTaxBps).toBe(1000);
+  });
+
+  test('zero balance is worth zero without quoting', async () => {
+    const result = await valuePosition(balanceProvider(0n), CONFIG, WALLET, TOKEN_A);
+    expect(result.valueWei).toBe(0n);
+    expect(client.get).not.toHaveBeenCalled();
+  });
+
+  test('returns null value when quote fails', async () => {
+    client.get.mockRejectedValue(new Error('400'));
+
+    const result = await valuePosition(balanceProvider(5000n), CONFIG, WALLET, TOKEN_A);
+
+    expect(result.valueWei).toBeNull();
+    expect(result.error).toContain('Sell quote failed');
+  });
+
+  test('returns null value when no liquidity', async () => {
+    client.get.mockResolvedValue({ data: { liquidityAvailable: false } });
+
+    const result = await valuePosition(balanceProvider(5000n), CONFIG, WALLET, TOKEN_A);
+
+    expect(result.valueWei).toBeNull();
+  });
+});
@@ -0,0 +1,175 @@
+jest.mock('../src/logger', () => ({
+  step: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+  sep: jest.fn(),
+}));
+
+const { ethers } = require('ethers');
+const {
+  getPairReserves,
+  impactBps,
+  downsizeAmount,
+  estimatePriceImpact,
+  checkPriceImpact,
+} = require('../src/priceImpact');
+const { WBNB, USDT } = require('../src/config');
+const { CHAINS } = require('../src/chains');
+
+const TOKEN = '0x1234567890AbcdEF1234567890aBcdef12345678';
+const PAIR = '0x00000000000000000000000000000000000000cc';
+const ONE = 10n ** 18n;
+
+const pairIface = new ethers.Interface([
+  'function token0() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+]);
+
+// Provider answering token0()/getReserves() for one pair
+function mockProvider(token0, reserve0, reserve1) {
+  return {
+    call: jest.fn(async ({ data }) => {
+      if (data.startsWith(pairIface.getFunction('token0').selector)) {
+        return pairIface.encodeFunctionResult('token0', [token0]);
+      }
+      return pairIface.encodeFunctionResult('getReserves', [reserve0, reserve1, 0]);
+    }),
+  };
+}
+
+function makePool(quoteAddress) {
+  return {
+    pairAddress: PAIR,
+    baseToken: { address: TOKEN, symbol: 'TKN' },
+    quoteToken: { address: quoteAddress, symbol: quoteAddress === WBNB ? 'WBNB' : 'USDT' },
+  };
+}
+
+const CONFIG = {
+  chain: CHAINS.bsc,
+  wbnb: WBNB,
+  buyAmountWei: ONE,
+  maxPriceImpactPercent: 5,
+  priceImpactAction: 'refuse',
+};
+
+// === impactBps / downsizeAmount ===
+
+describe('impactBps', () => {
+  test('input side: x / (reserve + x)', () => {
+    expect(impactBps(1n, 99n, 'in')).toBe(100);
+    expect(impactBps(ONE, 9n * ONE, 'in')).toBe(1000);
+  });
+
+  test('output side: out / reserve', () => {
+    expect(impactBps(50n, 1000n, 'out')).toBe(500);
+  });
+
+  test('caps at 100%', () => {
+    expect(impactBps(10n, 5n, 'out')).toBe(10000);
+    expect(impactBps(0n, 0n, 'in')).toBe(10000);
+  });
+});
+
+describe('downsizeAmount', () => {
+  test('scales the input so impact lands on the limit', () => {
+    // 1 BNB into 9 BNB reserve = 10%; 5% needs 9/19 BNB
+    const amount = downsizeAmount(ONE, 1000, 500);
+    expect(amount).toBe((ONE * 500n * 9000n) / (1000n * 9500n));
+    expect(impactBps(amount, 9n * ONE, 'in')).toBe(499);
+  });
+
+  test('keeps the amount when already within the limit', () => {
+    expect(downsizeAmount(ONE, 300, 500)).toBe(ONE);
+  });
+
+  test('returns 0 at 100% impact', () => {
+    expect(downsizeAmount(ONE, 10000, 500)).toBe(0n);
+  });
+});
+
+// === getPairReserves ===
+
+describe('getPairReserves', () => {
+  test('orients reserves to the target token', async () => {
+    const asToken0 = await getPairReserves(mockProvider(TOKEN, 100n, 7n), PAIR, TOKEN);
+    expect(asToken0).toEqual({ reserveToken: 100n, reserveQuote: 7n });
+
+    const asToken1 = await getPairReserves(mockProvider(WBNB, 7n, 100n), PAIR, TOKEN);
+    expect(asToken1).toEqual({ reserveToken: 100n, reserveQuote: 7n });
+  });
+
+  test('returns null when the pool has no getReserves()', async () => {
+    const provider = { call: jest.fn().mockRejectedValue(new Error('execution reverted')) };
+    expect(await getPairReserves(provider, PAIR, TOKEN)).toBeNull();
+  });
+});
+
+// === estimatePriceImpact ===
+
+describe('estimatePriceImpact', () => {
+  test('wrapped-native pool: impact of the BNB input against the native reserve', async () => {
+    const provider = mockProvider(TOKEN, 1_000_000n, 9n * ONE);
+
+    const estimate = await estimatePriceImpact(provider, CONFIG, TOKEN, makePool(WBNB), { buyAmount: '90000' });
+
+    expect(estimate).toEqual({ impactBps: 1000, source: 'reserves', poolBuyAmount: 100_000n });
+  });
+
+  test('stablecoin pool: impact implied by the quote buyAmount against the token reserve', async () => {
+    const provider = mockProvider(TOKEN, 1_000_000n, 500n * ONE);
+
+    const estimate = await estimatePriceImpact(provider, CONFIG, TOKEN, makePool(USDT), { buyAmount: '30000' });
+
+    expect(estimate).toEqual({ impactBps: 300, source: 'quote', poolBuyAmount: null });
+  });
+
+  test('returns null without a pool', async () => {
+    expect(await estimatePriceImpact({}, CONFIG, TOKEN, undefined, { buyAmount: '1' })).toBeNull();
+  });
+});
+
+// === checkPriceImpact ===
+
+describe('checkPriceImpact', () => {
+  const QUOTE = { buyAmount: '90000' };
+
+  test('passes when impact is within the limit', async () => {
+    const provider = mockProvider(TOKEN, 1_000_000n, 99n * ONE); // 1%
+    expect(await checkPriceImpact(provider, CONFIG, TOKEN, makePool(WBNB), QUOTE)).toBeNull();
+  });
+
+  test('refuses with error.priceImpact', async () => {
+    const provider = mockProvider(TOKEN, 1_000_000n, 9n * ONE); // 10%
+
+    const err = await checkPriceImpact(provider, CONFIG, TOKEN, makePool(WBNB), QUOTE).catch((e) => e);
+
+    expect(err.message).toBe('Price impact 10.00% exceeds MAX_PRICE_IMPACT_PERCENT (5%)');
+    expect(err.priceImpact).toEqual({
+      percent: 10,
+      source: 'reserves',
+      maxAmountIn: downsizeAmount(ONE, 1000, 500).toString(),
+    });
+  });
+
+  test('downsizes when PRICE_IMPACT_ACTION=downsize', async () => {
+    const provider = mockProvider(TOKEN, 1_000_000n, 9n * ONE);
+    const config = { ...CONFIG, priceImpactAction: 'downsize' };
+
+    const result = await checkPriceImpact(provider, config, TOKEN, makePool(WBNB), QUOTE);
+
+    expect(result).toEqual({ impactPct: 10, amountIn: downsizeAmount(ONE, 1000, 500) });
+  });
+
+  test('does nothing when disabled or the pool has no reserves', async () => {
+    const provider = mockProvider(TOKEN, 1_000_000n, 9n * ONE);
+    expect(await checkPriceImpact(provider, { ...CONFIG, maxPriceImpactPercent: 0 }, TOKEN, makePool(WBNB), QUOTE))
+      .toBeNull();
+    expect(provider.call).not.toHaveBeenCalled();
+
+    const v3 = { call: jest.fn().mockRejectedValue(new Error('execution reverted')) };
+    expect(await checkPriceImpact(v3, CONFIG, TOKEN, makePool(WBNB), QUOTE)).toBeNull();
+  });
+});
@@ -0,0 +1,313 @@
+jest.mock('../src/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { CHAINS } = require('../src/chains');
+const { FACTORY_ABI, PAIR_CREATED_TOPIC } = require('../src/discovery');
+const {
+  loadReputationDb,
+  saveReputationDb,
+  pruneReputationDb,
+  recordPairs,
+  indexPairs,
+  catchUpPairIndex,
+  findDeployer,
+  checkDeployerReputation,
+  emptyDb,
+} = require('../src/reputation');
+const logger = require('../src/logger');
+
+const DEPLOYER = '0x00000000000000000000000000000000000000D1';
+const OTHER = '0x00000000000000000000000000000000000000D2';
+const WBNB = '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c';
+const TOKEN = ethers.getCreateAddress({ from: DEPLOYER, nonce: 7 });
+const OLD_TOKEN = '0x00000000000000000000000000000000000000a1';
+const OLD_PAIR = '0x00000000000000000000000000000000000000c1';
+const PAIR = '0x00000000000000000000000000000000000000cc';
+const OWNERSHIP_TOPIC = ethers.id('OwnershipTransferred(address,address)');
+
+const pairIface = new ethers.Interface([
+  'function token0() view returns (address)',
+  'function getReserves() view returns (uint112, uint112, uint32)',
+]);
+
+const factoryIface = new ethers.Interface(FACTORY_ABI);
+
+// Factory PairCreated log for `token`/WBNB, sent in transaction `txHash`
+function pairCreatedLog(token, pair, blockNumber, txHash) {
+  const { data, topics } = factoryIface.encodeEventLog('PairCreated', [token, WBNB, pair, 1n]);
+  return { address: CHAINS.bsc.factory, data, topics, blockNumber, transactionHash: txHash };
+}
+
+/**
+ * `reserves` maps a pair to its WBNB reserve; WBNB is always token0. Unknown pairs revert.
+ * `txs` maps a transaction hash to { from, value }.
+ */
+function mockProvider({ reserves = {}, blocks = {}, logs = [], txs = {} } = {}) {
+  return {
+    getBlock: jest.fn(async (n) => blocks[n] || null),
+    getTransaction: jest.fn(async (hash) => txs[hash] || null),
+    getLogs: jest.fn(async ({ fromBlock, toBlock, topics }) =>
+      logs.filter((l) => l.blockNumber >= fromBlock && l.blockNumber <= toBlock && l.topics[0] === topics[0])
+    ),
+    call: jest.fn(async ({ to, data }) => {
+      const reserve = reserves[to.toLowerCase()];
+      if (reserve === undefined) throw new Error('execution reverted');
+      const fn = pairIface.getFunction(data.slice(0, 10));
+      return fn.name === 'token0'
+        ? pairIface.encodeFunctionResult(fn, [WBNB])
+        : pairIface.encodeFunctionResult(fn, [reserve, 1000n, 0]);
+    }),
+  };
+}
+
+const CONFIG = { rugLiquidityLossPercent: 80 };
+
+describe('reputation database', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reputation-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('round-trips through the file and starts empty when it is missing', () => {
+    const file = path.join(dir, 'db', 'deployers.json');
+    expect(loadReputationDb(file)).toEqual(emptyDb());
+
+    const db = emptyDb();
+    db.tokens[OLD_TOKEN] = { deployer: DEPLOYER, pair: OLD_PAIR, rugged: true };
+    db.deployers[DEPLOYER.toLowerCase()] = [OLD_TOKEN];
+    expect(saveReputationDb(file, db)).toBe(true);
+    expect(loadReputationDb(file)).toEqual(db);
+    expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+  });
+
+  test('drops keys it does not track', () => {
+    const file = path.join(dir, 'deployers.json');
+    fs.writeFileSync(file, JSON.stringify({ candidates: { [OLD_TOKEN]: {} }, tokens: {} }));
+    expect(loadReputationDb(file)).toEqual(emptyDb());
+  });
+
+  test('a malformed file starts a new database', () => {
+    const file = path.join(dir, 'deployers.json');
+    fs.writeFileSync(file, '{ not json');
+    expect(loadReputationDb(file)).toEqual(emptyDb());
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('unreadable'));
+  });
+
+  test('saving never throws', () => {
+    const blocker = path.join(dir, 'file');
+    fs.writeFileSync(blocker, '');
+    expect(saveReputationDb(path.join(blocker, 'deployers.json'), emptyDb())).toBe(false);
+  });
+});
+
+describe('pruneReputationDb', () => {
+  test('drops the least recently checked clean tokens and keeps rugged ones', () => {
+    const db = emptyDb();
+    const add = (token, deployer, checkedAt, rugged = false) => {
+      db.tokens[token] = { deployer, checkedAt, rugged };
+      db.deployers[deployer] = [...(db.deployers[deployer] || []), token];
+    };
+    add('0xa1', 'd1', '2026-01-01T00:00:00.000Z', true);
+    add('0xa2', 'd1', '2026-01-02T00:00:00.000Z');
+    add('0xa3', 'd2', '2026-01-03T00:00:00.000Z');
+    add('0xa4', 'd3', '2026-01-04T00:00:00.000Z');
+
+    pruneReputationDb(db, 2);
+
+    expect(Object.keys(db.tokens).sort()).toEqual(['0xa1', '0xa4']);
+    expect(db.deployers).toEqual({ d1: ['0xa1'], d3: ['0xa4'] });
+    expect(pruneReputationDb(db, 2)).toBe(db);
+  });
+});
+
+describe('PairCreated index', () => {
+  const CHAIN_CONFIG = { chain: CHAINS.bsc, pancakeFactory: CHAINS.bsc.factory, pairIndexBlocks: 1000 };
+  const candidate = (token, blockNumber, txHash) => ({ token, quoteToken: WBNB, pair: OLD_PAIR, blockNumber, txHash });
+
+  test('recordPairs keeps the newest pairs and tracks the covered block', () => {
+    const db = recordPairs(emptyDb(), [
+      { token: '0xA1', pair: '0xp1', blockNumber: 10 },
+      { token: '0xa2', pair: '0xp2', blockNumber: 30 },
+      { token: '0xa3', pair: '0xp3', blockNumber: 20 },
+    ], 2);
+
+    expect(Object.keys(db.pairs).sort()).toEqual(['0xa2', '0xa3']);
+    expect(db.pairsBlock).toBe(30);
+  });
+
+  test('indexPairs reads the creator and the native liquidity it added', async () => {
+    const provider = mockProvider({ txs: { '0xt1': { from: DEPLOYER.toLowerCase(), value: 5n } } });
+    const db = emptyDb();
+
+    await indexPairs(provider, CHAINS.bsc, db, [candidate(OLD_TOKEN, 7, '0xt1'), candidate(TOKEN, 8, '0xmissing')]);
+    await indexPairs(provider, CHAINS.bsc, db, [candidate(OLD_TOKEN, 7, '0xt1')]);
+
+    expect(db.pairs[OLD_TOKEN]).toEqual({ pair: OLD_PAIR, quoteToken: WBNB, blockNumber: 7, creator: DEPLOYER, addedQuote: '5' });
+    expect(db.pairs[TOKEN.toLowerCase()]).toMatchObject({ creator: null, addedQuote: null });
+    expect(provider.getTransaction).toHaveBeenCalledTimes(2);
+  });
+
+  test('catchUpPairIndex scans from where the index stopped, at most pairIndexBlocks back', async () => {
+    const logs = [pairCreatedLog(OLD_TOKEN, OLD_PAIR, 4_500, '0xt1'), pairCreatedLog(TOKEN, PAIR, 5_000, '0xt2')];
+    const provider = mockProvider({ logs, txs: { '0xt1': { from: DEPLOYER, value: 0n }, '0xt2': { from: OTHER, value: 0n } } });
+
+    const db = emptyDb();
+    expect(await catchUpPairIndex(provider, CHAIN_CONFIG, db, 5_000)).toBe(2);
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 4_001, toBlock: 5_000 }));
+    expect(db.pairsBlock).toBe(5_000);
+
+    provider.getLogs.mockClear();
+    expect(await catchUpPairIndex(provider, CHAIN_CONFIG, db, 5_010)).toBe(0);
+    expect(provider.getLogs).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: 5_001, toBlock: 5_010 }));
+    expect(db.pairsBlock).toBe(5_010);
+  });
+});
+
+describe('findDeployer', () => {
+  const holders = (extra = {}) => ({ fromBlock: 1_000, toBlock: 5_000, creationBlock: null, deployer: null, ...extra });
+
+  test('prefers the creation transaction', async () => {
+    const provider = mockProvider({
+      blocks: {
+        1_200: {
+          prefetchedTransactions: [
+            { from: OTHER, to: WBNB, nonce: 7 },
+            { from: OTHER, to: null, nonce: 3 },
+            { from: DEPLOYER, to: null, nonce: 7 },
+          ],
+        },
+      },
+    });
+
+    const deployer = await findDeployer(provider, TOKEN, holders({ creationBlock: 1_200, deployer: { address: OTHER } }));
+
+    expect(provider.getBlock).toHaveBeenCalledWith(1_200, true);
+    expect(deployer).toEqual({ address: ethers.getAddress(DEPLOYER), source: 'creation' });
+  });
+
+  test('falls back to the first ownership transfer from zero, then the first mint', async () => {
+    const provider = mockProvider({
+      logs: [
+        { blockNumber: 3_500, topics: [OWNERSHIP_TOPIC, ethers.zeroPadValue(ethers.ZeroAddress, 32), ethers.zeroPadValue(OTHER, 32)] },
+      ],
+    });
+
+    expect(await findDeployer(provider, TOKEN, holders({ deployer: { address: DEPLOYER } }))).toEqual({
+      address: ethers.getAddress(OTHER),
+      source: 'ownership',
+    });
+    expect(provider.getLogs).toHaveBeenCalledTimes(2);
+
+    expect(await findDeployer(mockProvider(), TOKEN, holders({ deployer: { address: DEPLOYER } }))).toEqual({
+      address: DEPLOYER,
+      source: 'mint',
+    });
+    expect(await findDeployer(mockProvider(), TOKEN, holders())).toBeNull();
+    expect(await findDeployer(mockProvider(), TOKEN, null)).toBeNull();
+  });
+});
+
+describe('checkDeployerReputation', () => {
+  const oldRecord = (extra = {}) => ({
+    deployer: DEPLOYER,
+    pair: OLD_PAIR,
+    quoteToken: WBNB,
+    peakQuoteReserve: '1000',
+    lastQuoteReserve: '1000',
+    rugged: false,
+    firstSeen: '2026-01-01T00:00:00.000Z',
+    checkedAt: '2026-01-01T00:00:00.000Z',
+    ...extra,
+  });
+
+  function dbWith(record) {
+    const db = emptyDb();
+    db.tokens[OLD_TOKEN] = record;
+    db.deployers[DEPLOYER.toLowerCase()] = [OLD_TOKEN];
+    return db;
+  }
+
+  test('marks a previous token rugged once its reserve falls below the threshold', async () => {
+    const db = dbWith(oldRecord());
+    const provider = mockProvider({ reserves: { [OLD_PAIR]: 150n, [PAIR]: 500n } });
+    const market = { pair: { pairAddress: PAIR, quoteToken: WBNB } };
+
+    const result = await checkDeployerReputation(provider, CONFIG, db, DEPLOYER, TOKEN, market);
+
+    expect(result).toEqual({ previous: [{ token: OLD_TOKEN, pair: OLD_PAIR, lossPct: 85, rugged: true }], rugged: 1 });
+    expect(db.tokens[OLD_TOKEN]).toMatchObject({ peakQuoteReserve: '1000', lastQuoteReserve: '150', rugged: true });
+    expect(db.tokens[TOKEN.toLowerCase()]).toMatchObject({
+      deployer: ethers.getAddress(DEPLOYER),
+      pair: PAIR,
+      quoteToken: WBNB,
+      peakQuoteReserve: '500',
+      lastQuoteReserve: '500',
+      rugged: false,
+    });
+    expect(db.deployers[DEPLOYER.toLowerCase()]).toEqual([OLD_TOKEN, TOKEN.toLowerCase()]);
+  });
+
+  test('tracks the peak and keeps a rug verdict when liquidity returns', async () => {
+    let db = dbWith(oldRecord());
+    let result = await checkDeployerReputation(mockProvider({ reserves: { [OLD_PAIR]: 4000n } }), CONFIG, db, DEPLOYER, TOKEN);
+    expect(result.rugged).toBe(0);
+    expect(db.tokens[OLD_TOKEN].peakQuoteReserve).toBe('4000');
+
+    db = dbWith(oldRecord({ rugged: true }));
+    result = await checkDeployerReputation(mockProvider({ reserves: { [OLD_PAIR]: 4000n } }), CONFIG, db, DEPLOYER, TOKEN);
+    expect(result.rugged).toBe(1);
+  });
+
+  test('unreadable pairs keep their stored verdict; the selected pool registers the token', async () => {
+    const db = dbWith(oldRecord({ rugged: true }));
+    const pool = { pairAddress: PAIR, baseToken: { address: TOKEN }, quoteToken: { address: WBNB } };
+
+    const result = await checkDeployerReputation(mockProvider(), CONFIG, db, DEPLOYER, TOKEN, { pool });
+
+    expect(result.previous).toEqual([{ token: OLD_TOKEN, pair: OLD_PAIR, lossPct: null, rugged: true }]);
+    expect(db.tokens[TOKEN.toLowerCase()]).toMatchObject({ pair: PAIR, quoteToken: WBNB, peakQuoteReserve: '0', lastQuoteReserve: null });
+  });
+
+  test('finds a rugged token the bot never analyzed through the PairCreated index', async () => {
+    const db = emptyDb();
+    recordPairs(db, [
+      { token: OLD_TOKEN, pair: OLD_PAIR, quoteToken: WBNB, blockNumber: 7, creator: DEPLOYER, addedQuote: '1000' },
+      { token: '0x00000000000000000000000000000000000000a2', pair: PAIR, quoteToken: WBNB, blockNumber: 8, creator: OTHER, addedQuote: null },
+    ]);
+    const provider = mockProvider({ reserves: { [OLD_PAIR]: 100n } });
+
+    const result = await checkDeployerReputation(provider, CONFIG, db, DEPLOYER, TOKEN);
+
+    expect(result).toEqual({ previous: [{ token: OLD_TOKEN, pair: OLD_PAIR, lossPct: 90, rugged: true }], rugged: 1 });
+    expect(db.tokens[OLD_TOKEN]).toMatchObject({ deployer: ethers.getAddress(DEPLOYER), peakQuoteReserve: '1000', rugged: true });
+    expect(db.deployers[DEPLOYER.toLowerCase()]).toEqual([OLD_TOKEN, TOKEN.toLowerCase()]);
+  });
+
+  test('registers the current token with its indexed pair', async () => {
+    const db = recordPairs(emptyDb(), [{ token: TOKEN, pair: PAIR, quoteToken: WBNB, blockNumber: 9, creator: DEPLOYER }]);
+
+    await checkDeployerReputation(mockProvider({ reserves: { [PAIR]: 300n } }), CONFIG, db, DEPLOYER, TOKEN);
+
+    expect(db.tokens[TOKEN.toLowerCase()]).toMatchObject({ pair: PAIR, quoteToken: WBNB, peakQuoteReserve: '300' });
+    expect(db.deployers[DEPLOYER.toLowerCase()]).toEqual([TOKEN.toLowerCase()]);
+  });
+
+  test('a first-time deployer has no history', async () => {
+    const db = emptyDb();
+    const result = await checkDeployerReputation(mockProvider(), CONFIG, db, DEPLOYER, TOKEN);
+
+    expect(result).toEqual({ previous: [], rugged: 0 });
+    expect(db.deployers[DEPLOYER.toLowerCase()]).toEqual([TOKEN.toLowerCase()]);
+  });
+});
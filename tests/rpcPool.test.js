@@ -0,0 +1,274 @@
+jest.mock('../src/logger', () => ({
+  step: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+  sep: jest.fn(),
+}));
+
+const { ethers } = require('ethers');
+const {
+  parseRpcUrls,
+  rankEndpoints,
+  isRateLimited,
+  createTransport,
+  createRpcPool,
+  MAX_CONSECUTIVE_ERRORS,
+} = require('../src/rpcPool');
+
+const URL_A = 'http://rpc-a.test';
+const URL_B = 'http://rpc-b.test';
+
+function ok(result, id = 1) {
+  return [{ jsonrpc: '2.0', id, result }];
+}
+
+// Replace each endpoint's HTTP transport with a mock
+function mockPool(handlers, opts = {}) {
+  const pool = createRpcPool(Object.keys(handlers), { healthIntervalMs: 0, ...opts });
+  for (const endpoint of pool.endpoints) {
+    endpoint.transport._send = jest.fn(handlers[endpoint.url]);
+  }
+  return pool;
+}
+
+function endpoint(overrides = {}) {
+  return {
+    url: 'x',
+    latencyMs: 100,
+    errorRate: 0,
+    lagBlocks: 0,
+    benchedUntil: 0,
+    disabled: false,
+    ...overrides,
+  };
+}
+
+// === parseRpcUrls ===
+
+describe('parseRpcUrls', () => {
+  test('splits comma-separated list and trims', () => {
+    expect(parseRpcUrls(` ${URL_A} ,${URL_B},`)).toEqual([URL_A, URL_B]);
+  });
+
+  test('returns [] for empty value', () => {
+    expect(parseRpcUrls(undefined)).toEqual([]);
+  });
+});
+
+// === rankEndpoints ===
+
+describe('rankEndpoints', () => {
+  test('prefers lower error rate, then lower latency', () => {
+    const slow = endpoint({ url: 'slow', latencyMs: 500 });
+    const fast = endpoint({ url: 'fast', latencyMs: 50 });
+    const flaky = endpoint({ url: 'flaky', latencyMs: 10, errorRate: 0.5 });
+    expect(rankEndpoints([slow, flaky, fast], 5).map((e) => e.url)).toEqual(['fast', 'slow', 'flaky']);
+  });
+
+  test('puts lagging and benched endpoints last', () => {
+    const now = 1000;
+    const lagging = endpoint({ url: 'lagging', latencyMs: 1, lagBlocks: 10 });
+    const benched = endpoint({ url: 'benched', latencyMs: 1, benchedUntil: now + 1 });
+    const healthy = endpoint({ url: 'healthy', latencyMs: 300 });
+    expect(rankEndpoints([benched, lagging, healthy], 5, now).map((e) => e.url)).toEqual([
+      'healthy',
+      'lagging',
+      'benched',
+    ]);
+  });
+
+  test('drops disabled endpoints', () => {
+    expect(rankEndpoints([endpoint({ disabled: true })], 5)).toEqual([]);
+  });
+});
+
+// === isRateLimited ===
+
+describe('isRateLimited', () => {
+  test('detects rate-limit codes and messages', () => {
+    expect(isRateLimited([{ error: { code: -32005, message: 'limit' } }])).toBe(true);
+    expect(isRateLimited([{ error: { code: -32000, message: 'Too Many Requests' } }])).toBe(true);
+  });
+
+  test('ignores regular errors and results', () => {
+    expect(isRateLimited([{ error: { code: 3, message: 'execution reverted' } }])).toBe(false);
+    expect(isRateLimited(ok('0x1'))).toBe(false);
+  });
+});
+
+// === createTransport ===
+
+describe('createTransport', () => {
+  test('applies the request timeout', () => {
+    const transport = createTransport(URL_A, 1234);
+    expect(transport._getConnection().url).toBe(URL_A);
+    expect(transport._getConnection().timeout).toBe(1234);
+    transport.destroy();
+  });
+});
+
+// === createRpcPool ===
+
+describe('createRpcPool', () => {
+  test('throws without endpoints', () => {
+    expect(() => createRpcPool([])).toThrow('At least one RPC URL');
+  });
+
+  test('fails over to the next endpoint on transport error', async () => {
+    const pool = mockPool({
+      [URL_A]: async () => {
+        throw new Error('ECONNRESET');
+      },
+      [URL_B]: async () => ok('0x10'),
+    });
+
+    const result = await pool.send({ jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] });
+
+    expect(result).toEqual(ok('0x10'));
+    expect(pool.endpoints[0].errorRate).toBeGreaterThan(0);
+    expect(pool.endpoints[1].latencyMs).not.toBeNull();
+  });
+
+  test('fails over when a node rate-limits', async () => {
+    const pool = mockPool({
+      [URL_A]: async () => [{ jsonrpc: '2.0', id: 1, error: { code: -32005, message: 'limit exceeded' } }],
+      [URL_B]: async () => ok('0x10'),
+    });
+
+    expect(await pool.send({ id: 1, method: 'eth_blockNumber' })).toEqual(ok('0x10'));
+  });
+
+  test('returns JSON-RPC errors such as reverts without failing over', async () => {
+    const revert = [{ jsonrpc: '2.0', id: 1, error: { code: 3, message: 'execution reverted' } }];
+    const pool = mockPool({
+      [URL_A]: async () => revert,
+      [URL_B]: async () => ok('0x'),
+    });
+
+    expect(await pool.send({ id: 1, method: 'eth_call' })).toEqual(revert);
+    expect(pool.endpoints[1].transport._send).not.toHaveBeenCalled();
+  });
+
+  test('a raw transaction the next node already has resolves to its hash', async () => {
+    const signedTx = '0x02f86b0180843b9aca00';
+    const hash = ethers.keccak256(signedTx);
+    const send = { jsonrpc: '2.0', id: 7, method: 'eth_sendRawTransaction', params: [signedTx] };
+    const pool = mockPool({
+      [URL_A]: async () => {
+        throw new Error('timeout');
+      },
+      [URL_B]: async () => [{ jsonrpc: '2.0', id: 7, error: { code: -32000, message: 'already known' } }],
+    });
+
+    expect(await pool.send(send)).toEqual(ok(hash, 7));
+  });
+
+  test('"nonce too low" on a raw send is ours only if the node has the transaction', async () => {
+    const signedTx = '0x02f86b0180843b9aca00';
+    const hash = ethers.keccak256(signedTx);
+    const send = { jsonrpc: '2.0', id: 7, method: 'eth_sendRawTransaction', params: [signedTx] };
+    const nonceTooLow = [{ jsonrpc: '2.0', id: 7, error: { code: -32000, message: 'nonce too low' } }];
+    const withLookup = (tx) => async (payload) =>
+      payload.method === 'eth_getTransactionByHash' ? ok(tx) : nonceTooLow;
+
+    let pool = mockPool({ [URL_A]: withLookup({ hash }) });
+    expect(await pool.send(send)).toEqual(ok(hash, 7));
+
+    pool = mockPool({ [URL_A]: withLookup(null) });
+    expect(await pool.send(send)).toEqual(nonceTooLow);
+  });
+
+  test('throws the last error when every endpoint fails', async () => {
+    const pool = mockPool({
+      [URL_A]: async () => {
+        throw new Error('down A');
+      },
+      [URL_B]: async () => {
+        throw new Error('down B');
+      },
+    });
+
+    await expect(pool.send({ id: 1, method: 'eth_blockNumber' })).rejects.toThrow(/down/);
+  });
+
+  test('benches an endpoint after repeated failures', async () => {
+    const pool = mockPool({
+      [URL_A]: async () => {
+        throw new Error('timeout');
+      },
+      [URL_B]: async () => ok('0x1'),
+    });
+
+    for (let i = 0; i < MAX_CONSECUTIVE_ERRORS; i++) {
+      // Keep A ranked first so it is tried every time
+      pool.endpoints[0].errorRate = 0;
+      pool.endpoints[1].errorRate = 0.1;
+      await pool.send({ id: 1, method: 'eth_blockNumber' });
+    }
+
+    expect(pool.endpoints[0].benchedUntil).toBeGreaterThan(Date.now());
+    expect(rankEndpoints(pool.endpoints, 5)[0].url).toBe(URL_B);
+  });
+
+  test('checkHealth records block heights and lag', async () => {
+    const pool = mockPool({
+      [URL_A]: async () => ok('0x64'), // 100
+      [URL_B]: async () => ok('0x6e'), // 110
+    });
+
+    await pool.checkHealth();
+
+    expect(pool.endpoints.map((e) => e.blockNumber)).toEqual([100, 110]);
+    expect(pool.endpoints.map((e) => e.lagBlocks)).toEqual([10, 0]);
+    expect(rankEndpoints(pool.endpoints, 5)[0].url).toBe(URL_B);
+  });
+
+  test('checkHealth counts unreachable endpoints as failures', async () => {
+    const pool = mockPool({
+      [URL_A]: async () => {
+        throw new Error('ENOTFOUND');
+      },
+      [URL_B]: async () => ok('0x1'),
+    });
+
+    await pool.checkHealth();
+
+    expect(pool.endpoints[0].blockNumber).toBeNull();
+    expect(pool.endpoints[0].errorRate).toBeGreaterThan(0);
+  });
+
+  test('assertChainId disables endpoints on another chain', async () => {
+    const pool = mockPool({
+      [URL_A]: async () => ok('0x38'), // 56
+      [URL_B]: async () => ok('0x1'),
+    });
+
+    await pool.assertChainId(56);
+
+    expect(pool.endpoints[0].disabled).toBe(false);
+    expect(pool.endpoints[1].disabled).toBe(true);
+  });
+
+  test('assertChainId throws when no endpoint matches', async () => {
+    const pool = mockPool({ [URL_A]: async () => ok('0x1') });
+
+    await expect(pool.assertChainId(56)).rejects.toThrow('No RPC endpoint serves chain id 56');
+  });
+
+  test('provider routes ethers calls through the pool', async () => {
+    const pool = mockPool({
+      [URL_A]: async () => {
+        throw new Error('down');
+      },
+      [URL_B]: async (payload) => {
+        const results = { eth_chainId: '0x38', eth_blockNumber: '0x2a' };
+        return [{ jsonrpc: '2.0', id: payload.id, result: results[payload.method] }];
+      },
+    });
+
+    expect(await pool.provider.getBlockNumber()).toBe(42);
+    pool.provider.destroy();
+  });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadScoringFile, parseScoring, validateScoring, DEFAULT_WEIGHTS, DEFAULT_PENALTIES, DEFAULT_SCORING } = require('../src/scoring');
+
+const USDT = '0x55d398326f99059fF775485246999027B3197955';
+
+describe('validateScoring', () => {
+  test('accepts the example file', () => {
+    const example = require('../scoring.example.json');
+    expect(validateScoring(example)).toEqual([]);
+  });
+
+  test('accepts an empty object', () => {
+    expect(validateScoring({})).toEqual([]);
+  });
+
+  test('rejects non-objects', () => {
+    expect(validateScoring([])).toEqual(['must be a JSON object']);
+    expect(validateScoring(null)).toEqual(['must be a JSON object']);
+  });
+
+  test('reports every problem', () => {
+    const errors = validateScoring({
+      weights: { liquidity: -1, hype: 5 },
+      penalties: { washTrading: 'high', rugRisk: 10 },
+      trustedDexes: [],
+      liquidQuotes: [{ address: '0xnope', symbol: '', tier: 3 }],
+      dexAdjustments: { biswap: 'lots' },
+      minScore: -5,
+      extra: true,
+    });
+
+    expect(errors).toEqual([
+      'unknown key "extra" (allowed: weights, penalties, trustedDexes, liquidQuotes, dexAdjustments, minScore)',
+      'weights.liquidity must be a non-negative number',
+      'weights.hype is not a score component (liquidity, volume, turnover, quoteQuality, txActivity)',
+      'penalties.washTrading must be a non-negative number',
+      'penalties.rugRisk is not a penalty (buySellImbalance, washTrading, volumeSpike)',
+      'trustedDexes must be a non-empty array of DexScreener dex ids',
+      'liquidQuotes[0].address is not a valid address',
+      'liquidQuotes[0].symbol is required',
+      'liquidQuotes[0].tier must be 1 or 2',
+      'dexAdjustments.biswap must be a number',
+      'minScore must be a non-negative number',
+    ]);
+  });
+});
+
+describe('parseScoring', () => {
+  test('defaults keep the historical weights and the chain lists', () => {
+    expect(DEFAULT_SCORING).toEqual({
+      weights: DEFAULT_WEIGHTS,
+      penalties: DEFAULT_PENALTIES,
+      trustedDexes: null,
+      liquidQuotes: null,
+      dexAdjustments: {},
+      minScore: 0,
+    });
+  });
+
+  test('merges weights and lowercases ids and addresses', () => {
+    const scoring = parseScoring({
+      weights: { volume: 50 },
+      penalties: { volumeSpike: 0 },
+      trustedDexes: ['PancakeSwap '],
+      liquidQuotes: [{ address: USDT, symbol: 'USDT', tier: 1 }],
+      dexAdjustments: { Thena: -3 },
+      minScore: 30,
+    });
+
+    expect(scoring.weights).toEqual({ ...DEFAULT_WEIGHTS, volume: 50 });
+    expect(scoring.penalties).toEqual({ ...DEFAULT_PENALTIES, volumeSpike: 0 });
+    expect(scoring.trustedDexes).toEqual(new Set(['pancakeswap']));
+    expect(scoring.liquidQuotes).toEqual({ [USDT.toLowerCase()]: { symbol: 'USDT', tier: 1 } });
+    expect(scoring.dexAdjustments).toEqual({ thena: -3 });
+    expect(scoring.minScore).toBe(30);
+  });
+});
+
+describe('loadScoringFile', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (content) => {
+    const file = path.join(dir, 'scoring.json');
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  test('loads a valid file', () => {
+    const file = write(JSON.stringify({ minScore: 25, dexAdjustments: { biswap: -10 } }));
+    expect(loadScoringFile(file)).toMatchObject({ minScore: 25, dexAdjustments: { biswap: -10 } });
+  });
+
+  test('throws on a missing file', () => {
+    expect(() => loadScoringFile(path.join(dir, 'nope.json'))).toThrow('POOL_SCORING_FILE not found');
+  });
+
+  test('throws on invalid JSON', () => {
+    expect(() => loadScoringFile(write('{ weights: '))).toThrow('POOL_SCORING_FILE is not valid JSON');
+  });
+
+  test('throws listing validation problems', () => {
+    const file = write(JSON.stringify({ minScore: -1, weights: { tx: 1 } }));
+    expect(() => loadScoringFile(file)).toThrow(
+      /POOL_SCORING_FILE .*scoring\.json: weights\.tx is not a score component .*; minScore must be a non-negative number/
+    );
+  });
+});
@@ -0,0 +1,163 @@
+jest.mock('../src/logger', () => ({
+  step: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+  sep: jest.fn(),
+}));
+
+const { ethers } = require('ethers');
+const { simulateSwap, simulateBalanceDelta, decodeRevertReason } = require('../src/simulate');
+
+const TOKEN_ADDR = '0x1234567890abcdef1234567890abcdef12345678';
+const TAKER = '0x00000000000000000000000000000000000000aa';
+
+const QUOTE = {
+  minBuyAmount: '4750000',
+  transaction: {
+    to: '0x00000000000000000000000000000000000000bb',
+    data: '0xcalldata',
+    value: '10000000000000000',
+  },
+};
+
+const uint = (n) => ethers.toBeHex(n, 32);
+
+function simulateV1Response(before, after, status = '0x1') {
+  return [{
+    calls: [
+      { status: '0x1', returnData: uint(before) },
+      { status, returnData: '0x' },
+      { status: '0x1', returnData: uint(after) },
+    ],
+  }];
+}
+
+// === decodeRevertReason ===
+
+describe('decodeRevertReason', () => {
+  test('uses ethers-decoded reason when present', () => {
+    expect(decodeRevertReason({ reason: 'TRANSFER_FAILED' })).toBe('TRANSFER_FAILED');
+  });
+
+  test('decodes Error(string) from revert data', () => {
+    const data = new ethers.Interface(['error Error(string)']).encodeErrorResult('Error', ['Pancake: K']);
+    expect(decodeRevertReason({ data })).toBe('Pancake: K');
+  });
+
+  test('decodes Panic(uint256) from revert data', () => {
+    const data = new ethers.Interface(['error Panic(uint256)']).encodeErrorResult('Panic', [0x11]);
+    expect(decodeRevertReason({ data })).toBe('Panic(17)');
+  });
+
+  test('reports unknown custom error selector', () => {
+    expect(decodeRevertReason({ data: '0xdeadbeef0000' })).toBe('custom error 0xdeadbeef');
+  });
+
+  test('falls back to error message', () => {
+    expect(decodeRevertReason(new Error('execution reverted'))).toBe('execution reverted');
+  });
+});
+
+// === simulateBalanceDelta ===
+
+describe('simulateBalanceDelta', () => {
+  const tx = { from: TAKER, to: QUOTE.transaction.to, data: '0xcalldata', value: 10n };
+
+  test('returns balance difference from eth_simulateV1', async () => {
+    const provider = { send: jest.fn().mockResolvedValue(simulateV1Response(100n, 5100n)) };
+
+    const delta = await simulateBalanceDelta(provider, tx, TOKEN_ADDR);
+
+    expect(delta).toBe(5000n);
+    const [method, [payload]] = provider.send.mock.calls[0];
+    expect(method).toBe('eth_simulateV1');
+    expect(payload.blockStateCalls[0].calls).toHaveLength(3);
+    expect(payload.blockStateCalls[0].calls[1]).toMatchObject({ to: tx.to, value: '0xa' });
+  });
+
+  test('returns null when RPC does not support eth_simulateV1', async () => {
+    const provider = { send: jest.fn().mockRejectedValue(new Error('method not found')) };
+    expect(await simulateBalanceDelta(provider, tx, TOKEN_ADDR)).toBeNull();
+  });
+
+  test('returns null when simulated swap fails', async () => {
+    const provider = { send: jest.fn().mockResolvedValue(simulateV1Response(0n, 0n, '0x0')) };
+    expect(await simulateBalanceDelta(provider, tx, TOKEN_ADDR)).toBeNull();
+  });
+});
+
+// === simulateSwap ===
+
+describe('simulateSwap', () => {
+  function makeProvider(overrides = {}) {
+    return {
+      call: jest.fn().mockResolvedValue('0x'),
+      estimateGas: jest.fn().mockResolvedValue(210000n),
+      send: jest.fn().mockResolvedValue(simulateV1Response(0n, 5000000n)),
+      ...overrides,
+    };
+  }
+
+  test('runs eth_call and estimateGas from the taker with quote tx', async () => {
+    const provider = makeProvider();
+
+    const result = await simulateSwap(provider, QUOTE, TAKER, TOKEN_ADDR);
+
+    const expectedTx = {
+      from: TAKER,
+      to: QUOTE.transaction.to,
+      data: '0xcalldata',
+      value: 10_000_000_000_000_000n,
+    };
+    expect(provider.call).toHaveBeenCalledWith(expectedTx);
+    expect(provider.estimateGas).toHaveBeenCalledWith(expectedTx);
+    expect(result).toEqual({ ok: true, gasEstimate: 210000n, balanceDelta: 5000000n });
+  });
+
+  test('fails with decoded reason when eth_call reverts', async () => {
+    const provider = makeProvider({
+      call: jest.fn().mockRejectedValue({ reason: 'TransferHelper: TRANSFER_FROM_FAILED' }),
+    });
+
+    const result = await simulateSwap(provider, QUOTE, TAKER, TOKEN_ADDR);
+
+    expect(result.ok).toBe(false);
+    expect(result.reason).toBe('eth_call reverted: TransferHelper: TRANSFER_FROM_FAILED');
+    expect(provider.estimateGas).not.toHaveBeenCalled();
+  });
+
+  test('fails when estimateGas throws', async () => {
+    const provider = makeProvider({
+      estimateGas: jest.fn().mockRejectedValue(new Error('gas required exceeds allowance')),
+    });
+
+    const result = await simulateSwap(provider, QUOTE, TAKER, TOKEN_ADDR);
+
+    expect(result.ok).toBe(false);
+    expect(result.reason).toContain('estimateGas failed');
+  });
+
+  test('fails when simulated swap delivers no tokens', async () => {
+    const provider = makeProvider({
+      send: jest.fn().mockResolvedValue(simulateV1Response(100n, 100n)),
+    });
+
+    const result = await simulateSwap(provider, QUOTE, TAKER, TOKEN_ADDR);
+
+    expect(result.ok).toBe(false);
+    expect(result.balanceDelta).toBe(0n);
+  });
+
+  test('passes with unknown delta when eth_simulateV1 is unavailable', async () => {
+    const provider = makeProvider({
+      send: jest.fn().mockRejectedValue(new Error('method not found')),
+    });
+
+    const result = await simulateSwap(provider, QUOTE, TAKER, TOKEN_ADDR);
+
+    expect(result.ok).toBe(true);
+    expect(result.balanceDelta).toBeNull();
+  });
+});
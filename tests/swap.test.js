@@ -14,11 +14,14 @@ jest.mock('../src/http', () => ({
 }));
 
 const { client } = require('../src/http');
+const { CHAINS, ZEROX_ALLOWANCE_HOLDERS } = require('../src/chains');
 
 const TOKEN_ADDR = '0x1234567890abcdef1234567890abcdef12345678';
 const WALLET_ADDR = '0xWalletAddress';
+const ALLOWANCE_HOLDER = ZEROX_ALLOWANCE_HOLDERS[0];
 
 const BASE_CONFIG = {
+  chain: CHAINS.bsc,
   routerZeroxApiKey: 'test-api-key',
   zeroxApiUrl: 'https://api.0x.org',
   nativeToken: '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE',
@@ -43,7 +46,7 @@ function makeQuoteResponse(overrides = {}) {
         buyToken: { sellTaxBps: '0' },
       },
       transaction: {
-        to: '0xTargetContract',
+        to: ALLOWANCE_HOLDER,
         data: '0xcalldata',
         value: '10000000000000000',
         gas: '250000',
@@ -117,11 +120,13 @@ describe('executeBuy', () => {
     expect(result.buyAmount).toBe('5000000');
     expect(result.minBuyAmount).toBe('4750000');
     expect(result.route.fills).toHaveLength(1);
+    expect(result.blockNumber).toBe(12345);
+    expect(result.gasUsed).toBe(200000n);
 
     // Verify sendTransaction called with quote data
     expect(mockWallet.sendTransaction).toHaveBeenCalledWith(
       expect.objectContaining({
-        to: '0xTargetContract',
+        to: ALLOWANCE_HOLDER,
         data: '0xcalldata',
         value: 10_000_000_000_000_000n,
         gasLimit: 250000,
@@ -147,6 +152,50 @@ describe('executeBuy', () => {
       .rejects.toThrow('reverted');
   });
 
+  test('waits for the receipt through the block stream when configured', async () => {
+    const { executeBuy } = require('../src/swap');
+
+    client.get.mockResolvedValue(makeQuoteResponse());
+
+    const receipt = { status: 1, blockNumber: 777, gasUsed: 200000n };
+    const blockStream = { waitForReceipt: jest.fn().mockResolvedValue(receipt) };
+    const mockTx = { hash: '0xstreamed', wait: jest.fn() };
+    const mockWallet = {
+      address: WALLET_ADDR,
+      provider: {},
+      sendTransaction: jest.fn().mockResolvedValue(mockTx),
+    };
+
+    const result = await executeBuy(mockWallet, { ...BASE_CONFIG, blockStream, pollIntervalMs: 3000 }, TOKEN_ADDR, {});
+
+    expect(blockStream.waitForReceipt).toHaveBeenCalledWith(mockWallet.provider, '0xstreamed', 3000);
+    expect(mockTx.wait).not.toHaveBeenCalled();
+    expect(result.blockNumber).toBe(777);
+  });
+
+  test('sends through the broadcaster when BROADCAST_RPC_URLS is set', async () => {
+    const { executeBuy } = require('../src/swap');
+
+    client.get.mockResolvedValue(makeQuoteResponse());
+
+    const broadcaster = {
+      sendTransaction: jest.fn().mockResolvedValue({
+        hash: '0xbroadcast',
+        wait: jest.fn().mockResolvedValue({ status: 1, blockNumber: 5, gasUsed: 1n }),
+      }),
+    };
+    const mockWallet = { address: WALLET_ADDR, sendTransaction: jest.fn() };
+
+    const result = await executeBuy(mockWallet, { ...BASE_CONFIG, broadcaster }, TOKEN_ADDR, {});
+
+    expect(broadcaster.sendTransaction).toHaveBeenCalledWith(
+      mockWallet,
+      expect.objectContaining({ to: ALLOWANCE_HOLDER, data: '0xcalldata' })
+    );
+    expect(mockWallet.sendTransaction).not.toHaveBeenCalled();
+    expect(result.hash).toBe('0xbroadcast');
+  });
+
   test('throws when no liquidity available', async () => {
     const { executeBuy } = require('../src/swap');
 
@@ -162,6 +211,38 @@ describe('executeBuy', () => {
     expect(mockWallet.sendTransaction).not.toHaveBeenCalled();
   });
 
+  test('refuses quotes targeting an unknown contract', async () => {
+    const { executeBuy } = require('../src/swap');
+
+    client.get.mockResolvedValue(makeQuoteResponse({
+      transaction: { to: '0x00000000000000000000000000000000000000bb', data: '0x', value: '0' },
+    }));
+
+    const mockWallet = {
+      address: WALLET_ADDR,
+      sendTransaction: jest.fn(),
+    };
+
+    await expect(executeBuy(mockWallet, BASE_CONFIG, TOKEN_ADDR, {}))
+      .rejects.toThrow('0x quote targets unknown contract 0x00000000000000000000000000000000000000bb on BSC');
+    expect(mockWallet.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  test('refuses 0x quotes on chains without known 0x contracts', async () => {
+    const { executeBuy } = require('../src/swap');
+
+    client.get.mockResolvedValue(makeQuoteResponse());
+
+    const mockWallet = {
+      address: WALLET_ADDR,
+      sendTransaction: jest.fn(),
+    };
+    const config = { ...BASE_CONFIG, chain: CHAINS['bsc-testnet'] };
+
+    await expect(executeBuy(mockWallet, config, TOKEN_ADDR, {})).rejects.toThrow('unknown contract');
+    expect(mockWallet.sendTransaction).not.toHaveBeenCalled();
+  });
+
   test('uses config gasLimit as fallback when quote has no gas', async () => {
     const { executeBuy } = require('../src/swap');
 
@@ -229,6 +310,284 @@ describe('executeBuy', () => {
   });
 });
 
+describe('executeBuy with SIMULATE_BEFORE_BUY', () => {
+  const { executeBuy } = require('../src/swap');
+  const SIM_CONFIG = { ...BASE_CONFIG, simulateBeforeBuy: true };
+  const SIM_WALLET_ADDR = '0x00000000000000000000000000000000000000aa';
+
+  function makeSimWallet(providerOverrides = {}) {
+    return {
+      address: SIM_WALLET_ADDR,
+      provider: {
+        call: jest.fn().mockResolvedValue('0x'),
+        estimateGas: jest.fn().mockResolvedValue(200000n),
+        send: jest.fn().mockRejectedValue(new Error('method not found')),
+        ...providerOverrides,
+      },
+      sendTransaction: jest.fn().mockResolvedValue({
+        hash: '0xhash',
+        wait: jest.fn().mockResolvedValue({ status: 1, blockNumber: 1, gasUsed: 100000n }),
+      }),
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('simulates quote tx before sending', async () => {
+    client.get.mockResolvedValue(makeQuoteResponse());
+    const wallet = makeSimWallet();
+
+    await executeBuy(wallet, SIM_CONFIG, TOKEN_ADDR, {});
+
+    expect(wallet.provider.call).toHaveBeenCalledWith(
+      expect.objectContaining({ from: SIM_WALLET_ADDR, to: ALLOWANCE_HOLDER, data: '0xcalldata' })
+    );
+    expect(wallet.sendTransaction).toHaveBeenCalled();
+  });
+
+  test('aborts without sending when simulation reverts', async () => {
+    client.get.mockResolvedValue(makeQuoteResponse());
+    const wallet = makeSimWallet({
+      call: jest.fn().mockRejectedValue({ reason: 'Pancake: INSUFFICIENT_OUTPUT_AMOUNT' }),
+    });
+
+    const err = await executeBuy(wallet, SIM_CONFIG, TOKEN_ADDR, {}).catch((e) => e);
+
+    expect(err.message).toContain('INSUFFICIENT_OUTPUT_AMOUNT');
+    expect(err.simulation.ok).toBe(false);
+    expect(wallet.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  test('does not simulate when disabled', async () => {
+    client.get.mockResolvedValue(makeQuoteResponse());
+    const wallet = makeSimWallet();
+
+    await executeBuy(wallet, BASE_CONFIG, TOKEN_ADDR, {});
+
+    expect(wallet.provider.call).not.toHaveBeenCalled();
+  });
+});
+
+describe('executeBuy price deviation and quote errors', () => {
+  const { executeBuy, priceDeviationPercent } = require('../src/swap');
+  const DEV_CONFIG = { ...BASE_CONFIG, maxPriceDeviationPercent: 10 };
+
+  function makeWallet() {
+    return {
+      address: WALLET_ADDR,
+      sendTransaction: jest.fn().mockResolvedValue({
+        hash: '0xhash',
+        wait: jest.fn().mockResolvedValue({ status: 1, blockNumber: 1, gasUsed: 100000n }),
+      }),
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('priceDeviationPercent is symmetric and in percent', () => {
+    expect(priceDeviationPercent('1000', '900')).toBe(10);
+    expect(priceDeviationPercent(1000n, '1125')).toBe(12.5);
+    expect(priceDeviationPercent('0', '5')).toBe(0);
+  });
+
+  test('sends when the quote is within tolerance of the /price amount', async () => {
+    client.get.mockResolvedValue(makeQuoteResponse({ buyAmount: '4600000' }));
+    const wallet = makeWallet();
+
+    await executeBuy(wallet, DEV_CONFIG, TOKEN_ADDR, {}, null, { expectedBuyAmount: '5000000' });
+
+    expect(wallet.sendTransaction).toHaveBeenCalled();
+  });
+
+  test('refuses to send when the price moved beyond tolerance', async () => {
+    client.get.mockResolvedValue(makeQuoteResponse({ buyAmount: '4000000' }));
+    const wallet = makeWallet();
+
+    const err = await executeBuy(wallet, DEV_CONFIG, TOKEN_ADDR, {}, null, { expectedBuyAmount: '5000000' })
+      .catch((e) => e);
+
+    expect(err.message).toBe('Price moved 20.00% between the /price check and the quote (max 10%)');
+    expect(err.priceDeviation).toEqual({ expected: '5000000', quoted: '4000000', percent: 20 });
+    expect(wallet.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  test('skips the check when disabled or without a /price amount', async () => {
+    client.get.mockResolvedValue(makeQuoteResponse({ buyAmount: '1000000' }));
+
+    await executeBuy(makeWallet(), { ...DEV_CONFIG, maxPriceDeviationPercent: 0 }, TOKEN_ADDR, {}, null, {
+      expectedBuyAmount: '5000000',
+    });
+    await executeBuy(makeWallet(), DEV_CONFIG, TOKEN_ADDR, {});
+  });
+
+  test('tags quote failures', async () => {
+    client.get.mockResolvedValue(makeQuoteResponse({ liquidityAvailable: false }));
+
+    const err = await executeBuy(makeWallet(), DEV_CONFIG, TOKEN_ADDR, {}).catch((e) => e);
+
+    expect(err.message).toContain('No liquidity');
+    expect(err.quoteError).toBe(true);
+  });
+
+  test('does not tag on-chain reverts as quote failures', async () => {
+    client.get.mockResolvedValue(makeQuoteResponse());
+    const wallet = makeWallet();
+    wallet.sendTransaction.mockResolvedValue({
+      hash: '0xrevert',
+      wait: jest.fn().mockResolvedValue({ status: 0 }),
+    });
+
+    const err = await executeBuy(wallet, DEV_CONFIG, TOKEN_ADDR, {}).catch((e) => e);
+
+    expect(err.txHash).toBe('0xrevert');
+    expect(err.quoteError).toBeUndefined();
+  });
+});
+
+describe('executeBuy with MAX_PRICE_IMPACT_PERCENT', () => {
+  const { ethers } = require('ethers');
+  const { executeBuy } = require('../src/swap');
+  const { WBNB } = require('../src/config');
+  const pairIface = new ethers.Interface([
+    'function token0() view returns (address)',
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  ]);
+  const POOL = {
+    pairAddress: '0x00000000000000000000000000000000000000cc',
+    baseToken: { address: TOKEN_ADDR, symbol: 'TKN' },
+    quoteToken: { address: WBNB, symbol: 'WBNB' },
+  };
+  // 0.01 BNB into a 0.09 BNB reserve — 10% impact
+  const IMPACT_CONFIG = { ...BASE_CONFIG, wbnb: WBNB, maxPriceImpactPercent: 5, priceImpactAction: 'refuse' };
+
+  function makeWallet() {
+    return {
+      address: WALLET_ADDR,
+      provider: {
+        call: jest.fn(async ({ data }) =>
+          data.startsWith(pairIface.getFunction('token0').selector)
+            ? pairIface.encodeFunctionResult('token0', [TOKEN_ADDR])
+            : pairIface.encodeFunctionResult('getReserves', [1_000_000n, 90_000_000_000_000_000n, 0])
+        ),
+      },
+      sendTransaction: jest.fn().mockResolvedValue({
+        hash: '0xhash',
+        wait: jest.fn().mockResolvedValue({ status: 1, blockNumber: 1, gasUsed: 100000n }),
+      }),
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('refuses a buy above the limit without sending', async () => {
+    client.get.mockResolvedValue(makeQuoteResponse());
+    const wallet = makeWallet();
+
+    const err = await executeBuy(wallet, IMPACT_CONFIG, TOKEN_ADDR, {}, POOL).catch((e) => e);
+
+    expect(err.priceImpact.percent).toBe(10);
+    expect(wallet.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  test('downsizes, re-quotes and reports the smaller amountIn', async () => {
+    const downsized = (10_000_000_000_000_000n * 500n * 9000n) / (1000n * 9500n);
+    client.get
+      .mockResolvedValueOnce(makeQuoteResponse())
+      .mockResolvedValueOnce(makeQuoteResponse({
+        buyAmount: '2600000',
+        transaction: { to: ALLOWANCE_HOLDER, data: '0xsmaller', value: downsized.toString(), gas: '250000' },
+      }));
+    const wallet = makeWallet();
+
+    const result = await executeBuy(wallet, { ...IMPACT_CONFIG, priceImpactAction: 'downsize' }, TOKEN_ADDR, {}, POOL);
+
+    expect(client.get).toHaveBeenLastCalledWith(
+      'https://api.0x.org/swap/allowance-holder/quote',
+      expect.objectContaining({ params: expect.objectContaining({ sellAmount: downsized.toString() }) })
+    );
+    expect(result.amountIn).toBe(downsized);
+    expect(result.buyAmount).toBe('2600000');
+    expect(wallet.sendTransaction).toHaveBeenCalledWith(expect.objectContaining({ data: '0xsmaller', value: downsized }));
+  });
+});
+
+describe('executeBuy with SWAP_BACKEND', () => {
+  const { ethers } = require('ethers');
+  const { executeBuy } = require('../src/swap');
+  const { ROUTER_ABI } = require('../src/pancake');
+  const { WBNB, PANCAKE_ROUTER } = require('../src/config');
+
+  const ROUTER_CONFIG = { ...BASE_CONFIG, wbnb: WBNB, pancakeRouter: PANCAKE_ROUTER };
+  const routerIface = new ethers.Interface(ROUTER_ABI);
+
+  function makeRouterWallet() {
+    return {
+      address: '0x00000000000000000000000000000000000000aa',
+      provider: {
+        call: jest.fn().mockResolvedValue(
+          routerIface.encodeFunctionResult('getAmountsOut', [[BASE_CONFIG.buyAmountWei, 2_000_000n]])
+        ),
+      },
+      sendTransaction: jest.fn().mockResolvedValue({
+        hash: '0xrouter',
+        wait: jest.fn().mockResolvedValue({ status: 1, blockNumber: 1, gasUsed: 120000n }),
+      }),
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('pancake backend sends router tx without calling 0x', async () => {
+    const wallet = makeRouterWallet();
+
+    const result = await executeBuy(wallet, { ...ROUTER_CONFIG, swapBackend: 'pancake' }, TOKEN_ADDR, {});
+
+    expect(client.get).not.toHaveBeenCalled();
+    expect(result.backend).toBe('pancake');
+    expect(result.minBuyAmount).toBe('1900000');
+    expect(wallet.sendTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({ to: PANCAKE_ROUTER, value: BASE_CONFIG.buyAmountWei, gasLimit: 300000 })
+    );
+  });
+
+  test('auto backend falls back to router when 0x has no liquidity', async () => {
+    client.get.mockResolvedValue(makeQuoteResponse({ liquidityAvailable: false }));
+    const wallet = makeRouterWallet();
+
+    const result = await executeBuy(wallet, { ...ROUTER_CONFIG, swapBackend: 'auto' }, TOKEN_ADDR, {});
+
+    expect(result.backend).toBe('pancake');
+    expect(wallet.sendTransaction).toHaveBeenCalledWith(expect.objectContaining({ to: PANCAKE_ROUTER }));
+  });
+
+  test('auto backend uses 0x when it succeeds', async () => {
+    client.get.mockResolvedValue(makeQuoteResponse());
+    const wallet = makeRouterWallet();
+
+    const result = await executeBuy(wallet, { ...ROUTER_CONFIG, swapBackend: 'auto' }, TOKEN_ADDR, {});
+
+    expect(result.backend).toBe('0x');
+    expect(wallet.provider.call).not.toHaveBeenCalled();
+  });
+
+  test('0x backend does not fall back', async () => {
+    client.get.mockRejectedValue(new Error('Request failed with status code 400'));
+    const wallet = makeRouterWallet();
+
+    await expect(executeBuy(wallet, { ...ROUTER_CONFIG, swapBackend: '0x' }, TOKEN_ADDR, {}))
+      .rejects.toThrow('400');
+    expect(wallet.provider.call).not.toHaveBeenCalled();
+  });
+});
+
 describe('formatRoute', () => {
   const { formatRoute } = require('../src/swap');
 
@@ -263,3 +622,185 @@ describe('ZEROX_HEADERS', () => {
     expect(headers['0x-version']).toBe('v2');
   });
 });
+
+describe('executeSell', () => {
+  let executeSell;
+  let httpClient;
+  let tokenContract;
+
+  function loadWithToken(allowance) {
+    jest.resetModules();
+    jest.doMock('../src/logger', () => ({
+      step: jest.fn(), info: jest.fn(), warn: jest.fn(),
+      error: jest.fn(), success: jest.fn(), sep: jest.fn(),
+    }));
+    jest.doMock('../src/http', () => ({ client: { get: jest.fn() } }));
+
+    tokenContract = {
+      allowance: jest.fn().mockResolvedValue(allowance),
+      approve: jest.fn().mockResolvedValue({
+        hash: '0xapprove',
+        wait: jest.fn().mockResolvedValue({ status: 1 }),
+      }),
+    };
+    jest.doMock('ethers', () => {
+      const actual = jest.requireActual('ethers');
+      return {
+        ...actual,
+        ethers: {
+          ...actual.ethers,
+          Contract: jest.fn().mockReturnValue(tokenContract),
+        },
+      };
+    });
+
+    ({ executeSell } = require('../src/swap'));
+    ({ client: httpClient } = require('../src/http'));
+  }
+
+  function makeSellQuote(overrides = {}) {
+    return makeQuoteResponse({
+      buyAmount: '9000000000000000',
+      minBuyAmount: '8550000000000000',
+      issues: { allowance: { spender: ALLOWANCE_HOLDER, actual: '0' } },
+      transaction: {
+        to: ALLOWANCE_HOLDER,
+        data: '0xsellcalldata',
+        value: '0',
+        gas: '250000',
+      },
+      ...overrides,
+    });
+  }
+
+  function makeWallet(status = 1) {
+    return {
+      address: WALLET_ADDR,
+      sendTransaction: jest.fn().mockResolvedValue({
+        hash: '0xsell',
+        wait: jest.fn().mockResolvedValue({ status, blockNumber: 1, gasUsed: 150000n }),
+      }),
+    };
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('requests quote with token as sellToken and native as buyToken', async () => {
+    loadWithToken(10n ** 30n);
+    httpClient.get.mockResolvedValue(makeSellQuote());
+
+    await executeSell(makeWallet(), BASE_CONFIG, TOKEN_ADDR, 1000n, {});
+
+    expect(httpClient.get).toHaveBeenCalledWith(
+      'https://api.0x.org/swap/allowance-holder/quote',
+      expect.objectContaining({
+        params: expect.objectContaining({
+          sellToken: TOKEN_ADDR,
+          buyToken: BASE_CONFIG.nativeToken,
+          sellAmount: '1000',
+          taker: WALLET_ADDR,
+          slippageBps: 500,
+        }),
+      })
+    );
+  });
+
+  test('reports the proceeds in the chain native coin', async () => {
+    loadWithToken(10n ** 30n);
+    httpClient.get.mockResolvedValue(makeSellQuote());
+    const logger = require('../src/logger');
+
+    await executeSell(makeWallet(), { ...BASE_CONFIG, chain: CHAINS.base }, TOKEN_ADDR, 1000n, {});
+
+    expect(logger.info).toHaveBeenCalledWith('  Expected ETH: 0.009');
+    expect(logger.info).toHaveBeenCalledWith('  Min ETH: 0.00855');
+  });
+
+  test('skips approval when allowance is sufficient', async () => {
+    loadWithToken(1000n);
+    httpClient.get.mockResolvedValue(makeSellQuote());
+    const wallet = makeWallet();
+
+    const result = await executeSell(wallet, BASE_CONFIG, TOKEN_ADDR, 1000n, {});
+
+    expect(tokenContract.allowance).toHaveBeenCalledWith(WALLET_ADDR, ALLOWANCE_HOLDER);
+    expect(tokenContract.approve).not.toHaveBeenCalled();
+    expect(httpClient.get).toHaveBeenCalledTimes(1);
+    expect(result.hash).toBe('0xsell');
+    expect(result.approveHash).toBeNull();
+    expect(wallet.sendTransaction).toHaveBeenCalledWith(
+      expect.objectContaining({ data: '0xsellcalldata', value: 0n })
+    );
+  });
+
+  test('approves exact amount and refreshes quote when allowance is short', async () => {
+    loadWithToken(0n);
+    httpClient.get.mockResolvedValue(makeSellQuote());
+
+    const result = await executeSell(makeWallet(), BASE_CONFIG, TOKEN_ADDR, 1000n, {
+      gasPrice: 3_000_000_000n,
+    });
+
+    expect(tokenContract.approve).toHaveBeenCalledWith(
+      ALLOWANCE_HOLDER,
+      1000n,
+      expect.objectContaining({ gasPrice: 3_000_000_000n })
+    );
+    expect(httpClient.get).toHaveBeenCalledTimes(2);
+    expect(result.approveHash).toBe('0xapprove');
+  });
+
+  test('falls back to allowanceTarget when issues.allowance is absent', async () => {
+    loadWithToken(0n);
+    httpClient.get.mockResolvedValue(makeSellQuote({ issues: {}, allowanceTarget: ALLOWANCE_HOLDER }));
+
+    await executeSell(makeWallet(), BASE_CONFIG, TOKEN_ADDR, 1000n, {});
+
+    expect(tokenContract.approve).toHaveBeenCalledWith(ALLOWANCE_HOLDER, 1000n, expect.any(Object));
+  });
+
+  test('throws when quote has no spender', async () => {
+    loadWithToken(0n);
+    httpClient.get.mockResolvedValue(makeSellQuote({ issues: {} }));
+    const wallet = makeWallet();
+
+    await expect(executeSell(wallet, BASE_CONFIG, TOKEN_ADDR, 1000n, {}))
+      .rejects.toThrow('allowance spender');
+    expect(wallet.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  test('refuses to approve an unknown spender', async () => {
+    loadWithToken(0n);
+    httpClient.get.mockResolvedValue(
+      makeSellQuote({ issues: { allowance: { spender: '0x00000000000000000000000000000000000000cc' } } })
+    );
+    const wallet = makeWallet();
+
+    await expect(executeSell(wallet, BASE_CONFIG, TOKEN_ADDR, 1000n, {}))
+      .rejects.toThrow('is not a known 0x contract on BSC');
+    expect(tokenContract.approve).not.toHaveBeenCalled();
+    expect(wallet.sendTransaction).not.toHaveBeenCalled();
+  });
+
+  test('throws with txHash when approval reverts', async () => {
+    loadWithToken(0n);
+    httpClient.get.mockResolvedValue(makeSellQuote());
+    tokenContract.approve.mockResolvedValue({
+      hash: '0xbadapprove',
+      wait: jest.fn().mockResolvedValue({ status: 0 }),
+    });
+
+    await expect(executeSell(makeWallet(), BASE_CONFIG, TOKEN_ADDR, 1000n, {}))
+      .rejects.toMatchObject({ txHash: '0xbadapprove' });
+  });
+
+  test('throws when sell transaction reverts', async () => {
+    loadWithToken(10n ** 30n);
+    httpClient.get.mockResolvedValue(makeSellQuote());
+
+    await expect(executeSell(makeWallet(0), BASE_CONFIG, TOKEN_ADDR, 1000n, {}))
+      .rejects.toThrow('reverted');
+  });
+});
@@ -0,0 +1,294 @@
+jest.mock('../src/logger', () => ({
+  step: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+  sep: jest.fn(),
+}));
+
+const { ethers } = require('ethers');
+const { feesOf, bumpFees, sendAndConfirm, waitForAnyReceipt } = require('../src/txSender');
+
+const WALLET_ADDR = '0x00000000000000000000000000000000000000aa';
+const gwei = (v) => ethers.parseUnits(String(v), 'gwei');
+
+const CONFIG = {
+  txConfirmTimeoutSec: 1,
+  txSpeedupAttempts: 2,
+  txGasBumpPercent: 20,
+  txMaxGasPriceGwei: 10,
+  txCancelOnTimeout: true,
+  pollIntervalMs: 100,
+};
+
+const TX_REQUEST = { to: '0x00000000000000000000000000000000000000bb', data: '0xswap', value: 5n, gasLimit: 250000, gasPrice: gwei(5) };
+
+// Wallet whose sends return tx0, tx1, ... and whose receipts come from `mined`
+function mockWallet() {
+  const mined = {};
+  let sent = 0;
+  const wallet = {
+    address: WALLET_ADDR,
+    mined,
+    sendTransaction: jest.fn(async (req) => ({
+      hash: `0xtx${sent++}`,
+      nonce: req.nonce ?? 7,
+      gasPrice: req.gasPrice,
+      maxFeePerGas: req.maxFeePerGas ?? null,
+      maxPriorityFeePerGas: req.maxPriorityFeePerGas ?? null,
+      wait: jest.fn().mockResolvedValue({ status: 1 }),
+    })),
+    provider: {
+      getTransactionReceipt: jest.fn(async (hash) => mined[hash] || null),
+      getTransactionCount: jest.fn().mockResolvedValue(7),
+    },
+  };
+  return wallet;
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// === feesOf / bumpFees ===
+
+describe('feesOf', () => {
+  test('picks legacy or EIP-1559 fee fields', () => {
+    expect(feesOf({ gasPrice: 1n, maxFeePerGas: null })).toEqual({ gasPrice: 1n });
+    expect(feesOf({ gasPrice: 3n, maxFeePerGas: 3n, maxPriorityFeePerGas: 1n })).toEqual({
+      maxFeePerGas: 3n,
+      maxPriorityFeePerGas: 1n,
+    });
+  });
+});
+
+describe('bumpFees', () => {
+  test('raises gas price by the percent', () => {
+    expect(bumpFees({ gasPrice: gwei(5) }, 20, gwei(10))).toEqual({ gasPrice: gwei(6) });
+  });
+
+  test('caps at the ceiling while the cap still allows a 10% bump', () => {
+    expect(bumpFees({ gasPrice: gwei(5) }, 20, gwei(5.6))).toEqual({ gasPrice: gwei(5.6) });
+    expect(bumpFees({ gasPrice: gwei(5) }, 20, gwei(5.4))).toBeNull();
+  });
+
+  test('bumps both EIP-1559 fields, tip never above max fee', () => {
+    expect(bumpFees({ maxFeePerGas: gwei(10), maxPriorityFeePerGas: gwei(2) }, 20, gwei(100))).toEqual({
+      maxFeePerGas: gwei(12),
+      maxPriorityFeePerGas: gwei(2.4),
+    });
+    expect(bumpFees({ maxFeePerGas: gwei(10), maxPriorityFeePerGas: gwei(10) }, 20, gwei(11))).toEqual({
+      maxFeePerGas: gwei(11),
+      maxPriorityFeePerGas: gwei(11),
+    });
+  });
+});
+
+// === waitForAnyReceipt ===
+
+describe('waitForAnyReceipt', () => {
+  test('returns whichever hash is mined', async () => {
+    const wallet = mockWallet();
+    wallet.mined['0xb'] = { status: 1 };
+
+    await expect(waitForAnyReceipt(wallet, CONFIG, ['0xa', '0xb'], 1000)).resolves.toEqual({
+      hash: '0xb',
+      receipt: { status: 1 },
+    });
+  });
+
+  test('returns null after the timeout', async () => {
+    const wallet = mockWallet();
+    const pending = waitForAnyReceipt(wallet, CONFIG, ['0xa'], 1000);
+    await jest.advanceTimersByTimeAsync(1000);
+    await expect(pending).resolves.toBeNull();
+  });
+});
+
+// === sendAndConfirm ===
+
+describe('sendAndConfirm', () => {
+  test('waits without replacement when the timeout is off', async () => {
+    const wallet = mockWallet();
+    const result = await sendAndConfirm(wallet, { ...CONFIG, txConfirmTimeoutSec: 0 }, TX_REQUEST);
+
+    expect(result).toEqual({ hash: '0xtx0', receipt: { status: 1 }, replacedHashes: [] });
+    expect(wallet.sendTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns the original when it is mined in time', async () => {
+    const wallet = mockWallet();
+    wallet.mined['0xtx0'] = { status: 1 };
+
+    const result = await sendAndConfirm(wallet, CONFIG, TX_REQUEST);
+
+    expect(result.hash).toBe('0xtx0');
+    expect(wallet.sendTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  test('speeds up with the same nonce and reports the mined replacement', async () => {
+    const wallet = mockWallet();
+    const pending = sendAndConfirm(wallet, CONFIG, TX_REQUEST);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(wallet.sendTransaction).toHaveBeenLastCalledWith({
+      to: TX_REQUEST.to,
+      data: '0xswap',
+      value: 5n,
+      gasLimit: 250000,
+      nonce: 7,
+      gasPrice: gwei(6),
+    });
+
+    wallet.mined['0xtx1'] = { status: 1, blockNumber: 9 };
+    await jest.advanceTimersByTimeAsync(100);
+
+    await expect(pending).resolves.toEqual({
+      hash: '0xtx1',
+      receipt: { status: 1, blockNumber: 9 },
+      replacedHashes: ['0xtx0'],
+    });
+  });
+
+  test('accepts the original if it lands after a replacement was sent', async () => {
+    const wallet = mockWallet();
+    const pending = sendAndConfirm(wallet, CONFIG, TX_REQUEST);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    wallet.mined['0xtx0'] = { status: 1 };
+    await jest.advanceTimersByTimeAsync(100);
+
+    await expect(pending).resolves.toMatchObject({ hash: '0xtx0', replacedHashes: ['0xtx1'] });
+  });
+
+  test('cancels with a zero-value self-transfer after the last speed-up', async () => {
+    const wallet = mockWallet();
+    const pending = sendAndConfirm(wallet, CONFIG, TX_REQUEST);
+    const outcome = pending.catch((err) => err);
+
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(wallet.sendTransaction).toHaveBeenCalledTimes(4);
+    expect(wallet.sendTransaction).toHaveBeenLastCalledWith({
+      to: WALLET_ADDR,
+      value: 0n,
+      data: '0x',
+      gasLimit: 21000,
+      nonce: 7,
+      gasPrice: gwei(8.64),
+    });
+
+    wallet.mined['0xtx3'] = { status: 1 };
+    await jest.advanceTimersByTimeAsync(100);
+
+    const err = await outcome;
+    expect(err.message).toMatch('cancelled');
+    expect(err.cancelled).toBe(true);
+    expect(err.txHash).toBe('0xtx3');
+    expect(err.replacedHashes).toEqual(['0xtx0', '0xtx1', '0xtx2']);
+  });
+
+  test('keeps waiting without cancelling when TX_CANCEL_ON_TIMEOUT is off', async () => {
+    const wallet = mockWallet();
+    const config = { ...CONFIG, txSpeedupAttempts: 1, txCancelOnTimeout: false };
+    const pending = sendAndConfirm(wallet, config, TX_REQUEST);
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(wallet.sendTransaction).toHaveBeenCalledTimes(2);
+
+    wallet.mined['0xtx0'] = { status: 1 };
+    await jest.advanceTimersByTimeAsync(100);
+
+    await expect(pending).resolves.toMatchObject({ hash: '0xtx0', replacedHashes: ['0xtx1'] });
+  });
+
+  test('keeps waiting when the gas ceiling blocks a bump', async () => {
+    const wallet = mockWallet();
+    const pending = sendAndConfirm(wallet, { ...CONFIG, txMaxGasPriceGwei: 5 }, TX_REQUEST);
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(wallet.sendTransaction).toHaveBeenCalledTimes(1);
+
+    wallet.mined['0xtx0'] = { status: 1 };
+    await jest.advanceTimersByTimeAsync(100);
+
+    await expect(pending).resolves.toMatchObject({ hash: '0xtx0', replacedHashes: [] });
+  });
+
+  test('keeps waiting instead of cancelling once a speed-up reaches the gas ceiling', async () => {
+    const wallet = mockWallet();
+    const pending = sendAndConfirm(wallet, { ...CONFIG, txMaxGasPriceGwei: 6 }, TX_REQUEST);
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(wallet.sendTransaction).toHaveBeenCalledTimes(2);
+
+    wallet.mined['0xtx1'] = { status: 1 };
+    await jest.advanceTimersByTimeAsync(100);
+
+    await expect(pending).resolves.toMatchObject({ hash: '0xtx1', replacedHashes: ['0xtx0'] });
+  });
+
+  test('fails once the nonce is used by a transaction it did not send', async () => {
+    const wallet = mockWallet();
+    const outcome = sendAndConfirm(wallet, { ...CONFIG, txMaxGasPriceGwei: 5 }, TX_REQUEST).catch((err) => err);
+
+    await jest.advanceTimersByTimeAsync(3000);
+    wallet.provider.getTransactionCount.mockResolvedValue(8);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    const err = await outcome;
+    expect(err.message).toBe('Transaction not mined — nonce 7 was used by another transaction');
+    expect(err.txHash).toBe('0xtx0');
+    expect(wallet.provider.getTransactionCount).toHaveBeenCalledWith(WALLET_ADDR, 'latest');
+  });
+
+  test('keeps waiting when a replacement is rejected', async () => {
+    const wallet = mockWallet();
+    const pending = sendAndConfirm(wallet, CONFIG, TX_REQUEST);
+    wallet.sendTransaction.mockRejectedValueOnce(new Error('nonce too low'));
+
+    await jest.advanceTimersByTimeAsync(1000);
+    wallet.mined['0xtx0'] = { status: 1 };
+    await jest.advanceTimersByTimeAsync(100);
+
+    await expect(pending).resolves.toMatchObject({ hash: '0xtx0', replacedHashes: [] });
+  });
+
+  test('sends through the broadcaster when configured', async () => {
+    const wallet = mockWallet();
+    const broadcaster = { sendTransaction: jest.fn().mockResolvedValue({ hash: '0xrelay', nonce: 1, gasPrice: 1n }) };
+    wallet.mined['0xrelay'] = { status: 1 };
+
+    const result = await sendAndConfirm(wallet, { ...CONFIG, broadcaster }, TX_REQUEST);
+
+    expect(broadcaster.sendTransaction).toHaveBeenCalledWith(wallet, TX_REQUEST);
+    expect(wallet.sendTransaction).not.toHaveBeenCalled();
+    expect(result.hash).toBe('0xrelay');
+  });
+
+  test('takes the nonce from the shared nonce manager and fills gaps on timeout', async () => {
+    const wallet = mockWallet();
+    const nonceManager = {
+      reserve: jest.fn().mockResolvedValue(12),
+      release: jest.fn(),
+      track: jest.fn(),
+      fillGaps: jest.fn().mockResolvedValue([]),
+    };
+    const pending = sendAndConfirm(wallet, { ...CONFIG, nonceManager }, TX_REQUEST);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(wallet.sendTransaction.mock.calls[0][0].nonce).toBe(12);
+    expect(nonceManager.fillGaps).toHaveBeenCalledTimes(1);
+    // The replacement reuses the nonce instead of reserving a new one
+    expect(nonceManager.reserve).toHaveBeenCalledTimes(1);
+    expect(wallet.sendTransaction).toHaveBeenLastCalledWith(expect.objectContaining({ nonce: 12 }));
+
+    wallet.mined['0xtx1'] = { status: 1 };
+    await jest.advanceTimersByTimeAsync(100);
+    await expect(pending).resolves.toMatchObject({ hash: '0xtx1' });
+  });
+});
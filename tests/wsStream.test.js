@@ -0,0 +1,188 @@
+jest.mock('../src/logger', () => ({
+  step: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  success: jest.fn(),
+  sep: jest.fn(),
+}));
+
+// Fake WebSocketProvider: records subscriptions, lets tests fire blocks and socket events
+const mockProviders = [];
+const mockNode = { chainId: 56n, head: 100, fail: false };
+
+jest.mock('ethers', () => {
+  const actual = jest.requireActual('ethers');
+  const WebSocketProvider = jest.fn(() => {
+    const provider = {
+      websocket: {},
+      subscriptions: [],
+      getNetwork: jest.fn(async () => {
+        if (mockNode.fail) throw new Error('ECONNREFUSED');
+        return { chainId: mockNode.chainId };
+      }),
+      getBlockNumber: jest.fn(async () => mockNode.head),
+      on: jest.fn(async (event, listener) => {
+        provider.subscriptions.push({ event, listener });
+        return provider;
+      }),
+      destroy: jest.fn(async () => {}),
+      emitBlock: (n) => provider.subscriptions.filter((s) => s.event === 'block').forEach((s) => s.listener(n)),
+    };
+    mockProviders.push(provider);
+    return provider;
+  });
+  return { ...actual, ethers: { ...actual.ethers, WebSocketProvider } };
+});
+
+const { createBlockStream } = require('../src/wsStream');
+
+const URL = 'wss://node.test';
+const FILTER = { address: '0x00000000000000000000000000000000000000AA', topics: ['0x01'] };
+
+function latest() {
+  return mockProviders[mockProviders.length - 1];
+}
+
+beforeEach(() => {
+  mockProviders.length = 0;
+  Object.assign(mockNode, { chainId: 56n, head: 100, fail: false });
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('createBlockStream', () => {
+  test('start connects and subscribes to new heads and registered filters', async () => {
+    const stream = createBlockStream(URL, { chainId: 56 });
+    const onLog = jest.fn();
+    stream.on(FILTER, onLog);
+
+    expect(await stream.start()).toBe(true);
+
+    expect(stream.connected).toBe(true);
+    expect(stream.head).toBe(100);
+    expect(stream.coveredFrom).toBe(100);
+    expect(latest().subscriptions.map((s) => s.event)).toEqual(['block', FILTER]);
+    stream.stop();
+  });
+
+  test('start throws on chain id mismatch', async () => {
+    mockNode.chainId = 1n;
+    const stream = createBlockStream(URL, { chainId: 56 });
+
+    await expect(stream.start()).rejects.toMatchObject({ chainMismatch: true });
+    expect(latest().destroy).toHaveBeenCalled();
+    stream.stop();
+  });
+
+  test('start returns false and keeps retrying when unreachable', async () => {
+    mockNode.fail = true;
+    const stream = createBlockStream(URL, { chainId: 56, reconnectBaseMs: 1000 });
+
+    expect(await stream.start()).toBe(false);
+    expect(stream.connected).toBe(false);
+
+    mockNode.fail = false;
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(mockProviders).toHaveLength(2);
+    expect(stream.connected).toBe(true);
+    stream.stop();
+  });
+
+  test('reconnects and resubscribes after the socket closes', async () => {
+    const stream = createBlockStream(URL, { chainId: 56, reconnectBaseMs: 1000 });
+    const onLog = jest.fn();
+    stream.on(FILTER, onLog);
+    await stream.start();
+    const first = latest();
+
+    first.websocket.onclose();
+    expect(stream.connected).toBe(false);
+    expect(first.destroy).toHaveBeenCalled();
+
+    mockNode.head = 120;
+    await jest.advanceTimersByTimeAsync(1000);
+
+    const second = latest();
+    expect(second).not.toBe(first);
+    expect(stream.connected).toBe(true);
+    expect(stream.coveredFrom).toBe(120);
+    expect(second.subscriptions.map((s) => s.event)).toEqual(['block', FILTER]);
+    expect(second.subscriptions[1].listener).toBe(onLog);
+    stream.stop();
+  });
+
+  test('backs off exponentially between failed reconnects', async () => {
+    const stream = createBlockStream(URL, { reconnectBaseMs: 1000 });
+    await stream.start();
+    mockNode.fail = true;
+    latest().websocket.onerror(new Error('ECONNRESET'));
+
+    await jest.advanceTimersByTimeAsync(1000); // attempt 1 fails
+    await jest.advanceTimersByTimeAsync(1999); // attempt 2 is due at +2000
+    expect(mockProviders).toHaveLength(2);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(mockProviders).toHaveLength(3);
+    stream.stop();
+  });
+
+  test('treats a stream without new blocks as dropped', async () => {
+    const stream = createBlockStream(URL, { stallMs: 5000 });
+    await stream.start();
+
+    latest().emitBlock(101);
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(stream.connected).toBe(true);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(stream.connected).toBe(false);
+    stream.stop();
+  });
+
+  test('stop prevents further reconnects', async () => {
+    const stream = createBlockStream(URL, { reconnectBaseMs: 1000 });
+    await stream.start();
+    latest().websocket.onclose();
+    stream.stop();
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(mockProviders).toHaveLength(1);
+  });
+
+  test('nextBlock resolves on the next block or null after the timeout', async () => {
+    const stream = createBlockStream(URL);
+    await stream.start();
+
+    const next = stream.nextBlock(3000);
+    latest().emitBlock(101);
+    expect(await next).toBe(101);
+    expect(stream.head).toBe(101);
+
+    const timedOut = stream.nextBlock(3000);
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(await timedOut).toBeNull();
+    stream.stop();
+  });
+
+  test('waitForReceipt re-checks on every new block', async () => {
+    const stream = createBlockStream(URL);
+    await stream.start();
+    const receipt = { status: 1, blockNumber: 102 };
+    const http = {
+      getTransactionReceipt: jest.fn().mockResolvedValueOnce(null).mockResolvedValueOnce(receipt),
+    };
+
+    const pending = stream.waitForReceipt(http, '0xabc', 3000);
+    await jest.advanceTimersByTimeAsync(0);
+    latest().emitBlock(102);
+
+    expect(await pending).toBe(receipt);
+    expect(http.getTransactionReceipt).toHaveBeenCalledTimes(2);
+    stream.stop();
+  });
+});